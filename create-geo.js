@@ -18,6 +18,9 @@ import ora from 'ora';
 // Import existing services
 import FileDiscoveryService from './src/services/fileDiscovery.js';
 import ExifService from './src/services/exif.js';
+import ReverseGeocoderService from './src/services/reverseGeocoder.js';
+import PrivacyZoneService from './src/services/privacyZones.js';
+import WriteJournalService from './src/services/writeJournal.js';
 
 // Import new utility modules
 import { createConfig, validateConfig, getConfigSummary } from './src/utils/config.js';
@@ -28,8 +31,16 @@ import { parseArguments, displayHelp, handleHelpFlag, validateArguments, display
 import { mergeLocationData, transformGPSEntry, processBatches } from './src/utils/dataProcessing.js';
 import { createLogger, createBatchLogger, createOperationLogger } from './src/utils/debugLogger.js';
 import { formatCameraSource } from './src/utils/cameraSource.js';
+import { getLocationFields } from './src/utils/places.js';
 import { readFile } from 'fs/promises';
 
+// StatisticsTracker counter for each privacy zone policy
+const PRIVACY_ZONE_STATISTICS = {
+  skip: 'privacyZoneSkipped',
+  snap: 'privacyZoneSnapped',
+  sidecar: 'privacyZoneSidecarOnly'
+};
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
@@ -44,6 +55,11 @@ class CreateGeoScanner {
     this.logger = createLogger('CreateGeo');
     this.fileDiscovery = null;
     this.exifService = null;
+    this.reverseGeocoder = null;
+    this.privacyZones = null;
+    this.writeJournal = null;
+    this.dryRun = false;
+    this.writeNames = false;
     this.statistics = new StatisticsTracker();
     this.processedImages = new Map(); // Cache for processed images
     this.duplicateHashes = new Set(); // Track file hashes for duplicate detection
@@ -73,6 +89,18 @@ class CreateGeoScanner {
       // Initialize EXIF service with configuration
       this.exifService = new ExifService(this.logger, this.config.exif);
       
+      // Journal place name writes so `npm start -- undo` can reverse them
+      this.writeJournal = new WriteJournalService(this.config.journal, this.logger);
+      this.writeJournal.setExifService(this.exifService);
+      this.exifService.setWriteJournal(this.writeJournal);
+      
+      // Initialize reverse geocoding from the local gazetteer
+      this.reverseGeocoder = new ReverseGeocoderService(this.config.reverseGeocoding, this.logger);
+      
+      // Initialize privacy zones; an invalid zone stops the scan
+      this.privacyZones = new PrivacyZoneService(this.config.privacyZones, this.logger);
+      await this.privacyZones.initialize();
+      
       this.logger.info('Services initialized successfully');
     } catch (error) {
       this.logger.error('Failed to initialize services:', error);
@@ -86,7 +114,7 @@ class CreateGeoScanner {
   parseArguments() {
     const parsed = parseArguments(process.argv.slice(2), {
       defaultScanDirectory: this.config.defaultScanDirectory,
-      supportedFlags: ['--help', '-h', '--verbose', '-v', '--dry-run']
+      supportedFlags: ['--help', '-h', '--verbose', '-v', '--dry-run', '--write-names']
     });
     
     // Handle help flag
@@ -95,7 +123,8 @@ class CreateGeoScanner {
       description: 'Comprehensive EXIF Metadata Scanner',
       examples: [
         { command: 'node create-geo.js --verbose ~/photos', description: 'Scan with verbose output' },
-        { command: 'node create-geo.js --dry-run', description: 'Preview without making changes' }
+        { command: 'node create-geo.js --dry-run', description: 'Preview without making changes' },
+        { command: 'node create-geo.js --write-names ~/photos', description: 'Also write place names into geotagged images' }
       ]
     })) {
       process.exit(0);
@@ -111,6 +140,10 @@ class CreateGeoScanner {
       process.env.LOG_LEVEL = 'debug';
     }
     
+    // Images are only written with --write-names (or exif.locationNames.enabled), never on a dry run
+    this.dryRun = !!parsed.flags['dry-run'];
+    this.writeNames = !this.dryRun && (!!parsed.flags['write-names'] || !!this.config.exif.locationNames?.enabled);
+    
     this.logger.info(`Scan directory determined: ${parsed.scanDirectory}`);
     return parsed.scanDirectory;
   }
@@ -173,16 +206,42 @@ class CreateGeoScanner {
         return null;
       }
       
+      // Locations inside privacy zones are left out of location.json or snapped
+      const privacy = this.privacyZones.apply({ latitude: metadata.latitude, longitude: metadata.longitude });
+      if (privacy.zone) {
+        this.statistics.increment(PRIVACY_ZONE_STATISTICS[privacy.action]);
+        operationLogger.debug(`Inside privacy zone ${privacy.zone}`, { zone: privacy.zone, policy: privacy.action });
+      }
+      if (privacy.action === 'skip') {
+        return null;
+      }
+      
+      // Name the location from the local gazetteer
+      const { latitude, longitude } = privacy.coordinates;
+      const place = this.reverseGeocoder?.reverseGeocode(latitude, longitude) || null;
+      
+      // Sidecar-only locations stay out of location.json; names only go to a sidecar the GPS came from
+      if (privacy.action === 'sidecar') {
+        if (place && metadata.sidecarPath) {
+          await this.writeLocationNames(filePath, metadata, place, operationLogger);
+        }
+        return null;
+      }
+      
       // Create and transform the geo data entry
       const rawEntry = {
         timestamp: metadata.timestamp ? metadata.timestamp.toISOString() : new Date().toISOString(),
-        latitude: metadata.latitude,
-        longitude: metadata.longitude,
+        latitude,
+        longitude,
         source: formatCameraSource(metadata.camera),
         accuracy: 1, // EXIF data is considered most accurate
         camera: metadata.camera,
         format: metadata.format,
-        filePath: filePath
+        filePath: filePath,
+        city: place?.city,
+        region: place?.region,
+        country: place?.country,
+        countryCode: place?.countryCode
       };
       
       const geoEntry = transformGPSEntry(rawEntry, {
@@ -205,6 +264,10 @@ class CreateGeoScanner {
         this.duplicateHashes.add(fileHash);
       }
       
+      if (place) {
+        await this.writeLocationNames(filePath, metadata, place, operationLogger);
+      }
+      
       this.statistics.increment('geoTaggedImages');
       operationLogger.success('Successfully extracted GPS metadata');
       
@@ -219,6 +282,41 @@ class CreateGeoScanner {
     }
   }
 
+  /**
+   * Write gazetteer place names into an image that has none
+   * Images that already carry location fields keep them, so names set by hand
+   * or written from a timeline place visit are never replaced. Only runs with
+   * --write-names; the write goes where GPS writes go and is journaled.
+   * @param {string} filePath - Image path
+   * @param {Object} metadata - Extracted metadata; GPS read from a sidecar sends the names there too
+   * @param {Object} place - Result of ReverseGeocoderService.reverseGeocode
+   * @param {Object} operationLogger - Logger for this image
+   * @returns {Promise<boolean>} True if names were written
+   */
+  async writeLocationNames(filePath, metadata, place, operationLogger) {
+    if (!this.writeNames) {
+      return false;
+    }
+    
+    try {
+      const targetPath = await this.exifService.writeImageLocationNames(filePath, getLocationFields(place), {
+        sidecarPath: metadata.sidecarPath,
+        source: formatCameraSource(metadata.camera)
+      });
+      if (!targetPath) {
+        operationLogger.debug('Location names already present', { filePath });
+        return false;
+      }
+      
+      this.statistics.increment('locationNamesWritten');
+      operationLogger.debug('Location names written', { targetPath, city: place.city, country: place.country });
+      return true;
+    } catch (error) {
+      operationLogger.warn(`Could not write location names for ${filePath}: ${error.message}`);
+      return false;
+    }
+  }
+
   /**
    * Process images in batches for better performance and memory management
    */
@@ -344,6 +442,26 @@ class CreateGeoScanner {
         sourceCounts[source] = (sourceCounts[source] || 0) + 1;
       });
 
+      // Analyze place names; entries scanned before reverse geocoding are looked up now
+      const countryCounts = {};
+      const cityCounts = {};
+      let unnamedEntries = 0;
+      validEntries.forEach(entry => {
+        const place = entry.country
+          ? entry
+          : this.reverseGeocoder?.reverseGeocode(parseFloat(entry.latitude), parseFloat(entry.longitude));
+        if (!place?.country) {
+          unnamedEntries++;
+          return;
+        }
+        
+        countryCounts[place.country] = (countryCounts[place.country] || 0) + 1;
+        if (place.city) {
+          const city = `${place.city}, ${place.country}`;
+          cityCounts[city] = (cityCounts[city] || 0) + 1;
+        }
+      });
+
       // Analyze temporal distribution
       const yearCounts = {};
       const monthCounts = {};
@@ -394,6 +512,13 @@ class CreateGeoScanner {
         // Data source analysis
         dataSources: sourceCounts,
         
+        // Place name analysis
+        locationBreakdown: {
+          byCountry: countryCounts,
+          byCity: cityCounts,
+          unnamedEntries
+        },
+        
         // Temporal distribution
         temporalDistribution: {
           byYear: yearCounts,
@@ -506,6 +631,32 @@ class CreateGeoScanner {
         console.log(`${source}: ${count.toLocaleString()} entries (${percentage}%)`);
       });
 
+    // Place names
+    if (analysis.locationBreakdown && Object.keys(analysis.locationBreakdown.byCountry).length > 0) {
+      console.log('\n🗺️  LOCATIONS');
+      console.log('-'.repeat(40));
+      console.log('By Country:');
+      Object.entries(analysis.locationBreakdown.byCountry)
+        .sort(([,a], [,b]) => b - a)
+        .slice(0, 10)
+        .forEach(([country, count]) => {
+          const percentage = ((count / analysis.validEntries) * 100).toFixed(1);
+          console.log(`  ${country}: ${count.toLocaleString()} entries (${percentage}%)`);
+        });
+      
+      console.log('Top Cities:');
+      Object.entries(analysis.locationBreakdown.byCity)
+        .sort(([,a], [,b]) => b - a)
+        .slice(0, 10)
+        .forEach(([city, count]) => {
+          console.log(`  ${city}: ${count.toLocaleString()} entries`);
+        });
+      
+      if (analysis.locationBreakdown.unnamedEntries > 0) {
+        console.log(`Unnamed: ${analysis.locationBreakdown.unnamedEntries.toLocaleString()} entries (no gazetteer place in range)`);
+      }
+    }
+
     // Temporal distribution
     console.log('\n📅 TEMPORAL DISTRIBUTION');
     console.log('-'.repeat(40));
@@ -594,8 +745,16 @@ class CreateGeoScanner {
       await this.initializeServices();
       await ensureDirectory(dirname(this.config.locationDataPath));
       
+      // Load the gazetteer for place names
+      let spinner = ora('Loading gazetteer...').start();
+      if (await this.reverseGeocoder.initialize()) {
+        spinner.succeed(`Gazetteer loaded with ${this.reverseGeocoder.getStats().places.toLocaleString()} places`);
+      } else {
+        spinner.info('No gazetteer found - place names will not be added');
+      }
+      
       // Create backup and load existing data
-      let spinner = ora('Creating backup and loading existing data...').start();
+      spinner = ora('Creating backup and loading existing data...').start();
       backupPath = await createBackup(this.config.locationDataPath);
       await this.loadExistingLocationData();
       spinner.succeed(`Backup created, loaded ${this.existingLocations.length} existing entries`);
@@ -658,12 +817,15 @@ class CreateGeoScanner {
         this.logger.warn('Dataset validation warnings:', validation.errors.slice(0, 5));
       }
       
+      // Entries recorded before a privacy zone was added are snapped or left out too
+      const locationData = this.privacyZones.redactRecords(mergeResult.data);
+      
       // Generate comprehensive data analysis report
-      const dataAnalysis = this.generateDataAnalysisReport(mergeResult.data);
+      const dataAnalysis = this.generateDataAnalysisReport(locationData);
       this.displayDataAnalysisReport(dataAnalysis);
 
       // Write data atomically
-      await atomicWriteJSON(this.config.locationDataPath, mergeResult.data, {
+      await atomicWriteJSON(this.config.locationDataPath, locationData, {
         backupPath,
         indent: 2,
         validator: (parsedData, originalData) => {
@@ -691,6 +853,10 @@ class CreateGeoScanner {
         duplicatesFound: this.statistics.getStatistics().duplicatesFound
       });
       
+      if (this.writeJournal.runId && existsSync(this.writeJournal.getJournalPath())) {
+        console.log(`Undo the place names written by this run with: npm start -- undo ${this.writeJournal.runId}`);
+      }
+      
     } catch (error) {
       this.statistics.endTiming();
       displayError('Script failed', error, { showStack: false });
@@ -12,8 +12,8 @@
  */
 
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { existsSync, mkdirSync } from 'fs';
+import { dirname, extname, join } from 'path';
+import { existsSync, mkdirSync, statSync } from 'fs';
 import chalk from 'chalk';
 import ora from 'ora';
 
@@ -25,15 +25,71 @@ import InterpolationService from './services/interpolation.js';
 import GeolocationDatabaseService from './services/geolocationDatabase.js';
 import TimelineAugmentationService from './services/timelineAugmentation.js';
 import StatisticsService from './services/statistics.js';
+import MetadataCacheService from './services/metadataCache.js';
+import TimestampResolverService from './services/timestampResolver.js';
+import ClockOffsetService from './services/clockOffset.js';
+import TrackImportService from './services/trackImport.js';
+import ProcessingPlanService from './services/processingPlan.js';
+import PlanApplyService from './services/planApply.js';
+import WriteJournalService from './services/writeJournal.js';
+import RunCheckpointService from './services/runCheckpoint.js';
+import ReverseGeocoderService from './services/reverseGeocoder.js';
+import SegmentationService, { SEGMENT_COLUMNS } from './services/segmentation.js';
+import PrivacyZoneService from './services/privacyZones.js';
 
 // Import utilities
-import { getUserInput, resolvePath } from './utils/input.js';
+import { getConfirmation, getUserInput, resolvePath } from './utils/input.js';
 import { createLogger } from './utils/debugLogger.js';
 import { validateCoordinates } from './utils/coordinates.js';
+import {
+  EXIT_CODES,
+  UsageError,
+  displayCommandHelp,
+  getExitCode,
+  isInteractive,
+  parseCommandLine
+} from './utils/cli.js';
+import { atomicWrite, atomicWriteJSON, calculateFileHash } from './utils/fileOperations.js';
+import { formatCsv } from './utils/csv.js';
+import { mapConcurrent } from './utils/concurrency.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Subcommands and options; tag runs when the first argument is not a command
+const COMMAND_LINE = {
+  defaultCommand: 'tag',
+  commands: {
+    tag: { arguments: '[directory]', description: 'Add GPS to images without it (default command)' },
+    scan: { arguments: '[directory]', description: 'Report GPS and timestamp coverage; modifies nothing' },
+    augment: { arguments: '[directory]', description: 'Add GPS from geotagged images to the timeline only' },
+    segments: { arguments: '[directory]', description: 'Find stays and trips in photos and timeline; modifies nothing' },
+    export: { description: 'Export the geolocation database as JSON or CSV' },
+    db: { arguments: '<status|migrate|clear-cache>', description: 'Inspect or maintain data/geolocation.db' },
+    apply: { arguments: '[plan]', description: 'Write a reviewed dry-run plan' },
+    undo: { arguments: '[runId]', description: 'Restore images written by a run (default: most recent)' }
+  },
+  options: {
+    '--dry-run': { type: 'boolean', description: 'Modify nothing; tag writes a plan for review' },
+    '--resume': { type: 'string', valueName: 'runId', description: 'tag: continue a checkpointed run' },
+    '--tolerance': { type: 'number', valueName: 'minutes', description: 'Timeline matching tolerance' },
+    '--timeline': { type: 'string', valueName: 'path', description: 'Timeline JSON file or Google Takeout folder' },
+    '--min-confidence': { type: 'number', valueName: '0-1', description: 'Hold results below this confidence for review' },
+    '--output': { type: 'string', valueName: 'path', description: 'scan/segments/export/tag --dry-run: file to write' },
+    '--format': { type: 'string', valueName: 'json|csv', choices: ['json', 'csv'], description: 'Format of --output' },
+    '--directory': { type: 'string', valueName: 'path', description: 'undo: only restore images in this directory' },
+    '--source': { type: 'string', valueName: 'source', description: 'undo: only restore images from this source' },
+    '--yes': { type: 'boolean', alias: '-y', description: 'Confirm without asking; use the default photo directory' },
+    '--help': { type: 'boolean', alias: '-h', description: 'Show this help' }
+  }
+};
+
+const DATABASE_ACTIONS = ['status', 'migrate', 'clear-cache'];
+
+// Columns of scan and export CSV files
+const SCAN_COLUMNS = ['filePath', 'hasGPS', 'latitude', 'longitude', 'timestamp', 'timezoneOffset', 'timezoneSource'];
+const EXPORT_COLUMNS = ['filePath', 'latitude', 'longitude', 'source', 'accuracy', 'confidence', 'timestamp'];
+
 /**
  * Main application class that orchestrates the geo-tagging process
  */
@@ -41,12 +97,31 @@ class GeoImagesApp {
   constructor() {
     this.config = {
       timelineTolerance: 60,      // Timeline matching tolerance (minutes)
+      maxBracketSpan: 120,        // Maximum gap between bracketing timeline points for interpolation (minutes)
       batchSize: 25,              // Images to process in parallel
       enhancedFallback: {
         enabled: true,            // Enable enhanced fallback interpolation
         maxToleranceHours: 24,    // Maximum fallback tolerance
         progressiveSearch: true   // Use progressive search expansion
       },
+      activityInterpolation: {
+        enabled: true,            // Snap to place visits, never interpolate across flights, check implied speeds
+        profiles: {}              // Per-activity overrides of ACTIVITY_PROFILES, e.g. { driving: { maxSpeedKmh: 130 } }
+      },
+      reviewThresholds: {         // Results outside these limits are held for review instead of written (null disables a check)
+        timeline: { minConfidence: 0.3, maxTimeDifference: 60 },          // Timeline and GPS track matches (minutes)
+        nearby_images: { minConfidence: 0.5, maxTimeDifference: 180 },
+        enhanced_fallback: { minConfidence: 0.3, maxTimeDifference: 360 }
+      },
+      timeline: {
+        takeoutPath: process.env.TAKEOUT_PATH || null,  // Google Takeout folder with Semantic Location History and Records.json
+        timelinePath: null                              // Timeline JSON file used instead of data/Timeline Edits.json (--timeline)
+      },
+      trackImport: {
+        gpx: { paths: [] },               // GPX 1.1 files or directories, e.g. ['~/tracks/gpx']
+        kml: { paths: [] },               // KML/KMZ files or directories with gx:Track elements
+        fit: { paths: [] }                // Garmin FIT activity files or directories
+      },
       timelineAugmentation: {
         enabled: true,            // Enable timeline augmentation
         exactTimeTolerance: 2,    // Minutes for exact duplicate detection
@@ -58,8 +133,90 @@ class GeoImagesApp {
         validateCoordinates: true,         // Validate GPS coordinates
         coordinateSystem: 'WGS84'          // Coordinate system standard
       },
+      extraction: {
+        concurrency: 8,                   // Files whose metadata is read at the same time
+        maxProcs: 4                       // exiftool processes shared by all reads and writes
+      },
+      metadataCache: {
+        enabled: true,                    // Skip re-reading metadata of files unchanged since the last run
+        databasePath: 'data/geolocation.db',  // SQLite database holding the metadata_cache table
+        useHash: false                    // Also match by content hash when only the mtime changed (reads every changed file)
+      },
       exif: {
-        useFileTimestampFallback: true    // Use file modification time as fallback for missing EXIF timestamps
+        useFileTimestampFallback: true,   // Use file modification time as fallback for missing EXIF timestamps
+        sidecar: {
+          mode: 'embedded',               // 'embedded', 'sidecar', or 'auto' (sidecar for RAW files and files that have one)
+          naming: 'replace',              // New sidecars: 'replace' (IMG_1.xmp) or 'append' (IMG_1.CR3.xmp)
+          read: true                      // Read GPS from existing sidecars
+        },
+        gpsTags: {
+          altitude: true,                 // GPSAltitude/GPSAltitudeRef when the track has altitude
+          timestamp: true,                // GPSDateStamp/GPSTimeStamp (UTC capture time)
+          mapDatum: 'WGS-84',             // GPSMapDatum value, or null to omit
+          positioningError: true,         // GPSHPositioningError from location accuracy
+          processingMethod: true          // GPSProcessingMethod naming the source, e.g. 'geo-images: timeline_interpolation'
+        },
+        locationNames: {
+          enabled: true                   // IPTC/XMP Sub-location, City, Country and Location from timeline place visits
+        }
+      },
+      video: {
+        enabled: true,                    // Discover and geotag QuickTime/MP4 videos
+        localTimeMakes: ['GoPro', 'Canon', 'Nikon', 'Panasonic']  // Cameras writing local time in QuickTime CreateDate
+      },
+      timezone: {
+        defaultZone: process.env.DEFAULT_TIMEZONE || null,  // Zone for images without offset tags (null = host zone)
+        directoryZones: {},               // Per-directory zones, e.g. { '~/pics/japan': 'Asia/Tokyo' }
+        cameraZones: {},                  // Per-camera zones keyed by camera source, e.g. { 'Canon EOS R5': '+09:00' }
+        inferFromTimeline: false          // Estimate zone from timeline position on trips far from the host zone
+      },
+      clockOffset: {
+        enabled: true,                    // Correct camera clock drift before timeline matching
+        estimateFromGeotagged: true,      // Estimate offsets from geotagged photos vs timeline
+        maxOffsetMinutes: 120,            // Largest drift searched for
+        matchRadiusMeters: 100,           // Photo must be this close to a timeline point to count
+        minSamples: 3,                    // Matched photos required for an estimate
+        maxSpreadSeconds: 300,            // Reject estimates whose samples disagree more than this
+        minOffsetSeconds: 30,             // Ignore offsets smaller than this
+        referencePhotos: []               // Photos of a GPS clock, e.g. [{ filePath: '~/pics/clock.jpg', actualTime: '2024-07-15T05:30:00Z' }]
+      },
+      reverseGeocoding: {
+        enabled: true,                    // City, region and country names from a local GeoNames gazetteer
+        directory: 'data/geonames',       // cities1000.txt, admin1CodesASCII.txt and countryInfo.txt from download.geonames.org
+        citiesFile: 'cities1000.txt',     // cities500.txt or cities15000.txt work too
+        maxDistanceKm: 20                 // Nearest gazetteer place must be this close
+      },
+      dryRun: {
+        outputPath: 'data/dry-run-plan',  // Plan base path; .json and .csv are appended
+        formats: ['json', 'csv']          // Plan formats written by --dry-run
+      },
+      apply: {
+        reportPath: 'data/apply-report.json'  // Report written by the apply command
+      },
+      journal: {
+        directory: 'data/journal',        // One journal per run, used by the undo command
+        keepBackups: false,               // true copies each image beside itself (<file>.geo-images-<runId>.bak) before writing
+        undoReportPath: 'data/undo-report.json'
+      },
+      checkpoint: {
+        enabled: true,                    // Record per-file status after each batch so --resume can continue a run
+        directory: 'data/runs'            // One <runId>.jsonl checkpoint per run
+      },
+      segmentation: {
+        stayRadiusMeters: 250,            // Points within this distance of a stay's centre belong to it
+        minStayMinutes: 30,               // Shorter clusters are movement, not stays
+        homeLocation: null,               // { latitude, longitude }; null = HOME frequent place, else the place with most stay time
+        homeRadiusKm: 50,                 // Further than this from home is a trip
+        minTripHours: 4,                  // Shorter departures are not trips
+        weakCoverage: 0.5,                // Flag segments where fewer photos than this are geotagged
+        outputPath: 'data/segments.json'  // Default segments --output
+      },
+      privacyZones: {
+        enabled: true,                    // Keep home, work and other private places out of images and exports
+        policy: 'snap',                   // Default zone policy: 'skip', 'snap' to a coarse grid, or 'sidecar' only
+        snapGridMeters: 2000,             // Grid spacing used by 'snap'
+        zonesPath: 'data/privacy-zones.json',  // Optional JSON array of zones, shared with create-geo.js
+        zones: []                         // e.g. [{ name: 'Home', latitude: 51.5, longitude: -0.12, radiusMeters: 500 }]
       },
       directories: {
         defaultPhotoDir: process.env.DEFAULT_PHOTO_DIR || '~/pics'  // Default photo directory (configurable via environment)
@@ -68,9 +225,11 @@ class GeoImagesApp {
 
     this.logger = createLogger('GeoImagesApp');
     this.statistics = new StatisticsService();
+    this.dryRun = false;
+    this.assumeYes = false;  // --yes: confirm without prompting
+    this.checkpoint = null;  // Loaded or started run checkpoint, null when not checkpointing
     
-    // Initialize services
-    this.initializeServices();
+    // Services are built by run() once command line options are applied
     
     // Ensure data directory exists
     this.ensureDataDirectory();
@@ -78,18 +237,46 @@ class GeoImagesApp {
 
   /**
    * Initialize all service instances
+   * Called once, after command line options have updated the config.
    */
   initializeServices() {
-    this.fileDiscovery = new FileDiscoveryService(this.logger);
-    this.exifService = new ExifService(this.logger, this.config.exif);
-    this.timelineParser = new TimelineParserService(this.logger);
+    this.fileDiscovery = new FileDiscoveryService(this.logger, { includeVideos: this.config.video.enabled });
+    this.exifService = new ExifService(this.logger, {
+      ...this.config.exif,
+      video: this.config.video,
+      maxProcs: this.config.extraction.maxProcs
+    });
+    this.timelineParser = new TimelineParserService(this.logger, this.config.timeline);
     this.interpolation = new InterpolationService(this.config, this.logger);
     this.geolocationDb = new GeolocationDatabaseService(this.config.geolocationDatabase, this.logger);
     this.timelineAugmentation = new TimelineAugmentationService(this.config.timelineAugmentation, this.logger);
+    this.timestampResolver = new TimestampResolverService(this.config.timezone, this.logger);
+    this.clockOffset = new ClockOffsetService(this.config.clockOffset, this.logger);
+    this.trackImport = new TrackImportService(this.config.trackImport, this.logger);
+    this.processingPlan = new ProcessingPlanService(this.config.dryRun, this.logger);
+    this.planApply = new PlanApplyService(this.config.apply, this.logger);
+    this.writeJournal = new WriteJournalService(this.config.journal, this.logger);
+    this.runCheckpoint = new RunCheckpointService(this.config.checkpoint, this.logger);
+    this.metadataCache = new MetadataCacheService(this.config.metadataCache, this.logger);
+    this.reverseGeocoder = new ReverseGeocoderService(this.config.reverseGeocoding, this.logger);
+    this.segmentation = new SegmentationService(this.config.segmentation, this.logger);
+    this.privacyZones = new PrivacyZoneService(this.config.privacyZones, this.logger);
     
     // Wire services together
     this.interpolation.setTimelineParser(this.timelineParser);
+    this.timestampResolver.setTimelineParser(this.timelineParser);
+    this.clockOffset.setTimelineParser(this.timelineParser);
+    this.trackImport.setTimelineParser(this.timelineParser);
     this.interpolation.setGeolocationDatabase(this.geolocationDb);
+    this.planApply.setExifService(this.exifService);
+    this.planApply.setGeolocationDatabase(this.geolocationDb);
+    this.planApply.setPrivacyZones(this.privacyZones);
+    this.geolocationDb.setPrivacyZones(this.privacyZones);
+    this.timelineAugmentation.setPrivacyZones(this.privacyZones);
+    this.writeJournal.setExifService(this.exifService);
+    this.writeJournal.setGeolocationDatabase(this.geolocationDb);
+    this.exifService.setWriteJournal(this.writeJournal);
+    this.exifService.setMetadataCache(this.metadataCache);
   }
 
   /**
@@ -105,87 +292,592 @@ class GeoImagesApp {
 
   /**
    * Main application entry point
+   * Exits with an EXIT_CODES value so scripts can tell partial from total failure.
+   * @param {Array<string>} args - Command line arguments (default: process.argv.slice(2))
    */
-  async run() {
+  async run(args = process.argv.slice(2)) {
+    let exitCode = EXIT_CODES.SUCCESS;
+    
     try {
-      console.log(chalk.blue.bold('\n🌍 Geo Images - GPS Coordinate Processor\n'));
+      const cli = parseCommandLine(args, COMMAND_LINE);
       
-      // Get photo directory from command line or user input
-      const photoDirectory = await this.getPhotoDirectory();
+      if (cli.options.help) {
+        displayCommandHelp(COMMAND_LINE);
+      } else {
+        console.log(chalk.blue.bold('\n🌍 Geo Images - GPS Coordinate Processor\n'));
+        
+        if (cli.errors.length > 0) {
+          throw new UsageError(cli.errors.join('\n'));
+        }
+        
+        this.dryRun = !!cli.options.dryRun;
+        this.assumeYes = !!cli.options.yes;
+        this.applyCommandLineOptions(cli);
+        this.initializeServices();
+        await this.privacyZones.initialize();
+        
+        exitCode = await this.runCommand(cli);
+      }
       
-      console.log(chalk.green(`Processing photos in: ${photoDirectory}\n`));
+    } catch (error) {
+      if (error instanceof UsageError) {
+        console.error(chalk.red.bold('❌ Usage error:'), error.message);
+        console.error(chalk.gray('Run with --help to see commands and options'));
+      } else {
+        this.logger.error('Application error:', error);
+        console.error(chalk.red.bold('\n❌ Application failed:'), error.message);
+        this.displayResumeHint();
+      }
+      exitCode = error.exitCode || EXIT_CODES.FAILURE;
+    }
+    
+    // Clean up services and exit
+    await this.cleanup();
+    process.exit(exitCode);
+  }
+
+  /**
+   * Apply valued command line options to the config before the services are built
+   * @param {Object} cli - Parsed command line from parseCommandLine
+   */
+  applyCommandLineOptions(cli) {
+    const { command, options } = cli;
+    
+    if (options.tolerance !== undefined) {
+      if (options.tolerance <= 0) {
+        throw new UsageError('--tolerance must be a positive number of minutes');
+      }
+      this.config.timelineTolerance = options.tolerance;
+    }
+    
+    if (options.minConfidence !== undefined) {
+      if (options.minConfidence < 0 || options.minConfidence > 1) {
+        throw new UsageError('--min-confidence must be between 0 and 1');
+      }
+      Object.values(this.config.reviewThresholds).forEach(thresholds => {
+        thresholds.minConfidence = options.minConfidence;
+      });
+    }
+    
+    // A folder is a Google Takeout export, a file is a timeline JSON export
+    if (options.timeline) {
+      const timelinePath = resolvePath(options.timeline);
+      if (!existsSync(timelinePath)) {
+        throw new UsageError(`Timeline not found: ${timelinePath}`);
+      }
+      if (statSync(timelinePath).isDirectory()) {
+        this.config.timeline.takeoutPath = timelinePath;
+      } else {
+        this.config.timeline.timelinePath = timelinePath;
+      }
+    }
+    
+    // tag writes its --output/--format as the dry-run plan
+    if (command === 'tag' && (options.output || options.format)) {
+      if (!this.dryRun) {
+        throw new UsageError('--output and --format apply to tag only with --dry-run');
+      }
+      if (options.output) {
+        this.config.dryRun.outputPath = options.output.replace(/\.(json|csv)$/i, '');
+      }
+      if (options.format) {
+        this.config.dryRun.formats = [options.format];
+      }
+    }
+  }
+
+  /**
+   * Run the parsed command
+   * @param {Object} cli - Parsed command line from parseCommandLine
+   * @returns {Promise<number>} EXIT_CODES value
+   */
+  async runCommand(cli) {
+    const { command, positionals, options } = cli;
+    
+    const maxPositionals = command === 'export' ? 0 : 1;
+    if (positionals.length > maxPositionals) {
+      throw new UsageError(`Unexpected argument for ${command}: ${positionals[maxPositionals]}`);
+    }
+    
+    switch (command) {
+      case 'scan':
+        return this.scanCommand(await this.getPhotoDirectory(positionals[0]), options);
+      case 'augment':
+        return this.augmentCommand(await this.getPhotoDirectory(positionals[0]));
+      case 'segments':
+        return this.segmentsCommand(await this.getPhotoDirectory(positionals[0]), options);
+      case 'export':
+        return this.exportCommand(options);
+      case 'db':
+        return this.databaseCommand(positionals[0]);
+      case 'apply':
+        return this.applyCommand(positionals[0]);
+      case 'undo':
+        return this.undoCommand(positionals[0], options);
+      default:
+        return this.tagCommand(positionals[0], options);
+    }
+  }
+
+  /**
+   * tag: add GPS to images without it (the default command)
+   * @param {string|undefined} directoryArgument - Photo directory from the command line
+   * @param {Object} options - Parsed options
+   * @returns {Promise<number>} EXIT_CODES value
+   */
+  async tagCommand(directoryArgument, options) {
+    // Continue a checkpointed run, or get photo directory from command line or user input
+    const resumeRunId = options.resume;
+    if (resumeRunId) {
+      if (this.dryRun) {
+        throw new UsageError('Dry runs are not checkpointed and cannot be resumed');
+      }
+      if (directoryArgument) {
+        throw new UsageError('--resume continues in the directory of the checkpointed run; do not pass a directory');
+      }
+      this.checkpoint = await this.runCheckpoint.load(resumeRunId);
+      this.photoDirectory = this.checkpoint.photoDirectory;
+      console.log(chalk.green(`Resuming run ${resumeRunId} in: ${this.photoDirectory}\n`));
+    } else {
+      this.photoDirectory = await this.getPhotoDirectory(directoryArgument);
+      console.log(chalk.green(`Processing photos in: ${this.photoDirectory}\n`));
+    }
+    
+    if (this.dryRun) {
+      console.log(chalk.cyan('Dry run: no images, timeline data or database records will be modified\n'));
+    } else {
+      // The journal and the checkpoint share the run id
+      this.writeJournal.startRun(resumeRunId || undefined);
+    }
+    
+    // Phase 1: Discovery and Analysis
+    await this.discoveryPhase(this.photoDirectory, this.checkpoint?.files);
+    
+    // Phase 2: Geolocation Inference
+    await this.geolocationPhase();
+    
+    // Generate final reports
+    const report = await this.generateReports();
+    
+    const exitCode = getExitCode({ succeeded: report.successCount, failed: report.failureCount });
+    console.log(exitCode === EXIT_CODES.SUCCESS
+      ? chalk.green.bold('\n✅ Processing completed successfully!')
+      : chalk.yellow.bold(`\n⚠️  Processing completed with ${report.failureCount} failed images`));
+    this.displayUndoHint();
+    
+    return exitCode;
+  }
+
+  /**
+   * scan: report GPS and timestamp coverage without writing to images or the timeline
+   * @param {string} photoDirectory - Directory to scan
+   * @param {Object} options - Parsed options; --output writes one row per image
+   * @returns {Promise<number>} EXIT_CODES value
+   */
+  async scanCommand(photoDirectory, options) {
+    console.log(chalk.green(`Scanning photos in: ${photoDirectory}\n`));
+    
+    const spinner = ora('Scanning photo directory...').start();
+    let imageFiles;
+    let imageMetadata;
+    
+    try {
+      imageFiles = await this.fileDiscovery.scanDirectory(photoDirectory);
+      spinner.succeed(`Found ${imageFiles.length} image files`);
       
-      // Phase 1: Discovery and Analysis
-      await this.discoveryPhase(photoDirectory);
+      spinner.start('Extracting image metadata...');
+      await this.initializeMetadataCache(true);
+      imageMetadata = await this.extractImageMetadata(imageFiles, {
+        onProgress: (done, total) => {
+          spinner.text = `Extracting image metadata... ${done}/${total}`;
+        }
+      });
+      await this.metadataCache.flush();
+      spinner.succeed(`Extracted metadata from ${imageMetadata.length} images`);
       
-      // Phase 2: Geolocation Inference
-      await this.geolocationPhase();
+      if (options.output) {
+        spinner.start('Writing scan results...');
+        const rows = imageMetadata.map(imageData => {
+          const row = {
+            filePath: imageData.filePath,
+            hasGPS: imageData.hasGPS,
+            latitude: imageData.latitude,
+            longitude: imageData.longitude,
+            timestamp: imageData.timestampUtc,
+            timezoneOffset: imageData.timezone?.offset ?? null,
+            timezoneSource: imageData.timezone?.source ?? null
+          };
+          // Rows inside skip or sidecar zones keep their coverage but lose their location
+          return this.privacyZones.redactRecord(row) || { ...row, latitude: null, longitude: null };
+        });
+        const outputPath = await this.writeRecords(options.output, options.format, rows, SCAN_COLUMNS);
+        spinner.succeed(`Scan results written to ${outputPath}`);
+      }
       
-      // Generate final reports
-      await this.generateReports();
+    } catch (error) {
+      spinner.fail('Scan failed');
+      throw error;
+    }
+    
+    const failed = imageFiles.length - imageMetadata.length;
+    console.log(chalk.blue.bold('\n📈 Scan Summary\n'));
+    console.log(`${chalk.green('✅ Total Images Found:')} ${imageFiles.length}`);
+    console.log(`${chalk.cyan('📍 With GPS:')} ${imageMetadata.filter(img => img.hasGPS).length}`);
+    console.log(`${chalk.yellow('🔍 Without GPS:')} ${imageMetadata.filter(img => !img.hasGPS).length}`);
+    console.log(`${chalk.yellow('🕒 Without Timestamp:')} ${imageMetadata.filter(img => !img.timestampUtc).length}`);
+    console.log(`${chalk.red('❌ Unreadable:')} ${failed}`);
+    
+    return getExitCode({ succeeded: imageMetadata.length, failed });
+  }
+
+  /**
+   * augment: add GPS from geotagged images to the timeline without tagging anything
+   * @param {string} photoDirectory - Directory to scan
+   * @returns {Promise<number>} EXIT_CODES value
+   */
+  async augmentCommand(photoDirectory) {
+    console.log(chalk.green(`Augmenting timeline from photos in: ${photoDirectory}\n`));
+    if (this.dryRun) {
+      console.log(chalk.cyan('Dry run: location data will not be saved\n'));
+    }
+    
+    this.photoDirectory = photoDirectory;
+    this.config.timelineAugmentation.enabled = true;
+    await this.discoveryPhase(photoDirectory);
+    
+    const { augmentedCount = 0, duplicateCount = 0, privacyCount = 0, errorCount = 0 } = this.augmentationResults || {};
+    console.log(chalk.blue.bold('\n📈 Augmentation Summary\n'));
+    console.log(`${chalk.green('✅ Added To Timeline:')} ${augmentedCount}`);
+    console.log(`${chalk.cyan('⏭️  Already In Timeline:')} ${duplicateCount}`);
+    console.log(`${chalk.gray('🔒 In Privacy Zones:')} ${privacyCount}`);
+    console.log(`${chalk.red('❌ Invalid GPS:')} ${errorCount}`);
+    
+    return getExitCode({ succeeded: augmentedCount + duplicateCount + privacyCount, failed: errorCount });
+  }
+
+  /**
+   * segments: split photos and timeline into stays and trips and export them
+   * @param {string} photoDirectory - Directory to scan
+   * @param {Object} options - Parsed options; --output and --format pick the file
+   * @returns {Promise<number>} EXIT_CODES value
+   */
+  async segmentsCommand(photoDirectory, options) {
+    console.log(chalk.green(`Finding stays and trips for photos in: ${photoDirectory}\n`));
+    
+    const spinner = ora('Scanning photo directory...').start();
+    let imageFiles;
+    let imageMetadata;
+    let result;
+    
+    try {
+      imageFiles = await this.fileDiscovery.scanDirectory(photoDirectory);
+      spinner.succeed(`Found ${imageFiles.length} image files`);
+      
+      spinner.start('Loading timeline data...');
+      await this.timelineParser.loadTimelineData();
+      if (this.trackImport.isConfigured()) {
+        await this.trackImport.importTracks();
+      }
+      spinner.succeed('Timeline data loaded');
+      
+      spinner.start('Extracting image metadata...');
+      await this.initializeMetadataCache(true);
+      imageMetadata = await this.extractImageMetadata(imageFiles, {
+        onProgress: (done, total) => {
+          spinner.text = `Extracting image metadata... ${done}/${total}`;
+        }
+      });
+      await this.metadataCache.flush();
+      spinner.succeed(`Extracted metadata from ${imageMetadata.length} images`);
       
-      console.log(chalk.green.bold('\n✅ Processing completed successfully!'));
+      spinner.start('Finding stays and trips...');
+      result = this.segmentation.segment(imageMetadata, this.timelineParser);
+      spinner.succeed(`Found ${result.summary.stays} stays and ${result.summary.trips} trips`);
       
-      // Clean up services and exit
-      await this.cleanup();
-      process.exit(0);
+      // Centroids inside privacy zones are snapped or left out
+      const segments = result.segments.map(segment => ({
+        ...segment,
+        centroid: this.privacyZones.redactRecord(segment.centroid)
+      }));
+      
+      // JSON keeps the centroid and file list of each segment; CSV has one flat row per segment
+      const format = options.format || (extname(options.output || '').toLowerCase() === '.csv' ? 'csv' : 'json');
+      const outputPath = options.output || this.config.segmentation.outputPath.replace(/\.json$/, `.${format}`);
+      const rows = format === 'csv'
+        ? segments.map(segment => ({ ...segment, ...segment.centroid }))
+        : segments;
+      const writtenPath = await this.writeRecords(outputPath, format, rows, SEGMENT_COLUMNS);
+      console.log(chalk.gray(`Segments written to ${writtenPath}`));
       
     } catch (error) {
-      this.logger.error('Application error:', error);
-      console.error(chalk.red.bold('\n❌ Application failed:'), error.message);
-      await this.cleanup();
-      process.exit(1);
+      spinner.fail('Segmentation failed');
+      throw error;
+    }
+    
+    this.displaySegmentsSummary(result);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  /**
+   * export: write the geolocation database as JSON or CSV
+   * @param {Object} options - Parsed options; --output and --format pick the file
+   * @returns {Promise<number>} EXIT_CODES value
+   */
+  async exportCommand(options) {
+    const format = options.format || (extname(options.output || '').toLowerCase() === '.csv' ? 'csv' : 'json');
+    const outputPath = options.output || `data/geolocation-export.${format}`;
+    
+    const spinner = ora('Loading geolocation database...').start();
+    
+    try {
+      await this.geolocationDb.initialize();
+      await this.geolocationDb.loadSQLiteRecords();
+      const allRecords = await this.geolocationDb.getAllCoordinates();
+      spinner.succeed(`Loaded ${allRecords.length} geolocation records`);
+      
+      spinner.start('Exporting records...');
+      const records = this.privacyZones.redactRecords(allRecords);
+      if (records.length < allRecords.length) {
+        console.log(chalk.gray(`${allRecords.length - records.length} records inside privacy zones left out`));
+      }
+      const writtenPath = await this.writeRecords(outputPath, format, records, EXPORT_COLUMNS);
+      spinner.succeed(`Exported ${records.length} records to ${writtenPath}`);
+      
+    } catch (error) {
+      spinner.fail('Export failed');
+      throw error;
+    }
+    
+    return EXIT_CODES.SUCCESS;
+  }
+
+  /**
+   * db: inspect or maintain data/geolocation.db
+   * @param {string|undefined} action - status, migrate or clear-cache
+   * @returns {Promise<number>} EXIT_CODES value
+   */
+  async databaseCommand(action) {
+    if (!DATABASE_ACTIONS.includes(action)) {
+      throw new UsageError(`db needs one of: ${DATABASE_ACTIONS.join(', ')}`);
+    }
+    
+    if (action === 'clear-cache') {
+      if (!(await this.confirm('Remove all cached image metadata?'))) {
+        console.log(chalk.yellow('Clearing the metadata cache was cancelled'));
+        return EXIT_CODES.SUCCESS;
+      }
+      
+      await this.metadataCache.initialize();
+      if (!this.metadataCache.isReady()) {
+        console.log(chalk.yellow('The metadata cache is disabled'));
+        return EXIT_CODES.SUCCESS;
+      }
+      const removed = await this.metadataCache.clear();
+      console.log(chalk.green(`✅ Removed ${removed} cached metadata entries`));
+      return EXIT_CODES.SUCCESS;
+    }
+    
+    if (action === 'migrate') {
+      const spinner = ora('Migrating database...').start();
+      try {
+        await this.geolocationDb.initializeSQLite();
+        spinner.succeed('Database is up to date');
+      } catch (error) {
+        spinner.fail('Migration failed');
+        throw error;
+      }
+    }
+    
+    this.displayDatabaseStatus(await this.geolocationDb.getDatabaseStatus());
+    return EXIT_CODES.SUCCESS;
+  }
+
+  /**
+   * apply: write a reviewed dry-run plan
+   * @param {string|undefined} planArgument - Plan path (default: the dry-run plan)
+   * @returns {Promise<number>} EXIT_CODES value
+   */
+  async applyCommand(planArgument) {
+    const planPath = resolvePath(planArgument || `${this.config.dryRun.outputPath}.${this.config.dryRun.formats[0]}`);
+    if (!(await this.confirm(`Write GPS data from ${planPath} to your images?`))) {
+      console.log(chalk.yellow('Applying the plan was cancelled'));
+      return EXIT_CODES.SUCCESS;
+    }
+    
+    const { summary } = await this.applyPlan(planPath);
+    const notWritten = summary.failed + summary.changed;
+    const exitCode = getExitCode({ succeeded: summary.applied, failed: notWritten });
+    
+    console.log(exitCode === EXIT_CODES.SUCCESS
+      ? chalk.green.bold('\n✅ Plan applied successfully!')
+      : chalk.yellow.bold(`\n⚠️  Plan applied with ${notWritten} images not written`));
+    this.displayUndoHint();
+    
+    return exitCode;
+  }
+
+  /**
+   * undo: restore images written by an earlier run
+   * @param {string|undefined} runId - Run to undo (default: most recent run)
+   * @param {Object} options - Parsed options; --directory and --source filter the images
+   * @returns {Promise<number>} EXIT_CODES value
+   */
+  async undoCommand(runId, options) {
+    if (!(await this.confirm(`Restore the images written by ${runId ? `run ${runId}` : 'the most recent run'}?`))) {
+      console.log(chalk.yellow('Undo was cancelled'));
+      return EXIT_CODES.SUCCESS;
     }
+    
+    const { summary } = await this.undoRun(runId, {
+      directory: options.directory,
+      source: options.source
+    });
+    const notRestored = summary.failed + summary.changed;
+    const exitCode = getExitCode({ succeeded: summary.restored, failed: notRestored });
+    
+    console.log(exitCode === EXIT_CODES.SUCCESS
+      ? chalk.green.bold('\n✅ Undo completed!')
+      : chalk.yellow.bold(`\n⚠️  Undo completed with ${notRestored} images not restored`));
+    
+    return exitCode;
   }
 
   /**
-   * Get photo directory from command line args or user input
-   * Uses DEFAULT_PHOTO_DIR environment variable as default with proper path resolution
+   * Ask for confirmation before modifying images or data
+   * --yes confirms without asking. Without a terminal there is nobody to ask,
+   * so a UsageError is thrown instead of waiting on stdin.
+   * @param {string} message - Question to ask
+   * @returns {Promise<boolean>} True if confirmed
    */
-  async getPhotoDirectory() {
-    const args = process.argv.slice(2);
+  async confirm(message) {
+    if (this.assumeYes) {
+      return true;
+    }
     
-    if (args.length > 0) {
-      return resolvePath(args[0]);
+    if (!isInteractive()) {
+      throw new UsageError(`${message} Pass --yes to confirm when not running in a terminal`);
     }
     
-    // Use DEFAULT_PHOTO_DIR from environment, fallback to ~/pics
-    const envDefault = process.env.DEFAULT_PHOTO_DIR || '~/pics';
-    const defaultPath = resolvePath(envDefault);
+    return getConfirmation(message, false);
+  }
+
+  /**
+   * Get photo directory from the command line or user input
+   * Uses directories.defaultPhotoDir (DEFAULT_PHOTO_DIR) as default. With --yes
+   * the default is used without prompting; without a terminal a directory or
+   * --yes is required.
+   * @param {string|undefined} directoryArgument - Directory from the command line
+   * @returns {Promise<string>} Resolved photo directory
+   */
+  async getPhotoDirectory(directoryArgument) {
+    const defaultPath = resolvePath(this.config.directories.defaultPhotoDir);
+    let photoDirectory;
+    
+    if (directoryArgument) {
+      photoDirectory = resolvePath(directoryArgument);
+    } else if (this.assumeYes) {
+      photoDirectory = defaultPath;
+    } else if (!isInteractive()) {
+      throw new UsageError(`No photo directory given. Pass one, or --yes to use ${defaultPath}`);
+    } else {
+      photoDirectory = resolvePath(await getUserInput('Enter photo directory path:', defaultPath));
+    }
+    
+    if (!existsSync(photoDirectory)) {
+      throw new UsageError(`Photo directory not found: ${photoDirectory}`);
+    }
+    
+    return photoDirectory;
+  }
+
+  /**
+   * Write records as JSON or CSV
+   * @param {string} outputPath - Output file
+   * @param {string|undefined} format - json or csv (default: from the extension, else json)
+   * @param {Array<Object>} rows - Records to write
+   * @param {Array<string>} columns - CSV column order
+   * @returns {Promise<string>} Resolved output path
+   */
+  async writeRecords(outputPath, format, rows, columns) {
+    const resolvedPath = resolvePath(outputPath);
+    const outputFormat = format || (extname(resolvedPath).toLowerCase() === '.csv' ? 'csv' : 'json');
+    
+    if (outputFormat === 'csv') {
+      await atomicWrite(resolvedPath, formatCsv(rows, columns));
+    } else {
+      await atomicWriteJSON(resolvedPath, rows);
+    }
     
-    const userInput = await getUserInput('Enter photo directory path:', defaultPath);
-    return resolvePath(userInput);
+    return resolvedPath;
   }
 
   /**
    * Phase 1: Discovery and Analysis
+   * @param {string} photoDirectory - Directory to scan
+   * @param {Array<string>|null} knownFiles - File list of a resumed run; skips scanning
    */
-  async discoveryPhase(photoDirectory) {
+  async discoveryPhase(photoDirectory, knownFiles = null) {
     console.log(chalk.yellow.bold('📁 Phase 1: Discovery and Analysis\n'));
     
     const spinner = ora('Scanning photo directory...').start();
     
     try {
-      // Discover all image files
-      const imageFiles = await this.fileDiscovery.scanDirectory(photoDirectory);
-      spinner.succeed(`Found ${imageFiles.length} image files`);
+      // Discover all image files, or reuse the list recorded when a resumed run started
+      let imageFiles;
+      if (knownFiles) {
+        imageFiles = knownFiles;
+        spinner.succeed(`Resuming with ${imageFiles.length} image files from the checkpoint`);
+      } else {
+        imageFiles = await this.fileDiscovery.scanDirectory(photoDirectory);
+        const { videoFiles } = this.fileDiscovery.getStats();
+        spinner.succeed(`Found ${imageFiles.length} image files${videoFiles > 0 ? ` (including ${videoFiles} videos)` : ''}`);
+      }
       
+      this.imageFiles = imageFiles;
       this.statistics.setTotalImages(imageFiles.length);
       
       // Load existing timeline data
       spinner.start('Loading timeline data...');
-      await this.timelineParser.loadTimelineData();
+      await this.timelineParser.loadTimelineData({
+        onProgress: ({ bytesRead, totalBytes }) => {
+          const percent = totalBytes > 0 ? Math.floor((bytesRead / totalBytes) * 100) : 100;
+          spinner.text = `Loading timeline data... ${percent}%`;
+        }
+      });
       spinner.succeed('Timeline data loaded');
       
-      // Extract metadata from images
+      // Import GPS tracks recorded outside Google
+      if (this.trackImport.isConfigured()) {
+        spinner.start('Importing GPS tracks...');
+        const trackSummary = await this.trackImport.importTracks();
+        const trackPoints = Object.values(trackSummary).reduce((sum, counts) => sum + counts.points, 0);
+        spinner.succeed(`Imported ${trackPoints} GPS track points`);
+      }
+      
+      // Extract metadata from images, reusing cached metadata of unchanged files
       spinner.start('Extracting image metadata...');
-      const imageMetadata = await this.extractImageMetadata(imageFiles);
-      spinner.succeed(`Extracted metadata from ${imageMetadata.length} images`);
+      await this.initializeMetadataCache();
+      const imageMetadata = await this.extractImageMetadata(imageFiles, {
+        onProgress: (done, total) => {
+          spinner.text = `Extracting image metadata... ${done}/${total}`;
+        }
+      });
+      await this.metadataCache.flush();
+      const cacheStats = this.metadataCache.getStats();
+      this.statistics.setMetadataCacheStats(cacheStats);
+      spinner.succeed(`Extracted metadata from ${imageMetadata.length} images${cacheStats.enabled ? ` (${cacheStats.hits} cached, ${cacheStats.misses} read)` : ''}`);
+      
+      // Correct camera clock drift before anything is matched against the timeline
+      if (this.config.clockOffset.enabled) {
+        spinner.start('Estimating camera clock offsets...');
+        const corrected = await this.correctClockOffsets(imageMetadata);
+        spinner.succeed(`Clock offsets applied to ${corrected} images`);
+      }
       
       // Augment timeline with GPS data from images
       if (this.config.timelineAugmentation.enabled) {
         spinner.start('Augmenting timeline data...');
-        await this.timelineAugmentation.augmentTimeline(imageMetadata, this.timelineParser);
+        this.augmentationResults = await this.timelineAugmentation.augmentTimeline(imageMetadata, this.timelineParser, { dryRun: this.dryRun });
         spinner.succeed('Timeline augmentation completed');
       }
       
@@ -203,15 +895,25 @@ class GeoImagesApp {
   async geolocationPhase() {
     console.log(chalk.yellow.bold('\n🎯 Phase 2: Geolocation Inference\n'));
     
-    const imagesWithoutGPS = this.imageMetadata.filter(img => !img.hasGPS);
+    await this.startCheckpoint();
+    const statuses = this.checkpoint?.statuses;
+    const imagesWithoutGPS = this.imageMetadata.filter(img =>
+      !img.hasGPS && (!statuses || statuses.get(img.filePath) === 'pending'));
     
     if (imagesWithoutGPS.length === 0) {
-      console.log(chalk.green('All images already have GPS coordinates!'));
+      console.log(chalk.green(this.checkpoint?.sessions > 1
+        ? 'No pending images left in this run!'
+        : 'All images already have GPS coordinates!'));
       return;
     }
     
     console.log(`Processing ${imagesWithoutGPS.length} images without GPS coordinates...\n`);
     
+    // Place names are only written, so dry runs do not need the gazetteer
+    if (!this.dryRun) {
+      await this.reverseGeocoder.initialize();
+    }
+    
     // Process images in batches
     const batches = this.createBatches(imagesWithoutGPS, this.config.batchSize);
     
@@ -220,35 +922,166 @@ class GeoImagesApp {
       const spinner = ora(`Processing batch ${i + 1}/${batches.length} (${batch.length} images)...`).start();
       
       try {
-        await this.processBatch(batch);
+        this.statistics.startCapture();
+        const results = await this.processBatch(batch);
+        await this.recordCheckpoint(results, this.statistics.stopCapture());
         spinner.succeed(`Batch ${i + 1}/${batches.length} completed`);
       } catch (error) {
+        this.statistics.stopCapture();
         spinner.fail(`Batch ${i + 1}/${batches.length} failed`);
         this.logger.error(`Batch processing error:`, error);
       }
     }
   }
 
+  /**
+   * Start or resume the run checkpoint before GPS processing
+   * A resumed run replays the statistics of its earlier sessions. Images that
+   * already have GPS, or whose metadata could not be read, are settled
+   * straight away so only images needing GPS stay pending.
+   * @returns {Promise<void>}
+   */
+  async startCheckpoint() {
+    if (this.dryRun || (!this.config.checkpoint.enabled && !this.checkpoint)) {
+      return;
+    }
+    
+    const runId = this.writeJournal.runId;
+    if (this.checkpoint) {
+      this.statistics.replayEvents(this.checkpoint.events);
+      await this.runCheckpoint.recordResume(runId);
+      this.checkpoint.sessions++;
+      const { pending } = this.runCheckpoint.summarize(this.checkpoint.statuses);
+      this.logger.info(`Resuming run ${runId}: ${pending} of ${this.checkpoint.files.length} files pending`);
+    } else {
+      await this.runCheckpoint.start(runId, { photoDirectory: this.photoDirectory, files: this.imageFiles });
+      this.checkpoint = {
+        runId,
+        files: this.imageFiles,
+        startedAt: new Date().toISOString(),
+        statuses: new Map(this.imageFiles.map(filePath => [filePath, 'pending'])),
+        sessions: 1
+      };
+    }
+    
+    const extracted = new Map(this.imageMetadata.map(imageData => [imageData.filePath, imageData]));
+    const settled = [];
+    for (const [filePath, status] of this.checkpoint.statuses) {
+      if (status !== 'pending') continue;
+      const imageData = extracted.get(filePath);
+      if (!imageData) {
+        settled.push({ filePath, status: 'failed' });
+      } else if (imageData.hasGPS) {
+        settled.push({ filePath, status: 'skipped' });
+      }
+    }
+    await this.recordCheckpoint(settled);
+    
+    this.statistics.setRun({
+      runId,
+      startedAt: this.checkpoint.startedAt,
+      sessions: this.checkpoint.sessions,
+      resumed: this.checkpoint.sessions > 1
+    });
+  }
+
+  /**
+   * Record file statuses in the run checkpoint
+   * @param {Array} results - [{filePath, status}]
+   * @param {Array} events - Statistics events recorded for these files
+   * @returns {Promise<void>}
+   */
+  async recordCheckpoint(results, events = []) {
+    if (!this.checkpoint || results.length === 0) {
+      return;
+    }
+    
+    await this.runCheckpoint.recordBatch(this.writeJournal.runId, results, events);
+    for (const { filePath, status } of results) {
+      this.checkpoint.statuses.set(filePath, status);
+    }
+  }
+
+  /**
+   * Open the metadata cache, continuing without it if the database is unavailable
+   * Dry runs, scans and segments only read it, so they never change the database.
+   * @param {boolean} readOnly - Read cached entries without storing new ones
+   * @returns {Promise<void>}
+   */
+  async initializeMetadataCache(readOnly = this.dryRun) {
+    try {
+      await this.metadataCache.initialize({ readOnly });
+    } catch (error) {
+      this.logger.warn('Metadata cache unavailable, reading all files:', error.message);
+    }
+  }
+
   /**
    * Extract metadata from image files
+   * Files are read extraction.concurrency at a time. Unchanged files are served
+   * from the metadata cache using what discovery already knows about them, so
+   * they are not touched again. Timestamps are always resolved to UTC afresh so
+   * they match the current timeline and zone config.
+   * @param {Array<string>} imageFiles - Image paths
+   * @param {Object} options - {onProgress(done, total)}
+   * @returns {Promise<Array>} Metadata in discovery order, without failed files
    */
-  async extractImageMetadata(imageFiles) {
-    const metadata = [];
+  async extractImageMetadata(imageFiles, options = {}) {
+    let done = 0;
     
-    for (const filePath of imageFiles) {
+    const metadata = await mapConcurrent(imageFiles, this.config.extraction.concurrency, async (filePath) => {
       try {
-        const exifData = await this.exifService.extractMetadata(filePath);
-        metadata.push({
+        const exifData = await this.exifService.extractMetadata(filePath, this.fileDiscovery.getFileInfo(filePath));
+        const resolved = this.timestampResolver.resolveTimestamp(exifData, filePath);
+        
+        return {
           filePath,
-          ...exifData
-        });
+          ...exifData,
+          timestamp: resolved ? resolved.timestamp : exifData.timestamp,
+          timestampUtc: resolved ? resolved.timestamp.toISOString() : null,
+          timezone: resolved ? resolved.timezone : null
+        };
       } catch (error) {
         this.logger.warn(`Failed to extract metadata from ${filePath}:`, error.message);
         this.statistics.recordFailure('metadata_extraction', filePath, error.message);
+        return null;
+      } finally {
+        options.onProgress?.(++done, imageFiles.length);
       }
-    }
+    });
     
-    return metadata;
+    return metadata.filter(Boolean);
+  }
+
+  /**
+   * Estimate per-camera clock offsets and apply them to image timestamps
+   * @param {Array} imageMetadata - Extracted image metadata
+   * @returns {Promise<number>} Number of images corrected
+   */
+  async correctClockOffsets(imageMetadata) {
+    for (const reference of this.config.clockOffset.referencePhotos || []) {
+      const filePath = resolvePath(reference.filePath);
+      try {
+        const exifData = await this.exifService.extractMetadata(filePath);
+        const resolved = this.timestampResolver.resolveTimestamp(exifData, filePath);
+        this.clockOffset.addReferencePhoto(exifData.camera, resolved?.timestamp, reference.actualTime, filePath);
+      } catch (error) {
+        this.logger.warn(`Failed to read clock reference photo ${filePath}:`, error.message);
+      }
+    }
+
+    this.clockOffset.estimateFromGeotaggedImages(imageMetadata);
+
+    let corrected = 0;
+    for (const imageData of imageMetadata) {
+      if (this.clockOffset.applyOffset(imageData)) {
+        imageData.timestampUtc = imageData.timestamp.toISOString();
+        corrected++;
+      }
+    }
+
+    this.statistics.setClockOffsets(this.clockOffset.getOffsets());
+    return corrected;
   }
 
   /**
@@ -264,6 +1097,8 @@ class GeoImagesApp {
 
   /**
    * Process a batch of images
+   * @param {Array} batch - Image metadata
+   * @returns {Promise<Array>} [{filePath, status}] with status written, failed or skipped
    */
   async processBatch(batch) {
     const promises = batch.map(async (imageData) => {
@@ -272,6 +1107,7 @@ class GeoImagesApp {
           filePath: imageData.filePath,
           hasTimestamp: !!imageData.timestamp,
           timestamp: imageData.timestamp?.toISOString(),
+          timezoneSource: imageData.timezone?.source,
           hasGPS: imageData.hasGPS,
           format: imageData.format,
           source: imageData.source,
@@ -286,19 +1122,23 @@ class GeoImagesApp {
             stage: 'timestamp_validation_failed'
           });
           this.statistics.recordFailure('missing_timestamp', imageData.filePath, 'Image has no timestamp - GPS processing skipped');
-          return;
+          if (this.dryRun) {
+            this.processingPlan.addUnresolved(imageData, 'no_timestamp', 'Image has no timestamp');
+          }
+          return 'failed';
         }
         
         // Try to get GPS coordinates through interpolation
-        const coordinates = await this.interpolation.interpolateCoordinates(
+        let coordinates = await this.interpolation.interpolateCoordinates(
           imageData.timestamp,
-          imageData.filePath
+          imageData.filePath,
+          imageData
         );
         
         if (coordinates) {
           this.logger.debug(`Coordinates found for ${imageData.filePath}`, {
             filePath: imageData.filePath,
-            coordinates,
+            coordinates: this.privacyZones.redactRecord(coordinates),
             stage: 'coordinates_found'
           });
 
@@ -309,22 +1149,88 @@ class GeoImagesApp {
             }
           }
           
+          // Skip, snap or keep to a sidecar locations inside privacy zones
+          const privacy = this.privacyZones.apply(coordinates);
+          if (privacy.zone) {
+            this.statistics.recordPrivacyZone(imageData.filePath, privacy.zone, privacy.action);
+          }
+          if (privacy.action === 'skip') {
+            this.logger.info(`Skipped ${imageData.filePath} - inside privacy zone ${privacy.zone}`, {
+              filePath: imageData.filePath,
+              zone: privacy.zone,
+              stage: 'privacy_zone_skipped'
+            });
+            if (this.dryRun) {
+              this.processingPlan.addUnresolved(imageData, 'privacy_zone', `Inside privacy zone ${privacy.zone}`);
+            }
+            return 'skipped';
+          }
+          coordinates = privacy.coordinates;
+          // Only the image's sidecar may hold a sidecar-zone location, never the database, report or plan
+          const sidecarOnly = privacy.action === 'sidecar';
+          
+          // Hold back results below the per-source review thresholds
+          const reviewReason = this.interpolation.getReviewReason(coordinates);
+          if (reviewReason) {
+            this.logger.info(`Needs review: ${imageData.filePath} - ${reviewReason}`, {
+              filePath: imageData.filePath,
+              source: coordinates.source,
+              confidence: coordinates.confidence,
+              timeDifference: coordinates.timeDifference,
+              stage: 'needs_review'
+            });
+            this.statistics.recordNeedsReview(imageData.filePath, reviewReason, {
+              latitude: sidecarOnly ? null : coordinates.latitude,
+              longitude: sidecarOnly ? null : coordinates.longitude,
+              source: coordinates.source,
+              method: coordinates.method,
+              confidence: coordinates.confidence,
+              timeDifference: coordinates.timeDifference
+            });
+            if (this.dryRun && sidecarOnly) {
+              this.processingPlan.addUnresolved(imageData, 'privacy_zone', `Inside privacy zone ${privacy.zone}: ${reviewReason}`);
+            } else if (this.dryRun) {
+              const fileHash = await calculateFileHash(imageData.filePath);
+              this.processingPlan.addNeedsReview(imageData, coordinates, reviewReason, fileHash);
+            }
+            return 'skipped';
+          }
+          
+          // Dry run: record the proposal instead of writing anything
+          if (this.dryRun && sidecarOnly) {
+            this.processingPlan.addUnresolved(imageData, 'privacy_zone', `Inside privacy zone ${privacy.zone}; sidecar only`);
+            this.statistics.recordSuccess('interpolation', imageData.filePath);
+            return 'skipped';
+          }
+          if (this.dryRun) {
+            const fileHash = await calculateFileHash(imageData.filePath);
+            this.processingPlan.addProposal(imageData, coordinates, fileHash);
+            this.statistics.recordSuccess('interpolation', imageData.filePath);
+            return 'skipped';
+          }
+          
           // Write GPS data to image
           this.logger.debug(`Writing GPS data to ${imageData.filePath}`, {
             filePath: imageData.filePath,
             stage: 'gps_write_start'
           });
           
-          await this.exifService.writeGPSData(imageData.filePath, coordinates);
+          await this.exifService.writeGPSData(imageData.filePath, {
+            ...coordinates,
+            place: this.resolvePlace(coordinates),
+            timestamp: imageData.timestamp
+          }, { sidecarOnly });
           
-          // Store in database with original image timestamp
-          await this.geolocationDb.storeCoordinates(
-            imageData.filePath,
-            coordinates,
-            'interpolation',
-            {}, // metadata
-            imageData.timestamp // original image timestamp
-          );
+          // Store in database with original image timestamp, under the source that found it so source priorities apply
+          if (!sidecarOnly) {
+            await this.geolocationDb.storeCoordinates(
+              imageData.filePath,
+              coordinates,
+              coordinates.source,
+              {}, // metadata
+              imageData.timestamp // original image timestamp
+            );
+          }
           
           this.logger.debug(`Successfully processed ${imageData.filePath}`, {
             filePath: imageData.filePath,
@@ -332,12 +1238,17 @@ class GeoImagesApp {
           });
           
           this.statistics.recordSuccess('interpolation', imageData.filePath);
+          return 'written';
         } else {
           this.logger.warn(`No coordinates found for ${imageData.filePath}`, {
             filePath: imageData.filePath,
             stage: 'no_coordinates_found'
           });
           this.statistics.recordFailure('interpolation', imageData.filePath, 'No suitable coordinates found');
+          if (this.dryRun) {
+            this.processingPlan.addUnresolved(imageData, 'no_coordinates', 'No suitable coordinates found');
+          }
+          return 'failed';
         }
         
       } catch (error) {
@@ -369,14 +1280,125 @@ class GeoImagesApp {
         } else {
           this.statistics.recordFailure('processing', imageData.filePath, errorMessage);
         }
+        
+        if (this.dryRun) {
+          this.processingPlan.addUnresolved(imageData, 'error', errorMessage);
+        }
+        return 'failed';
       }
     });
     
-    await Promise.allSettled(promises);
+    const settled = await Promise.allSettled(promises);
+    return batch.map((imageData, index) => ({
+      filePath: imageData.filePath,
+      status: settled[index].status === 'fulfilled' ? settled[index].value : 'failed'
+    }));
+  }
+
+  /**
+   * Apply a reviewed dry-run plan
+   * Rows are written with their (possibly edited) coordinates and recorded
+   * in the geolocation database as manual_review.
+   * @param {string} planPath - Path to a .json or .csv plan
+   * @returns {Promise<Object>} Apply report
+   */
+  async applyPlan(planPath) {
+    console.log(chalk.yellow.bold(`📝 Applying plan: ${planPath}\n`));
+    
+    const spinner = ora('Loading plan...').start();
+    
+    try {
+      const entries = await this.processingPlan.loadPlan(planPath);
+      spinner.succeed(`Loaded ${entries.length} plan entries`);
+      
+      spinner.start('Loading geolocation database...');
+      await this.geolocationDb.initialize();
+      spinner.succeed('Geolocation database loaded');
+      
+      spinner.start('Writing reviewed coordinates...');
+      const report = await this.planApply.applyPlan(entries, { planPath });
+      spinner.succeed(`Wrote GPS data to ${report.summary.applied} images`);
+      
+      spinner.start('Saving apply report...');
+      await this.geolocationDb.exportDatabase();
+      const reportPath = await this.planApply.saveReport(report);
+      spinner.succeed(`Apply report saved to ${reportPath}`);
+      
+      this.displayApplySummary(report);
+      return report;
+      
+    } catch (error) {
+      spinner.fail('Applying plan failed');
+      throw error;
+    }
+  }
+
+  /**
+   * Undo the GPS writes of a journaled run
+   * @param {string|null} runId - Run to undo (default: most recent run)
+   * @param {Object} filters - Optional {directory, source} filters
+   * @returns {Promise<Object>} Undo report
+   */
+  async undoRun(runId, filters = {}) {
+    if (!runId) {
+      const runs = await this.writeJournal.listRuns();
+      if (runs.length === 0) {
+        throw new Error(`No journaled runs found in ${this.config.journal.directory}`);
+      }
+      runId = runs[runs.length - 1];
+    }
+    
+    const filterText = [
+      filters.directory && `directory ${resolvePath(filters.directory)}`,
+      filters.source && `source ${filters.source}`
+    ].filter(Boolean).join(', ');
+    console.log(chalk.yellow.bold(`↩️  Undoing run ${runId}${filterText ? ` (${filterText})` : ''}\n`));
+    
+    const spinner = ora('Loading geolocation database...').start();
+    
+    try {
+      await this.geolocationDb.initialize();
+      spinner.succeed('Geolocation database loaded');
+      
+      spinner.start('Restoring images...');
+      const report = await this.writeJournal.undoRun(runId, {
+        directory: filters.directory ? resolvePath(filters.directory) : null,
+        source: filters.source || null
+      });
+      spinner.succeed(`Restored ${report.summary.restored} images`);
+      
+      spinner.start('Saving undo report...');
+      await this.geolocationDb.exportDatabase();
+      await atomicWriteJSON(this.config.journal.undoReportPath, report);
+      spinner.succeed(`Undo report saved to ${this.config.journal.undoReportPath}`);
+      
+      this.displayUndoSummary(report);
+      return report;
+      
+    } catch (error) {
+      spinner.fail('Undo failed');
+      throw error;
+    }
+  }
+
+  /**
+   * Combine a place visit's name and address with reverse-geocoded names
+   * Gazetteer names win for city, region and country so they are spelled the
+   * same way across the whole library.
+   * @param {Object} coordinates - Interpolation result
+   * @returns {Object|null} Place for ExifService.writeGPSData, or null if nothing is known
+   */
+  resolvePlace(coordinates) {
+    const geocoded = this.reverseGeocoder.reverseGeocode(coordinates.latitude, coordinates.longitude);
+    if (!geocoded && !coordinates.place) {
+      return null;
+    }
+    return { ...coordinates.place, ...geocoded };
   }
 
   /**
    * Generate final reports
+   * @returns {Promise<Object>} Statistics report
    */
   async generateReports() {
     console.log(chalk.yellow.bold('\n📊 Generating Reports\n'));
@@ -385,10 +1407,16 @@ class GeoImagesApp {
     
     try {
       // Generate statistics report
+      this.statistics.setReverseGeocodingStats(this.reverseGeocoder.getStats());
       const report = this.statistics.generateReport();
       
-      // Export geolocation database
-      await this.geolocationDb.exportDatabase();
+      if (this.dryRun) {
+        // Write the plan instead of exporting the geolocation database
+        this.planPaths = await this.processingPlan.savePlan({ photoDirectory: this.photoDirectory });
+      } else {
+        // Export geolocation database
+        await this.geolocationDb.exportDatabase();
+      }
       
       // Save processing report
       await this.statistics.saveReport('data/processing-report.json');
@@ -397,6 +1425,7 @@ class GeoImagesApp {
       this.displaySummary(report);
       
       spinner.succeed('Reports generated successfully');
+      return report;
       
     } catch (error) {
       spinner.fail('Report generation failed');
@@ -416,6 +1445,16 @@ class GeoImagesApp {
         await this.geolocationDb.close();
       }
       
+      // Write remaining metadata cache entries
+      if (this.metadataCache) {
+        await this.metadataCache.close();
+      }
+      
+      // Stop the exiftool process pool
+      if (this.exifService) {
+        await this.exifService.cleanup();
+      }
+      
       // Close any other service connections
       if (this.timelineParser && typeof this.timelineParser.close === 'function') {
         await this.timelineParser.close();
@@ -444,6 +1483,7 @@ class GeoImagesApp {
     if (imagesWithoutGPS > 0) {
       console.log(`${chalk.green('✅ Successfully Processed:')} ${report.successCount}`);
       console.log(`${chalk.red('❌ Failed:')} ${report.failureCount}`);
+      console.log(`${chalk.magenta('🔎 Needs Review:')} ${report.needsReviewCount}`);
       console.log(`${chalk.blue('📊 Success Rate:')} ${report.successRate.toFixed(1)}% (of images needing GPS)`);
       
       if (report.failuresByCategory && Object.keys(report.failuresByCategory).length > 0) {
@@ -455,6 +1495,172 @@ class GeoImagesApp {
     } else {
       console.log(chalk.green.bold('\n🎉 All images already have GPS coordinates - no processing needed!'));
     }
+    
+    if (report.run && report.run.resumed) {
+      console.log(`${chalk.cyan('🔁 Resumed Run:')} ${report.run.runId} (${report.run.sessions} sessions, totals include earlier sessions)`);
+    }
+    
+    if (report.metadataCache && report.metadataCache.enabled) {
+      console.log(`${chalk.cyan('💾 Metadata Cache:')} ${report.metadataCache.hits} hits, ${report.metadataCache.misses} misses (${report.metadataCache.hitRate.toFixed(1)}%)`);
+    }
+    
+    if (report.reverseGeocoding && report.reverseGeocoding.enabled) {
+      console.log(`${chalk.cyan('🗺️  Reverse Geocoding:')} ${report.reverseGeocoding.resolved} of ${report.reverseGeocoding.lookups} locations named`);
+    }
+    
+    if (report.privacyZones && report.privacyZones.skip + report.privacyZones.snap + report.privacyZones.sidecar > 0) {
+      const { skip, snap, sidecar } = report.privacyZones;
+      console.log(`${chalk.cyan('🔒 Privacy Zones:')} ${skip} skipped, ${snap} snapped, ${sidecar} sidecar only`);
+    }
+    
+    if (report.clockOffsets && report.clockOffsets.length > 0) {
+      console.log(chalk.yellow.bold('\n⏱️  Camera Clock Offsets:'));
+      report.clockOffsets.forEach(offset => {
+        console.log(`  ${chalk.yellow('•')} ${offset.cameraKey}: ${offset.offsetSeconds > 0 ? '+' : ''}${offset.offsetSeconds}s (${offset.source}, ${offset.samples} samples)`);
+      });
+    }
+    
+    if (this.dryRun) {
+      const planSummary = this.processingPlan.getSummary();
+      console.log(chalk.cyan.bold('\n📝 Dry Run Plan:'));
+      console.log(`  ${chalk.cyan('•')} Proposed: ${planSummary.byStatus.proposed || 0} of ${planSummary.total} images`);
+      console.log(`  ${chalk.cyan('•')} Needs review: ${planSummary.byStatus.needs_review || 0}`);
+      Object.entries(planSummary.bySource).forEach(([source, count]) => {
+        console.log(`  ${chalk.cyan('•')} ${source}: ${count}`);
+      });
+      (this.planPaths || []).forEach(planPath => {
+        console.log(`  ${chalk.cyan('•')} Written to ${planPath}`);
+      });
+    }
+  }
+
+  /**
+   * Show how to undo this run's writes, if any were journaled
+   */
+  displayUndoHint() {
+    if (this.writeJournal.runId && existsSync(this.writeJournal.getJournalPath())) {
+      console.log(chalk.gray(`Undo this run with: npm start -- undo ${this.writeJournal.runId}`));
+    }
+  }
+
+  /**
+   * Display how to resume a checkpointed run that stopped early
+   */
+  displayResumeHint() {
+    if (this.checkpoint && this.runCheckpoint.exists(this.writeJournal.runId)) {
+      console.log(chalk.gray(`Resume this run with: npm start -- --resume ${this.writeJournal.runId}`));
+    }
+  }
+
+  /**
+   * Display stays and trips
+   * @param {Object} result - Result of SegmentationService.segment
+   */
+  displaySegmentsSummary(result) {
+    const { home, segments, summary } = result;
+    const formatCoverage = segment => segment.coverage === null ? 'no photos' : `${Math.round(segment.coverage * 100)}% geotagged`;
+    
+    console.log(chalk.blue.bold('\n🧭 Stays and Trips\n'));
+    const homeZone = home && this.privacyZones.findZone(home.latitude, home.longitude);
+    if (!home) {
+      console.log(chalk.yellow('🏠 No home base found, so no trips were detected'));
+    } else if (homeZone) {
+      console.log(`${chalk.cyan('🏠 Home Base:')} inside privacy zone ${homeZone.name} (${home.source})`);
+    } else {
+      console.log(`${chalk.cyan('🏠 Home Base:')} ${home.latitude.toFixed(4)}, ${home.longitude.toFixed(4)} (${home.source})`);
+    }
+    console.log(`${chalk.cyan('📍 Stays:')} ${summary.stays}`);
+    console.log(`${chalk.cyan('✈️  Trips:')} ${summary.trips}`);
+    
+    const trips = segments.filter(segment => segment.type === 'trip');
+    if (trips.length > 0) {
+      console.log(chalk.yellow.bold('\n✈️  Trips:'));
+      trips.forEach(trip => {
+        console.log(`  ${chalk.yellow('•')} ${trip.start.slice(0, 10)} to ${trip.end.slice(0, 10)}: ${trip.photoCount} photos, ${formatCoverage(trip)}, up to ${trip.maxDistanceFromHomeKm} km from home`);
+      });
+    }
+    
+    if (summary.weakCoverage > 0) {
+      console.log(chalk.yellow.bold(`\n⚠️  ${summary.weakCoverage} segments have weak coverage (under ${Math.round(this.config.segmentation.weakCoverage * 100)}% of photos geotagged):`));
+      segments
+        .filter(segment => segment.weakCoverage)
+        .slice(0, 10)
+        .forEach(segment => {
+          console.log(`  ${chalk.yellow('•')} ${segment.id} ${segment.start.slice(0, 16).replace('T', ' ')}: ${segment.photoCount} photos, ${formatCoverage(segment)}`);
+        });
+    }
+  }
+
+  /**
+   * Display database status
+   * @param {Object|null} status - Status from GeolocationDatabaseService.getDatabaseStatus
+   */
+  displayDatabaseStatus(status) {
+    console.log(chalk.blue.bold('\n🗄️  Database Status\n'));
+    
+    if (!status) {
+      console.log(chalk.yellow('No database yet; it is created by the first run or by: npm start -- db migrate'));
+      return;
+    }
+    
+    const { databasePath, migrations, tables } = status;
+    console.log(`${chalk.cyan('📁 Database:')} ${databasePath}`);
+    console.log(`${chalk.cyan('🔢 Schema Version:')} ${migrations.currentVersion} of ${migrations.latestVersion}`);
+    migrations.pendingMigrations.forEach(migration => {
+      console.log(`  ${chalk.yellow('•')} Pending migration ${migration.version}: ${migration.name}`);
+    });
+    if (!migrations.isUpToDate) {
+      console.log(chalk.gray('Apply pending migrations with: npm start -- db migrate'));
+    }
+    
+    console.log(chalk.yellow.bold('\n📋 Rows:'));
+    Object.entries(tables).forEach(([name, count]) => {
+      console.log(`  ${chalk.yellow('•')} ${name}: ${count}`);
+    });
+  }
+
+  /**
+   * Display undo summary
+   * @param {Object} report - Undo report
+   */
+  displayUndoSummary(report) {
+    const { summary } = report;
+    
+    console.log(chalk.blue.bold('\n📈 Undo Summary\n'));
+    console.log(`${chalk.green('✅ Restored:')} ${summary.restored}`);
+    console.log(`${chalk.cyan('⏭️  Not Modified:')} ${summary.skipped}`);
+    console.log(`${chalk.yellow('⚠️  Changed Since Run:')} ${summary.changed}`);
+    console.log(`${chalk.red('❌ Failed:')} ${summary.failed}`);
+    
+    const problems = report.results.filter(result => result.status === 'changed' || result.status === 'failed');
+    if (problems.length > 0) {
+      console.log(chalk.yellow.bold('\n📋 Not Restored:'));
+      problems.forEach(result => {
+        console.log(`  ${chalk.yellow('•')} ${result.filePath}: ${result.reason}`);
+      });
+    }
+  }
+
+  /**
+   * Display apply summary
+   * @param {Object} report - Apply report
+   */
+  displayApplySummary(report) {
+    const { summary } = report;
+    
+    console.log(chalk.blue.bold('\n📈 Apply Summary\n'));
+    console.log(`${chalk.green('✅ Applied:')} ${summary.applied}`);
+    console.log(`${chalk.cyan('⏭️  Skipped:')} ${summary.skipped}`);
+    console.log(`${chalk.yellow('⚠️  Changed Since Planning:')} ${summary.changed}`);
+    console.log(`${chalk.red('❌ Failed:')} ${summary.failed}`);
+    
+    const problems = report.results.filter(result => result.status === 'changed' || result.status === 'failed');
+    if (problems.length > 0) {
+      console.log(chalk.yellow.bold('\n📋 Not Applied:'));
+      problems.forEach(result => {
+        console.log(`  ${chalk.yellow('•')} ${result.filePath}: ${result.reason}`);
+      });
+    }
   }
 }
 
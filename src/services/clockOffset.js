@@ -0,0 +1,252 @@
+/**
+ * Clock Offset Service
+ *
+ * Estimates and corrects per-camera clock drift. Offsets are derived either
+ * from user-supplied reference photos (a photo of a GPS clock with the time
+ * it showed) or by matching already-geotagged photos against timeline points.
+ * Corrected timestamps are applied before timeline matching.
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+import { calculateDistance } from '../utils/distance.js';
+import { getCameraKey } from '../utils/cameraSource.js';
+import { TimeIndex } from '../utils/timeIndex.js';
+
+/**
+ * Service for camera clock offset estimation and correction
+ */
+class ClockOffsetService {
+  constructor(config = {}, logger) {
+    this.config = {
+      enabled: true,
+      estimateFromGeotagged: true,  // Estimate offsets from geotagged photos vs timeline
+      maxOffsetMinutes: 120,        // Largest drift searched for
+      matchRadiusMeters: 100,       // Photo must be this close to a timeline point to count
+      minSamples: 3,                // Matched photos required for an estimate
+      maxSpreadSeconds: 300,        // Reject estimates whose samples disagree more than this
+      minOffsetSeconds: 30,         // Ignore offsets smaller than timeline resolution
+      referencePhotos: [],          // [{ filePath, actualTime }] photos of a GPS clock
+      ...config
+    };
+    this.logger = logger;
+    this.timelineParser = null;
+    this.offsets = new Map(); // cameraKey -> offset record
+  }
+
+  /**
+   * Set timeline parser reference
+   * @param {TimelineParserService} timelineParser - Timeline parser instance
+   */
+  setTimelineParser(timelineParser) {
+    this.timelineParser = timelineParser;
+  }
+
+  /**
+   * Register a reference photo of a GPS clock
+   * Reference offsets take precedence over estimated ones.
+   * @param {Object} camera - Camera metadata of the reference photo
+   * @param {Date} photoTimestamp - Timestamp recorded by the camera (resolved to UTC)
+   * @param {Date|string} actualTime - True time shown on the GPS clock
+   * @param {string} filePath - Reference photo path for reporting
+   * @returns {Object|null} Offset record or null if invalid
+   */
+  addReferencePhoto(camera, photoTimestamp, actualTime, filePath = null) {
+    const cameraKey = getCameraKey(camera);
+    const actual = new Date(actualTime);
+
+    if (!cameraKey || !photoTimestamp || isNaN(actual.getTime())) {
+      this.logger.warn(`Ignoring clock reference photo ${filePath || ''}: missing camera, timestamp or actual time`);
+      return null;
+    }
+
+    const offsetSeconds = Math.round((actual.getTime() - photoTimestamp.getTime()) / 1000);
+    const record = {
+      cameraKey,
+      offsetSeconds,
+      source: 'reference_photo',
+      samples: 1,
+      spreadSeconds: 0,
+      referencePhoto: filePath
+    };
+
+    this.offsets.set(cameraKey, record);
+    this.logger.info(`Clock offset for ${cameraKey} from reference photo: ${offsetSeconds}s`);
+    return record;
+  }
+
+  /**
+   * Estimate offsets by matching geotagged photos to timeline points
+   * For each photo the spatially closest timeline point within the search window
+   * gives one offset sample; the per-camera median is used as the estimate.
+   * Only points recorded while moving are used: during a stay every point is at
+   * the same place, so the closest one says nothing about when the photo was taken.
+   * @param {Array} imageMetadata - Image metadata with filePath, camera, timestamp, GPS
+   * @returns {Map} Offset records keyed by camera
+   */
+  estimateFromGeotaggedImages(imageMetadata) {
+    if (!this.config.estimateFromGeotagged || !this.timelineParser) {
+      return this.offsets;
+    }
+
+    // Points derived from images would match themselves with zero offset
+    const timeline = new TimeIndex(this.timelineParser.getLocationDataArray()
+      .filter(record => !String(record.source).startsWith('image:') && this.isMovingPoint(record))
+      .map(record => [new Date(record.timestamp).getTime(), record]));
+
+    if (timeline.size === 0) {
+      this.logger.debug('No moving timeline points available for clock offset estimation');
+      return this.offsets;
+    }
+
+    const samplesByCamera = new Map();
+
+    for (const image of imageMetadata) {
+      if (!image.hasGPS || !image.timestamp) continue;
+
+      const cameraKey = getCameraKey(image.camera);
+      if (!cameraKey) continue;
+
+      const sample = this.findOffsetSample(image, timeline);
+      if (sample !== null) {
+        if (!samplesByCamera.has(cameraKey)) {
+          samplesByCamera.set(cameraKey, []);
+        }
+        samplesByCamera.get(cameraKey).push(sample);
+      }
+    }
+
+    for (const [cameraKey, samples] of samplesByCamera) {
+      // Reference photos are authoritative
+      if (this.offsets.get(cameraKey)?.source === 'reference_photo') continue;
+
+      const record = this.summariseSamples(cameraKey, samples);
+      if (record) {
+        this.offsets.set(cameraKey, record);
+        this.logger.info(`Estimated clock offset for ${cameraKey}: ${record.offsetSeconds}s from ${record.samples} photos`);
+      }
+    }
+
+    return this.offsets;
+  }
+
+  /**
+   * Check whether a timeline point was recorded while moving
+   * @param {Object} record - Location record from the timeline parser
+   * @returns {boolean} False for stationary points and points inside a place visit
+   */
+  isMovingPoint(record) {
+    if (record.activity === 'still') return false;
+    return !this.timelineParser.findPlaceVisit(new Date(record.timestamp));
+  }
+
+  /**
+   * Find the offset sample for one geotagged photo
+   * @param {Object} image - Image metadata
+   * @param {TimeIndex} timeline - Time index of timeline points
+   * @returns {number|null} Offset in seconds (timeline time - camera time) or null
+   */
+  findOffsetSample(image, timeline) {
+    const photoMs = image.timestamp.getTime();
+    const windowMs = this.config.maxOffsetMinutes * 60 * 1000;
+
+    let best = null;
+    for (const { timestampMs, record: point } of timeline.findInRange(photoMs - windowMs, photoMs + windowMs)) {
+      const distance = calculateDistance(image.latitude, image.longitude, point.latitude, point.longitude);
+      if (isNaN(distance) || distance > this.config.matchRadiusMeters) continue;
+
+      const delta = timestampMs - photoMs;
+      // Prefer the closest point; among equally close points the smallest shift
+      if (!best || distance < best.distance ||
+          (distance === best.distance && Math.abs(delta) < Math.abs(best.delta))) {
+        best = { distance, delta };
+      }
+    }
+
+    return best ? Math.round(best.delta / 1000) : null;
+  }
+
+  /**
+   * Reduce per-photo samples to an offset record
+   * @param {string} cameraKey - Camera key
+   * @param {Array<number>} samples - Offsets in seconds
+   * @returns {Object|null} Offset record or null if unreliable
+   */
+  summariseSamples(cameraKey, samples) {
+    if (samples.length < this.config.minSamples) {
+      this.logger.debug(`Not enough samples to estimate clock offset for ${cameraKey}: ${samples.length}`);
+      return null;
+    }
+
+    const offsetSeconds = this.median(samples);
+    const spreadSeconds = this.median(samples.map(sample => Math.abs(sample - offsetSeconds)));
+
+    if (spreadSeconds > this.config.maxSpreadSeconds) {
+      this.logger.warn(`Clock offset samples for ${cameraKey} disagree (spread ${spreadSeconds}s) - not applying`);
+      return null;
+    }
+
+    return {
+      cameraKey,
+      offsetSeconds,
+      source: 'timeline_estimate',
+      samples: samples.length,
+      spreadSeconds
+    };
+  }
+
+  /**
+   * Get the offset record for a camera
+   * @param {Object} camera - Camera metadata
+   * @returns {Object|null} Offset record or null
+   */
+  getOffset(camera) {
+    const cameraKey = getCameraKey(camera);
+    return cameraKey ? this.offsets.get(cameraKey) || null : null;
+  }
+
+  /**
+   * Apply the camera's clock offset to image metadata in place
+   * The uncorrected time is kept as cameraTimestamp.
+   * @param {Object} imageData - Image metadata
+   * @returns {boolean} True if a correction was applied
+   */
+  applyOffset(imageData) {
+    if (!this.config.enabled || !imageData.timestamp) return false;
+
+    const record = this.getOffset(imageData.camera);
+    if (!record || Math.abs(record.offsetSeconds) < this.config.minOffsetSeconds) return false;
+
+    imageData.cameraTimestamp = imageData.timestamp;
+    imageData.timestamp = new Date(imageData.timestamp.getTime() + record.offsetSeconds * 1000);
+    imageData.clockOffset = {
+      offsetSeconds: record.offsetSeconds,
+      source: record.source
+    };
+
+    return true;
+  }
+
+  /**
+   * Get all offset records for reporting
+   * @returns {Array} Offset records
+   */
+  getOffsets() {
+    return Array.from(this.offsets.values());
+  }
+
+  /**
+   * Median of numeric values
+   * @param {Array<number>} values - Values
+   * @returns {number} Median
+   */
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0
+      ? Math.round((sorted[middle - 1] + sorted[middle]) / 2)
+      : sorted[middle];
+  }
+}
+
+export default ClockOffsetService;
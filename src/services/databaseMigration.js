@@ -16,7 +16,7 @@ import sqlite3 from 'sqlite3';
 class DatabaseMigrationService {
   constructor(logger) {
     this.logger = logger;
-    this.currentVersion = 2; // Updated version for optimized schema
+    this.currentVersion = 3; // Adds the metadata cache
     this.migrations = new Map();
     this.setupMigrations();
   }
@@ -147,6 +147,23 @@ class DatabaseMigrationService {
         DROP TABLE IF EXISTS geolocation_query_stats;
       `
     });
+
+    // Migration 3: Extracted metadata cache, keyed by file path and checked against size and mtime
+    this.migrations.set(3, {
+      name: 'metadata_cache',
+      up: `
+        CREATE TABLE IF NOT EXISTS metadata_cache (
+          file_path TEXT PRIMARY KEY,
+          file_size INTEGER NOT NULL,
+          mtime_ms REAL NOT NULL,
+          file_hash TEXT,
+          cache_version INTEGER NOT NULL,
+          metadata TEXT NOT NULL,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+      `,
+      down: 'DROP TABLE IF EXISTS metadata_cache;'
+    });
   }
 
   /**
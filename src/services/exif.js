@@ -7,11 +7,73 @@
  * @author Tom Cranstoun <ddttom@github.com>
  */
 
-import { readFile, writeFile, stat } from 'fs/promises';
+import { readFile, stat } from 'fs/promises';
+import { existsSync } from 'fs';
 import { extname } from 'path';
 import piexif from 'piexifjs';
-import { exiftool } from 'exiftool-vendored';
-import sharp from 'sharp';
+import { ExifTool, exiftool } from 'exiftool-vendored';
+import {
+  parseExifDateTime,
+  parseOffset,
+  extractEmbeddedOffset,
+  parseGpsDateTime,
+  localToUtc,
+  hostLocalToUtc
+} from '../utils/timezone.js';
+import { atomicWrite } from '../utils/fileOperations.js';
+import {
+  readXmpProperties,
+  setXmpProperties,
+  formatXmpCoordinate,
+  extractXmpGps
+} from '../utils/xmp.js';
+import { getLocationFields } from '../utils/places.js';
+
+// piexif drops tags it does not know about, so register the EXIF 2.31 offset tags
+const OFFSET_TIME_TAGS = {
+  OffsetTime: 36880,
+  OffsetTimeOriginal: 36881,
+  OffsetTimeDigitized: 36882
+};
+for (const [name, tag] of Object.entries(OFFSET_TIME_TAGS)) {
+  if (!piexif.TAGS.Exif[tag]) {
+    piexif.TAGS.Exif[tag] = { name, type: 'Ascii' };
+  }
+}
+
+// Writable EXIF GPS tags captured by the write journal for exiftool formats
+const EXIFTOOL_GPS_TAGS = [
+  'GPSVersionID', 'GPSLatitudeRef', 'GPSLatitude', 'GPSLongitudeRef', 'GPSLongitude',
+  'GPSAltitudeRef', 'GPSAltitude', 'GPSTimeStamp', 'GPSDateStamp', 'GPSSatellites',
+  'GPSStatus', 'GPSMeasureMode', 'GPSDOP', 'GPSSpeedRef', 'GPSSpeed', 'GPSTrackRef',
+  'GPSTrack', 'GPSImgDirectionRef', 'GPSImgDirection', 'GPSMapDatum',
+  'GPSProcessingMethod', 'GPSAreaInformation', 'GPSDifferential', 'GPSHPositioningError'
+];
+
+// ISO 6709 location tags written to videos; phones and most players read one or the other
+const VIDEO_GPS_TAGS = ['Keys:GPSCoordinates', 'UserData:GPSCoordinates'];
+
+// IPTC and XMP tags each location field is written to; videos only take the XMP ones
+const LOCATION_NAME_TAGS = {
+  subLocation: ['IPTC:Sub-location'],
+  city: ['IPTC:City', 'XMP-photoshop:City'],
+  region: ['IPTC:Province-State', 'XMP-photoshop:State'],
+  country: ['IPTC:Country-PrimaryLocationName', 'XMP-photoshop:Country'],
+  countryCode: ['IPTC:Country-PrimaryLocationCode', 'XMP-iptcCore:CountryCode'],
+  location: ['XMP-iptcCore:Location']
+};
+
+// The same fields in an XMP sidecar; XMP has no separate sub-location property
+const XMP_LOCATION_PROPERTIES = {
+  city: 'photoshop:City',
+  region: 'photoshop:State',
+  country: 'photoshop:Country',
+  countryCode: 'Iptc4xmpCore:CountryCode',
+  location: 'Iptc4xmpCore:Location'
+};
+
+// QuickTime dates before this are unset (zero) values counted from the 1904 epoch
+const QUICKTIME_MIN_YEAR = 1971;
 
 /**
  * Service for EXIF metadata operations
@@ -23,6 +85,29 @@ class ExifService {
       useFileTimestampFallback: options.useFileTimestampFallback || false,
       ...options
     };
+    this.options.sidecar = {
+      mode: 'embedded',   // 'embedded', 'sidecar', or 'auto' (sidecar for RAW files and files that already have one)
+      naming: 'replace',  // New sidecars: 'replace' (IMG_1.xmp) or 'append' (IMG_1.CR3.xmp)
+      read: true,         // Read GPS from existing sidecars when the image has none
+      ...options.sidecar
+    };
+    this.options.gpsTags = {
+      altitude: true,          // GPSAltitude/GPSAltitudeRef when the track has altitude
+      timestamp: true,         // GPSDateStamp/GPSTimeStamp from the capture time (UTC)
+      mapDatum: 'WGS-84',      // GPSMapDatum value, or null to omit
+      positioningError: true,  // GPSHPositioningError from the location accuracy
+      processingMethod: true,  // GPSProcessingMethod naming the coordinate source
+      ...options.gpsTags
+    };
+    this.options.locationNames = {
+      enabled: true,  // Write Sub-location, City, Province-State, Country and Location when the place is known
+      ...options.locationNames
+    };
+    this.options.video = {
+      // Cameras that store local time in QuickTime CreateDate instead of UTC
+      localTimeMakes: ['GoPro', 'Canon', 'Nikon', 'Panasonic'],
+      ...options.video
+    };
     
     // Formats that work well with piexifjs
     this.piexifFormats = new Set(['.jpg', '.jpeg', '.tiff', '.tif']);
@@ -30,29 +115,73 @@ class ExifService {
     // Formats that require exiftool
     this.exiftoolFormats = new Set(['.cr3', '.cr2', '.nef', '.arw', '.orf', '.rw2', '.raf', '.pef', '.srw', '.dng']);
     
-    // Formats that need special handling
+    // Modern formats; sharp cannot decode their GPS reliably (HEIC, XMP-only PNG),
+    // so exiftool reads PNG eXIf chunks, XMP packets and HEIC/QuickTime metadata
     this.sharpFormats = new Set(['.png', '.webp', '.avif', '.heif', '.heic']);
+    
+    // QuickTime/MP4 videos; read and written with exiftool
+    this.videoFormats = new Set(['.mp4', '.mov', '.m4v']);
+    
+    // Shared exiftool process pool; maxProcs bounds how many files exiftool reads at once
+    this.exiftool = this.options.maxProcs ? new ExifTool({ maxProcs: this.options.maxProcs }) : exiftool;
+    
+    // Records prior GPS state before each write when set
+    this.writeJournal = null;
+    this.metadataCache = null;
+  }
+
+  /**
+   * Set write journal reference
+   * @param {WriteJournalService} writeJournal - Write journal instance
+   */
+  setWriteJournal(writeJournal) {
+    this.writeJournal = writeJournal;
+  }
+
+  /**
+   * Set metadata cache reference
+   * Unchanged files are served from the cache instead of being re-read.
+   * Sidecar GPS is still applied on every read so sidecar edits are seen.
+   * @param {MetadataCacheService} metadataCache - Metadata cache instance
+   */
+  setMetadataCache(metadataCache) {
+    this.metadataCache = metadataCache;
   }
 
   /**
    * Extract metadata from image file
+   * With fileInfo from discovery, an unchanged cached file costs no file system
+   * access at all: its size and mtime and the sidecars present are already known.
    * @param {string} filePath - Path to image file
+   * @param {Object|null} fileInfo - {size, mtimeMs, sidecars} from FileDiscoveryService.getFileInfo
    * @returns {Promise<Object>} Extracted metadata
    */
-  async extractMetadata(filePath) {
+  async extractMetadata(filePath, fileInfo = null) {
     const extension = extname(filePath).toLowerCase();
+    const knownSidecars = fileInfo?.sidecars || null;
     
     try {
+      let metadata = this.metadataCache ? await this.metadataCache.get(filePath, fileInfo) : null;
+      if (metadata) {
+        return await this.applySidecarGPS(filePath, metadata, knownSidecars);
+      }
+      
       if (this.exiftoolFormats.has(extension)) {
-        return await this.extractWithExiftool(filePath);
+        metadata = await this.extractWithExiftool(filePath);
       } else if (this.piexifFormats.has(extension)) {
-        return await this.extractWithPiexif(filePath);
-      } else if (this.sharpFormats.has(extension)) {
-        return await this.extractWithSharp(filePath);
+        metadata = await this.extractWithPiexif(filePath);
+      } else if (this.sharpFormats.has(extension) || this.videoFormats.has(extension)) {
+        metadata = await this.extractWithExiftool(filePath);
       } else {
         // Fallback to exiftool for unknown formats
-        return await this.extractWithExiftool(filePath);
+        metadata = await this.extractWithExiftool(filePath);
+      }
+      
+      // Only successful extractions are cached; failures are retried next run
+      if (this.metadataCache) {
+        await this.metadataCache.set(filePath, metadata, fileInfo);
       }
+      return await this.applySidecarGPS(filePath, metadata, knownSidecars);
     } catch (error) {
       const errorMessage = error.message || error.toString() || 'Unknown EXIF error';
       this.logger.error(`Failed to extract metadata from ${filePath}`, {
@@ -60,9 +189,7 @@ class ExifService {
         stack: error.stack,
         filePath,
         extension,
-        attemptedMethod: this.exiftoolFormats.has(extension) ? 'exiftool' : 
-                        this.piexifFormats.has(extension) ? 'piexif' : 
-                        this.sharpFormats.has(extension) ? 'sharp' : 'fallback',
+        attemptedMethod: this.piexifFormats.has(extension) ? 'piexif' : 'exiftool',
         stage: 'metadata_extraction'
       });
       
@@ -74,7 +201,7 @@ class ExifService {
           
           this.logger.debug(`Using file timestamp fallback for ${filePath}: ${fileTimestamp}`);
           
-          return {
+          return await this.applySidecarGPS(filePath, {
             hasGPS: false,
             latitude: null,
             longitude: null,
@@ -82,14 +209,97 @@ class ExifService {
             camera: { make: null, model: null, lens: null },
             format: extension,
             source: 'file_timestamp'
-          };
+          }, knownSidecars);
         } catch (statError) {
           this.logger.debug(`File timestamp fallback failed for ${filePath}: ${statError.message}`);
         }
       }
       
-      return this.createEmptyMetadata();
+      return this.applySidecarGPS(filePath, this.createEmptyMetadata(), knownSidecars);
+    }
+  }
+
+  /**
+   * Fill in GPS from an existing XMP sidecar when the image itself has none
+   * @param {string} filePath - Path to image file
+   * @param {Object} metadata - Metadata extracted from the image
+   * @param {Set<string>|null} knownSidecars - Sidecar paths seen by discovery; null checks the disk
+   * @returns {Promise<Object>} Metadata, with gpsSource 'xmp_sidecar' if the sidecar supplied GPS
+   */
+  async applySidecarGPS(filePath, metadata, knownSidecars = null) {
+    if (metadata.hasGPS || !this.options.sidecar.read) {
+      return metadata;
+    }
+    
+    const sidecarPath = this.findSidecar(filePath, knownSidecars);
+    if (!sidecarPath) {
+      return metadata;
+    }
+    
+    try {
+      const gps = extractXmpGps(await readFile(sidecarPath, 'utf8'));
+      if (!gps) {
+        return metadata;
+      }
+      
+      this.logger.debug(`GPS read from sidecar ${sidecarPath}`, { filePath, ...gps, stage: 'sidecar_read' });
+      return { ...metadata, hasGPS: true, latitude: gps.latitude, longitude: gps.longitude, gpsSource: 'xmp_sidecar', sidecarPath };
+    } catch (error) {
+      this.logger.warn(`Failed to read sidecar ${sidecarPath}: ${error.message}`);
+      return metadata;
+    }
+  }
+
+  /**
+   * Get the candidate sidecar paths of an image, preferred naming first
+   * @param {string} filePath - Path to image file
+   * @returns {Array<string>} Candidate sidecar paths
+   */
+  getSidecarCandidates(filePath) {
+    const extension = extname(filePath);
+    const base = extension ? filePath.slice(0, -extension.length) : filePath;
+    const appended = [`${filePath}.xmp`, `${filePath}.XMP`];
+    const replaced = [`${base}.xmp`, `${base}.XMP`];
+    
+    return this.options.sidecar.naming === 'append'
+      ? [...appended, ...replaced]
+      : [...replaced, ...appended];
+  }
+
+  /**
+   * Find an existing XMP sidecar of an image
+   * Both the darktable (IMG_1.CR3.xmp) and Adobe (IMG_1.xmp) conventions are recognised.
+   * @param {string} filePath - Path to image file
+   * @param {Set<string>|null} knownSidecars - Sidecar paths seen by discovery; null checks the disk
+   * @returns {string|null} Sidecar path or null if there is none
+   */
+  findSidecar(filePath, knownSidecars = null) {
+    const exists = knownSidecars ? candidate => knownSidecars.has(candidate) : candidate => existsSync(candidate);
+    return this.getSidecarCandidates(filePath).find(exists) || null;
+  }
+
+  /**
+   * Decide where GPS data for an image is written
+   * @param {string} filePath - Path to image file
+   * @param {string} mode - Sidecar mode (default: the configured sidecar.mode)
+   * @returns {string|null} Sidecar path, or null to write into the image itself
+   */
+  getSidecarTarget(filePath, mode = this.options.sidecar.mode) {
+    if (mode !== 'sidecar' && mode !== 'auto') {
+      return null;
+    }
+    
+    const existing = this.findSidecar(filePath);
+    if (existing) {
+      return existing;
     }
+    
+    const extension = extname(filePath).toLowerCase();
+    if (mode === 'auto' && !this.exiftoolFormats.has(extension)) {
+      return null;
+    }
+    
+    return this.getSidecarCandidates(filePath)[0];
   }
 
   /**
@@ -109,6 +319,7 @@ class ExifService {
         latitude: this.extractLatitude(exifData),
         longitude: this.extractLongitude(exifData),
         timestamp: this.extractTimestamp(exifData),
+        timestampInfo: this.extractTimestampInfo(exifData),
         camera: this.extractCameraInfo(exifData),
         format: extname(filePath).toLowerCase(),
         source: 'piexif'
@@ -141,17 +352,22 @@ class ExifService {
    */
   async extractWithExiftool(filePath) {
     try {
-      const tags = await exiftool.read(filePath);
+      const tags = await this.exiftool.read(filePath);
+      const timestampInfo = this.videoFormats.has(extname(filePath).toLowerCase())
+        ? this.parseQuickTimeTimestampInfo(tags)
+        : this.parseExiftoolTimestampInfo(tags);
       
       const metadata = {
         hasGPS: !!(tags.GPSLatitude && tags.GPSLongitude),
         latitude: tags.GPSLatitude || null,
         longitude: tags.GPSLongitude || null,
-        timestamp: this.parseExiftoolTimestamp(tags),
+        timestamp: timestampInfo ? this.timestampFromInfo(timestampInfo) : null,
+        timestampInfo,
         camera: {
           make: tags.Make || null,
           model: tags.Model || null,
-          lens: tags.LensModel || null
+          lens: tags.LensModel || null,
+          serial: tags.SerialNumber || tags.BodySerialNumber || tags.InternalSerialNumber || null
         },
         format: extname(filePath).toLowerCase(),
         source: 'exiftool'
@@ -177,73 +393,50 @@ class ExifService {
     }
   }
 
-  /**
-   * Extract metadata using Sharp (for modern formats)
-   * @param {string} filePath - Path to image file
-   * @returns {Promise<Object>} Extracted metadata
-   */
-  async extractWithSharp(filePath) {
-    try {
-      const image = sharp(filePath);
-      const metadata = await image.metadata();
-      
-      // Sharp doesn't extract GPS data well, fallback to exiftool
-      if (metadata.exif) {
-        return await this.extractWithExiftool(filePath);
-      }
-      
-      const result = {
-        hasGPS: false,
-        latitude: null,
-        longitude: null,
-        timestamp: null,
-        camera: {
-          make: null,
-          model: null,
-          lens: null
-        },
-        format: extname(filePath).toLowerCase(),
-        source: 'sharp'
-      };
-      
-      // Try file timestamp fallback if enabled
-      if (this.options.useFileTimestampFallback) {
-        try {
-          const stats = await stat(filePath);
-          result.timestamp = stats.mtime;
-          result.source = 'file_timestamp_fallback';
-          this.logger.debug(`Using file timestamp fallback for ${filePath}: ${stats.mtime}`);
-        } catch (statError) {
-          this.logger.debug(`File timestamp fallback failed for ${filePath}: ${statError.message}`);
-        }
-      }
-      
-      return result;
-      
-    } catch (error) {
-      this.logger.debug(`Sharp extraction failed for ${filePath}: ${error.message}`);
-      throw error;
-    }
-  }
-
   /**
    * Write GPS data to image file
    * @param {string} filePath - Path to image file
-   * @param {Object} coordinates - GPS coordinates {latitude, longitude}
+   * @param {Object} coordinates - GPS coordinates {latitude, longitude} plus optional
+   *   altitude, accuracy, timestamp and source for the optional GPS tags, and
+   *   place {name, address, city, region, country, countryCode} for the location name tags
+   * @param {Object} options - Write options
+   * @param {boolean} options.sidecarOnly - Write to an XMP sidecar whatever the sidecar mode (privacy zones)
    * @returns {Promise<boolean>} Success status
    */
-  async writeGPSData(filePath, coordinates) {
+  async writeGPSData(filePath, coordinates, options = {}) {
     const extension = extname(filePath).toLowerCase();
+    const sidecarPath = this.getSidecarTarget(filePath, options.sidecarOnly ? 'sidecar' : undefined);
+    const targetPath = sidecarPath || filePath;
+    const locationFields = this.options.locationNames.enabled ? getLocationFields(coordinates.place) : null;
     
     try {
-      if (this.exiftoolFormats.has(extension)) {
-        return await this.writeGPSWithExiftool(filePath, coordinates);
+      // Journal the prior state first so the write can be undone
+      if (this.writeJournal) {
+        await this.writeJournal.recordBefore(targetPath, coordinates.source, filePath, !!locationFields);
+      }
+      
+      let written;
+      if (sidecarPath) {
+        written = await this.writeGPSToSidecar(sidecarPath, coordinates);
+      } else if (this.videoFormats.has(extension)) {
+        written = await this.writeGPSToVideo(filePath, coordinates);
+      } else if (this.exiftoolFormats.has(extension)) {
+        written = await this.writeGPSWithExiftool(filePath, coordinates);
       } else if (this.piexifFormats.has(extension)) {
-        return await this.writeGPSWithPiexif(filePath, coordinates);
+        written = await this.writeGPSWithPiexif(filePath, coordinates);
       } else {
         // Fallback to exiftool for other formats
-        return await this.writeGPSWithExiftool(filePath, coordinates);
+        written = await this.writeGPSWithExiftool(filePath, coordinates);
+      }
+      
+      if (locationFields) {
+        await this.writeLocationNames(targetPath, locationFields);
+      }
+      
+      if (this.writeJournal) {
+        await this.writeJournal.recordAfter(targetPath);
       }
+      return written;
     } catch (error) {
       const errorMessage = error.message || error.toString() || 'Unknown GPS write error';
       this.logger.error(`Failed to write GPS data to ${filePath}`, {
@@ -252,7 +445,10 @@ class ExifService {
         filePath,
         extension,
         coordinates,
-        attemptedMethod: this.exiftoolFormats.has(extension) ? 'exiftool' : 
+        sidecarPath,
+        attemptedMethod: sidecarPath ? 'sidecar' :
+                        this.videoFormats.has(extension) ? 'video' :
+                        this.exiftoolFormats.has(extension) ? 'exiftool' : 
                         this.piexifFormats.has(extension) ? 'piexif' : 'fallback',
         stage: 'gps_write'
       });
@@ -290,8 +486,8 @@ class ExifService {
       const newImageString = piexif.insert(exifBytes, imageString);
       const newImageBuffer = Buffer.from(newImageString, 'binary');
       
-      // Write back to file
-      await writeFile(filePath, newImageBuffer);
+      // Write back to file through a temporary copy so an interrupted write cannot truncate the image
+      await atomicWrite(filePath, newImageBuffer);
       
       this.logger.debug(`GPS data written to ${filePath} using piexif`);
       return true;
@@ -310,12 +506,34 @@ class ExifService {
    */
   async writeGPSWithExiftool(filePath, coordinates) {
     try {
-      await exiftool.write(filePath, {
+      const optional = this.getOptionalGPSValues(coordinates);
+      const tags = {
         GPSLatitude: coordinates.latitude,
         GPSLongitude: coordinates.longitude,
         GPSLatitudeRef: coordinates.latitude >= 0 ? 'N' : 'S',
         GPSLongitudeRef: coordinates.longitude >= 0 ? 'E' : 'W'
-      }, ['-overwrite_original']);
+      };
+      
+      if (optional.altitude !== null) {
+        tags.GPSAltitude = Math.abs(optional.altitude);
+        tags.GPSAltitudeRef = optional.altitude >= 0 ? 'Above Sea Level' : 'Below Sea Level';
+      }
+      if (optional.timestamp) {
+        const iso = optional.timestamp.toISOString();
+        tags.GPSDateStamp = iso.slice(0, 10).replace(/-/g, ':');
+        tags.GPSTimeStamp = iso.slice(11, 19);
+      }
+      if (optional.mapDatum) {
+        tags.GPSMapDatum = optional.mapDatum;
+      }
+      if (optional.positioningError !== null) {
+        tags.GPSHPositioningError = optional.positioningError;
+      }
+      if (optional.processingMethod) {
+        tags.GPSProcessingMethod = optional.processingMethod;
+      }
+      
+      await this.exiftool.write(filePath, tags, ['-overwrite_original']);
       
       this.logger.debug(`GPS data written to ${filePath} using exiftool`);
       return true;
@@ -326,6 +544,290 @@ class ExifService {
     }
   }
 
+  /**
+   * Write GPS data to a QuickTime/MP4 video as ISO 6709 coordinates
+   * @param {string} filePath - Path to video file
+   * @param {Object} coordinates - GPS coordinates with optional altitude
+   * @returns {Promise<boolean>} Success status
+   */
+  async writeGPSToVideo(filePath, coordinates) {
+    const { altitude } = this.getOptionalGPSValues(coordinates);
+    const parts = [coordinates.latitude, coordinates.longitude];
+    if (altitude !== null) {
+      parts.push(Math.round(altitude * 100) / 100);
+    }
+    
+    // exiftool converts "lat, lon[, alt]" to the ISO 6709 form both tags store
+    const value = parts.join(', ');
+    await this.exiftool.write(filePath, Object.fromEntries(VIDEO_GPS_TAGS.map(tag => [tag, value])), ['-overwrite_original']);
+    
+    this.logger.debug(`GPS data written to video ${filePath}`);
+    return true;
+  }
+
+  /**
+   * Write or merge GPS data into an XMP sidecar
+   * Other properties in an existing sidecar are preserved.
+   * @param {string} sidecarPath - Path to the sidecar
+   * @param {Object} coordinates - GPS coordinates
+   * @returns {Promise<boolean>} Success status
+   */
+  async writeGPSToSidecar(sidecarPath, coordinates) {
+    const existing = existsSync(sidecarPath) ? await readFile(sidecarPath, 'utf8') : null;
+    
+    const optional = this.getOptionalGPSValues(coordinates);
+    const properties = {
+      'exif:GPSVersionID': '2.3.0.0',
+      'exif:GPSLatitude': formatXmpCoordinate(coordinates.latitude, 'latitude'),
+      'exif:GPSLongitude': formatXmpCoordinate(coordinates.longitude, 'longitude')
+    };
+    
+    if (optional.altitude !== null) {
+      properties['exif:GPSAltitude'] = `${Math.round(Math.abs(optional.altitude) * 100)}/100`;
+      properties['exif:GPSAltitudeRef'] = optional.altitude >= 0 ? '0' : '1';
+    }
+    if (optional.timestamp) {
+      // XMP combines GPSDateStamp and GPSTimeStamp into one date-time
+      properties['exif:GPSTimeStamp'] = optional.timestamp.toISOString().replace(/\.\d{3}Z$/, 'Z');
+    }
+    if (optional.mapDatum) {
+      properties['exif:GPSMapDatum'] = optional.mapDatum;
+    }
+    if (optional.positioningError !== null) {
+      properties['exif:GPSHPositioningError'] = `${Math.round(optional.positioningError * 100)}/100`;
+    }
+    if (optional.processingMethod) {
+      properties['exif:GPSProcessingMethod'] = optional.processingMethod;
+    }
+    
+    const xml = setXmpProperties(existing, properties);
+    await atomicWrite(sidecarPath, xml);
+    
+    this.logger.debug(`GPS data written to sidecar ${sidecarPath}`);
+    return true;
+  }
+
+  /**
+   * Get the location name tags exiftool writes for a file
+   * @param {string} filePath - Path to image or video file
+   * @returns {Array<string>} Group-qualified tag names
+   */
+  getLocationTagNames(filePath) {
+    const names = Object.values(LOCATION_NAME_TAGS).flat();
+    return this.videoFormats.has(extname(filePath).toLowerCase())
+      ? names.filter(name => name.startsWith('XMP-'))
+      : names;
+  }
+
+  /**
+   * Write place names as IPTC/XMP location fields
+   * Fields that are not known are left as they are.
+   * @param {string} filePath - Path to image, video or XMP sidecar
+   * @param {Object} fields - {subLocation, city, region, country, countryCode, location} from getLocationFields
+   * @returns {Promise<boolean>} Success status
+   */
+  async writeLocationNames(filePath, fields) {
+    if (extname(filePath).toLowerCase() === '.xmp') {
+      const properties = {};
+      for (const [field, property] of Object.entries(XMP_LOCATION_PROPERTIES)) {
+        if (fields[field]) {
+          properties[property] = fields[field];
+        }
+      }
+      
+      const existing = existsSync(filePath) ? await readFile(filePath, 'utf8') : null;
+      await atomicWrite(filePath, setXmpProperties(existing, properties));
+    } else {
+      const writable = new Set(this.getLocationTagNames(filePath));
+      const tags = {};
+      for (const [field, names] of Object.entries(LOCATION_NAME_TAGS)) {
+        for (const name of names.filter(name => writable.has(name) && fields[field])) {
+          tags[name] = fields[field];
+        }
+      }
+      if (Object.keys(tags).some(name => name.startsWith('IPTC:'))) {
+        // Mark IPTC text as UTF-8 so accented place names survive
+        tags['IPTC:CodedCharacterSet'] = 'UTF8';
+      }
+      
+      await this.exiftool.write(filePath, tags, ['-overwrite_original']);
+    }
+    
+    this.logger.debug(`Location names written to ${filePath}`, { filePath, ...fields, stage: 'location_write' });
+    return true;
+  }
+
+  /**
+   * Write place names for an image that already has GPS
+   * The target is chosen as in writeGPSData, so RAW files in 'auto' or 'sidecar'
+   * mode get a sidecar, and the write is journaled so undo can reverse it.
+   * @param {string} filePath - Path to image file
+   * @param {Object} fields - {subLocation, city, region, country, countryCode, location} from getLocationFields
+   * @param {Object} options - {sidecarPath} sidecar the GPS was read from, {source} recorded in the journal
+   * @returns {Promise<string|null>} Path written, or null if it already has location names
+   */
+  async writeImageLocationNames(filePath, fields, options = {}) {
+    const targetPath = options.sidecarPath || this.getSidecarTarget(filePath) || filePath;
+    if (existsSync(targetPath) && await this.readLocationTags(targetPath)) {
+      return null;
+    }
+    
+    if (this.writeJournal) {
+      await this.writeJournal.recordBefore(targetPath, options.source || null, filePath, true, false);
+    }
+    await this.writeLocationNames(targetPath, fields);
+    if (this.writeJournal) {
+      await this.writeJournal.recordAfter(targetPath);
+    }
+    return targetPath;
+  }
+
+  /**
+   * Read the location name tags of a file so they can be restored later
+   * @param {string} filePath - Path to image, video or XMP sidecar
+   * @returns {Promise<Object|null>} Tag name to value, or null if the file has none
+   */
+  async readLocationTags(filePath) {
+    const tags = {};
+    
+    if (extname(filePath).toLowerCase() === '.xmp') {
+      const xml = await readFile(filePath, 'utf8');
+      for (const property of Object.values(XMP_LOCATION_PROPERTIES)) {
+        const value = readXmpProperties(xml, property)[property];
+        if (value !== undefined) {
+          tags[property] = value;
+        }
+      }
+    } else {
+      const names = this.getLocationTagNames(filePath);
+      const raw = await this.exiftool.readRaw(filePath, ['-G1', ...names.map(name => `-${name}`)]);
+      for (const name of names) {
+        if (raw[name] !== undefined && raw[name] !== null) {
+          tags[name] = raw[name];
+        }
+      }
+    }
+    
+    return Object.keys(tags).length > 0 ? tags : null;
+  }
+
+  /**
+   * Replace the location name tags of a file with previously read ones
+   * @param {string} filePath - Path to image, video or XMP sidecar
+   * @param {Object|null} tags - Tags from readLocationTags; null removes them all
+   * @returns {Promise<boolean>} Success status
+   */
+  async restoreLocationTags(filePath, tags) {
+    if (extname(filePath).toLowerCase() === '.xmp') {
+      const cleared = Object.fromEntries(Object.values(XMP_LOCATION_PROPERTIES).map(property => [property, null]));
+      const xml = setXmpProperties(await readFile(filePath, 'utf8'), { ...cleared, ...tags });
+      await atomicWrite(filePath, xml);
+    } else {
+      const names = this.getLocationTagNames(filePath);
+      await this.exiftool.write(filePath, {}, [...names.map(name => `-${name}=`), '-overwrite_original']);
+      if (tags) {
+        await this.exiftool.write(filePath, tags, ['-overwrite_original']);
+      }
+    }
+    
+    this.logger.debug(`Location tags restored for ${filePath}`);
+    return true;
+  }
+
+  /**
+   * Read the GPS tags of an image so they can be restored later
+   * @param {string} filePath - Path to image file
+   * @returns {Promise<Object|null>} Tag name to value, or null if the image has no GPS tags
+   */
+  async readGPSTags(filePath) {
+    const extension = extname(filePath).toLowerCase();
+    let tags = {};
+    
+    if (extension === '.xmp') {
+      tags = readXmpProperties(await readFile(filePath, 'utf8'), 'exif:GPS');
+    } else if (this.piexifFormats.has(extension)) {
+      let exifData;
+      try {
+        exifData = piexif.load((await readFile(filePath)).toString('binary'));
+      } catch {
+        return null;
+      }
+      
+      for (const [tag, value] of Object.entries(exifData.GPS || {})) {
+        const name = piexif.TAGS.GPS[tag]?.name;
+        if (name) {
+          tags[name] = value;
+        }
+      }
+    } else if (this.videoFormats.has(extension)) {
+      const raw = await this.exiftool.readRaw(filePath, ['-G1', ...VIDEO_GPS_TAGS.map(tag => `-${tag}`)]);
+      for (const name of VIDEO_GPS_TAGS) {
+        if (raw[name] !== undefined && raw[name] !== null) {
+          tags[name] = raw[name];
+        }
+      }
+    } else {
+      const exiftoolTags = await this.exiftool.read(filePath);
+      for (const name of EXIFTOOL_GPS_TAGS) {
+        const value = exiftoolTags[name];
+        if (value !== undefined && value !== null) {
+          tags[name] = typeof value === 'object' && typeof value.toExifString === 'function'
+            ? value.toExifString()
+            : value;
+        }
+      }
+    }
+    
+    return Object.keys(tags).length > 0 ? tags : null;
+  }
+
+  /**
+   * Replace an image's GPS tags with previously read ones
+   * All current GPS tags are removed first, so null leaves the image without GPS.
+   * @param {string} filePath - Path to image file
+   * @param {Object|null} tags - Tags from readGPSTags
+   * @returns {Promise<boolean>} Success status
+   */
+  async restoreGPSTags(filePath, tags) {
+    const extension = extname(filePath).toLowerCase();
+    
+    if (extension === '.xmp') {
+      const xml = setXmpProperties(await readFile(filePath, 'utf8'), tags || {}, 'exif:GPS');
+      await atomicWrite(filePath, xml);
+    } else if (this.piexifFormats.has(extension)) {
+      const imageString = (await readFile(filePath)).toString('binary');
+      let exifData;
+      try {
+        exifData = piexif.load(imageString);
+      } catch {
+        exifData = { '0th': {}, 'Exif': {}, 'GPS': {}, '1st': {}, 'thumbnail': null };
+      }
+      
+      exifData.GPS = {};
+      for (const [name, value] of Object.entries(tags || {})) {
+        if (piexif.GPSIFD[name] !== undefined) {
+          exifData.GPS[piexif.GPSIFD[name]] = value;
+        }
+      }
+      
+      const newImageString = piexif.insert(piexif.dump(exifData), imageString);
+      await atomicWrite(filePath, Buffer.from(newImageString, 'binary'));
+    } else if (this.videoFormats.has(extension)) {
+      await this.exiftool.write(filePath, {}, [...VIDEO_GPS_TAGS.map(tag => `-${tag}=`), '-overwrite_original']);
+      if (tags) {
+        await this.exiftool.write(filePath, tags, ['-overwrite_original']);
+      }
+    } else {
+      await this.exiftool.write(filePath, {}, ['-gps:all=', '-overwrite_original']);
+      if (tags) {
+        await this.exiftool.write(filePath, tags, ['-overwrite_original']);
+      }
+    }
+    
+    this.logger.debug(`GPS tags restored for ${filePath}`);
+    return true;
+  }
+
   /**
    * Check if EXIF data contains GPS information
    * @param {Object} exifData - EXIF data from piexif
@@ -373,44 +875,77 @@ class ExifService {
 
   /**
    * Extract timestamp from EXIF data
+   * Honours OffsetTime* tags when present, otherwise interprets the
+   * wall-clock time in the host zone.
    * @param {Object} exifData - EXIF data from piexif
    * @returns {Date|null} Timestamp as Date object
    */
   extractTimestamp(exifData) {
-    // Try different timestamp fields in order of preference
+    const info = this.extractTimestampInfo(exifData);
+    
+    if (!info) {
+      this.logger.debug('No valid timestamp found in EXIF data', {
+        availableFields: [
+          exifData.Exif?.[piexif.ExifIFD.DateTimeOriginal],
+          exifData.Exif?.[piexif.ExifIFD.DateTimeDigitized],
+          exifData['0th']?.[piexif.ImageIFD.DateTime]
+        ].filter(Boolean)
+      });
+      return null;
+    }
+    
+    return this.timestampFromInfo(info);
+  }
+
+  /**
+   * Extract raw timestamp information from EXIF data for time zone resolution
+   * @param {Object} exifData - EXIF data from piexif
+   * @returns {Object|null} {raw, localTime, offsetMinutes, gpsTimestamp} or null
+   */
+  extractTimestampInfo(exifData) {
+    // Try different timestamp fields in order of preference, each with its offset tag
     const timestampFields = [
-      exifData.Exif?.[piexif.ExifIFD.DateTimeOriginal],
-      exifData.Exif?.[piexif.ExifIFD.DateTime],
-      exifData['0th']?.[piexif.ImageIFD.DateTime]
+      [exifData.Exif?.[piexif.ExifIFD.DateTimeOriginal], exifData.Exif?.[OFFSET_TIME_TAGS.OffsetTimeOriginal]],
+      [exifData.Exif?.[piexif.ExifIFD.DateTimeDigitized], exifData.Exif?.[OFFSET_TIME_TAGS.OffsetTimeDigitized]],
+      [exifData['0th']?.[piexif.ImageIFD.DateTime], exifData.Exif?.[OFFSET_TIME_TAGS.OffsetTime]]
     ];
     
-    for (const timestamp of timestampFields) {
-      if (timestamp && typeof timestamp === 'string') {
-        try {
-          // EXIF timestamp format: "YYYY:MM:DD HH:MM:SS"
-          // Replace first two colons with dashes for ISO format
-          const dateStr = timestamp.replace(/^(\d{4}):(\d{2}):(\d{2})/, '$1-$2-$3');
-          const parsedDate = new Date(dateStr);
-          
-          // Validate the parsed date
-          if (!isNaN(parsedDate.getTime()) && parsedDate.getFullYear() > 1900) {
-            return parsedDate;
-          } else {
-            this.logger.debug(`Invalid parsed date from timestamp: ${timestamp} -> ${dateStr} -> ${parsedDate}`);
-          }
-        } catch (error) {
-          this.logger.debug(`Failed to parse timestamp: ${timestamp}`, error.message);
-        }
+    for (const [timestamp, offsetTag] of timestampFields) {
+      if (!timestamp || typeof timestamp !== 'string') continue;
+      
+      const localTime = parseExifDateTime(timestamp);
+      if (!localTime) {
+        this.logger.debug(`Invalid EXIF timestamp: ${timestamp}`);
+        continue;
       }
+      
+      return {
+        raw: timestamp,
+        localTime,
+        offsetMinutes: parseOffset(offsetTag) ?? extractEmbeddedOffset(timestamp),
+        gpsTimestamp: parseGpsDateTime(
+          exifData.GPS?.[piexif.GPSIFD.GPSDateStamp],
+          exifData.GPS?.[piexif.GPSIFD.GPSTimeStamp]
+        )
+      };
     }
     
-    this.logger.debug('No valid timestamp found in EXIF data', {
-      availableFields: timestampFields.filter(Boolean)
-    });
-    
     return null;
   }
 
+  /**
+   * Convert raw timestamp information to a Date without external zone hints
+   * @param {Object} info - Timestamp info from extractTimestampInfo
+   * @returns {Date|null} Timestamp
+   */
+  timestampFromInfo(info) {
+    const converted = info.offsetMinutes !== null && info.offsetMinutes !== undefined
+      ? localToUtc(info.localTime, info.offsetMinutes)
+      : hostLocalToUtc(info.localTime);
+    
+    return converted ? converted.timestamp : null;
+  }
+
   /**
    * Extract camera information from EXIF data
    * @param {Object} exifData - EXIF data from piexif
@@ -420,7 +955,8 @@ class ExifService {
     return {
       make: exifData['0th'][piexif.ImageIFD.Make] || null,
       model: exifData['0th'][piexif.ImageIFD.Model] || null,
-      lens: exifData.Exif[piexif.ExifIFD.LensModel] || null
+      lens: exifData.Exif[piexif.ExifIFD.LensModel] || null,
+      serial: exifData.Exif[piexif.ExifIFD.BodySerialNumber] || null
     };
   }
 
@@ -430,21 +966,96 @@ class ExifService {
    * @returns {Date|null} Parsed timestamp
    */
   parseExiftoolTimestamp(tags) {
+    const info = this.parseExiftoolTimestampInfo(tags);
+    return info ? this.timestampFromInfo(info) : null;
+  }
+
+  /**
+   * Extract raw timestamp information from exiftool output for time zone resolution
+   * @param {Object} tags - Exiftool tags
+   * @returns {Object|null} {raw, localTime, offsetMinutes, gpsTimestamp} or null
+   */
+  parseExiftoolTimestampInfo(tags) {
     const timestampFields = [
-      tags.DateTimeOriginal,
-      tags.CreateDate,
-      tags.ModifyDate,
-      tags.DateTime
+      [tags.DateTimeOriginal, tags.OffsetTimeOriginal],
+      [tags.CreationDate, null],   // QuickTime Keys (iPhone HEIC), carries its own offset
+      [tags.CreateDate, tags.OffsetTimeDigitized],
+      [tags.DateCreated, null],    // XMP photoshop:DateCreated
+      [tags.ModifyDate, tags.OffsetTime],
+      [tags.DateTime, tags.OffsetTime]
     ];
     
-    for (const timestamp of timestampFields) {
-      if (timestamp) {
-        try {
-          return new Date(timestamp);
-        } catch (error) {
-          this.logger.debug(`Failed to parse exiftool timestamp: ${timestamp}`);
-        }
+    for (const [timestamp, offsetTag] of timestampFields) {
+      if (!timestamp) continue;
+      
+      const localTime = parseExifDateTime(timestamp);
+      if (!localTime) {
+        this.logger.debug(`Failed to parse exiftool timestamp: ${timestamp}`);
+        continue;
       }
+      
+      // ExifDateTime carries its own zone, but ignore zones exiftool-vendored guessed
+      let offsetMinutes = parseOffset(offsetTag);
+      if (offsetMinutes === null && typeof timestamp === 'object') {
+        offsetMinutes = timestamp.hasZone && !timestamp.inferredZone ? timestamp.tzoffsetMinutes ?? null : null;
+      } else if (offsetMinutes === null) {
+        offsetMinutes = extractEmbeddedOffset(timestamp);
+      }
+      
+      const gpsTimestamp = tags.GPSDateTime?.toDate?.() ||
+        parseGpsDateTime(tags.GPSDateStamp, tags.GPSTimeStamp);
+      
+      return {
+        raw: typeof timestamp === 'object' ? (timestamp.rawValue || String(timestamp)) : timestamp,
+        localTime,
+        offsetMinutes,
+        gpsTimestamp: gpsTimestamp && !isNaN(gpsTimestamp.getTime()) ? gpsTimestamp : null
+      };
+    }
+    
+    return null;
+  }
+
+  /**
+   * Extract raw timestamp information from QuickTime/MP4 tags
+   * Keys:CreationDate (written by phones) carries its own offset. QuickTime
+   * CreateDate is UTC by specification, but some cameras store local time
+   * there; those are listed in options.video.localTimeMakes and resolved like
+   * EXIF local times.
+   * @param {Object} tags - Exiftool tags
+   * @returns {Object|null} {raw, localTime, offsetMinutes, offsetSource, gpsTimestamp} or null
+   */
+  parseQuickTimeTimestampInfo(tags) {
+    // exiftool-vendored assigns video dates a zone; work from the raw strings
+    const rawOf = value => (value && typeof value === 'object' ? value.rawValue : value) || null;
+    const info = (raw, offsetMinutes, offsetSource) => {
+      const localTime = parseExifDateTime(raw);
+      if (!localTime || localTime.year < QUICKTIME_MIN_YEAR) return null;
+      return { raw, localTime, offsetMinutes, offsetSource, gpsTimestamp: null };
+    };
+    
+    const zoned = [
+      [rawOf(tags.CreationDate), null],
+      [rawOf(tags.DateTimeOriginal), tags.OffsetTimeOriginal]
+    ];
+    for (const [raw, offsetTag] of zoned) {
+      const offsetMinutes = parseOffset(offsetTag) ?? extractEmbeddedOffset(raw);
+      const result = raw && offsetMinutes !== null ? info(raw, offsetMinutes, 'exif_offset') : null;
+      if (result) return result;
+    }
+    
+    const make = String(tags.Make || '').toLowerCase();
+    const localTime = this.options.video.localTimeMakes.some(name => make.includes(name.toLowerCase()));
+    
+    for (const value of [tags.CreateDate, tags.MediaCreateDate, tags.TrackCreateDate]) {
+      const result = rawOf(value) && info(rawOf(value), localTime ? null : 0, localTime ? null : 'quicktime_utc');
+      if (result) return result;
+    }
+    
+    // Zoneless CreationDate/DateTimeOriginal as a last resort
+    for (const [raw] of zoned) {
+      const result = raw && info(raw, null, null);
+      if (result) return result;
     }
     
     return null;
@@ -474,12 +1085,58 @@ class ExifService {
     const latDMS = this.decimalToDMS(Math.abs(coordinates.latitude));
     const lonDMS = this.decimalToDMS(Math.abs(coordinates.longitude));
     
-    return {
+    const gps = {
       [piexif.GPSIFD.GPSLatitude]: latDMS,
       [piexif.GPSIFD.GPSLatitudeRef]: coordinates.latitude >= 0 ? 'N' : 'S',
       [piexif.GPSIFD.GPSLongitude]: lonDMS,
       [piexif.GPSIFD.GPSLongitudeRef]: coordinates.longitude >= 0 ? 'E' : 'W'
     };
+    
+    const optional = this.getOptionalGPSValues(coordinates);
+    if (optional.altitude !== null) {
+      gps[piexif.GPSIFD.GPSAltitude] = [Math.round(Math.abs(optional.altitude) * 100), 100];
+      gps[piexif.GPSIFD.GPSAltitudeRef] = optional.altitude >= 0 ? 0 : 1;
+    }
+    if (optional.timestamp) {
+      const time = optional.timestamp;
+      gps[piexif.GPSIFD.GPSDateStamp] = time.toISOString().slice(0, 10).replace(/-/g, ':');
+      gps[piexif.GPSIFD.GPSTimeStamp] = [
+        [time.getUTCHours(), 1],
+        [time.getUTCMinutes(), 1],
+        [time.getUTCSeconds() * 1000 + time.getUTCMilliseconds(), 1000]
+      ];
+    }
+    if (optional.mapDatum) {
+      gps[piexif.GPSIFD.GPSMapDatum] = optional.mapDatum;
+    }
+    if (optional.positioningError !== null) {
+      gps[piexif.GPSIFD.GPSHPositioningError] = [Math.round(optional.positioningError * 100), 100];
+    }
+    if (optional.processingMethod) {
+      // UNDEFINED tag: 8-byte character code followed by the text
+      gps[piexif.GPSIFD.GPSProcessingMethod] = `ASCII\0\0\0${optional.processingMethod}`;
+    }
+    
+    return gps;
+  }
+
+  /**
+   * Collect the optional GPS tag values enabled in options.gpsTags
+   * Values the coordinates do not carry are null, so their tags are not written.
+   * @param {Object} coordinates - Coordinates with optional altitude, accuracy (metres), timestamp and source
+   * @returns {Object} {altitude, timestamp, mapDatum, positioningError, processingMethod}
+   */
+  getOptionalGPSValues(coordinates) {
+    const enabled = this.options.gpsTags;
+    const timestamp = coordinates.timestamp ? new Date(coordinates.timestamp) : null;
+    
+    return {
+      altitude: enabled.altitude && Number.isFinite(coordinates.altitude) ? coordinates.altitude : null,
+      timestamp: enabled.timestamp && timestamp && !isNaN(timestamp.getTime()) ? timestamp : null,
+      mapDatum: enabled.mapDatum || null,
+      positioningError: enabled.positioningError && coordinates.accuracy > 0 ? coordinates.accuracy : null,
+      processingMethod: enabled.processingMethod && coordinates.source ? `geo-images: ${coordinates.source}` : null
+    };
   }
 
   /**
@@ -510,6 +1167,7 @@ class ExifService {
       latitude: null,
       longitude: null,
       timestamp: null,
+      timestampInfo: null,
       camera: {
         make: null,
         model: null,
@@ -525,7 +1183,7 @@ class ExifService {
    */
   async cleanup() {
     try {
-      await exiftool.end();
+      await this.exiftool.end();
       this.logger.debug('Exiftool process terminated');
     } catch (error) {
       this.logger.warn('Failed to cleanup exiftool:', error.message);
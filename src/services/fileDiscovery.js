@@ -1,8 +1,10 @@
 /**
  * File Discovery Service
  * 
- * Handles recursive scanning of directories to find image files
- * and provides metadata about discovered files.
+ * Handles recursive scanning of directories to find image and video files
+ * and provides metadata about discovered files. The size and modification
+ * time of each file and the XMP sidecars seen are kept, so unchanged files can
+ * be served from the metadata cache without touching the file system again.
  * 
  * @author Tom Cranstoun <ddttom@github.com>
  */
@@ -14,8 +16,12 @@ import { join, extname } from 'path';
  * Service for discovering and cataloging image files
  */
 class FileDiscoveryService {
-  constructor(logger) {
+  constructor(logger, config = {}) {
     this.logger = logger;
+    this.config = {
+      includeVideos: true,  // Also discover QuickTime/MP4 videos
+      ...config
+    };
     
     // Supported image formats based on PRD specifications
     this.supportedFormats = new Set([
@@ -25,22 +31,30 @@ class FileDiscoveryService {
       '.dng', '.cr2', '.cr3', '.nef', '.arw', '.orf', '.rw2', '.raf', '.pef', '.srw'
     ]);
     
+    // Video formats whose QuickTime metadata can hold a creation time and location
+    this.videoFormats = new Set(['.mp4', '.mov', '.m4v']);
+    
     this.stats = {
       totalFiles: 0,
       imageFiles: 0,
+      videoFiles: 0,
       skippedFiles: 0,
       directories: 0
     };
+    this.fileInfo = new Map();  // file path -> {size, mtimeMs, sidecars}
+    this.sidecars = new Set();  // XMP sidecar paths seen during the last scan
   }
 
   /**
-   * Recursively scan directory for image files
+   * Recursively scan directory for image files (and videos when includeVideos is set)
    * @param {string} directoryPath - Path to scan
-   * @returns {Promise<string[]>} Array of image file paths
+   * @returns {Promise<string[]>} Array of image and video file paths
    */
   async scanDirectory(directoryPath) {
     this.logger.info(`Starting directory scan: ${directoryPath}`);
     this.resetStats();
+    this.fileInfo = new Map();
+    this.sidecars = new Set();
     
     try {
       const imageFiles = await this.scanRecursive(directoryPath);
@@ -48,6 +62,7 @@ class FileDiscoveryService {
       this.logger.info('Directory scan completed', {
         totalFiles: this.stats.totalFiles,
         imageFiles: this.stats.imageFiles,
+        videoFiles: this.stats.videoFiles,
         skippedFiles: this.stats.skippedFiles,
         directories: this.stats.directories
       });
@@ -96,8 +111,17 @@ class FileDiscoveryService {
             if (this.isImageFile(entry)) {
               this.stats.imageFiles++;
               imageFiles.push(fullPath);
+              this.recordFile(fullPath, stats);
               this.logger.debug(`Found image: ${fullPath}`);
+            } else if (this.config.includeVideos && this.isVideoFile(entry)) {
+              this.stats.videoFiles++;
+              imageFiles.push(fullPath);
+              this.recordFile(fullPath, stats);
+              this.logger.debug(`Found video: ${fullPath}`);
             } else {
+              if (extname(entry).toLowerCase() === '.xmp') {
+                this.sidecars.add(fullPath);
+              }
               this.stats.skippedFiles++;
             }
           }
@@ -126,6 +150,16 @@ class FileDiscoveryService {
     return this.supportedFormats.has(extension);
   }
 
+  /**
+   * Check if file is a supported video format
+   * @param {string} filename - File name to check
+   * @returns {boolean} True if supported video format
+   */
+  isVideoFile(filename) {
+    const extension = extname(filename).toLowerCase();
+    return this.videoFormats.has(extension);
+  }
+
   /**
    * Check if directory should be skipped
    * @param {string} directoryName - Directory name to check
@@ -209,6 +243,24 @@ class FileDiscoveryService {
     };
   }
 
+  /**
+   * Keep the size and modification time of a discovered file
+   * @param {string} filePath - Discovered file path
+   * @param {fs.Stats} stats - Stats read during the scan
+   */
+  recordFile(filePath, stats) {
+    this.fileInfo.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, sidecars: this.sidecars });
+  }
+
+  /**
+   * Get what the last scan learned about a file
+   * @param {string} filePath - Discovered file path
+   * @returns {Object|null} {size, mtimeMs, sidecars} where sidecars is the set of XMP paths seen, or null if not discovered
+   */
+  getFileInfo(filePath) {
+    return this.fileInfo.get(filePath) || null;
+  }
+
   /**
    * Reset statistics counters
    */
@@ -216,6 +268,7 @@ class FileDiscoveryService {
     this.stats = {
       totalFiles: 0,
       imageFiles: 0,
+      videoFiles: 0,
       skippedFiles: 0,
       directories: 0
     };
@@ -28,11 +28,16 @@ class GeolocationDatabaseService {
     this.sqliteDb = null;
     this.migrationService = null;
     this.performanceMonitor = null;
+    this.privacyZones = null;
     
     // GPS source priorities (higher = more trusted)
     this.sourcePriorities = {
       'image_exif': 100,
+      'manual_review': 95,
       'database_cached': 90,
+      'gpx_track': 85,
+      'kml_track': 85,
+      'fit_track': 85,
       'timeline_exact': 80,
       'timeline_interpolation': 70,
       'nearby_images': 60,
@@ -41,6 +46,15 @@ class GeolocationDatabaseService {
     };
   }
 
+  /**
+   * Set privacy zone service reference
+   * Exports then leave out or snap locations inside privacy zones.
+   * @param {PrivacyZoneService} privacyZones - Privacy zone service instance
+   */
+  setPrivacyZones(privacyZones) {
+    this.privacyZones = privacyZones;
+  }
+
   /**
    * Get priority for a source, handling camera-based sources
    * @param {string} source - Source string (may be camera-based)
@@ -360,6 +374,96 @@ class GeolocationDatabaseService {
     });
   }
 
+  /**
+   * Inspect the SQLite database without creating or migrating it
+   * @returns {Promise<Object|null>} {databasePath, migrations, tables} with row counts per table, or null if there is no database yet
+   */
+  async getDatabaseStatus() {
+    const databasePath = join(process.cwd(), 'data', 'geolocation.db');
+    if (!existsSync(databasePath)) {
+      return null;
+    }
+    
+    const db = await new Promise((resolve, reject) => {
+      const connection = new sqlite3.Database(databasePath, sqlite3.OPEN_READWRITE, (err) => {
+        if (err) reject(err);
+        else resolve(connection);
+      });
+    });
+    const query = (sql) => new Promise((resolve, reject) => {
+      db.all(sql, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+    
+    try {
+      const tableNames = (await query("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"))
+        .map(row => row.name);
+      
+      const tables = {};
+      for (const name of tableNames) {
+        const [{ count }] = await query(`SELECT COUNT(*) AS count FROM "${name}"`);
+        tables[name] = count;
+      }
+      
+      const migrationService = new DatabaseMigrationService(this.logger);
+      const migrations = tableNames.includes('schema_migrations')
+        ? await migrationService.getMigrationStatus(db)
+        : {
+          currentVersion: 0,
+          latestVersion: migrationService.currentVersion,
+          isUpToDate: false,
+          appliedMigrations: [],
+          pendingMigrations: Array.from(migrationService.migrations.entries())
+            .map(([version, migration]) => ({ version, name: migration.name }))
+        };
+      
+      return { databasePath, migrations, tables };
+    } finally {
+      await new Promise(resolve => db.close(() => resolve()));
+    }
+  }
+
+  /**
+   * Load every SQLite record into memory
+   * Records already in memory (e.g. from the JSON export) are kept.
+   * @returns {Promise<number>} Number of records added
+   */
+  async loadSQLiteRecords() {
+    if (!this.sqliteDb) {
+      return 0;
+    }
+    
+    const rows = await new Promise((resolve, reject) => {
+      this.sqliteDb.all('SELECT * FROM geolocation', (err, result) => {
+        if (err) {
+          this.logger.error('SQLite query failed:', err.message);
+          reject(err);
+        } else {
+          resolve(result);
+        }
+      });
+    });
+    
+    let added = 0;
+    for (const row of rows) {
+      if (!this.inMemoryDb.has(row.file_path)) {
+        this.inMemoryDb.set(row.file_path, {
+          latitude: row.latitude,
+          longitude: row.longitude,
+          source: row.source,
+          accuracy: row.accuracy,
+          confidence: row.confidence,
+          timestamp: new Date(row.timestamp)
+        });
+        added++;
+      }
+    }
+    
+    return added;
+  }
+
   /**
    * Find coordinates by timestamp range with optimized query
    * @param {Date} targetTimestamp - Target timestamp
@@ -512,11 +616,14 @@ class GeolocationDatabaseService {
 
   /**
    * Export database to JSON file
+   * Records inside privacy zones are snapped or left out, so the JSON export
+   * (and an in-memory database reloaded from it) never holds them exactly.
    * @returns {Promise<void>}
    */
   async exportDatabase() {
     try {
-      const records = await this.getAllCoordinates();
+      const allRecords = await this.getAllCoordinates();
+      const records = this.privacyZones ? this.privacyZones.redactRecords(allRecords) : allRecords;
       const exportPath = this.config.exportPath || 'data/geolocation-export.json';
       
       const jsonData = JSON.stringify(records, null, 2);
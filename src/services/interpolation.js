@@ -7,9 +7,16 @@
  * @author Tom Cranstoun <ddttom@github.com>
  */
 
-import { calculateDistance } from '../utils/distance.js';
+import { calculateDistance, interpolatePosition } from '../utils/distance.js';
 import { validateCoordinates } from '../utils/coordinates.js';
 import { getCameraOrOriginalSource } from '../utils/cameraSource.js';
+import { TimeIndex } from '../utils/timeIndex.js';
+import { TRACK_SOURCES } from './trackImport.js';
+import { ACTIVITY_PROFILES } from '../utils/activity.js';
+
+// Distance at which a nearest-point match is no longer trusted; the activity's
+// typical speed turns the time difference into an expected drift
+const CONFIDENCE_DRIFT_METERS = 5000;
 
 /**
  * Service for GPS coordinate interpolation
@@ -21,6 +28,7 @@ class InterpolationService {
     this.timelineParser = null;
     this.geolocationDb = null;
     this.nearbyImages = new Map();
+    this.nearbyImagesIndex = null; // Rebuilt lazily after nearbyImages changes
   }
 
   /**
@@ -55,15 +63,17 @@ class InterpolationService {
       longitude: gpsData.longitude,
       timestamp
     });
+    this.nearbyImagesIndex = null;
   }
 
   /**
    * Interpolate GPS coordinates for a given timestamp
    * @param {Date} timestamp - Target timestamp
    * @param {string} filePath - File path for logging
+   * @param {Object} metadata - Metadata already extracted for the image (optional)
    * @returns {Promise<Object|null>} GPS coordinates or null
    */
-  async interpolateCoordinates(timestamp, filePath) {
+  async interpolateCoordinates(timestamp, filePath, metadata = null) {
     if (!timestamp) {
       const errorMsg = `No timestamp available for ${filePath} - GPS processing skipped`;
       this.logger.error(errorMsg, {
@@ -92,39 +102,32 @@ class InterpolationService {
       }
     }
 
-    // 2. Direct EXIF extraction check (existing GPS data)
-    if (!result) {
-      try {
-        // We need to import the EXIF service dynamically to avoid circular dependencies
-        const ExifService = (await import('./exif.js')).default;
-        const exifService = new ExifService(this.logger);
-        
-        const exifData = await exifService.extractMetadata(filePath);
-        if (exifData.hasGPS && exifData.latitude && exifData.longitude) {
-          result = {
-            latitude: exifData.latitude,
-            longitude: exifData.longitude,
-            source: getCameraOrOriginalSource(exifData.camera, 'image_exif'),
-            method: 'direct',
-            confidence: 1.0, // High confidence for existing EXIF data
-            accuracy: null
-          };
-          this.logger.debug(`Found existing GPS data in EXIF for ${filePath}`);
-          return result;
-        }
-      } catch (error) {
-        this.logger.debug(`EXIF extraction failed for ${filePath}: ${error.message}`);
-      }
+    // 2. Existing GPS read from the image during discovery
+    if (metadata?.hasGPS && metadata.latitude && metadata.longitude) {
+      this.logger.debug(`Found existing GPS data in EXIF for ${filePath}`);
+      return {
+        latitude: metadata.latitude,
+        longitude: metadata.longitude,
+        source: getCameraOrOriginalSource(metadata.camera, 'image_exif'),
+        method: 'direct',
+        confidence: 1.0, // High confidence for existing EXIF data
+        accuracy: null
+      };
     }
 
     // 3. Timeline interpolation (primary method)
     result = this.interpolateFromTimeline(timestamp);
     if (result) {
-      this.logger.debug(`Timeline interpolation successful for ${filePath}`);
+      this.logger.debug(`Timeline interpolation successful for ${filePath}`, {
+        filePath,
+        method: result.method,
+        bracketGap: result.bracketGap,
+        stage: 'timeline_interpolation'
+      });
+      // Points from imported GPS tracks keep their own source so they get their own priority
       return {
         ...result,
-        source: 'timeline_interpolation',
-        method: 'primary'
+        source: TRACK_SOURCES.includes(result.timelineSource) ? result.timelineSource : 'timeline_interpolation'
       };
     }
 
@@ -174,12 +177,70 @@ class InterpolationService {
 
   /**
    * Interpolate coordinates from timeline data
+   * A photo taken during a place visit gets the place's position. Otherwise
+   * the position is interpolated along the great-circle path between the
+   * timeline points either side of the timestamp, unless the activity at that
+   * time is a flight or the bracket implies a speed the activity cannot reach.
+   * Falls back to the nearest single point when no usable bracket exists.
    * @param {Date} timestamp - Target timestamp
-   * @returns {Object|null} GPS coordinates or null
+   * @returns {Object|null} GPS coordinates with method, bracketGap, activity, timelineSource and,
+   *   during a place visit, place {name, address, placeId}; or null
    */
   interpolateFromTimeline(timestamp) {
     if (!this.timelineParser) return null;
 
+    const visit = this.findPlaceVisit(timestamp);
+    if (visit && this.validateResult(visit)) {
+      return {
+        latitude: visit.latitude,
+        longitude: visit.longitude,
+        accuracy: visit.accuracy,
+        altitude: null,
+        timeDifference: 0,
+        confidence: this.calculateConfidence(0, visit.accuracy, 'still'),
+        method: 'place_visit',
+        bracketGap: (visit.endMs - visit.startMs) / 1000 / 60,
+        activity: 'still',
+        place: this.getPlaceDetails(visit),
+        timelineSource: visit.source
+      };
+    }
+
+    const activity = this.findActivity(timestamp);
+    const profile = this.getActivityProfile(activity);
+    const maxBracketSpan = this.config.maxBracketSpan || 120;
+    const bracket = profile?.interpolate === false ? null : this.findBracketingPoints(timestamp, maxBracketSpan);
+
+    if (bracket) {
+      const interpolated = this.spatialInterpolation(bracket.before, bracket.after, timestamp);
+      if (interpolated && this.validateResult(interpolated) && this.isPlausibleSpeed(interpolated, profile, activity)) {
+        const targetMs = timestamp.getTime();
+        const beforeMs = new Date(bracket.before.timestamp).getTime();
+        const afterMs = new Date(bracket.after.timestamp).getTime();
+        const accuracies = [bracket.before.accuracy, bracket.after.accuracy].filter(value => value);
+
+        // Altitude is interpolated linearly in time when both points have one
+        let altitude = null;
+        if (Number.isFinite(bracket.before.altitude) && Number.isFinite(bracket.after.altitude)) {
+          const ratio = afterMs > beforeMs ? (targetMs - beforeMs) / (afterMs - beforeMs) : 0;
+          altitude = bracket.before.altitude + (bracket.after.altitude - bracket.before.altitude) * ratio;
+        }
+
+        return {
+          latitude: interpolated.latitude,
+          longitude: interpolated.longitude,
+          accuracy: accuracies.length > 0 ? Math.max(...accuracies) : null,
+          altitude,
+          timeDifference: Math.min(targetMs - beforeMs, afterMs - targetMs) / 1000 / 60,
+          confidence: interpolated.confidence,
+          method: 'bracketed',
+          bracketGap: interpolated.interpolationTimeSpan,
+          activity,
+          timelineSource: bracket.before.source === bracket.after.source ? bracket.before.source : null
+        };
+      }
+    }
+
     const tolerance = this.config.timelineTolerance || 60;
     const result = this.timelineParser.findCoordinatesForTimestamp(timestamp, tolerance);
 
@@ -188,8 +249,13 @@ class InterpolationService {
         latitude: result.latitude,
         longitude: result.longitude,
         accuracy: result.accuracy,
+        altitude: result.altitude ?? null,
         timeDifference: result.timeDifference,
-        confidence: this.calculateConfidence(result.timeDifference, result.accuracy)
+        confidence: this.calculateConfidence(result.timeDifference, result.accuracy, activity || result.activity),
+        method: 'nearest',
+        bracketGap: null,
+        activity: activity || result.activity || null,
+        timelineSource: result.source
       };
     }
 
@@ -204,33 +270,26 @@ class InterpolationService {
   interpolateFromNearbyImages(timestamp) {
     if (this.nearbyImages.size === 0) return null;
 
-    const targetMs = timestamp.getTime();
     const maxTimeDifference = 6 * 60 * 60 * 1000; // 6 hours in milliseconds
 
-    let bestMatch = null;
-    let bestScore = 0;
-
-    // Find the best nearby image based on time proximity
-    for (const [imageTimestamp, imageData] of this.nearbyImages) {
-      const timeDifference = Math.abs(imageTimestamp - targetMs);
-      
-      if (timeDifference <= maxTimeDifference) {
-        // Score based on time proximity (closer = higher score)
-        const timeScore = 1 - (timeDifference / maxTimeDifference);
-        
-        if (timeScore > bestScore) {
-          bestMatch = {
-            latitude: imageData.latitude,
-            longitude: imageData.longitude,
-            timeDifference: timeDifference / 1000 / 60, // minutes
-            sourceImage: imageData.filePath
-          };
-          bestScore = timeScore;
-        }
-      }
+    if (!this.nearbyImagesIndex) {
+      this.nearbyImagesIndex = new TimeIndex(this.nearbyImages);
     }
 
-    if (bestMatch && this.validateResult(bestMatch)) {
+    // Find the nearby image closest in time
+    const nearest = this.nearbyImagesIndex.findNearest(timestamp.getTime(), maxTimeDifference);
+    if (!nearest) return null;
+
+    // Score based on time proximity (closer = higher score)
+    const bestScore = 1 - (nearest.distanceMs / maxTimeDifference);
+    const bestMatch = {
+      latitude: nearest.record.latitude,
+      longitude: nearest.record.longitude,
+      timeDifference: nearest.distanceMs / 1000 / 60, // minutes
+      sourceImage: nearest.record.filePath
+    };
+
+    if (bestScore > 0 && this.validateResult(bestMatch)) {
       return {
         ...bestMatch,
         confidence: bestScore
@@ -256,8 +315,9 @@ class InterpolationService {
         latitude: result.latitude,
         longitude: result.longitude,
         accuracy: result.accuracy,
+        altitude: result.altitude ?? null,
         timeDifference: result.timeDifference,
-        confidence: this.calculateFallbackConfidence(result.timeDifference, result.accuracy)
+        confidence: this.calculateFallbackConfidence(result.timeDifference, result.accuracy, this.findActivity(timestamp))
       };
     }
 
@@ -283,32 +343,26 @@ class InterpolationService {
       return null;
     }
 
-    // Calculate interpolation ratio
-    const totalTime = Math.abs(time2 - time1);
-    const targetTime = Math.abs(targetMs - time1);
-    const ratio = totalTime > 0 ? targetTime / totalTime : 0;
-
-    // Linear interpolation
     const lat1 = point1.latitude;
     const lon1 = point1.longitude;
     const lat2 = point2.latitude;
     const lon2 = point2.longitude;
 
-    const interpolatedLat = lat1 + (lat2 - lat1) * ratio;
-    const interpolatedLon = lon1 + (lon2 - lon1) * ratio;
+    // Great-circle interpolation
+    const interpolated = interpolatePosition(lat1, lon1, new Date(time1), lat2, lon2, new Date(time2), targetTimestamp);
 
     // Validate interpolated coordinates
-    if (!validateCoordinates(interpolatedLat, interpolatedLon)) {
+    if (!interpolated || !validateCoordinates(interpolated.latitude, interpolated.longitude)) {
       return null;
     }
 
     // Calculate confidence based on distance and time
     const distance = calculateDistance(lat1, lon1, lat2, lon2);
-    const timeSpan = totalTime / 1000 / 60; // minutes
+    const timeSpan = Math.abs(time2 - time1) / 1000 / 60; // minutes
     
     return {
-      latitude: interpolatedLat,
-      longitude: interpolatedLon,
+      latitude: interpolated.latitude,
+      longitude: interpolated.longitude,
       confidence: this.calculateSpatialConfidence(distance, timeSpan),
       interpolationDistance: distance,
       interpolationTimeSpan: timeSpan
@@ -317,55 +371,104 @@ class InterpolationService {
 
   /**
    * Find bracketing GPS points for spatial interpolation
+   * A timeline point exactly at the timestamp brackets it on both sides.
    * @param {Date} timestamp - Target timestamp
-   * @param {number} maxTimeSpan - Maximum time span in minutes
+   * @param {number} maxTimeSpan - Maximum time between the two points in minutes
    * @returns {Object|null} Bracketing points or null
    */
   findBracketingPoints(timestamp, maxTimeSpan = 120) {
     if (!this.timelineParser) return null;
 
-    const targetMs = timestamp.getTime();
-    const maxSpanMs = maxTimeSpan * 60 * 1000;
+    return this.timelineParser.findBracketingPoints(timestamp, maxTimeSpan);
+  }
 
-    let beforePoint = null;
-    let afterPoint = null;
-    let beforeDistance = Infinity;
-    let afterDistance = Infinity;
+  /**
+   * Find the place visit in progress at a timestamp
+   * @param {Date} timestamp - Target timestamp
+   * @returns {Object|null} Place visit or null when visits are not used
+   */
+  findPlaceVisit(timestamp) {
+    if (this.config.activityInterpolation?.enabled === false || !this.timelineParser?.findPlaceVisit) return null;
 
-    // Search through timeline data
-    const locationData = this.timelineParser.getLocationDataArray();
-    
-    for (const record of locationData) {
-      const recordMs = new Date(record.timestamp).getTime();
-      const timeDiff = recordMs - targetMs;
-
-      if (timeDiff < 0 && Math.abs(timeDiff) < beforeDistance && Math.abs(timeDiff) <= maxSpanMs) {
-        // Point before target
-        beforePoint = record;
-        beforeDistance = Math.abs(timeDiff);
-      } else if (timeDiff > 0 && timeDiff < afterDistance && timeDiff <= maxSpanMs) {
-        // Point after target
-        afterPoint = record;
-        afterDistance = timeDiff;
-      }
-    }
+    return this.timelineParser.findPlaceVisit(timestamp);
+  }
 
-    if (beforePoint && afterPoint) {
-      return { before: beforePoint, after: afterPoint };
-    }
+  /**
+   * Get the descriptive details of a place visit
+   * @param {Object} visit - Place visit from the timeline parser
+   * @returns {Object|null} {name, address, placeId}, or null if the visit has none
+   */
+  getPlaceDetails(visit) {
+    if (!visit.name && !visit.address && !visit.placeId) return null;
 
-    return null;
+    return {
+      name: visit.name || null,
+      address: visit.address || null,
+      placeId: visit.placeId || null
+    };
+  }
+
+  /**
+   * Find the activity recorded in the timeline at a timestamp
+   * @param {Date} timestamp - Target timestamp
+   * @returns {string|null} Activity category or null when unknown
+   */
+  findActivity(timestamp) {
+    if (this.config.activityInterpolation?.enabled === false || !this.timelineParser?.findActivity) return null;
+
+    return this.timelineParser.findActivity(timestamp)?.activity || null;
+  }
+
+  /**
+   * Get the movement profile of an activity, with config overrides applied
+   * @param {string|null} activity - Activity category
+   * @returns {Object|null} {typicalSpeedKmh, maxSpeedKmh, interpolate} or null when unknown
+   */
+  getActivityProfile(activity) {
+    const settings = this.config.activityInterpolation;
+    if (!activity || settings?.enabled === false || !ACTIVITY_PROFILES[activity]) return null;
+
+    return { ...ACTIVITY_PROFILES[activity], ...settings?.profiles?.[activity] };
+  }
+
+  /**
+   * Check that a bracket's implied speed is possible for the activity
+   * A faster bracket means points are missing, so a straight line between them is wrong.
+   * @param {Object} interpolated - Result of spatialInterpolation
+   * @param {Object|null} profile - Activity profile
+   * @param {string|null} activity - Activity category, for logging
+   * @returns {boolean} True if plausible (always true when the activity is unknown)
+   */
+  isPlausibleSpeed(interpolated, profile, activity) {
+    if (!profile || !interpolated.interpolationTimeSpan) return true;
+
+    const speedKmh = (interpolated.interpolationDistance / 1000) / (interpolated.interpolationTimeSpan / 60);
+    if (speedKmh <= profile.maxSpeedKmh) return true;
+
+    this.logger.debug(`Bracket implies ${speedKmh.toFixed(0)} km/h, above ${profile.maxSpeedKmh} km/h for ${activity}`, {
+      activity,
+      speedKmh,
+      stage: 'activity_plausibility'
+    });
+    return false;
   }
 
   /**
-   * Calculate confidence score based on time difference and accuracy
+   * Calculate confidence score based on time difference, accuracy and activity
+   * With a known activity, the time difference is converted into the distance
+   * the activity typically covers in that time, so a few minutes still count
+   * for little while driving and for a lot while staying put.
    * @param {number} timeDifferenceMinutes - Time difference in minutes
    * @param {number} accuracy - GPS accuracy in meters
+   * @param {string|null} activity - Activity category at the timestamp
    * @returns {number} Confidence score (0-1)
    */
-  calculateConfidence(timeDifferenceMinutes, accuracy) {
+  calculateConfidence(timeDifferenceMinutes, accuracy, activity = null) {
     // Time confidence (closer = higher confidence)
-    const timeConfidence = Math.max(0, 1 - (timeDifferenceMinutes / 60));
+    const profile = this.getActivityProfile(activity);
+    const timeConfidence = profile
+      ? Math.max(0, 1 - (profile.typicalSpeedKmh * 1000 * (timeDifferenceMinutes / 60)) / CONFIDENCE_DRIFT_METERS)
+      : Math.max(0, 1 - (timeDifferenceMinutes / 60));
     
     // Accuracy confidence (more accurate = higher confidence)
     let accuracyConfidence = 1;
@@ -381,11 +484,12 @@ class InterpolationService {
    * Calculate fallback confidence score
    * @param {number} timeDifferenceMinutes - Time difference in minutes
    * @param {number} accuracy - GPS accuracy in meters
+   * @param {string|null} activity - Activity category at the timestamp
    * @returns {number} Confidence score (0-1)
    */
-  calculateFallbackConfidence(timeDifferenceMinutes, accuracy) {
+  calculateFallbackConfidence(timeDifferenceMinutes, accuracy, activity = null) {
     // Lower base confidence for fallback methods
-    const baseConfidence = this.calculateConfidence(timeDifferenceMinutes, accuracy);
+    const baseConfidence = this.calculateConfidence(timeDifferenceMinutes, accuracy, activity);
     return Math.max(0.1, baseConfidence * 0.7);
   }
 
@@ -405,6 +509,41 @@ class InterpolationService {
     return (distanceConfidence + timeConfidence) / 2;
   }
 
+  /**
+   * Get the review threshold group for a result source
+   * Imported GPS tracks share the timeline thresholds.
+   * @param {string} source - Result source
+   * @returns {string|null} timeline, nearby_images, enhanced_fallback, or null for cached and EXIF results
+   */
+  getThresholdGroup(source) {
+    if (source === 'timeline_interpolation' || TRACK_SOURCES.includes(source)) return 'timeline';
+    if (source === 'nearby_images' || source === 'enhanced_fallback') return source;
+    return null;
+  }
+
+  /**
+   * Check a result against the per-source review thresholds
+   * @param {Object} result - Result from interpolateCoordinates
+   * @returns {string|null} Why the result needs review, or null if it can be written
+   */
+  getReviewReason(result) {
+    const group = this.getThresholdGroup(result?.source);
+    const thresholds = group ? this.config.reviewThresholds?.[group] : null;
+    if (!thresholds) return null;
+
+    const { minConfidence = null, maxTimeDifference = null } = thresholds;
+
+    if (minConfidence !== null && typeof result.confidence === 'number' && result.confidence < minConfidence) {
+      return `${group} confidence ${result.confidence.toFixed(2)} below ${minConfidence}`;
+    }
+
+    if (maxTimeDifference !== null && typeof result.timeDifference === 'number' && result.timeDifference > maxTimeDifference) {
+      return `${group} time difference ${Math.round(result.timeDifference)} min exceeds ${maxTimeDifference} min`;
+    }
+
+    return null;
+  }
+
   /**
    * Validate interpolation result
    * @param {Object} result - Interpolation result
@@ -434,6 +573,7 @@ class InterpolationService {
    */
   clearCache() {
     this.nearbyImages.clear();
+    this.nearbyImagesIndex = null;
   }
 }
 
@@ -0,0 +1,336 @@
+/**
+ * Metadata Cache Service
+ *
+ * Persists extracted image metadata in the metadata_cache table so unchanged
+ * files are not re-read on every run. An entry is reused while the file's
+ * size and modification time match; with useHash enabled, a file whose mtime
+ * changed but whose content hash did not (e.g. after a copy) is reused too.
+ * Dry runs and scans open the cache read-only, so they never create or change
+ * the database.
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+import { existsSync } from 'fs';
+import { stat } from 'fs/promises';
+import { dirname, resolve } from 'path';
+import sqlite3 from 'sqlite3';
+import DatabaseMigrationService from './databaseMigration.js';
+import { calculateFileHash, ensureDirectory } from '../utils/fileOperations.js';
+
+// Bump when the shape of extracted metadata changes so stale entries are re-extracted
+export const CACHE_VERSION = 1;
+
+/**
+ * Serialize metadata, keeping Date values distinguishable from strings
+ * @param {Object} metadata - Extracted metadata
+ * @returns {string} JSON text
+ */
+export function serializeMetadata(metadata) {
+  return JSON.stringify(metadata, function (key, value) {
+    const original = this[key];
+    return original instanceof Date ? { $date: isNaN(original.getTime()) ? null : original.toISOString() } : value;
+  });
+}
+
+/**
+ * Parse metadata written by serializeMetadata
+ * @param {string} text - JSON text
+ * @returns {Object} Metadata with Date values restored
+ */
+export function deserializeMetadata(text) {
+  return JSON.parse(text, (key, value) => {
+    if (value && typeof value === 'object' && Object.keys(value).length === 1 && '$date' in value) {
+      return value.$date ? new Date(value.$date) : new Date(NaN);
+    }
+    return value;
+  });
+}
+
+/**
+ * Service for caching extracted metadata between runs
+ */
+class MetadataCacheService {
+  constructor(config = {}, logger) {
+    this.config = {
+      enabled: true,                        // Reuse metadata of unchanged files between runs
+      databasePath: 'data/geolocation.db',  // SQLite database holding the metadata_cache table
+      useHash: false,                       // Also match files by content hash when only the mtime changed
+      flushSize: 500,                       // Pending entries written per transaction
+      ...config
+    };
+    this.logger = logger;
+    this.db = null;
+    this.readOnly = false;
+    this.entries = new Map();  // file path -> cached row
+    this.pending = new Map();  // file path -> row waiting to be written
+    this.writing = Promise.resolve();  // Flushes run one at a time on the shared connection
+    this.stats = { hits: 0, misses: 0, stored: 0 };
+  }
+
+  /**
+   * Open the database, run migrations and load cached entries
+   * Read-only, the database is neither created nor migrated: without an
+   * up-to-date database the cache stays disabled, and nothing is ever written.
+   * @param {Object} options - Options
+   * @param {boolean} options.readOnly - Only read cached entries
+   * @returns {Promise<void>}
+   */
+  async initialize(options = {}) {
+    if (!this.config.enabled || this.db) {
+      return;
+    }
+
+    const dbPath = resolve(this.config.databasePath);
+    this.readOnly = !!options.readOnly;
+    if (this.readOnly) {
+      if (!existsSync(dbPath)) {
+        return;
+      }
+    } else {
+      await ensureDirectory(dirname(dbPath));
+    }
+
+    this.db = await new Promise((resolvePromise, reject) => {
+      const mode = this.readOnly ? sqlite3.OPEN_READONLY : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE;
+      const db = new sqlite3.Database(dbPath, mode, (err) => {
+        if (err) reject(err);
+        else resolvePromise(db);
+      });
+    });
+
+    try {
+      const migrations = new DatabaseMigrationService(this.logger);
+      if (!this.readOnly) {
+        await migrations.runMigrations(this.db);
+      } else if (!(await migrations.getMigrationStatus(this.db)).isUpToDate) {
+        this.logger.debug('Metadata cache skipped: database needs migrating', { databasePath: dbPath, stage: 'metadata_cache' });
+        await this.close();
+        return;
+      }
+
+      const rows = await new Promise((resolvePromise, reject) => {
+        this.db.all(
+          'SELECT file_path, file_size, mtime_ms, file_hash, cache_version, metadata FROM metadata_cache',
+          (err, result) => {
+            if (err) reject(err);
+            else resolvePromise(result);
+          }
+        );
+      });
+
+      for (const row of rows) {
+        this.entries.set(row.file_path, row);
+      }
+
+      this.logger.debug(`Metadata cache loaded with ${this.entries.size} entries`, { databasePath: dbPath, stage: 'metadata_cache' });
+    } catch (error) {
+      await this.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether the cache is open
+   * @returns {boolean} True if lookups and stores are persisted
+   */
+  isReady() {
+    return this.db !== null;
+  }
+
+  /**
+   * Get cached metadata for a file if it is unchanged since it was cached
+   * @param {string} filePath - Path to image file
+   * @param {Object|null} fileStats - {size, mtimeMs} already read by discovery; read from disk if not given
+   * @returns {Promise<Object|null>} Cached metadata, or null on a miss
+   */
+  async get(filePath, fileStats = null) {
+    if (!this.isReady()) {
+      return null;
+    }
+
+    const entry = this.pending.get(filePath) || this.entries.get(filePath);
+    const stats = fileStats || await stat(filePath).catch(() => null);
+
+    if (entry && stats && entry.cache_version === CACHE_VERSION && entry.file_size === stats.size) {
+      if (Math.trunc(entry.mtime_ms) === Math.trunc(stats.mtimeMs)) {
+        this.stats.hits++;
+        return deserializeMetadata(entry.metadata);
+      }
+
+      if (this.config.useHash && entry.file_hash && entry.file_hash === await calculateFileHash(filePath)) {
+        this.stats.hits++;
+        await this.queue({ ...entry, mtime_ms: stats.mtimeMs });
+        return deserializeMetadata(entry.metadata);
+      }
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * Cache metadata extracted from a file
+   * @param {string} filePath - Path to image file
+   * @param {Object} metadata - Extracted metadata
+   * @param {Object|null} fileStats - {size, mtimeMs} already read by discovery; read from disk if not given
+   * @returns {Promise<boolean>} True if the entry was queued
+   */
+  async set(filePath, metadata, fileStats = null) {
+    if (!this.isReady() || this.readOnly) {
+      return false;
+    }
+
+    const stats = fileStats || await stat(filePath).catch(() => null);
+    if (!stats) {
+      return false;
+    }
+
+    await this.queue({
+      file_path: filePath,
+      file_size: stats.size,
+      mtime_ms: stats.mtimeMs,
+      file_hash: this.config.useHash ? await calculateFileHash(filePath) : null,
+      cache_version: CACHE_VERSION,
+      metadata: serializeMetadata(metadata)
+    });
+    this.stats.stored++;
+    return true;
+  }
+
+  /**
+   * Queue a row for writing, flushing once enough rows are pending
+   * @param {Object} row - metadata_cache row
+   * @returns {Promise<void>}
+   */
+  async queue(row) {
+    if (this.readOnly) {
+      return;
+    }
+    this.pending.set(row.file_path, row);
+    if (this.pending.size >= this.config.flushSize) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * Write pending entries in a single transaction
+   * Concurrent callers are queued behind the transaction in progress.
+   * @returns {Promise<number>} Number of entries written
+   */
+  async flush() {
+    if (!this.isReady() || this.pending.size === 0) {
+      return 0;
+    }
+
+    const rows = [...this.pending.values()];
+    this.pending.clear();
+
+    const write = this.writing.then(() => this.writeRows(rows));
+    this.writing = write.catch(() => {});
+    await write;
+    return rows.length;
+  }
+
+  /**
+   * Write rows to the metadata_cache table in one transaction
+   * @param {Array} rows - metadata_cache rows
+   * @returns {Promise<void>}
+   */
+  async writeRows(rows) {
+    await new Promise((resolvePromise, reject) => {
+      this.db.serialize(() => {
+        this.db.run('BEGIN TRANSACTION');
+        const statement = this.db.prepare(`
+          INSERT OR REPLACE INTO metadata_cache
+            (file_path, file_size, mtime_ms, file_hash, cache_version, metadata, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `);
+        for (const row of rows) {
+          statement.run(row.file_path, row.file_size, row.mtime_ms, row.file_hash, row.cache_version, row.metadata);
+        }
+        statement.finalize();
+        this.db.run('COMMIT', (err) => {
+          if (err) {
+            this.db.run('ROLLBACK');
+            reject(err);
+          } else {
+            resolvePromise();
+          }
+        });
+      });
+    });
+
+    for (const row of rows) {
+      this.entries.set(row.file_path, row);
+    }
+
+    this.logger.debug(`Metadata cache stored ${rows.length} entries`, { stage: 'metadata_cache' });
+  }
+
+  /**
+   * Remove every cached entry so all files are read again on the next run
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async clear() {
+    if (!this.isReady() || this.readOnly) {
+      return 0;
+    }
+
+    this.pending.clear();
+    await this.writing;
+
+    const removed = await new Promise((resolvePromise, reject) => {
+      this.db.run('DELETE FROM metadata_cache', function (err) {
+        if (err) reject(err);
+        else resolvePromise(this.changes);
+      });
+    });
+    this.entries.clear();
+
+    this.logger.debug(`Metadata cache cleared ${removed} entries`, { stage: 'metadata_cache' });
+    return removed;
+  }
+
+  /**
+   * Get cache hit and miss counts for this run
+   * @returns {Object} {enabled, hits, misses, stored, hitRate}
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.isReady(),
+      ...this.stats,
+      hitRate: lookups > 0 ? (this.stats.hits / lookups) * 100 : 0
+    };
+  }
+
+  /**
+   * Flush pending entries and close the database
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.db) {
+      return;
+    }
+
+    try {
+      await this.flush();
+      await this.writing;
+    } catch (error) {
+      this.logger.warn('Failed to write metadata cache:', error.message);
+    }
+
+    await new Promise((resolvePromise) => {
+      this.db.close((err) => {
+        if (err) {
+          this.logger.error('Failed to close metadata cache:', err.message);
+        }
+        resolvePromise();
+      });
+    });
+    this.db = null;
+  }
+}
+
+export default MetadataCacheService;
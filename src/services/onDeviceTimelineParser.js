@@ -0,0 +1,441 @@
+/**
+ * On-Device Timeline Parser Service
+ *
+ * Handles parsing of the Timeline export produced on the phone since Google
+ * moved timeline storage on-device. The export is a single JSON object with
+ * semanticSegments (visits, activities and timelinePath arrays), rawSignals
+ * (position fixes) and userLocationProfile (frequent places). Coordinates are
+ * strings such as "geo:51.5,-0.12" or "51.5°, -0.12°".
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+import { existsSync } from 'fs';
+import { TimeIndex } from '../utils/timeIndex.js';
+import { parseCoordinates } from '../utils/coordinates.js';
+import { normalizeActivityType } from '../utils/activity.js';
+import { streamArrayElements } from '../utils/jsonStream.js';
+
+// Top-level properties of the on-device export
+export const ON_DEVICE_TIMELINE_KEYS = ['semanticSegments', 'rawSignals', 'userLocationProfile'];
+
+/**
+ * Service for parsing on-device Google Timeline exports
+ */
+class OnDeviceTimelineParserService {
+  constructor(logger) {
+    this.logger = logger;
+    this.locationData = new Map();
+    this.timeIndex = null; // Rebuilt lazily after locationData changes
+    this.frequentPlaces = [];
+    this.activitySegments = []; // {startMs, endMs, activity, source} from activity segments
+    this.placeVisits = [];      // {startMs, endMs, latitude, longitude, accuracy, source} from visit segments
+  }
+
+  /**
+   * Load and process an on-device timeline export
+   * @param {string} filePath - Path to the exported JSON file
+   * @returns {Promise<Object>} Counts {segments, rawSignals, points}
+   */
+  async loadOnDeviceTimeline(filePath) {
+    this.logger.info('Loading on-device Timeline export...');
+
+    try {
+      if (!existsSync(filePath)) {
+        this.logger.warn(`On-device timeline export not found: ${filePath}`);
+        return { segments: 0, rawSignals: 0, points: 0 };
+      }
+
+      let points = 0;
+
+      // Stream entries one at a time to keep memory bounded
+      const stats = await streamArrayElements(filePath, ON_DEVICE_TIMELINE_KEYS, (element, key) => {
+        points += this.processEntry(element, key);
+      }, { logger: this.logger });
+
+      const counts = {
+        segments: stats.arrays.semanticSegments || 0,
+        rawSignals: stats.arrays.rawSignals || 0,
+        points
+      };
+
+      this.logger.info(`Processed ${points} location points from ${counts.segments} semantic segments and ${counts.rawSignals} raw signals`);
+      return counts;
+
+    } catch (error) {
+      this.logger.error('Failed to process on-device timeline export:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Process one streamed entry of the export
+   * @param {Object} entry - Semantic segment, raw signal or location profile
+   * @param {string} key - Top-level property the entry came from
+   * @returns {number} Number of location points processed
+   */
+  processEntry(entry, key) {
+    switch (key) {
+      case 'semanticSegments':
+        return this.processSemanticSegment(entry);
+      case 'rawSignals':
+        return this.processRawSignal(entry);
+      case 'userLocationProfile':
+        return this.processUserLocationProfile(entry);
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Process a semantic segment (visit, activity and/or timeline path)
+   * @param {Object} segment - Semantic segment data
+   * @returns {number} Number of location points processed
+   */
+  processSemanticSegment(segment) {
+    let processedCount = 0;
+
+    try {
+      if (segment.visit) {
+        processedCount += this.processVisit(segment.visit, segment.startTime, segment.endTime);
+      }
+
+      if (segment.activity) {
+        processedCount += this.processActivity(segment.activity, segment.startTime, segment.endTime);
+      }
+
+      if (Array.isArray(segment.timelinePath)) {
+        processedCount += this.processTimelinePath(segment.timelinePath, segment.startTime);
+      }
+
+    } catch (error) {
+      this.logger.debug('Failed to process semantic segment:', error.message);
+    }
+
+    return processedCount;
+  }
+
+  /**
+   * Process a visit; the place is recorded at both arrival and departure
+   * @param {Object} visit - Visit data
+   * @param {string} startTime - Segment start time
+   * @param {string} endTime - Segment end time
+   * @returns {number} Number of location points processed
+   */
+  processVisit(visit, startTime, endTime) {
+    const candidate = visit.topCandidate;
+    const coordinates = this.parseLatLng(candidate?.placeLocation);
+    if (!coordinates) return 0;
+
+    const metadata = {
+      placeId: candidate.placeId,
+      semanticType: candidate.semanticType,
+      probability: candidate.probability ?? visit.probability,
+      activity: 'still'
+    };
+
+    if (this.isValidTimestamp(startTime) && this.isValidTimestamp(endTime)) {
+      this.placeVisits.push({
+        startMs: new Date(startTime).getTime(),
+        endMs: new Date(endTime).getTime(),
+        latitude: coordinates.latitude,
+        longitude: coordinates.longitude,
+        accuracy: coordinates.accuracy || null,
+        name: null,
+        address: null,
+        placeId: candidate.placeId || null,
+        semanticType: candidate.semanticType || null,
+        source: 'timeline_device_visit'
+      });
+    }
+
+    let processedCount = 0;
+    for (const timestamp of [startTime, endTime]) {
+      if (this.addLocationPoint(timestamp, coordinates, 'timeline_device_visit', metadata)) {
+        processedCount++;
+      }
+    }
+    return processedCount;
+  }
+
+  /**
+   * Process an activity's start and end locations
+   * The segment's duration is recorded as an activity window.
+   * @param {Object} activity - Activity data
+   * @param {string} startTime - Segment start time
+   * @param {string} endTime - Segment end time
+   * @returns {number} Number of location points processed
+   */
+  processActivity(activity, startTime, endTime) {
+    const metadata = {
+      activityType: activity.topCandidate?.type,
+      activity: normalizeActivityType(activity.topCandidate?.type),
+      distanceMeters: activity.distanceMeters
+    };
+
+    if (metadata.activity && this.isValidTimestamp(startTime) && this.isValidTimestamp(endTime)) {
+      this.activitySegments.push({
+        startMs: new Date(startTime).getTime(),
+        endMs: new Date(endTime).getTime(),
+        activity: metadata.activity,
+        source: 'timeline_device_activity'
+      });
+    }
+
+    let processedCount = 0;
+    const start = this.parseLatLng(activity.start);
+    if (start && this.addLocationPoint(startTime, start, 'timeline_device_activity_start', metadata)) {
+      processedCount++;
+    }
+    const end = this.parseLatLng(activity.end);
+    if (end && this.addLocationPoint(endTime, end, 'timeline_device_activity_end', metadata)) {
+      processedCount++;
+    }
+    return processedCount;
+  }
+
+  /**
+   * Process timelinePath points
+   * Points carry either an absolute time or, in iOS exports, a minute offset
+   * from the segment start.
+   * @param {Array} timelinePath - Path points
+   * @param {string} startTime - Segment start time
+   * @returns {number} Number of location points processed
+   */
+  processTimelinePath(timelinePath, startTime) {
+    const startMs = new Date(startTime).getTime();
+    let processedCount = 0;
+
+    for (const pathPoint of timelinePath) {
+      const coordinates = this.parseLatLng(pathPoint.point);
+      if (!coordinates) continue;
+
+      let timestamp = pathPoint.time;
+      if (!timestamp && pathPoint.durationMinutesOffsetFromStartTime !== undefined && !isNaN(startMs)) {
+        const offsetMinutes = Number(pathPoint.durationMinutesOffsetFromStartTime);
+        timestamp = new Date(startMs + offsetMinutes * 60 * 1000).toISOString();
+      }
+
+      if (this.addLocationPoint(timestamp, coordinates, 'timeline_device_path')) {
+        processedCount++;
+      }
+    }
+
+    return processedCount;
+  }
+
+  /**
+   * Process a raw signal; only position fixes carry coordinates
+   * @param {Object} rawSignal - Raw signal data
+   * @returns {number} Number of location points processed
+   */
+  processRawSignal(rawSignal) {
+    const position = rawSignal.position;
+    if (!position) return 0;
+
+    const coordinates = this.parseLatLng(position.LatLng || position.latLng);
+    if (!coordinates) return 0;
+
+    const added = this.addLocationPoint(
+      position.timestamp,
+      { ...coordinates, accuracy: position.accuracyMeters },
+      'timeline_device_position',
+      {
+        source: position.source,
+        altitudeMeters: position.altitudeMeters,
+        speedMetersPerSecond: position.speedMetersPerSecond
+      }
+    );
+    return added ? 1 : 0;
+  }
+
+  /**
+   * Process the user location profile
+   * Frequent places have no timestamps so they are kept for reference only.
+   * @param {Object} profile - User location profile
+   * @returns {number} Number of location points processed (always 0)
+   */
+  processUserLocationProfile(profile) {
+    for (const place of profile.frequentPlaces || []) {
+      const coordinates = this.parseLatLng(place.placeLocation);
+      if (coordinates) {
+        this.frequentPlaces.push({
+          ...coordinates,
+          placeId: place.placeId,
+          label: place.label
+        });
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Parse a coordinate value from the export
+   * @param {string|Object} value - "geo:lat,lng", "lat°, lng°" or {latLng}
+   * @returns {Object|null} {latitude, longitude} or null
+   */
+  parseLatLng(value) {
+    if (!value) return null;
+    if (typeof value === 'object') {
+      return this.parseLatLng(value.latLng || value.LatLng);
+    }
+    return parseCoordinates(value);
+  }
+
+  /**
+   * Add a location point to the database
+   * @param {string} timestamp - ISO timestamp
+   * @param {Object} location - {latitude, longitude, accuracy}
+   * @param {string} source - Source identifier
+   * @param {Object} metadata - Additional metadata
+   * @returns {boolean} True if the point was stored
+   */
+  addLocationPoint(timestamp, location, source, metadata = {}) {
+    if (!timestamp || !location) return false;
+
+    if (!this.isValidTimestamp(timestamp)) {
+      this.logger.debug(`Invalid timestamp from ${source}: ${timestamp}`);
+      return false;
+    }
+
+    const { latitude, longitude, accuracy } = location;
+    if (latitude === 0 && longitude === 0) return false;
+    if (!this.isValidCoordinate(latitude, longitude)) return false;
+
+    const timestampMs = new Date(timestamp).getTime();
+
+    // Prefer the more accurate record when two share a timestamp
+    const existing = this.locationData.get(timestampMs);
+    if (!existing || (accuracy && (!existing.accuracy || accuracy < existing.accuracy))) {
+      this.locationData.set(timestampMs, {
+        latitude,
+        longitude,
+        source,
+        accuracy,
+        metadata
+      });
+      this.timeIndex = null;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Validate timestamp value
+   * @param {*} timestamp - Timestamp value to validate
+   * @returns {boolean} True if valid
+   */
+  isValidTimestamp(timestamp) {
+    if (!timestamp) return false;
+
+    const date = new Date(timestamp);
+    return !isNaN(date.getTime()) && date.getTime() > 0;
+  }
+
+  /**
+   * Validate coordinate values
+   * @param {number} latitude - Latitude value
+   * @param {number} longitude - Longitude value
+   * @returns {boolean} True if valid
+   */
+  isValidCoordinate(latitude, longitude) {
+    return (
+      typeof latitude === 'number' &&
+      typeof longitude === 'number' &&
+      latitude >= -90 && latitude <= 90 &&
+      longitude >= -180 && longitude <= 180 &&
+      !isNaN(latitude) && !isNaN(longitude)
+    );
+  }
+
+  /**
+   * Get the sorted time index over locationData, rebuilding it if stale
+   * @returns {TimeIndex} Time index
+   */
+  getTimeIndex() {
+    if (!this.timeIndex || this.timeIndex.size !== this.locationData.size) {
+      this.timeIndex = new TimeIndex(this.locationData);
+    }
+    return this.timeIndex;
+  }
+
+  /**
+   * Get all location data as array (compatible with TimelineParserService)
+   * @returns {Array} Array of location records sorted by timestamp
+   */
+  getLocationDataArray() {
+    const timeIndex = this.getTimeIndex();
+    const locationArray = [];
+
+    for (let i = 0; i < timeIndex.size; i++) {
+      const { timestampMs, record: location } = timeIndex.entryAt(i);
+      locationArray.push({
+        timestamp: new Date(timestampMs).toISOString(),
+        latitude: location.latitude,
+        longitude: location.longitude,
+        source: location.source,
+        accuracy: location.accuracy,
+        metadata: location.metadata
+      });
+    }
+
+    return locationArray;
+  }
+
+  /**
+   * Find GPS coordinates for a given timestamp (compatible with TimelineParserService)
+   * @param {Date} targetTimestamp - Target timestamp
+   * @param {number} toleranceMinutes - Tolerance in minutes
+   * @returns {Object|null} GPS coordinates or null
+   */
+  findCoordinatesForTimestamp(targetTimestamp, toleranceMinutes = 60) {
+    if (!targetTimestamp) return null;
+
+    const nearest = this.getTimeIndex().findNearest(targetTimestamp.getTime(), toleranceMinutes * 60 * 1000);
+    if (!nearest) return null;
+
+    return {
+      latitude: nearest.record.latitude,
+      longitude: nearest.record.longitude,
+      source: nearest.record.source,
+      accuracy: nearest.record.accuracy,
+      timeDifference: nearest.distanceMs / 1000 / 60, // minutes
+      metadata: nearest.record.metadata
+    };
+  }
+
+  /**
+   * Get statistics about loaded timeline data
+   * @returns {Object} Statistics
+   */
+  getStatistics() {
+    const locationArray = this.getLocationDataArray();
+    const sources = {};
+
+    locationArray.forEach(record => {
+      sources[record.source] = (sources[record.source] || 0) + 1;
+    });
+
+    return {
+      totalRecords: locationArray.length,
+      dateRange: locationArray.length > 0 ? {
+        start: locationArray[0].timestamp,
+        end: locationArray[locationArray.length - 1].timestamp
+      } : null,
+      sources,
+      frequentPlaces: this.frequentPlaces.length
+    };
+  }
+
+  /**
+   * Clear all timeline data
+   */
+  clearData() {
+    this.locationData.clear();
+    this.timeIndex = null;
+    this.activitySegments = [];
+    this.placeVisits = [];
+  }
+}
+
+export default OnDeviceTimelineParserService;
@@ -0,0 +1,174 @@
+/**
+ * Plan Apply Service
+ *
+ * Applies a reviewed dry-run plan. Only rows still marked as proposed (or
+ * approved) are written, using whatever coordinates the reviewer left in the
+ * plan. Each image is checked against the hash recorded at planning time so
+ * files edited since the dry run are never overwritten.
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+import { atomicWriteJSON, calculateFileHash } from '../utils/fileOperations.js';
+import { validateCoordinates } from '../utils/coordinates.js';
+
+// Plan statuses that are written when a plan is applied
+export const APPLY_STATUSES = ['proposed', 'approved'];
+
+export const MANUAL_REVIEW_SOURCE = 'manual_review';
+
+/**
+ * Service for applying reviewed plans
+ */
+class PlanApplyService {
+  constructor(config = {}, logger) {
+    this.config = {
+      reportPath: 'data/apply-report.json',  // Apply report output path
+      ...config
+    };
+    this.logger = logger;
+    this.exifService = null;
+    this.geolocationDb = null;
+    this.privacyZones = null;
+  }
+
+  /**
+   * Set EXIF service reference
+   * @param {ExifService} exifService - EXIF service instance
+   */
+  setExifService(exifService) {
+    this.exifService = exifService;
+  }
+
+  /**
+   * Set geolocation database reference
+   * @param {GeolocationDatabaseService} geolocationDb - Database instance
+   */
+  setGeolocationDatabase(geolocationDb) {
+    this.geolocationDb = geolocationDb;
+  }
+
+  /**
+   * Set privacy zone service reference
+   * Reviewed coordinates may have been edited into a zone, so zones are checked again here.
+   * @param {PrivacyZoneService} privacyZones - Privacy zone service instance
+   */
+  setPrivacyZones(privacyZones) {
+    this.privacyZones = privacyZones;
+  }
+
+  /**
+   * Apply every entry of a plan
+   * @param {Array} entries - Plan entries
+   * @param {Object} metadata - Extra report fields, e.g. planPath
+   * @returns {Promise<Object>} Apply report {appliedAt, summary, results}
+   */
+  async applyPlan(entries, metadata = {}) {
+    const results = [];
+
+    for (const entry of entries) {
+      results.push(await this.applyEntry(entry));
+    }
+
+    const summary = { total: results.length, applied: 0, skipped: 0, changed: 0, failed: 0 };
+    for (const result of results) {
+      summary[result.status]++;
+    }
+
+    this.logger.info(`Applied plan: ${summary.applied} written, ${summary.skipped} skipped, ${summary.changed} changed since planning, ${summary.failed} failed`);
+
+    return {
+      appliedAt: new Date().toISOString(),
+      ...metadata,
+      summary,
+      results
+    };
+  }
+
+  /**
+   * Apply a single plan entry
+   * @param {Object} entry - Plan entry
+   * @returns {Promise<Object>} Result {filePath, status, latitude, longitude, reason}
+   */
+  async applyEntry(entry) {
+    const result = {
+      filePath: entry.filePath,
+      status: 'skipped',
+      latitude: entry.latitude ?? null,
+      longitude: entry.longitude ?? null,
+      reason: null
+    };
+
+    if (!entry.filePath) {
+      return { ...result, status: 'failed', reason: 'Plan entry has no file path' };
+    }
+
+    const status = String(entry.status || '').toLowerCase();
+    if (!APPLY_STATUSES.includes(status)) {
+      return { ...result, reason: `Plan status is ${entry.status || 'empty'}` };
+    }
+
+    if (!validateCoordinates(entry.latitude, entry.longitude)) {
+      return { ...result, status: 'failed', reason: `Invalid coordinates: lat=${entry.latitude}, lon=${entry.longitude}` };
+    }
+
+    if (!entry.fileHash) {
+      return { ...result, reason: 'Plan entry has no file hash' };
+    }
+
+    const currentHash = await calculateFileHash(entry.filePath);
+    if (!currentHash) {
+      return { ...result, status: 'failed', reason: 'Image not found or unreadable' };
+    }
+    if (currentHash !== entry.fileHash) {
+      return { ...result, status: 'changed', reason: 'Image modified since the plan was created' };
+    }
+
+    const privacy = this.privacyZones
+      ? this.privacyZones.apply({ latitude: entry.latitude, longitude: entry.longitude })
+      : { action: 'write', coordinates: { latitude: entry.latitude, longitude: entry.longitude } };
+    if (privacy.action === 'skip') {
+      return { ...result, latitude: null, longitude: null, reason: `Inside privacy zone ${privacy.zone}` };
+    }
+
+    try {
+      const coordinates = { latitude: privacy.coordinates.latitude, longitude: privacy.coordinates.longitude };
+      const originalTimestamp = entry.timestamp ? new Date(entry.timestamp) : null;
+      const timestamp = originalTimestamp && !isNaN(originalTimestamp.getTime()) ? originalTimestamp : null;
+
+      await this.exifService.writeGPSData(
+        entry.filePath,
+        { ...coordinates, timestamp, source: MANUAL_REVIEW_SOURCE },
+        { sidecarOnly: privacy.action === 'sidecar' }
+      );
+      // Sidecar-zone locations stay in the sidecar, out of the database and the report
+      if (privacy.action === 'sidecar') {
+        return { ...result, latitude: null, longitude: null, status: 'applied', reason: `Inside privacy zone ${privacy.zone}; sidecar only` };
+      }
+      await this.geolocationDb.storeCoordinates(
+        entry.filePath,
+        coordinates,
+        MANUAL_REVIEW_SOURCE,
+        { confidence: entry.confidence ?? null },
+        timestamp
+      );
+
+      return { ...result, ...coordinates, status: 'applied' };
+    } catch (error) {
+      this.logger.error(`Failed to apply plan entry for ${entry.filePath}: ${error.message}`);
+      return { ...result, status: 'failed', reason: error.message };
+    }
+  }
+
+  /**
+   * Save an apply report
+   * @param {Object} report - Report from applyPlan
+   * @returns {Promise<string>} Report path
+   */
+  async saveReport(report) {
+    await atomicWriteJSON(this.config.reportPath, report);
+    return this.config.reportPath;
+  }
+}
+
+export default PlanApplyService;
@@ -0,0 +1,242 @@
+/**
+ * Privacy Zone Service
+ *
+ * Keeps private places such as home and work out of shared photos and
+ * exports. A zone is a centre with a radius or a polygon. A location inside a
+ * zone is handled by the zone's policy: skip it, snap it to a coarse grid, or
+ * keep it in an XMP sidecar only. Zones come from config and from an optional
+ * JSON file, so the main application and create-geo.js can share one list.
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+import { existsSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { calculateDistance, calculatePolygonArea } from '../utils/distance.js';
+import { isPointInPolygon, isWithinBounds, validateCoordinates, normalizeLongitude } from '../utils/coordinates.js';
+
+// What happens to a location inside a zone
+export const PRIVACY_POLICIES = ['skip', 'snap', 'sidecar'];
+
+// Metres per degree of latitude
+const METERS_PER_DEGREE = 111195;
+
+// Fields dropped from snapped locations because they could still pinpoint the place
+const PRECISE_FIELDS = ['altitude', 'accuracy', 'place'];
+
+/**
+ * Service for privacy zone checks
+ */
+class PrivacyZoneService {
+  constructor(config = {}, logger) {
+    this.config = {
+      enabled: true,                         // Apply zones; false treats every location as public
+      policy: 'snap',                        // Policy of zones without their own: 'skip', 'snap' or 'sidecar'
+      snapGridMeters: 2000,                  // Grid spacing used by 'snap'
+      zonesPath: 'data/privacy-zones.json',  // Optional JSON array of zones, added to the inline zones
+      zones: [],                             // [{name, latitude, longitude, radiusMeters} or {name, polygon: [{latitude, longitude}]}]
+      ...config
+    };
+    this.logger = logger;
+    this.zones = null;
+    this.loading = null;
+    this.stats = { skip: 0, snap: 0, sidecar: 0 };
+  }
+
+  /**
+   * Load and validate the zones once; later calls wait for the first load
+   * @returns {Promise<number>} Number of active zones
+   */
+  async initialize() {
+    if (!this.loading) {
+      this.loading = this.load();
+    }
+    return this.loading;
+  }
+
+  /**
+   * Read the zones file and validate every zone
+   * An invalid zone is an error rather than a warning, so a typo never
+   * leaves a private place unprotected.
+   * @returns {Promise<number>} Number of active zones
+   */
+  async load() {
+    const zones = [...this.config.zones];
+
+    const { zonesPath } = this.config;
+    if (zonesPath && existsSync(zonesPath)) {
+      let fileZones;
+      try {
+        fileZones = JSON.parse(await readFile(zonesPath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Invalid privacy zones file ${zonesPath}: ${error.message}`);
+      }
+      if (!Array.isArray(fileZones)) {
+        throw new Error(`Invalid privacy zones file ${zonesPath}: expected an array of zones`);
+      }
+      zones.push(...fileZones);
+    }
+
+    this.zones = this.config.enabled ? zones.map((zone, index) => this.normalizeZone(zone, index)) : [];
+
+    if (this.zones.length > 0) {
+      this.logger.info(`Loaded ${this.zones.length} privacy zones: ${this.zones.map(zone => `${zone.name} (${zone.policy})`).join(', ')}`);
+    }
+    return this.zones.length;
+  }
+
+  /**
+   * Validate a zone and precompute what lookups need
+   * @param {Object} zone - Zone from config or the zones file
+   * @param {number} index - Position, used to name unnamed zones
+   * @returns {Object} {name, policy, latitude, longitude, radiusMeters} or {name, policy, polygon, bounds, areaSquareMeters}
+   */
+  normalizeZone(zone, index) {
+    const name = zone?.name || `zone ${index + 1}`;
+    const policy = zone?.policy || this.config.policy;
+    if (!PRIVACY_POLICIES.includes(policy)) {
+      throw new Error(`Privacy zone "${name}": policy must be one of ${PRIVACY_POLICIES.join(', ')}, got ${policy}`);
+    }
+
+    if (Array.isArray(zone.polygon)) {
+      if (zone.polygon.length < 3 || !zone.polygon.every(vertex => validateCoordinates(vertex?.latitude, vertex?.longitude))) {
+        throw new Error(`Privacy zone "${name}": polygon needs at least 3 vertices with valid latitude and longitude`);
+      }
+      const areaSquareMeters = calculatePolygonArea(zone.polygon);
+      if (!(areaSquareMeters > 0)) {
+        throw new Error(`Privacy zone "${name}": polygon has no area`);
+      }
+
+      const latitudes = zone.polygon.map(vertex => vertex.latitude);
+      const longitudes = zone.polygon.map(vertex => vertex.longitude);
+      return {
+        name,
+        policy,
+        polygon: zone.polygon,
+        bounds: {
+          north: Math.max(...latitudes),
+          south: Math.min(...latitudes),
+          east: Math.max(...longitudes),
+          west: Math.min(...longitudes)
+        },
+        areaSquareMeters
+      };
+    }
+
+    if (!validateCoordinates(zone.latitude, zone.longitude) || !(zone.radiusMeters > 0)) {
+      throw new Error(`Privacy zone "${name}": needs latitude, longitude and a positive radiusMeters, or a polygon`);
+    }
+    return { name, policy, latitude: zone.latitude, longitude: zone.longitude, radiusMeters: zone.radiusMeters };
+  }
+
+  /**
+   * Find the first zone containing a location
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @returns {Object|null} Normalized zone, or null if the location is public
+   */
+  findZone(latitude, longitude) {
+    if (!this.zones) {
+      throw new Error('Privacy zones are not loaded; call initialize() first');
+    }
+    if (!validateCoordinates(latitude, longitude)) return null;
+
+    return this.zones.find(zone => zone.polygon
+      ? isWithinBounds(latitude, longitude, zone.bounds) && isPointInPolygon(latitude, longitude, zone.polygon)
+      : calculateDistance(zone.latitude, zone.longitude, latitude, longitude) <= zone.radiusMeters
+    ) || null;
+  }
+
+  /**
+   * Decide how to write a resolved location
+   * @param {Object} coordinates - Coordinates to be written, with optional altitude, accuracy and place
+   * @returns {Object} {action, zone, coordinates}: action is 'write' outside zones, else the zone's
+   *   policy; for 'snap' the coordinates are snapped and altitude, accuracy and place are dropped
+   */
+  apply(coordinates) {
+    const zone = this.findZone(coordinates.latitude, coordinates.longitude);
+    if (!zone) {
+      return { action: 'write', zone: null, coordinates };
+    }
+
+    this.stats[zone.policy]++;
+    // Coordinates are deliberately left out of the log
+    this.logger.debug(`Location inside privacy zone ${zone.name}`, { zone: zone.name, policy: zone.policy, stage: 'privacy_zone' });
+
+    if (zone.policy === 'snap') {
+      return { action: 'snap', zone: zone.name, coordinates: this.snapCoordinates(coordinates) };
+    }
+    return { action: zone.policy, zone: zone.name, coordinates };
+  }
+
+  /**
+   * Snap coordinates to the grid, dropping the details that could still pinpoint the place
+   * @param {Object} coordinates - Coordinates or record with optional altitude, accuracy and place
+   * @returns {Object} Copy at the grid cell centre without altitude, accuracy and place
+   */
+  snapCoordinates(coordinates) {
+    const snapped = { ...coordinates, ...this.snapToGrid(coordinates.latitude, coordinates.longitude) };
+    for (const field of PRECISE_FIELDS) {
+      delete snapped[field];
+    }
+    return snapped;
+  }
+
+  /**
+   * Move a location to the centre of its grid cell
+   * Cells are snapGridMeters tall and, at the cell's latitude, as wide, so
+   * every location in a cell maps to the same point.
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @returns {Object} {latitude, longitude} rounded to 6 decimals
+   */
+  snapToGrid(latitude, longitude) {
+    const latitudeStep = this.config.snapGridMeters / METERS_PER_DEGREE;
+    const snappedLatitude = Math.max(-90, Math.min(90, (Math.floor(latitude / latitudeStep) + 0.5) * latitudeStep));
+
+    const cosLatitude = Math.max(Math.cos(snappedLatitude * Math.PI / 180), 0.01);
+    const longitudeStep = Math.min(360, latitudeStep / cosLatitude);
+    const snappedLongitude = normalizeLongitude((Math.floor((longitude + 180) / longitudeStep) + 0.5) * longitudeStep - 180);
+
+    return {
+      latitude: Math.round(snappedLatitude * 1e6) / 1e6,
+      longitude: Math.round(snappedLongitude * 1e6) / 1e6
+    };
+  }
+
+  /**
+   * Apply the zones to a record about to be stored, reported or exported
+   * Only the image's sidecar may hold a 'sidecar' location, so those are left
+   * out like 'skip' locations.
+   * @param {Object} record - Record with latitude and longitude
+   * @returns {Object|null} The record, a snapped copy without precise fields, or null to leave it out
+   */
+  redactRecord(record) {
+    const zone = this.findZone(record.latitude, record.longitude);
+    if (!zone) return record;
+
+    return zone.policy === 'snap' ? this.snapCoordinates(record) : null;
+  }
+
+  /**
+   * Apply the zones to records about to be exported
+   * @param {Array} records - Records with latitude and longitude
+   * @returns {Array} Records outside zones, snapped records, and nothing from skip or sidecar zones
+   */
+  redactRecords(records) {
+    return records.map(record => this.redactRecord(record)).filter(Boolean);
+  }
+
+  /**
+   * Get zone counts
+   * @returns {Object} {zones, skip, snap, sidecar}; policy counts are locations passed to apply
+   */
+  getStats() {
+    return {
+      zones: this.zones ? this.zones.length : 0,
+      ...this.stats
+    };
+  }
+}
+
+export default PrivacyZoneService;
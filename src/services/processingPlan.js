@@ -0,0 +1,272 @@
+/**
+ * Processing Plan Service
+ *
+ * Collects the outcome of a dry run as a per-file plan: the coordinates that
+ * would be written, where they came from and how confident the match is.
+ * Plans are saved as JSON and CSV so they can be reviewed, edited by hand
+ * and applied later.
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import { atomicWrite, atomicWriteJSON } from '../utils/fileOperations.js';
+import { formatCsv } from '../utils/csv.js';
+
+// Column order of the CSV plan
+export const PLAN_COLUMNS = [
+  'filePath', 'timestamp', 'status', 'latitude', 'longitude',
+  'source', 'method', 'confidence', 'timeDifference', 'reason', 'fileHash'
+];
+
+// Columns read back as numbers from CSV plans
+const NUMERIC_COLUMNS = ['latitude', 'longitude', 'confidence', 'timeDifference'];
+
+/**
+ * Split a CSV document into rows of fields
+ * Quoted fields may contain delimiters, doubled quotes and line breaks.
+ * @param {string} text - CSV document
+ * @returns {Array<Array<string>>} Rows, with blank lines dropped
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Service for building and saving dry-run plans
+ */
+class ProcessingPlanService {
+  constructor(config = {}, logger) {
+    this.config = {
+      outputPath: 'data/dry-run-plan',  // Base path; .json and .csv are appended
+      formats: ['json', 'csv'],         // Plan formats to write
+      ...config
+    };
+    this.logger = logger;
+    this.entries = [];
+  }
+
+  /**
+   * Add an image with proposed coordinates
+   * @param {Object} imageData - Image metadata
+   * @param {Object} coordinates - Interpolation result
+   * @param {string|null} fileHash - Image hash at planning time, checked before applying
+   * @returns {Object} Plan entry
+   */
+  addProposal(imageData, coordinates, fileHash = null) {
+    return this.addEntry({
+      filePath: imageData.filePath,
+      timestamp: imageData.timestamp?.toISOString() || null,
+      status: 'proposed',
+      latitude: coordinates.latitude,
+      longitude: coordinates.longitude,
+      source: coordinates.source || null,
+      method: coordinates.method || null,
+      confidence: typeof coordinates.confidence === 'number' ? coordinates.confidence : null,
+      timeDifference: typeof coordinates.timeDifference === 'number' ? coordinates.timeDifference : null,
+      reason: null,
+      fileHash
+    });
+  }
+
+  /**
+   * Add an image whose coordinates fall below the review thresholds
+   * These rows are not applied unless their status is changed to approved.
+   * @param {Object} imageData - Image metadata
+   * @param {Object} coordinates - Interpolation result
+   * @param {string} reason - Threshold that was not met
+   * @param {string|null} fileHash - Image hash at planning time
+   * @returns {Object} Plan entry
+   */
+  addNeedsReview(imageData, coordinates, reason, fileHash = null) {
+    const entry = this.addProposal(imageData, coordinates, fileHash);
+    entry.status = 'needs_review';
+    entry.reason = reason;
+    return entry;
+  }
+
+  /**
+   * Add an image that would not be tagged
+   * @param {Object} imageData - Image metadata
+   * @param {string} status - Plan status (no_timestamp, no_coordinates, privacy_zone, error)
+   * @param {string} reason - Why no coordinates are proposed
+   * @returns {Object} Plan entry
+   */
+  addUnresolved(imageData, status, reason) {
+    return this.addEntry({
+      filePath: imageData.filePath,
+      timestamp: imageData.timestamp?.toISOString() || null,
+      status,
+      latitude: null,
+      longitude: null,
+      source: null,
+      method: null,
+      confidence: null,
+      timeDifference: null,
+      reason,
+      fileHash: null
+    });
+  }
+
+  /**
+   * Append a plan entry
+   * @param {Object} entry - Entry with the PLAN_COLUMNS fields
+   * @returns {Object} The entry
+   */
+  addEntry(entry) {
+    this.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Get plan entries sorted by file path
+   * @returns {Array} Plan entries
+   */
+  getEntries() {
+    return [...this.entries].sort((a, b) => a.filePath.localeCompare(b.filePath));
+  }
+
+  /**
+   * Summarise the plan
+   * @returns {Object} {total, byStatus, bySource}
+   */
+  getSummary() {
+    const byStatus = {};
+    const bySource = {};
+
+    for (const entry of this.entries) {
+      byStatus[entry.status] = (byStatus[entry.status] || 0) + 1;
+      if (entry.source) {
+        bySource[entry.source] = (bySource[entry.source] || 0) + 1;
+      }
+    }
+
+    return { total: this.entries.length, byStatus, bySource };
+  }
+
+  /**
+   * Render plan entries as CSV
+   * @param {Array} entries - Plan entries
+   * @returns {string} CSV document with a header row
+   */
+  toCsv(entries = this.getEntries()) {
+    return formatCsv(entries, PLAN_COLUMNS);
+  }
+
+  /**
+   * Write the plan in the configured formats
+   * @param {Object} metadata - Extra fields for the JSON plan, e.g. photoDirectory
+   * @returns {Promise<Array<string>>} Paths written
+   */
+  async savePlan(metadata = {}) {
+    const entries = this.getEntries();
+    const written = [];
+
+    if (this.config.formats.includes('json')) {
+      const jsonPath = `${this.config.outputPath}.json`;
+      await atomicWriteJSON(jsonPath, {
+        createdAt: new Date().toISOString(),
+        ...metadata,
+        summary: this.getSummary(),
+        entries
+      });
+      written.push(jsonPath);
+    }
+
+    if (this.config.formats.includes('csv')) {
+      const csvPath = `${this.config.outputPath}.csv`;
+      await atomicWrite(csvPath, this.toCsv(entries));
+      written.push(csvPath);
+    }
+
+    this.logger.info(`Saved dry-run plan with ${entries.length} entries: ${written.join(', ')}`);
+    return written;
+  }
+
+  /**
+   * Load a saved plan, possibly edited by hand
+   * CSV plans are matched by header name, so columns may be reordered or removed.
+   * @param {string} planPath - Path to a .json or .csv plan
+   * @returns {Promise<Array>} Plan entries
+   * @throws {Error} If the plan cannot be read or has no filePath column
+   */
+  async loadPlan(planPath) {
+    const content = await readFile(planPath, 'utf8');
+
+    if (extname(planPath).toLowerCase() === '.csv') {
+      const [header = [], ...rows] = parseCsv(content);
+      const columns = header.map(name => name.trim());
+      if (!columns.includes('filePath')) {
+        throw new Error(`Plan ${planPath} has no filePath column`);
+      }
+
+      return rows.map(fields => {
+        const entry = {};
+        columns.forEach((column, index) => {
+          const value = (fields[index] ?? '').trim();
+          if (value === '') {
+            entry[column] = null;
+          } else {
+            entry[column] = NUMERIC_COLUMNS.includes(column) ? parseFloat(value) : value;
+          }
+        });
+        return entry;
+      });
+    }
+
+    const plan = JSON.parse(content);
+    const entries = Array.isArray(plan) ? plan : plan.entries;
+    if (!Array.isArray(entries)) {
+      throw new Error(`Plan ${planPath} has no entries`);
+    }
+    return entries;
+  }
+
+  /**
+   * Clear all plan entries
+   */
+  clear() {
+    this.entries = [];
+  }
+}
+
+export default ProcessingPlanService;
@@ -0,0 +1,209 @@
+/**
+ * Reverse Geocoder Service
+ *
+ * Resolves coordinates to city, region and country names offline from a
+ * GeoNames gazetteer: a cities file (cities500.txt, cities1000.txt, ...)
+ * with admin1CodesASCII.txt for region names and countryInfo.txt for country
+ * names. Places are held in a spatial grid so a lookup only measures the
+ * places near the coordinates. Without a cities file the service stays
+ * disabled and lookups return null.
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+import { createReadStream, existsSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { createInterface } from 'readline';
+import { SpatialGrid } from '../utils/spatialIndex.js';
+
+// GeoNames feature codes of historical places and sections of cities, never used as the city
+const EXCLUDED_FEATURE_CODES = new Set(['PPLX', 'PPLH', 'PPLQ', 'PPLW', 'PPLCH']);
+
+/**
+ * Service for offline reverse geocoding
+ */
+class ReverseGeocoderService {
+  constructor(config = {}, logger) {
+    this.config = {
+      enabled: true,                       // Look up place names when a gazetteer is present
+      directory: 'data/geonames',          // Folder holding the GeoNames files
+      citiesFile: 'cities1000.txt',        // Any GeoNames cities file
+      admin1File: 'admin1CodesASCII.txt',  // Region names; optional
+      countryFile: 'countryInfo.txt',      // Country names; optional, ISO codes are used without it
+      maxDistanceKm: 20,                   // Nearest place must be this close
+      cellSizeDegrees: 0.5,                // Spatial grid cell size
+      ...config
+    };
+    this.logger = logger;
+    this.index = null;
+    this.regions = new Map();    // "FR.11" -> "Île-de-France"
+    this.countries = new Map();  // "FR" -> "France"
+    this.loading = null;
+    this.stats = { lookups: 0, resolved: 0 };
+  }
+
+  /**
+   * Load the gazetteer once; later calls wait for the first load
+   * @returns {Promise<boolean>} True if places were loaded
+   */
+  async initialize() {
+    if (!this.config.enabled) {
+      return false;
+    }
+    if (!this.loading) {
+      this.loading = this.load();
+    }
+    return this.loading;
+  }
+
+  /**
+   * Check whether lookups are available
+   * @returns {boolean} True once the gazetteer is loaded
+   */
+  isReady() {
+    return !!this.index;
+  }
+
+  /**
+   * Read the gazetteer files into the spatial index
+   * @returns {Promise<boolean>} True if places were loaded
+   */
+  async load() {
+    const citiesPath = join(this.config.directory, this.config.citiesFile);
+    if (!existsSync(citiesPath)) {
+      this.logger.info(`Reverse geocoding disabled: no gazetteer at ${citiesPath}`);
+      return false;
+    }
+
+    const startTime = Date.now();
+    this.countries = await this.loadCountries(join(this.config.directory, this.config.countryFile));
+    this.regions = await this.loadRegions(join(this.config.directory, this.config.admin1File));
+
+    const index = new SpatialGrid([], this.config.cellSizeDegrees);
+    const lines = createInterface({ input: createReadStream(citiesPath, { encoding: 'utf8' }), crlfDelay: Infinity });
+    for await (const line of lines) {
+      const place = this.parseCityLine(line);
+      if (place) {
+        index.add(place);
+      }
+    }
+
+    this.index = index;
+    this.logger.info(`Reverse geocoding loaded ${index.size} places from ${citiesPath}`, {
+      places: index.size,
+      regions: this.regions.size,
+      countries: this.countries.size,
+      loadTimeMs: Date.now() - startTime,
+      stage: 'reverse_geocoding'
+    });
+    return true;
+  }
+
+  /**
+   * Parse a line of a GeoNames cities file
+   * @param {string} line - Tab-separated geoname record
+   * @returns {Object|null} {geonameId, name, latitude, longitude, countryCode, admin1Code, population}, or null if unusable
+   */
+  parseCityLine(line) {
+    const columns = line.split('\t');
+    if (columns.length < 15 || EXCLUDED_FEATURE_CODES.has(columns[7])) return null;
+
+    const latitude = parseFloat(columns[4]);
+    const longitude = parseFloat(columns[5]);
+    if (!columns[1] || !Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+
+    return {
+      geonameId: Number(columns[0]),
+      name: columns[1],
+      latitude,
+      longitude,
+      countryCode: columns[8] || null,
+      admin1Code: columns[10] || null,
+      population: Number(columns[14]) || 0
+    };
+  }
+
+  /**
+   * Load region names from admin1CodesASCII.txt
+   * @param {string} filePath - Path to the admin1 file
+   * @returns {Promise<Map>} "CC.code" to region name; empty if the file is missing
+   */
+  async loadRegions(filePath) {
+    const regions = new Map();
+    if (!existsSync(filePath)) {
+      this.logger.warn(`No region names at ${filePath}; regions will be left empty`);
+      return regions;
+    }
+
+    for (const line of (await readFile(filePath, 'utf8')).split('\n')) {
+      const [code, name] = line.split('\t');
+      if (code && name) {
+        regions.set(code, name.trim());
+      }
+    }
+    return regions;
+  }
+
+  /**
+   * Load country names from countryInfo.txt
+   * @param {string} filePath - Path to the country file
+   * @returns {Promise<Map>} ISO code to country name; empty if the file is missing
+   */
+  async loadCountries(filePath) {
+    const countries = new Map();
+    if (!existsSync(filePath)) {
+      this.logger.warn(`No country names at ${filePath}; ISO country codes will be used instead`);
+      return countries;
+    }
+
+    for (const line of (await readFile(filePath, 'utf8')).split('\n')) {
+      if (line.startsWith('#')) continue;
+      const columns = line.split('\t');
+      if (columns[0] && columns[4]) {
+        countries.set(columns[0], columns[4].trim());
+      }
+    }
+    return countries;
+  }
+
+  /**
+   * Resolve coordinates to the nearest place in the gazetteer
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @returns {Object|null} {city, region, country, countryCode, geonameId, distanceKm}, or null if
+   *   the gazetteer is not loaded or no place is within maxDistanceKm
+   */
+  reverseGeocode(latitude, longitude) {
+    if (!this.index) return null;
+
+    this.stats.lookups++;
+    const nearest = this.index.findNearest(latitude, longitude, this.config.maxDistanceKm * 1000);
+    if (!nearest) return null;
+
+    this.stats.resolved++;
+    const { point, distance } = nearest;
+    return {
+      city: point.name,
+      region: this.regions.get(`${point.countryCode}.${point.admin1Code}`) || null,
+      country: this.countries.get(point.countryCode) || point.countryCode,
+      countryCode: point.countryCode,
+      geonameId: point.geonameId,
+      distanceKm: Math.round(distance / 10) / 100
+    };
+  }
+
+  /**
+   * Get lookup statistics
+   * @returns {Object} {enabled, places, lookups, resolved}
+   */
+  getStats() {
+    return {
+      enabled: this.isReady(),
+      places: this.index ? this.index.size : 0,
+      ...this.stats
+    };
+  }
+}
+
+export default ReverseGeocoderService;
@@ -0,0 +1,180 @@
+/**
+ * Run Checkpoint Service
+ *
+ * Checkpoints a processing run so it can be resumed after a crash. The first
+ * record of <runId>.jsonl holds the photo directory and the discovered file
+ * list; one record is appended after each batch with the status of every file
+ * in it and the statistics recorded while it was processed. Replaying those
+ * records restores per-file status and statistics totals.
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+import { appendFile, readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { atomicWrite, ensureDirectory } from '../utils/fileOperations.js';
+
+// Per-file states; only pending files are processed when a run is resumed
+export const FILE_STATUSES = ['pending', 'written', 'failed', 'skipped'];
+
+/**
+ * Service for checkpointing and resuming runs
+ */
+class RunCheckpointService {
+  constructor(config = {}, logger) {
+    this.config = {
+      directory: 'data/runs',  // One <runId>.jsonl checkpoint per run
+      ...config
+    };
+    this.logger = logger;
+  }
+
+  /**
+   * Get the checkpoint path of a run
+   * @param {string} runId - Run identifier
+   * @returns {string} Checkpoint file path
+   */
+  getCheckpointPath(runId) {
+    return join(this.config.directory, `${runId}.jsonl`);
+  }
+
+  /**
+   * Check whether a run has a checkpoint
+   * @param {string} runId - Run identifier
+   * @returns {boolean} True if the checkpoint exists
+   */
+  exists(runId) {
+    return existsSync(this.getCheckpointPath(runId));
+  }
+
+  /**
+   * Start the checkpoint of a new run
+   * @param {string} runId - Run identifier
+   * @param {Object} run - {photoDirectory, files}
+   * @returns {Promise<void>}
+   */
+  async start(runId, { photoDirectory, files }) {
+    await ensureDirectory(this.config.directory);
+    await atomicWrite(this.getCheckpointPath(runId), JSON.stringify({
+      type: 'run',
+      runId,
+      photoDirectory,
+      files,
+      startedAt: new Date().toISOString()
+    }) + '\n');
+    this.logger.debug(`Checkpoint started for run ${runId} with ${files.length} files`, { runId, stage: 'checkpoint' });
+  }
+
+  /**
+   * Record that a run was resumed
+   * @param {string} runId - Run identifier
+   * @returns {Promise<void>}
+   */
+  async recordResume(runId) {
+    // Start on a fresh line in case the previous session died mid-record
+    await appendFile(this.getCheckpointPath(runId), '\n', 'utf8');
+    await this.append(runId, { type: 'resume', resumedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Record file statuses and statistics events after a batch
+   * @param {string} runId - Run identifier
+   * @param {Array} results - [{filePath, status}]
+   * @param {Array} events - Statistics events recorded during the batch
+   * @returns {Promise<void>}
+   */
+  async recordBatch(runId, results, events = []) {
+    const statuses = {};
+    for (const { filePath, status } of results) {
+      if (!FILE_STATUSES.includes(status)) {
+        throw new Error(`Unknown file status "${status}" for ${filePath}`);
+      }
+      statuses[filePath] = status;
+    }
+
+    await this.append(runId, { type: 'batch', recordedAt: new Date().toISOString(), statuses, events });
+  }
+
+  /**
+   * Append a record to a checkpoint
+   * @param {string} runId - Run identifier
+   * @param {Object} record - Checkpoint record
+   * @returns {Promise<void>}
+   */
+  async append(runId, record) {
+    await appendFile(this.getCheckpointPath(runId), JSON.stringify(record) + '\n', 'utf8');
+  }
+
+  /**
+   * Load a checkpoint
+   * A batch record cut short by a crash is ignored, leaving its files pending.
+   * @param {string} runId - Run identifier
+   * @returns {Promise<Object>} {runId, photoDirectory, files, statuses, events, startedAt, sessions}
+   */
+  async load(runId) {
+    const checkpointPath = this.getCheckpointPath(runId);
+    if (!existsSync(checkpointPath)) {
+      throw new Error(`No checkpoint found for run ${runId} in ${this.config.directory}`);
+    }
+
+    const lines = (await readFile(checkpointPath, 'utf8')).split('\n').filter(line => line.trim());
+    let run = null;
+    const statuses = new Map();
+    const events = [];
+    let sessions = 1;
+
+    for (const line of lines) {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        this.logger.warn(`Skipping unreadable checkpoint line in ${runId}`);
+        continue;
+      }
+
+      if (record.type === 'run') {
+        run = record;
+        for (const filePath of record.files) {
+          statuses.set(filePath, 'pending');
+        }
+      } else if (record.type === 'batch') {
+        for (const [filePath, status] of Object.entries(record.statuses)) {
+          statuses.set(filePath, status);
+        }
+        events.push(...(record.events || []));
+      } else if (record.type === 'resume') {
+        sessions++;
+      }
+    }
+
+    if (!run) {
+      throw new Error(`Checkpoint for run ${runId} has no run record`);
+    }
+
+    return {
+      runId,
+      photoDirectory: run.photoDirectory,
+      files: run.files,
+      startedAt: run.startedAt,
+      statuses,
+      events,
+      sessions
+    };
+  }
+
+  /**
+   * Count files by status
+   * @param {Map} statuses - File path to status
+   * @returns {Object} Count per status
+   */
+  summarize(statuses) {
+    const summary = Object.fromEntries(FILE_STATUSES.map(status => [status, 0]));
+    for (const status of statuses.values()) {
+      summary[status]++;
+    }
+    return summary;
+  }
+}
+
+export default RunCheckpointService;
@@ -0,0 +1,329 @@
+/**
+ * Segmentation Service
+ *
+ * Splits the combined photo and timeline track into stays (time spent within
+ * a small radius, such as a hotel or an afternoon at the beach) and trips
+ * (time spent away from the home base). Each segment records its time range,
+ * centroid, photo count and the share of those photos that are geotagged, so
+ * trips can become albums and weakly covered segments can be targeted.
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+import { calculateDistance } from '../utils/distance.js';
+import { calculateCenter, validateCoordinates } from '../utils/coordinates.js';
+import { SpatialGrid } from '../utils/spatialIndex.js';
+import { TimeIndex } from '../utils/timeIndex.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Columns of segment CSV exports
+export const SEGMENT_COLUMNS = [
+  'id', 'type', 'start', 'end', 'durationHours', 'latitude', 'longitude', 'radiusMeters',
+  'photoCount', 'geotaggedPhotos', 'coverage', 'weakCoverage', 'timelinePoints', 'stayCount', 'maxDistanceFromHomeKm'
+];
+
+/**
+ * Service for stay and trip segmentation
+ */
+class SegmentationService {
+  constructor(config = {}, logger) {
+    this.config = {
+      stayRadiusMeters: 250,   // Points within this distance of a stay's centre belong to it
+      minStayMinutes: 30,      // Shorter clusters are movement, not stays
+      homeLocation: null,      // {latitude, longitude}; default: the HOME frequent place, else the place with most stay time
+      homeRadiusKm: 50,        // Points further than this from home are on a trip
+      minTripHours: 4,         // Shorter departures are not trips
+      weakCoverage: 0.5,       // Segments with a smaller share of geotagged photos are flagged
+      ...config
+    };
+    this.logger = logger;
+  }
+
+  /**
+   * Segment photos and timeline data into stays and trips
+   * @param {Array} imageMetadata - Image metadata with filePath, timestamp, hasGPS, latitude, longitude
+   * @param {Object|null} timelineParser - Loaded TimelineParserService, or null for photos only
+   * @returns {Object} {home, segments, summary}; segments are in time order
+   */
+  segment(imageMetadata, timelineParser = null) {
+    const startTime = Date.now();
+    const points = this.collectPoints(imageMetadata, timelineParser);
+    const photoIndex = new TimeIndex(
+      imageMetadata
+        .filter(imageData => imageData.timestamp instanceof Date)
+        .map(imageData => [imageData.timestamp.getTime(), imageData])
+    );
+
+    const stays = this.detectStays(points);
+    const home = this.findHomeBase(stays, timelineParser);
+    const trips = home ? this.detectTrips(points, home) : [];
+
+    const segments = [
+      ...stays.map((stay, index) => this.describeSegment('stay', index + 1, stay, photoIndex)),
+      ...trips.map((trip, index) => this.describeSegment('trip', index + 1, trip, photoIndex, {
+        stayCount: stays.filter(stay => stay.startMs >= trip.startMs && stay.endMs <= trip.endMs).length,
+        maxDistanceFromHomeKm: Math.round(trip.maxDistanceFromHome / 100) / 10
+      }))
+    ].sort((a, b) => a.start.localeCompare(b.start) || (a.type === 'trip' ? -1 : 1));
+
+    const summary = {
+      points: points.length,
+      stays: stays.length,
+      trips: trips.length,
+      weakCoverage: segments.filter(segment => segment.weakCoverage).length
+    };
+
+    this.logger.debug(`Segmented ${points.length} points into ${stays.length} stays and ${trips.length} trips`, {
+      ...summary,
+      homeSource: home ? home.source : null,
+      durationMs: Date.now() - startTime,
+      stage: 'segmentation'
+    });
+
+    return { home, segments, summary };
+  }
+
+  /**
+   * Merge geotagged photos and timeline records into one time-ordered track
+   * Timeline records added from images (source "image:<path>") are skipped so
+   * augmented photos are not counted twice.
+   * @param {Array} imageMetadata - Image metadata
+   * @param {Object|null} timelineParser - Loaded TimelineParserService
+   * @returns {Array} {timestampMs, latitude, longitude, kind} points with kind 'photo' or 'timeline'
+   */
+  collectPoints(imageMetadata, timelineParser) {
+    const points = [];
+
+    for (const imageData of imageMetadata) {
+      if (imageData.hasGPS && imageData.timestamp instanceof Date && validateCoordinates(imageData.latitude, imageData.longitude)) {
+        points.push({
+          timestampMs: imageData.timestamp.getTime(),
+          latitude: imageData.latitude,
+          longitude: imageData.longitude,
+          kind: 'photo'
+        });
+      }
+    }
+
+    if (timelineParser) {
+      const timeIndex = timelineParser.getTimeIndex();
+      for (let index = 0; index < timeIndex.size; index++) {
+        const { timestampMs, record } = timeIndex.entryAt(index);
+        if (record.source?.startsWith('image:') || !validateCoordinates(record.latitude, record.longitude)) continue;
+        points.push({ timestampMs, latitude: record.latitude, longitude: record.longitude, kind: 'timeline' });
+      }
+    }
+
+    return points
+      .filter(point => Number.isFinite(point.timestampMs))
+      .sort((a, b) => a.timestampMs - b.timestampMs);
+  }
+
+  /**
+   * Find stays: runs of consecutive points within stayRadiusMeters of their
+   * running centre that last at least minStayMinutes
+   * Consecutive stays at the same place are merged when only GPS jitter
+   * (points within twice the radius) separates them.
+   * @param {Array} points - Time-ordered points from collectPoints
+   * @returns {Array} Clusters {first, last, startMs, endMs, centroid, radiusMeters, timelinePoints}
+   */
+  detectStays(points) {
+    const radius = this.config.stayRadiusMeters;
+    const minDurationMs = this.config.minStayMinutes * MINUTE;
+    const stays = [];
+
+    let first = 0;
+    while (first < points.length) {
+      let sumLatitude = points[first].latitude;
+      let sumLongitude = points[first].longitude;
+      let next = first + 1;
+      while (next < points.length) {
+        const count = next - first;
+        if (calculateDistance(sumLatitude / count, sumLongitude / count, points[next].latitude, points[next].longitude) > radius) break;
+        sumLatitude += points[next].latitude;
+        sumLongitude += points[next].longitude;
+        next++;
+      }
+
+      if (points[next - 1].timestampMs - points[first].timestampMs < minDurationMs) {
+        first++;
+        continue;
+      }
+
+      const previous = stays[stays.length - 1];
+      const stay = this.createCluster(points, first, next - 1);
+      if (previous && this.isSamePlace(points, previous, stay)) {
+        stays[stays.length - 1] = this.createCluster(points, previous.first, next - 1);
+      } else {
+        stays.push(stay);
+      }
+      first = next;
+    }
+
+    return stays;
+  }
+
+  /**
+   * Check whether two consecutive stays are one stay split by GPS jitter
+   * @param {Array} points - Time-ordered points
+   * @param {Object} previous - Earlier stay
+   * @param {Object} stay - Later stay
+   * @returns {boolean} True if the stays should be merged
+   */
+  isSamePlace(points, previous, stay) {
+    const radius = this.config.stayRadiusMeters;
+    const { latitude, longitude } = previous.centroid;
+    if (calculateDistance(latitude, longitude, stay.centroid.latitude, stay.centroid.longitude) > radius) {
+      return false;
+    }
+
+    for (let index = previous.last + 1; index < stay.first; index++) {
+      if (calculateDistance(latitude, longitude, points[index].latitude, points[index].longitude) > radius * 2) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Summarise a run of points
+   * @param {Array} points - Time-ordered points
+   * @param {number} first - Index of the first point
+   * @param {number} last - Index of the last point
+   * @returns {Object} {first, last, startMs, endMs, centroid, radiusMeters, timelinePoints}
+   */
+  createCluster(points, first, last) {
+    const cluster = points.slice(first, last + 1);
+    const centroid = calculateCenter(cluster);
+
+    let radiusMeters = 0;
+    let timelinePoints = 0;
+    for (const point of cluster) {
+      radiusMeters = Math.max(radiusMeters, calculateDistance(centroid.latitude, centroid.longitude, point.latitude, point.longitude));
+      if (point.kind === 'timeline') timelinePoints++;
+    }
+
+    return {
+      first,
+      last,
+      startMs: points[first].timestampMs,
+      endMs: points[last].timestampMs,
+      centroid,
+      radiusMeters,
+      timelinePoints
+    };
+  }
+
+  /**
+   * Find the home base trips are measured from
+   * Uses the configured homeLocation, else the HOME frequent place of an
+   * on-device export, else the place where the stays add up to the most time.
+   * @param {Array} stays - Stays from detectStays
+   * @param {Object|null} timelineParser - Loaded TimelineParserService
+   * @returns {Object|null} {latitude, longitude, source}, or null if there are no stays
+   */
+  findHomeBase(stays, timelineParser) {
+    const configured = this.config.homeLocation;
+    if (configured && validateCoordinates(configured.latitude, configured.longitude)) {
+      return { latitude: configured.latitude, longitude: configured.longitude, source: 'config' };
+    }
+
+    const frequentHome = (timelineParser?.frequentPlaces || []).find(place => /^home$/i.test(place.label || ''));
+    if (frequentHome) {
+      return { latitude: frequentHome.latitude, longitude: frequentHome.longitude, source: 'frequent_place' };
+    }
+
+    // Group stays at the same place and total their time
+    const places = new SpatialGrid();
+    let busiest = null;
+    for (const stay of stays) {
+      const nearest = places.findNearest(stay.centroid.latitude, stay.centroid.longitude, this.config.stayRadiusMeters);
+      const place = nearest ? nearest.point : { ...stay.centroid, durationMs: 0 };
+      if (!nearest) {
+        places.add(place);
+      }
+      place.durationMs += stay.endMs - stay.startMs;
+      if (!busiest || place.durationMs > busiest.durationMs) {
+        busiest = place;
+      }
+    }
+
+    return busiest ? { latitude: busiest.latitude, longitude: busiest.longitude, source: 'longest_stays' } : null;
+  }
+
+  /**
+   * Find trips: runs of consecutive points more than homeRadiusKm from home
+   * lasting at least minTripHours
+   * A trip runs from the first to the last point recorded away from home.
+   * @param {Array} points - Time-ordered points
+   * @param {Object} home - Home base {latitude, longitude}
+   * @returns {Array} Clusters as from createCluster, plus maxDistanceFromHome in metres
+   */
+  detectTrips(points, home) {
+    const homeRadius = this.config.homeRadiusKm * 1000;
+    const minDurationMs = this.config.minTripHours * HOUR;
+    const trips = [];
+
+    let run = null;
+    const endRun = () => {
+      if (run && points[run.last].timestampMs - points[run.first].timestampMs >= minDurationMs) {
+        trips.push({ ...this.createCluster(points, run.first, run.last), maxDistanceFromHome: run.maxDistance });
+      }
+      run = null;
+    };
+
+    for (let index = 0; index < points.length; index++) {
+      const distance = calculateDistance(home.latitude, home.longitude, points[index].latitude, points[index].longitude);
+      if (distance <= homeRadius) {
+        endRun();
+      } else if (run) {
+        run.last = index;
+        run.maxDistance = Math.max(run.maxDistance, distance);
+      } else {
+        run = { first: index, last: index, maxDistance: distance };
+      }
+    }
+    endRun();
+
+    return trips;
+  }
+
+  /**
+   * Describe a stay or trip for reports and exports
+   * @param {string} type - 'stay' or 'trip'
+   * @param {number} number - Position among segments of this type, from 1
+   * @param {Object} cluster - Cluster from createCluster
+   * @param {TimeIndex} photoIndex - All photos with timestamps, keyed by time
+   * @param {Object} extra - Type-specific fields
+   * @returns {Object} Segment with centroid, photo counts, coverage and the photos' file paths
+   */
+  describeSegment(type, number, cluster, photoIndex, extra = {}) {
+    const photos = photoIndex.findInRange(cluster.startMs, cluster.endMs).map(entry => entry.record);
+    const geotaggedPhotos = photos.filter(photo => photo.hasGPS).length;
+    const coverage = photos.length > 0 ? Math.round((geotaggedPhotos / photos.length) * 1000) / 1000 : null;
+
+    return {
+      id: `${type}-${number}`,
+      type,
+      start: new Date(cluster.startMs).toISOString(),
+      end: new Date(cluster.endMs).toISOString(),
+      durationHours: Math.round((cluster.endMs - cluster.startMs) / HOUR * 100) / 100,
+      centroid: {
+        latitude: Math.round(cluster.centroid.latitude * 1e6) / 1e6,
+        longitude: Math.round(cluster.centroid.longitude * 1e6) / 1e6
+      },
+      radiusMeters: Math.round(cluster.radiusMeters),
+      photoCount: photos.length,
+      geotaggedPhotos,
+      coverage,
+      weakCoverage: coverage !== null && coverage < this.config.weakCoverage,
+      timelinePoints: cluster.timelinePoints,
+      ...extra,
+      files: photos.map(photo => photo.filePath)
+    };
+  }
+}
+
+export default SegmentationService;
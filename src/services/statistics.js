@@ -20,10 +20,12 @@ class StatisticsService {
     this.processedImages = 0;
     this.successCount = 0;
     this.failureCount = 0;
+    this.needsReviewCount = 0;
     
     // Detailed tracking
     this.successes = new Map(); // category -> array of file paths
     this.failures = new Map();  // category -> array of {filePath, reason}
+    this.needsReview = [];      // Results below review thresholds, not written
     this.processingTimes = [];
     this.memoryUsage = [];
     
@@ -36,6 +38,22 @@ class StatisticsService {
       spatialInterpolation: 0
     };
     
+    // Camera clock corrections
+    this.clockOffsets = [];
+    
+    // Metadata cache hits and misses
+    this.metadataCache = null;
+    
+    // Reverse geocoding lookups
+    this.reverseGeocoding = null;
+    
+    // Locations inside privacy zones, by policy
+    this.privacyZones = { skip: 0, snap: 0, sidecar: 0 };
+    
+    // Checkpointed run this session belongs to, and events recorded for its checkpoint
+    this.run = null;
+    this.capturedEvents = null;
+    
     // Error categories
     this.errorCategories = {
       'metadata_extraction': 'Failed to extract image metadata',
@@ -57,6 +75,30 @@ class StatisticsService {
     this.totalImages = total;
   }
 
+  /**
+   * Set camera clock offsets applied during discovery
+   * @param {Array} offsets - Offset records from ClockOffsetService
+   */
+  setClockOffsets(offsets) {
+    this.clockOffsets = offsets;
+  }
+
+  /**
+   * Set metadata cache hit and miss counts
+   * @param {Object} stats - Stats from MetadataCacheService.getStats
+   */
+  setMetadataCacheStats(stats) {
+    this.metadataCache = stats;
+  }
+
+  /**
+   * Set reverse geocoding lookup counts
+   * @param {Object} stats - Stats from ReverseGeocoderService.getStats
+   */
+  setReverseGeocodingStats(stats) {
+    this.reverseGeocoding = stats;
+  }
+
   /**
    * Record a successful operation
    * @param {string} category - Success category
@@ -64,6 +106,7 @@ class StatisticsService {
    * @param {Object} metadata - Additional metadata
    */
   recordSuccess(category, filePath, metadata = {}) {
+    this.captureEvent('success', [category, filePath, metadata]);
     this.successCount++;
     this.processedImages++;
     
@@ -91,6 +134,7 @@ class StatisticsService {
    * @param {Object} metadata - Additional metadata
    */
   recordFailure(category, filePath, reason, metadata = {}) {
+    this.captureEvent('failure', [category, filePath, reason, metadata]);
     this.failureCount++;
     this.processedImages++;
     
@@ -106,6 +150,96 @@ class StatisticsService {
     });
   }
 
+  /**
+   * Record a result quarantined for review instead of being written
+   * Quarantined images are counted separately from successes and failures.
+   * @param {string} filePath - File path
+   * @param {string} reason - Threshold that was not met
+   * @param {Object} metadata - Proposed coordinates, source, confidence and time difference
+   */
+  recordNeedsReview(filePath, reason, metadata = {}) {
+    this.captureEvent('needs_review', [filePath, reason, metadata]);
+    this.needsReviewCount++;
+    this.processedImages++;
+    
+    this.needsReview.push({
+      filePath,
+      reason,
+      timestamp: new Date(),
+      ...metadata
+    });
+  }
+
+  /**
+   * Record a location found inside a privacy zone
+   * Skipped images count as processed; snapped and sidecar-only images are
+   * also recorded as successes once written.
+   * @param {string} filePath - File path
+   * @param {string} zone - Zone name
+   * @param {string} policy - 'skip', 'snap' or 'sidecar'
+   */
+  recordPrivacyZone(filePath, zone, policy) {
+    this.captureEvent('privacy_zone', [filePath, zone, policy]);
+    this.privacyZones[policy] = (this.privacyZones[policy] || 0) + 1;
+    if (policy === 'skip') {
+      this.processedImages++;
+    }
+  }
+
+  /**
+   * Start capturing recorded results for a run checkpoint
+   */
+  startCapture() {
+    this.capturedEvents = [];
+  }
+
+  /**
+   * Stop capturing and return the results recorded since startCapture
+   * @returns {Array} Events [{type, args}]
+   */
+  stopCapture() {
+    const events = this.capturedEvents || [];
+    this.capturedEvents = null;
+    return events;
+  }
+
+  /**
+   * Add a recorded result to the capture, if one is in progress
+   * @param {string} type - 'success', 'failure', 'needs_review' or 'privacy_zone'
+   * @param {Array} args - Arguments of the record call
+   */
+  captureEvent(type, args) {
+    if (this.capturedEvents) {
+      this.capturedEvents.push({ type, args });
+    }
+  }
+
+  /**
+   * Replay results recorded by an earlier session of a resumed run
+   * @param {Array} events - Events from a run checkpoint
+   */
+  replayEvents(events) {
+    for (const { type, args } of events) {
+      if (type === 'success') {
+        this.recordSuccess(...args);
+      } else if (type === 'failure') {
+        this.recordFailure(...args);
+      } else if (type === 'needs_review') {
+        this.recordNeedsReview(...args);
+      } else if (type === 'privacy_zone') {
+        this.recordPrivacyZone(...args);
+      }
+    }
+  }
+
+  /**
+   * Set the checkpointed run this session belongs to
+   * @param {Object} run - {runId, startedAt, sessions, resumed}
+   */
+  setRun(run) {
+    this.run = run;
+  }
+
   /**
    * Record processing time for an operation
    * @param {string} operation - Operation name
@@ -172,6 +306,7 @@ class StatisticsService {
       processedImages: this.processedImages,
       successCount: this.successCount,
       failureCount: this.failureCount,
+      needsReviewCount: this.needsReviewCount,
       successRate: this.processedImages > 0 ? (this.successCount / this.processedImages) * 100 : 0,
       
       // Timing
@@ -188,10 +323,28 @@ class StatisticsService {
       failuresByCategory: this.getFailuresByCategory(),
       failureReasons: this.getFailureReasons(),
       
+      // Results held back by review thresholds
+      needsReview: this.needsReview,
+      
       // Interpolation statistics
       interpolationStats: this.interpolationStats,
       interpolationSuccessRate: this.calculateInterpolationSuccessRate(),
       
+      // Camera clock corrections
+      clockOffsets: this.clockOffsets,
+      
+      // Metadata cache hits and misses
+      metadataCache: this.metadataCache,
+      
+      // Place names found in the local gazetteer
+      reverseGeocoding: this.reverseGeocoding,
+      
+      // Locations inside privacy zones, by policy
+      privacyZones: this.privacyZones,
+      
+      // Checkpointed run, with totals merged across resumed sessions
+      run: this.run,
+      
       // Performance metrics
       batchStatistics: this.getBatchStatistics(),
       memoryStatistics: this.getMemoryStatistics(),
@@ -396,6 +549,15 @@ class StatisticsService {
       });
     }
     
+    // Review threshold recommendations
+    if (this.needsReviewCount > 0) {
+      recommendations.push({
+        type: 'needs_review',
+        priority: 'medium',
+        message: `${this.needsReviewCount} images matched below the review thresholds and were not written. Run with --dry-run to review and approve them in a plan.`
+      });
+    }
+    
     // Performance recommendations
     const avgTimePerImage = this.processedImages > 0 ? (new Date().getTime() - this.startTime.getTime()) / this.processedImages : 0;
     if (avgTimePerImage > 5000) { // 5 seconds per image
@@ -481,8 +643,10 @@ class StatisticsService {
     this.processedImages = 0;
     this.successCount = 0;
     this.failureCount = 0;
+    this.needsReviewCount = 0;
     this.successes.clear();
     this.failures.clear();
+    this.needsReview = [];
     this.processingTimes = [];
     this.memoryUsage = [];
     this.batchStats = [];
@@ -492,6 +656,12 @@ class StatisticsService {
       enhancedFallback: 0,
       spatialInterpolation: 0
     };
+    this.clockOffsets = [];
+    this.metadataCache = null;
+    this.reverseGeocoding = null;
+    this.privacyZones = { skip: 0, snap: 0, sidecar: 0 };
+    this.run = null;
+    this.capturedEvents = null;
   }
 
   /**
@@ -517,6 +687,7 @@ class StatisticsService {
       totalImages: this.totalImages,
       successCount: this.successCount,
       failureCount: this.failureCount,
+      needsReviewCount: this.needsReviewCount,
       successRate: Math.round(successRate * 100) / 100,
       elapsedTime: this.formatDuration(elapsedTime),
       estimatedTimeRemaining: progress > 0 ? this.formatDuration((elapsedTime / progress) * (100 - progress)) : 'Unknown'
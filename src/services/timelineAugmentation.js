@@ -22,20 +22,34 @@ class TimelineAugmentationService {
     this.augmentedCount = 0;
     this.duplicateCount = 0;
     this.errorCount = 0;
+    this.privacyCount = 0;
+    this.privacyZones = null;
+  }
+
+  /**
+   * Set privacy zone service reference
+   * Photos inside zones are then snapped or left out of location.json.
+   * @param {PrivacyZoneService} privacyZones - Privacy zone service instance
+   */
+  setPrivacyZones(privacyZones) {
+    this.privacyZones = privacyZones;
   }
 
   /**
    * Augment timeline with GPS data from images
    * @param {Array} imageMetadata - Array of image metadata objects
    * @param {Object} timelineParser - Existing timeline parser instance
+   * @param {Object} options - Augmentation options
+   * @param {boolean} options.dryRun - Augment in memory only; location.json is not backed up or saved
    * @returns {Promise<Object>} Augmentation results
    */
-  async augmentTimeline(imageMetadata, timelineParser = null) {
-    this.logger.info('Starting timeline augmentation...');
+  async augmentTimeline(imageMetadata, timelineParser = null, options = {}) {
+    const { dryRun = false } = options;
+    this.logger.info(`Starting timeline augmentation${dryRun ? ' (dry run, in memory only)' : ''}...`);
     
     try {
       // Create backup if enabled
-      if (this.config.createBackup) {
+      if (this.config.createBackup && !dryRun) {
         await this.createTimelineBackup();
       }
       
@@ -61,10 +75,12 @@ class TimelineAugmentationService {
       }
       
       // Save augmented timeline data
-      await parser.saveLocationData();
+      if (!dryRun) {
+        await parser.saveLocationData();
+      }
       
       const results = this.getResults();
-      this.logger.info(`Timeline augmentation completed: ${results.augmentedCount} added, ${results.duplicateCount} duplicates, ${results.errorCount} errors`);
+      this.logger.info(`Timeline augmentation completed: ${results.augmentedCount} added, ${results.duplicateCount} duplicates, ${results.privacyCount} in privacy zones, ${results.errorCount} errors`);
       
       return results;
       
@@ -81,14 +97,25 @@ class TimelineAugmentationService {
    */
   async processGeotaggedImage(imageData, timelineParser) {
     try {
-      const { filePath, latitude, longitude, timestamp } = imageData;
+      const { filePath, timestamp } = imageData;
       
-      if (!this.isValidGPSData(latitude, longitude)) {
+      if (!this.isValidGPSData(imageData.latitude, imageData.longitude)) {
         this.errorCount++;
         this.logger.debug(`Invalid GPS data for ${filePath}`);
         return;
       }
       
+      // Same zone policy as tagging: skip and sidecar locations stay out, snap locations are snapped
+      const location = this.privacyZones
+        ? this.privacyZones.redactRecord({ latitude: imageData.latitude, longitude: imageData.longitude })
+        : { latitude: imageData.latitude, longitude: imageData.longitude };
+      if (!location) {
+        this.privacyCount++;
+        this.logger.debug(`Left ${filePath} out of the timeline - inside a privacy zone`);
+        return;
+      }
+      const { latitude, longitude } = location;
+      
       // Check for existing nearby records to avoid duplicates
       if (await this.isDuplicateRecord(timelineParser, timestamp, latitude, longitude)) {
         this.duplicateCount++;
@@ -337,6 +364,7 @@ class TimelineAugmentationService {
     this.augmentedCount = 0;
     this.duplicateCount = 0;
     this.errorCount = 0;
+    this.privacyCount = 0;
   }
 
   /**
@@ -348,7 +376,8 @@ class TimelineAugmentationService {
       augmentedCount: this.augmentedCount,
       duplicateCount: this.duplicateCount,
       errorCount: this.errorCount,
-      totalProcessed: this.augmentedCount + this.duplicateCount + this.errorCount
+      privacyCount: this.privacyCount,
+      totalProcessed: this.augmentedCount + this.duplicateCount + this.errorCount + this.privacyCount
     };
   }
 
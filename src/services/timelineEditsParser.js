@@ -7,9 +7,14 @@
  * @author Tom Cranstoun <ddttom@github.com>
  */
 
-import { readFile } from 'fs/promises';
 import { existsSync } from 'fs';
 import { join } from 'path';
+import { TimeIndex } from '../utils/timeIndex.js';
+import { getTopActivity } from '../utils/activity.js';
+import { streamArrayElements } from '../utils/jsonStream.js';
+
+// Consecutive activity detections of the same type this close together form one window
+const ACTIVITY_SAMPLE_GAP_MS = 10 * 60 * 1000;
 
 /**
  * Service for parsing Google Timeline Edits data
@@ -18,6 +23,9 @@ class TimelineEditsParserService {
   constructor(logger) {
     this.logger = logger;
     this.locationData = new Map();
+    this.timeIndex = null; // Rebuilt lazily after locationData changes
+    this.activitySegments = []; // {startMs, endMs, activity, source} built from detectedActivities
+    this.currentActivity = null; // Latest activity window, still growing while detections continue
     
     // File paths
     this.timelineEditsPath = join(process.cwd(), 'data', 'Timeline Edits.json');
@@ -36,27 +44,22 @@ class TimelineEditsParserService {
         return;
       }
 
-      const timelineJson = await readFile(this.timelineEditsPath, 'utf8');
-      const timelineData = JSON.parse(timelineJson);
-      
       this.logger.info('Processing Timeline Edits.json...');
       
       let processedCount = 0;
       let skippedCount = 0;
       
-      // Process timeline edits
-      if (timelineData.timelineEdits) {
-        for (const edit of timelineData.timelineEdits) {
-          const processed = this.processTimelineEdit(edit);
-          if (processed > 0) {
-            processedCount += processed;
-          } else {
-            skippedCount++;
-          }
+      // Stream timeline edits one at a time to keep memory bounded
+      const stats = await streamArrayElements(this.timelineEditsPath, ['timelineEdits'], (edit) => {
+        const processed = this.processTimelineEdit(edit);
+        if (processed > 0) {
+          processedCount += processed;
+        } else {
+          skippedCount++;
         }
-      }
+      }, { logger: this.logger });
       
-      this.logger.info(`Processed ${processedCount} location points from ${timelineData.timelineEdits?.length || 0} timeline edits, skipped ${skippedCount}`);
+      this.logger.info(`Processed ${processedCount} location points from ${stats.elements} timeline edits, skipped ${skippedCount}`);
       
     } catch (error) {
       this.logger.error('Failed to process Timeline Edits.json:', error.message);
@@ -232,7 +235,8 @@ class TimelineEditsParserService {
         const metadata = {
           source: positionRecord.source,
           altitudeMeters: positionRecord.altitudeMeters,
-          speedMetersPerSecond: positionRecord.speedMetersPerSecond
+          speedMetersPerSecond: positionRecord.speedMetersPerSecond,
+          activity: this.getActivityAt(new Date(positionRecord.timestamp).getTime())
         };
 
         this.addLocationPoint(
@@ -253,6 +257,9 @@ class TimelineEditsParserService {
 
   /**
    * Process activity record from raw signal
+   * Activity records carry no location. The most probable detected activity
+   * extends the current activity window, which labels position records that
+   * follow it.
    * @param {Object} activityRecord - Activity record data
    * @returns {number} Number of location points processed
    */
@@ -260,15 +267,9 @@ class TimelineEditsParserService {
     let processedCount = 0;
 
     try {
-      if (activityRecord.timestamp) {
-        // Activity records may not have direct location but have timestamp
-        // We can use this for temporal interpolation
-        this.logger.debug(`Found activity record at ${activityRecord.timestamp}`);
-        
-        // If there are detected activities, log them for context
-        if (activityRecord.detectedActivities) {
-          this.logger.debug(`Activities: ${JSON.stringify(activityRecord.detectedActivities)}`);
-        }
+      const activity = getTopActivity(activityRecord.detectedActivities);
+      if (activity && this.isValidTimestamp(activityRecord.timestamp)) {
+        this.recordDetectedActivity(new Date(activityRecord.timestamp).getTime(), activity);
       }
 
     } catch (error) {
@@ -278,6 +279,38 @@ class TimelineEditsParserService {
     return processedCount;
   }
 
+  /**
+   * Extend the current activity window or start a new one
+   * The current window stays shared with any merged copy, so detections
+   * after a merge keep extending it.
+   * @param {number} timestampMs - Detection time
+   * @param {string} activity - Activity category
+   */
+  recordDetectedActivity(timestampMs, activity) {
+    const current = this.currentActivity;
+    if (current && current.activity === activity &&
+        timestampMs >= current.endMs && timestampMs - current.endMs <= ACTIVITY_SAMPLE_GAP_MS) {
+      current.endMs = timestampMs;
+      return;
+    }
+
+    this.currentActivity = { startMs: timestampMs, endMs: timestampMs, activity, source: 'timeline_edits_activity' };
+    this.activitySegments.push(this.currentActivity);
+  }
+
+  /**
+   * Get the activity detected shortly before a timestamp
+   * @param {number} timestampMs - Timestamp in milliseconds
+   * @returns {string|null} Activity category or null
+   */
+  getActivityAt(timestampMs) {
+    const current = this.currentActivity;
+    if (current && timestampMs >= current.startMs && timestampMs - current.endMs <= ACTIVITY_SAMPLE_GAP_MS) {
+      return current.activity;
+    }
+    return null;
+  }
+
   /**
    * Process location record from raw signal
    * @param {Object} locationRecord - Location record data
@@ -435,6 +468,7 @@ class TimelineEditsParserService {
           accuracy,
           metadata
         });
+        this.timeIndex = null;
       }
       
     } catch (error) {
@@ -486,37 +520,44 @@ class TimelineEditsParserService {
     );
   }
 
+  /**
+   * Get the sorted time index over locationData, rebuilding it if stale
+   * @returns {TimeIndex} Time index
+   */
+  getTimeIndex() {
+    if (!this.timeIndex || this.timeIndex.size !== this.locationData.size) {
+      this.timeIndex = new TimeIndex(this.locationData);
+    }
+    return this.timeIndex;
+  }
+
   /**
    * Get all location data as array (compatible with TimelineParserService)
-   * @returns {Array} Array of location records
+   * @returns {Array} Array of location records sorted by timestamp
    */
   getLocationDataArray() {
+    const timeIndex = this.getTimeIndex();
     const locationArray = [];
     
-    for (const [timestamp, location] of this.locationData) {
-      try {
-        const date = new Date(timestamp);
-        if (isNaN(date.getTime())) {
-          this.logger.debug(`Skipping invalid timestamp in locationData: ${timestamp}`);
-          continue;
-        }
-        
-        locationArray.push({
-          timestamp: date.toISOString(),
-          latitude: location.latitude,
-          longitude: location.longitude,
-          source: location.source,
-          accuracy: location.accuracy,
-          metadata: location.metadata
-        });
-      } catch (error) {
-        this.logger.debug(`Error processing timestamp ${timestamp}: ${error.message}`);
+    for (let i = 0; i < timeIndex.size; i++) {
+      const { timestampMs, record: location } = timeIndex.entryAt(i);
+      const date = new Date(timestampMs);
+      if (isNaN(date.getTime())) {
+        this.logger.debug(`Skipping invalid timestamp in locationData: ${timestampMs}`);
         continue;
       }
+      
+      locationArray.push({
+        timestamp: date.toISOString(),
+        latitude: location.latitude,
+        longitude: location.longitude,
+        source: location.source,
+        accuracy: location.accuracy,
+        metadata: location.metadata
+      });
     }
     
-    // Sort by timestamp
-    return locationArray.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    return locationArray;
   }
 
   /**
@@ -528,30 +569,17 @@ class TimelineEditsParserService {
   findCoordinatesForTimestamp(targetTimestamp, toleranceMinutes = 60) {
     if (!targetTimestamp) return null;
     
-    const targetMs = targetTimestamp.getTime();
-    const toleranceMs = toleranceMinutes * 60 * 1000;
+    const nearest = this.getTimeIndex().findNearest(targetTimestamp.getTime(), toleranceMinutes * 60 * 1000);
+    if (!nearest) return null;
     
-    let bestMatch = null;
-    let bestDistance = Infinity;
-    
-    // Search for the closest timestamp within tolerance
-    for (const [timestamp, location] of this.locationData) {
-      const distance = Math.abs(timestamp - targetMs);
-      
-      if (distance <= toleranceMs && distance < bestDistance) {
-        bestMatch = {
-          latitude: location.latitude,
-          longitude: location.longitude,
-          source: location.source,
-          accuracy: location.accuracy,
-          timeDifference: distance / 1000 / 60, // minutes
-          metadata: location.metadata
-        };
-        bestDistance = distance;
-      }
-    }
-    
-    return bestMatch;
+    return {
+      latitude: nearest.record.latitude,
+      longitude: nearest.record.longitude,
+      source: nearest.record.source,
+      accuracy: nearest.record.accuracy,
+      timeDifference: nearest.distanceMs / 1000 / 60, // minutes
+      metadata: nearest.record.metadata
+    };
   }
 
   /**
@@ -581,6 +609,8 @@ class TimelineEditsParserService {
    */
   clearData() {
     this.locationData.clear();
+    this.timeIndex = null;
+    this.activitySegments = [];
   }
 }
 
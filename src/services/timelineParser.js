@@ -11,26 +11,49 @@ import { readFile, writeFile } from 'fs/promises';
 import { existsSync } from 'fs';
 import { join } from 'path';
 import TimelineEditsParserService from './timelineEditsParser.js';
+import OnDeviceTimelineParserService, { ON_DEVICE_TIMELINE_KEYS } from './onDeviceTimelineParser.js';
+import { TimeIndex, TimeWindowIndex } from '../utils/timeIndex.js';
+import { normalizeActivityType } from '../utils/activity.js';
+import { findTakeoutFiles } from '../utils/takeout.js';
+import { resolvePath } from '../utils/input.js';
+import { streamArrayElements } from '../utils/jsonStream.js';
+
+// Timeline Edits and on-device entries are merged into locationData in batches of this size
+const EDITS_MERGE_BATCH_SIZE = 10000;
 
 /**
  * Service for parsing Google Maps timeline data
  */
 class TimelineParserService {
-  constructor(logger) {
+  constructor(logger, config = {}) {
     this.logger = logger;
+    this.config = {
+      takeoutPath: null,          // Google Takeout folder with Semantic Location History and Records.json
+      timelinePath: null,         // Timeline JSON file to load instead of data/Timeline Edits.json or data/Timeline.json
+      ...config
+    };
     this.timelineData = [];
     this.locationData = new Map();
+    this.timeIndex = null; // Rebuilt lazily after locationData changes
+    this.timelineFormat = null; // Detected format of the last loaded timeline file
+    this.frequentPlaces = [];   // Frequent places from an on-device export profile
+    this.activitySegments = []; // {startMs, endMs, activity, source} windows of known activity
+    this.placeVisits = [];      // {startMs, endMs, latitude, longitude, accuracy, name, address, placeId, source} stays at a place
+    this.activityIndex = null;  // Window indexes, rebuilt lazily after their arrays change like timeIndex
+    this.placeVisitIndex = null;
     
     // File paths
     this.timelineEditsPath = join(process.cwd(), 'data', 'Timeline Edits.json');
+    this.timelineJsonPath = join(process.cwd(), 'data', 'Timeline.json'); // Legacy and on-device export name
     this.locationJsonPath = join(process.cwd(), 'data', 'location.json');
   }
 
   /**
    * Load and process timeline data
+   * @param {Object} options - {onProgress({bytesRead, totalBytes, elements})} for streaming progress
    * @returns {Promise<void>}
    */
-  async loadTimelineData() {
+  async loadTimelineData(options = {}) {
     this.logger.info('Loading timeline data...');
     
     try {
@@ -38,9 +61,19 @@ class TimelineParserService {
       await this.loadExistingLocationData();
       
       // Load and process timeline file if it exists
-      if (existsSync(this.timelineEditsPath)) {
-        await this.loadTimelineFile();
-      } else {
+      const timelineFilePath = this.config.timelinePath
+        ? resolvePath(this.config.timelinePath)
+        : [this.timelineEditsPath, this.timelineJsonPath].find(path => existsSync(path));
+      if (timelineFilePath) {
+        await this.loadTimelineFile({ ...options, filePath: timelineFilePath });
+      }
+      
+      // Merge a Google Takeout location history folder if configured
+      if (this.config.takeoutPath) {
+        await this.loadTakeoutDirectory(resolvePath(this.config.takeoutPath), options);
+      }
+      
+      if (!timelineFilePath && !this.config.takeoutPath) {
         this.logger.warn('Timeline file not found, using existing location data only');
       }
       
@@ -53,25 +86,83 @@ class TimelineParserService {
   }
 
   /**
-   * Load and process timeline file (supports both standard and edits formats)
+   * Load and process timeline file
+   * Supports the standard (timelineObjects), Timeline Edits (timelineEdits) and
+   * on-device (semanticSegments/rawSignals) formats. Entries are streamed one
+   * at a time so multi-gigabyte exports do not have to fit in memory.
+   * @param {Object} options - {filePath, onProgress} file to load (defaults to timelineEditsPath) and progress callback
    * @returns {Promise<void>}
    */
-  async loadTimelineFile() {
+  async loadTimelineFile(options = {}) {
+    const editsParser = new TimelineEditsParserService(this.logger);
+    const onDeviceParser = new OnDeviceTimelineParserService(this.logger);
+    const counts = { timelineObjects: 0, skippedObjects: 0, timelineEdits: 0, editPoints: 0, onDeviceEntries: 0, onDevicePoints: 0 };
+    let nextProgressLog = 10;
+    
     try {
-      const timelineJson = await readFile(this.timelineEditsPath, 'utf8');
-      const timelineData = JSON.parse(timelineJson);
+      const stats = await streamArrayElements(
+        options.filePath || this.timelineEditsPath,
+        ['timelineObjects', 'timelineEdits', ...ON_DEVICE_TIMELINE_KEYS],
+        (element, key) => {
+          if (key === 'timelineObjects') {
+            if (this.processTimelineObject(element)) {
+              counts.timelineObjects++;
+            } else {
+              counts.skippedObjects++;
+            }
+          } else if (key === 'timelineEdits') {
+            counts.editPoints += editsParser.processTimelineEdit(element);
+            counts.timelineEdits++;
+            
+            // Keep the edits parser small; it only buffers between merges
+            if (counts.timelineEdits % EDITS_MERGE_BATCH_SIZE === 0) {
+              this.mergeLocationData(editsParser);
+            }
+          } else {
+            counts.onDevicePoints += onDeviceParser.processEntry(element, key);
+            counts.onDeviceEntries++;
+            
+            if (counts.onDeviceEntries % EDITS_MERGE_BATCH_SIZE === 0) {
+              this.mergeLocationData(onDeviceParser);
+            }
+          }
+        },
+        {
+          onProgress: (progress) => {
+            const percent = progress.totalBytes > 0 ? (progress.bytesRead / progress.totalBytes) * 100 : 100;
+            if (percent >= nextProgressLog) {
+              this.logger.info(`Timeline loading ${Math.floor(percent)}% (${progress.elements} entries)`);
+              nextProgressLog = Math.floor(percent / 10) * 10 + 10;
+            }
+            if (options.onProgress) {
+              options.onProgress(progress);
+            }
+          },
+          logger: this.logger
+        }
+      );
       
-      // Detect format and process accordingly
-      if (timelineData.timelineObjects) {
-        this.logger.info('Processing standard Timeline format...');
-        await this.processStandardTimeline(timelineData);
-      } else if (timelineData.timelineEdits) {
-        this.logger.info('Processing Timeline Edits format...');
-        await this.processTimelineEdits(timelineData);
-      } else {
-        this.logger.warn('Unknown timeline format detected');
-        // Try to process as Timeline Edits anyway
-        await this.processTimelineEdits(timelineData);
+      this.mergeLocationData(editsParser);
+      this.mergeLocationData(onDeviceParser);
+      this.frequentPlaces = onDeviceParser.frequentPlaces;
+      
+      this.timelineFormat = this.detectTimelineFormat(stats);
+      this.logger.info(`Detected timeline format: ${this.timelineFormat}`);
+      
+      if (stats.arrays.timelineObjects !== undefined) {
+        this.logger.info(`Processed ${counts.timelineObjects} timeline objects, skipped ${counts.skippedObjects}`);
+      }
+      if (stats.arrays.timelineEdits !== undefined) {
+        this.logger.info(`Processed ${counts.editPoints} location points from Timeline Edits format`);
+      }
+      if (this.timelineFormat === 'on_device') {
+        this.logger.info(`Processed ${counts.onDevicePoints} location points from ${stats.arrays.semanticSegments || 0} semantic segments and ${stats.arrays.rawSignals || 0} raw signals`);
+      }
+      if (this.timelineFormat === 'unknown') {
+        this.logger.warn(`Unknown timeline format detected (top-level keys: ${stats.keys.join(', ') || 'none'})`);
+      }
+      if (stats.errors > 0) {
+        this.logger.warn(`Skipped ${stats.errors} unparseable timeline entries`);
       }
       
     } catch (error) {
@@ -81,63 +172,143 @@ class TimelineParserService {
   }
 
   /**
-   * Process standard timeline format
-   * @param {Object} timelineData - Timeline data
-   * @returns {Promise<void>}
+   * Load a Google Takeout location history folder
+   * Every monthly Semantic Location History file and Records.json are streamed
+   * into locationData; points sharing a timestamp keep the most accurate record.
+   * @param {string} takeoutPath - Takeout root or location history directory
+   * @param {Object} options - {onProgress} streaming progress callback for Records.json
+   * @returns {Promise<Object>} Counts {semanticFiles, timelineObjects, records}
    */
-  async processStandardTimeline(timelineData) {
-    let processedCount = 0;
-    let skippedCount = 0;
-    
-    // Process timeline entries
-    if (timelineData.timelineObjects) {
-      for (const timelineObject of timelineData.timelineObjects) {
-        if (timelineObject.activitySegment) {
-          this.processActivitySegment(timelineObject.activitySegment);
-          processedCount++;
-        } else if (timelineObject.placeVisit) {
-          this.processPlaceVisit(timelineObject.placeVisit);
-          processedCount++;
-        } else {
-          skippedCount++;
+  async loadTakeoutDirectory(takeoutPath, options = {}) {
+    const counts = { semanticFiles: 0, timelineObjects: 0, skippedObjects: 0, records: 0, skippedRecords: 0 };
+    
+    try {
+      if (!existsSync(takeoutPath)) {
+        this.logger.warn(`Takeout folder not found: ${takeoutPath}`);
+        return counts;
+      }
+      
+      const { semanticFiles, recordsFile } = await findTakeoutFiles(takeoutPath);
+      this.logger.info(`Found ${semanticFiles.length} monthly Semantic Location History files${recordsFile ? ' and Records.json' : ''} in ${takeoutPath}`);
+      
+      for (const { filePath } of semanticFiles) {
+        const stats = await streamArrayElements(filePath, ['timelineObjects'], (timelineObject) => {
+          if (this.processTimelineObject(timelineObject)) {
+            counts.timelineObjects++;
+          } else {
+            counts.skippedObjects++;
+          }
+        }, { logger: this.logger });
+        
+        counts.semanticFiles++;
+        if (stats.errors > 0) {
+          this.logger.warn(`Skipped ${stats.errors} unparseable entries in ${filePath}`);
+        }
+      }
+      
+      if (recordsFile) {
+        const stats = await streamArrayElements(recordsFile, ['locations'], (record) => {
+          if (this.processRecordsLocation(record)) {
+            counts.records++;
+          } else {
+            counts.skippedRecords++;
+          }
+        }, { onProgress: options.onProgress, logger: this.logger });
+        
+        if (stats.errors > 0) {
+          this.logger.warn(`Skipped ${stats.errors} unparseable entries in Records.json`);
         }
       }
+      
+      this.logger.info(`Processed ${counts.timelineObjects} timeline objects from ${counts.semanticFiles} monthly files and ${counts.records} Records.json locations, skipped ${counts.skippedObjects + counts.skippedRecords}`);
+      return counts;
+      
+    } catch (error) {
+      this.logger.error('Failed to process Takeout folder:', error.message);
+      throw error;
     }
-    
-    this.logger.info(`Processed ${processedCount} timeline objects, skipped ${skippedCount}`);
   }
 
   /**
-   * Process Timeline Edits format using dedicated parser
-   * @param {Object} timelineData - Timeline edits data
-   * @returns {Promise<void>}
+   * Process a single Records.json location
+   * Older exports carry timestampMs (epoch milliseconds as a string) instead
+   * of an ISO timestamp.
+   * @param {Object} record - Records.json location entry
+   * @returns {boolean} True if the record had a usable timestamp
    */
-  async processTimelineEdits(timelineData) {
-    const editsParser = new TimelineEditsParserService(this.logger);
-    
-    // Process the timeline edits data
-    let processedCount = 0;
+  processRecordsLocation(record) {
+    const timestampMs = Number(record.timestampMs);
+    const timestamp = record.timestamp ||
+      (Number.isFinite(timestampMs) && timestampMs > 0 ? new Date(timestampMs).toISOString() : null);
     
-    if (timelineData.timelineEdits) {
-      for (const edit of timelineData.timelineEdits) {
-        const processed = editsParser.processTimelineEdit(edit);
-        processedCount += processed;
-      }
+    if (!timestamp || !this.isValidTimestamp(timestamp)) {
+      return false;
     }
     
-    // Merge the location data from the edits parser
-    const editsLocationData = editsParser.getLocationDataArray();
-    editsLocationData.forEach(record => {
-      const timestampMs = new Date(record.timestamp).getTime();
+    this.addLocationPoint(timestamp, record, 'takeout_records');
+    return true;
+  }
+
+  /**
+   * Detect the timeline export format from the top-level properties seen
+   * @param {Object} stats - Streaming stats {arrays, objects}
+   * @returns {string} 'standard', 'timeline_edits', 'on_device' or 'unknown'
+   */
+  detectTimelineFormat(stats) {
+    const has = key => stats.arrays[key] !== undefined || stats.objects?.[key] !== undefined;
+    
+    if (has('timelineObjects')) return 'standard';
+    if (has('timelineEdits')) return 'timeline_edits';
+    if (has('semanticSegments') || has('rawSignals')) return 'on_device';
+    return 'unknown';
+  }
+
+  /**
+   * Process a single entry of the standard timeline format
+   * @param {Object} timelineObject - Timeline object
+   * @returns {boolean} True if the object was recognised
+   */
+  processTimelineObject(timelineObject) {
+    if (timelineObject.activitySegment) {
+      this.processActivitySegment(timelineObject.activitySegment);
+      return true;
+    }
+    if (timelineObject.placeVisit) {
+      this.processPlaceVisit(timelineObject.placeVisit);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Move location data collected by a format-specific parser into locationData
+   * Activity windows and place visits move with it. As in addLocationPoint, a
+   * point only replaces an existing one at the same timestamp when it is more
+   * accurate. The parser is cleared so it can keep buffering further entries.
+   * @param {TimelineEditsParserService|OnDeviceTimelineParserService} parser - Parser instance
+   */
+  mergeLocationData(parser) {
+    for (const [timestampMs, record] of parser.locationData) {
+      const existing = this.locationData.get(timestampMs);
+      const accuracy = record.accuracy;
+      if (existing && !(accuracy && (!existing.accuracy || accuracy < existing.accuracy))) {
+        continue;
+      }
       this.locationData.set(timestampMs, {
         latitude: record.latitude,
         longitude: record.longitude,
         source: record.source,
-        accuracy: record.accuracy
+        accuracy: record.accuracy,
+        altitude: Number.isFinite(record.metadata?.altitudeMeters) ? record.metadata.altitudeMeters : null,
+        activity: record.metadata?.activity || null
       });
-    });
-    
-    this.logger.info(`Processed ${processedCount} location points from Timeline Edits format`);
+    }
+    this.activitySegments.push(...parser.activitySegments);
+    this.placeVisits.push(...(parser.placeVisits || []));
+    parser.clearData();
+    this.timeIndex = null;
+    this.activityIndex = null;
+    this.placeVisitIndex = null;
   }
 
   /**
@@ -158,10 +329,13 @@ class TimelineParserService {
               latitude: record.latitude,
               longitude: record.longitude,
               source: record.source || 'location.json',
-              accuracy: record.accuracy || null
+              accuracy: record.accuracy || null,
+              altitude: Number.isFinite(record.altitude) ? record.altitude : null,
+              activity: record.activity || null
             });
           }
         });
+        this.timeIndex = null;
         
         this.logger.info(`Loaded ${locationArray.length} existing location records`);
       }
@@ -172,16 +346,30 @@ class TimelineParserService {
 
   /**
    * Process activity segment from timeline
+   * The activity type is kept on every point of the segment and the segment's
+   * duration is recorded as an activity window.
    * @param {Object} activitySegment - Activity segment data
    */
   processActivitySegment(activitySegment) {
     try {
+      const activity = normalizeActivityType(activitySegment.activityType || activitySegment.activities?.[0]?.activityType);
+      
+      if (activity) {
+        this.addActivitySegment(
+          activitySegment.duration?.startTimestamp,
+          activitySegment.duration?.endTimestamp,
+          activity,
+          'timeline_activity'
+        );
+      }
+      
       // Process start location
       if (activitySegment.startLocation) {
         this.addLocationPoint(
           activitySegment.duration?.startTimestamp,
           activitySegment.startLocation,
-          'timeline_activity_start'
+          'timeline_activity_start',
+          { activity }
         );
       }
       
@@ -190,7 +378,8 @@ class TimelineParserService {
         this.addLocationPoint(
           activitySegment.duration?.endTimestamp,
           activitySegment.endLocation,
-          'timeline_activity_end'
+          'timeline_activity_end',
+          { activity }
         );
       }
       
@@ -206,7 +395,8 @@ class TimelineParserService {
           this.addLocationPoint(
             new Date(waypointTime).toISOString(),
             waypoint,
-            'timeline_waypoint'
+            'timeline_waypoint',
+            { activity }
           );
         });
       }
@@ -218,6 +408,8 @@ class TimelineParserService {
 
   /**
    * Process place visit from timeline
+   * The visit's duration is recorded with the place's name, address and placeId
+   * so photos taken during it snap to the place and can be labelled with it.
    * @param {Object} placeVisit - Place visit data
    */
   processPlaceVisit(placeVisit) {
@@ -231,9 +423,17 @@ class TimelineParserService {
           this.addLocationPoint(
             timestamp,
             placeVisit.location,
-            'timeline_place_visit'
+            'timeline_place_visit',
+            { activity: 'still' }
           );
         }
+        
+        this.addPlaceVisit(
+          placeVisit.duration?.startTimestamp,
+          placeVisit.duration?.endTimestamp,
+          placeVisit.location,
+          'timeline_place_visit'
+        );
       }
     } catch (error) {
       this.logger.debug('Failed to process place visit:', error.message);
@@ -245,8 +445,9 @@ class TimelineParserService {
    * @param {string} timestamp - ISO timestamp
    * @param {Object} location - Location data from timeline
    * @param {string} source - Source identifier
+   * @param {Object} details - Optional {activity} the point was recorded during
    */
-  addLocationPoint(timestamp, location, source) {
+  addLocationPoint(timestamp, location, source, details = {}) {
     if (!timestamp || !location) return;
     
     try {
@@ -256,29 +457,9 @@ class TimelineParserService {
         return;
       }
       
-      // Extract coordinates
-      let latitude, longitude, accuracy;
-      
-      if (location.latitudeE7 && location.longitudeE7) {
-        // E7 format (multiply by 10^-7)
-        latitude = location.latitudeE7 / 10000000;
-        longitude = location.longitudeE7 / 10000000;
-      } else if (location.latitude && location.longitude) {
-        // Direct decimal format
-        latitude = location.latitude;
-        longitude = location.longitude;
-      } else {
-        return; // No valid coordinates
-      }
-      
-      // Skip invalid coordinates (null placeholders)
-      if (latitude === 0 && longitude === 0) return;
-      if (!this.isValidCoordinate(latitude, longitude)) return;
-      
-      // Extract accuracy if available
-      if (location.accuracy) {
-        accuracy = location.accuracy;
-      }
+      const coordinates = this.parseLocation(location);
+      if (!coordinates) return;
+      const { latitude, longitude, accuracy, altitude } = coordinates;
       
       const timestampMs = new Date(timestamp).getTime();
       
@@ -290,8 +471,11 @@ class TimelineParserService {
           latitude,
           longitude,
           source,
-          accuracy
+          accuracy,
+          altitude,
+          activity: details.activity || null
         });
+        this.timeIndex = null;
       }
       
     } catch (error) {
@@ -299,6 +483,147 @@ class TimelineParserService {
     }
   }
 
+  /**
+   * Read coordinates from a timeline location
+   * @param {Object} location - Location in E7 or decimal form
+   * @returns {Object|null} {latitude, longitude, accuracy, altitude} or null if unusable
+   */
+  parseLocation(location) {
+    let latitude, longitude, accuracy, altitude = null;
+    
+    if (location.latitudeE7 && location.longitudeE7) {
+      // E7 format (multiply by 10^-7)
+      latitude = location.latitudeE7 / 10000000;
+      longitude = location.longitudeE7 / 10000000;
+    } else if (location.latitude && location.longitude) {
+      // Direct decimal format
+      latitude = location.latitude;
+      longitude = location.longitude;
+    } else {
+      return null; // No valid coordinates
+    }
+    
+    // Skip invalid coordinates (null placeholders)
+    if (latitude === 0 && longitude === 0) return null;
+    if (!this.isValidCoordinate(latitude, longitude)) return null;
+    
+    // Extract accuracy if available
+    if (location.accuracy) {
+      accuracy = location.accuracy;
+    }
+    
+    // Extract altitude (metres) if available
+    const rawAltitude = location.altitude ?? location.altitudeMeters;
+    if (Number.isFinite(rawAltitude)) {
+      altitude = rawAltitude;
+    }
+    
+    return { latitude, longitude, accuracy, altitude };
+  }
+
+  /**
+   * Record a window during which an activity was detected
+   * @param {string} startTimestamp - Window start
+   * @param {string} endTimestamp - Window end
+   * @param {string} activity - Activity category
+   * @param {string} source - Source identifier
+   */
+  addActivitySegment(startTimestamp, endTimestamp, activity, source) {
+    if (!activity || !this.isValidTimestamp(startTimestamp) || !this.isValidTimestamp(endTimestamp)) return;
+    
+    this.activitySegments.push({
+      startMs: new Date(startTimestamp).getTime(),
+      endMs: new Date(endTimestamp).getTime(),
+      activity,
+      source
+    });
+    this.activityIndex = null;
+  }
+
+  /**
+   * Record a stay at a place
+   * @param {string} startTimestamp - Arrival
+   * @param {string} endTimestamp - Departure
+   * @param {Object} location - Place location from timeline, with optional name, address and placeId
+   * @param {string} source - Source identifier
+   */
+  addPlaceVisit(startTimestamp, endTimestamp, location, source) {
+    if (!this.isValidTimestamp(startTimestamp) || !this.isValidTimestamp(endTimestamp)) return;
+    
+    const coordinates = this.parseLocation(location);
+    if (!coordinates) return;
+    
+    this.placeVisits.push({
+      startMs: new Date(startTimestamp).getTime(),
+      endMs: new Date(endTimestamp).getTime(),
+      latitude: coordinates.latitude,
+      longitude: coordinates.longitude,
+      accuracy: coordinates.accuracy || null,
+      name: location.name || null,
+      address: location.address || null,
+      placeId: location.placeId || null,
+      semanticType: location.semanticType || null,
+      source
+    });
+    this.placeVisitIndex = null;
+  }
+
+  /**
+   * Find the activity detected at a timestamp
+   * @param {Date} targetTimestamp - Target timestamp
+   * @returns {Object|null} {startMs, endMs, activity, source} or null if unknown
+   */
+  findActivity(targetTimestamp) {
+    if (!targetTimestamp) return null;
+    
+    if (!this.activityIndex) {
+      this.activityIndex = new TimeWindowIndex(this.activitySegments);
+    }
+    return this.activityIndex.findContaining(targetTimestamp.getTime());
+  }
+
+  /**
+   * Find the place visit in progress at a timestamp
+   * @param {Date} targetTimestamp - Target timestamp
+   * @returns {Object|null} Place visit or null
+   */
+  findPlaceVisit(targetTimestamp) {
+    if (!targetTimestamp) return null;
+    
+    if (!this.placeVisitIndex) {
+      this.placeVisitIndex = new TimeWindowIndex(this.placeVisits);
+    }
+    return this.placeVisitIndex.findContaining(targetTimestamp.getTime());
+  }
+
+  /**
+   * Get the sorted time index over locationData, rebuilding it if stale
+   * @returns {TimeIndex} Time index
+   */
+  getTimeIndex() {
+    if (!this.timeIndex || this.timeIndex.size !== this.locationData.size) {
+      this.timeIndex = new TimeIndex(this.locationData);
+    }
+    return this.timeIndex;
+  }
+
+  /**
+   * Convert an index entry to a location record
+   * @param {Object} entry - {timestampMs, record} from the time index
+   * @returns {Object} Location record with ISO timestamp; altitude and activity only when known
+   */
+  toLocationRecord(entry) {
+    return {
+      timestamp: new Date(entry.timestampMs).toISOString(),
+      latitude: entry.record.latitude,
+      longitude: entry.record.longitude,
+      source: entry.record.source,
+      accuracy: entry.record.accuracy,
+      ...(Number.isFinite(entry.record.altitude) && { altitude: entry.record.altitude }),
+      ...(entry.record.activity && { activity: entry.record.activity })
+    };
+  }
+
   /**
    * Find GPS coordinates for a given timestamp
    * @param {Date} targetTimestamp - Target timestamp
@@ -308,29 +633,48 @@ class TimelineParserService {
   findCoordinatesForTimestamp(targetTimestamp, toleranceMinutes = 60) {
     if (!targetTimestamp) return null;
     
-    const targetMs = targetTimestamp.getTime();
-    const toleranceMs = toleranceMinutes * 60 * 1000;
+    const nearest = this.getTimeIndex().findNearest(targetTimestamp.getTime(), toleranceMinutes * 60 * 1000);
+    if (!nearest) return null;
     
-    let bestMatch = null;
-    let bestDistance = Infinity;
+    return {
+      latitude: nearest.record.latitude,
+      longitude: nearest.record.longitude,
+      source: nearest.record.source,
+      accuracy: nearest.record.accuracy,
+      altitude: Number.isFinite(nearest.record.altitude) ? nearest.record.altitude : null,
+      activity: nearest.record.activity || null,
+      timeDifference: nearest.distanceMs / 1000 / 60 // minutes
+    };
+  }
+
+  /**
+   * Find the location records immediately before and after a timestamp
+   * @param {Date} targetTimestamp - Target timestamp
+   * @param {number} maxSpanMinutes - Maximum time between the two records in minutes
+   * @returns {Object|null} {before, after} location records or null
+   */
+  findBracketingPoints(targetTimestamp, maxSpanMinutes = 120) {
+    if (!targetTimestamp) return null;
     
-    // Search for the closest timestamp within tolerance
-    for (const [timestamp, location] of this.locationData) {
-      const distance = Math.abs(timestamp - targetMs);
-      
-      if (distance <= toleranceMs && distance < bestDistance) {
-        bestMatch = {
-          latitude: location.latitude,
-          longitude: location.longitude,
-          source: location.source,
-          accuracy: location.accuracy,
-          timeDifference: distance / 1000 / 60 // minutes
-        };
-        bestDistance = distance;
-      }
-    }
+    const bracket = this.getTimeIndex().findBracket(targetTimestamp.getTime(), maxSpanMinutes * 60 * 1000);
+    if (!bracket) return null;
     
-    return bestMatch;
+    return {
+      before: this.toLocationRecord(bracket.before),
+      after: this.toLocationRecord(bracket.after)
+    };
+  }
+
+  /**
+   * Get location records within a time range
+   * @param {Date} startTimestamp - Range start (inclusive)
+   * @param {Date} endTimestamp - Range end (inclusive)
+   * @returns {Array} Location records in time order
+   */
+  findLocationsInRange(startTimestamp, endTimestamp) {
+    return this.getTimeIndex()
+      .findInRange(startTimestamp.getTime(), endTimestamp.getTime())
+      .map(entry => this.toLocationRecord(entry));
   }
 
   /**
@@ -364,35 +708,25 @@ class TimelineParserService {
 
   /**
    * Get all location data as array
-   * @returns {Array} Array of location records
+   * @returns {Array} Array of location records sorted by timestamp
    */
   getLocationDataArray() {
+    const timeIndex = this.getTimeIndex();
     const locationArray = [];
     
-    for (const [timestamp, location] of this.locationData) {
-      try {
-        // Validate timestamp before creating Date object
-        const date = new Date(timestamp);
-        if (isNaN(date.getTime())) {
-          this.logger.debug(`Skipping invalid timestamp in locationData: ${timestamp}`);
-          continue;
-        }
-        
-        locationArray.push({
-          timestamp: date.toISOString(),
-          latitude: location.latitude,
-          longitude: location.longitude,
-          source: location.source,
-          accuracy: location.accuracy
-        });
-      } catch (error) {
-        this.logger.debug(`Error processing timestamp ${timestamp}: ${error.message}`);
+    for (let i = 0; i < timeIndex.size; i++) {
+      const entry = timeIndex.entryAt(i);
+      
+      // Validate timestamp before creating Date object
+      if (isNaN(new Date(entry.timestampMs).getTime())) {
+        this.logger.debug(`Skipping invalid timestamp in locationData: ${entry.timestampMs}`);
         continue;
       }
+      
+      locationArray.push(this.toLocationRecord(entry));
     }
     
-    // Sort by timestamp
-    return locationArray.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    return locationArray;
   }
 
   /**
@@ -444,6 +778,7 @@ class TimelineParserService {
       source: `image:${filePath}`,
       accuracy: 1 // High accuracy for image GPS
     });
+    this.timeIndex = null;
   }
 
   /**
@@ -492,7 +827,10 @@ class TimelineParserService {
         start: locationArray[0].timestamp,
         end: locationArray[locationArray.length - 1].timestamp
       } : null,
-      sources
+      sources,
+      format: this.timelineFormat,
+      activitySegments: this.activitySegments.length,
+      placeVisits: this.placeVisits.length
     };
   }
 
@@ -501,7 +839,14 @@ class TimelineParserService {
    */
   clearData() {
     this.timelineData = [];
+    this.timelineFormat = null;
+    this.frequentPlaces = [];
     this.locationData.clear();
+    this.timeIndex = null;
+    this.activitySegments = [];
+    this.placeVisits = [];
+    this.activityIndex = null;
+    this.placeVisitIndex = null;
   }
 }
 
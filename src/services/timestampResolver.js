@@ -0,0 +1,301 @@
+/**
+ * Timestamp Resolver Service
+ *
+ * Resolves camera wall-clock timestamps to UTC instants so they can be matched
+ * against Google timeline data (which is always UTC). Honours EXIF offset tags
+ * and GPS date/time, then falls back to configured per-directory, per-camera
+ * and default zones. Optionally a zone is estimated from the timeline near the
+ * capture time, but only where the host zone is clearly wrong.
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+import { resolve, sep } from 'path';
+import { formatCameraSource } from '../utils/cameraSource.js';
+import { resolvePath } from '../utils/input.js';
+import {
+  localToUtc,
+  hostLocalToUtc,
+  formatOffset,
+  isValidTimeZone,
+  parseOffset,
+  estimateOffsetFromLongitude
+} from '../utils/timezone.js';
+
+/**
+ * Service for resolving image timestamps to UTC
+ */
+class TimestampResolverService {
+  constructor(config = {}, logger) {
+    this.config = {
+      defaultZone: null,              // IANA zone or offset; null uses the host zone
+      directoryZones: {},             // { '/photos/japan-2024': 'Asia/Tokyo' }
+      cameraZones: {},                // { 'Canon EOS R5': '+09:00' }
+      inferFromTimeline: false,       // Estimate zone from timeline position when the host zone is clearly wrong
+      hostZoneMarginMinutes: 120,     // Estimates this close to the host offset keep the host zone
+      inferenceWindowHours: 14,       // Maximum possible UTC offset to search
+      inferenceToleranceMinutes: 180, // Tolerance when confirming an inferred zone
+      ...config
+    };
+    this.logger = logger;
+    this.timelineParser = null;
+
+    // Normalise directory keys once so prefix matching is cheap and consistent
+    this.directoryZones = Object.entries(this.config.directoryZones || {})
+      .map(([directory, zone]) => ({ directory: resolvePath(directory), zone }))
+      .sort((a, b) => b.directory.length - a.directory.length);
+
+    this.validateZones();
+  }
+
+  /**
+   * Set timeline parser reference
+   * @param {TimelineParserService} timelineParser - Timeline parser instance
+   */
+  setTimelineParser(timelineParser) {
+    this.timelineParser = timelineParser;
+  }
+
+  /**
+   * Warn about configured zones the runtime cannot interpret
+   */
+  validateZones() {
+    const configured = [
+      ['defaultZone', this.config.defaultZone],
+      ...this.directoryZones.map(entry => [entry.directory, entry.zone]),
+      ...Object.entries(this.config.cameraZones || {})
+    ];
+
+    for (const [key, zone] of configured) {
+      if (zone !== null && zone !== undefined && !this.isUsableZone(zone)) {
+        this.logger.warn(`Ignoring invalid time zone for ${key}: ${zone}`);
+      }
+    }
+  }
+
+  /**
+   * Check whether a zone value is a valid offset or IANA zone name
+   * @param {string|number} zone - Zone value
+   * @returns {boolean} True if usable
+   */
+  isUsableZone(zone) {
+    return parseOffset(zone) !== null || isValidTimeZone(zone);
+  }
+
+  /**
+   * Resolve the UTC capture time for an image
+   * @param {Object} metadata - Metadata from ExifService.extractMetadata
+   * @param {string} filePath - Image file path
+   * @returns {Object|null} {timestamp, timezone} or null if no timestamp is available
+   */
+  resolveTimestamp(metadata, filePath) {
+    const info = metadata?.timestampInfo;
+
+    // File system timestamps are already absolute instants
+    if (!info?.localTime) {
+      if (metadata?.timestamp) {
+        return {
+          timestamp: metadata.timestamp,
+          timezone: this.createZoneRecord(-metadata.timestamp.getTimezoneOffset(), 'file_system')
+        };
+      }
+      return null;
+    }
+
+    const strategies = [
+      () => this.resolveFromOffsetTag(info),
+      () => this.resolveFromGpsTimestamp(info),
+      () => this.resolveFromDirectory(info, filePath),
+      () => this.resolveFromCamera(info, metadata.camera),
+      () => this.resolveFromZone(info, this.config.defaultZone, 'default_config'),
+      () => this.resolveFromTimeline(info)
+    ];
+
+    for (const strategy of strategies) {
+      const resolved = strategy();
+      if (resolved) {
+        this.logger.debug(`Resolved timestamp for ${filePath} via ${resolved.timezone.source}`, {
+          filePath,
+          localTime: info.raw,
+          utc: resolved.timestamp.toISOString(),
+          offset: resolved.timezone.offset,
+          stage: 'timestamp_resolution'
+        });
+        return resolved;
+      }
+    }
+
+    // Last resort: preserve the historic behaviour of interpreting in the host zone
+    const hostLocal = hostLocalToUtc(info.localTime);
+    if (!hostLocal) return null;
+
+    return {
+      timestamp: hostLocal.timestamp,
+      timezone: this.createZoneRecord(hostLocal.offsetMinutes, 'host_local')
+    };
+  }
+
+  /**
+   * Resolve using an EXIF OffsetTime* tag or an offset embedded in the date string
+   * QuickTime dates stored in UTC arrive here too, tagged with offsetSource.
+   * @param {Object} info - Timestamp info
+   * @returns {Object|null} Resolution or null
+   */
+  resolveFromOffsetTag(info) {
+    if (info.offsetMinutes === null || info.offsetMinutes === undefined) return null;
+    return this.resolveFromZone(info, info.offsetMinutes, info.offsetSource || 'exif_offset');
+  }
+
+  /**
+   * Resolve using GPSDateStamp/GPSTimeStamp, which are recorded in UTC
+   * The offset is derived from the difference to the camera clock and rounded
+   * to the nearest quarter hour so small clock errors do not leak into the zone.
+   * @param {Object} info - Timestamp info
+   * @returns {Object|null} Resolution or null
+   */
+  resolveFromGpsTimestamp(info) {
+    if (!info.gpsTimestamp) return null;
+
+    const { localTime } = info;
+    const wallClockMs = Date.UTC(localTime.year, localTime.month - 1, localTime.day,
+      localTime.hour, localTime.minute, localTime.second, localTime.millisecond || 0);
+    const differenceMinutes = (wallClockMs - info.gpsTimestamp.getTime()) / 60000;
+
+    if (Math.abs(differenceMinutes) > 14 * 60) {
+      this.logger.debug(`Ignoring GPS timestamp ${info.gpsTimestamp.toISOString()} - too far from camera clock`);
+      return null;
+    }
+
+    const offsetMinutes = Math.round(differenceMinutes / 15) * 15;
+    return this.resolveFromZone(info, offsetMinutes, 'gps_timestamp');
+  }
+
+  /**
+   * Resolve using the most specific configured directory zone
+   * @param {Object} info - Timestamp info
+   * @param {string} filePath - Image file path
+   * @returns {Object|null} Resolution or null
+   */
+  resolveFromDirectory(info, filePath) {
+    if (!filePath || this.directoryZones.length === 0) return null;
+
+    const absolutePath = resolve(filePath);
+    const match = this.directoryZones.find(({ directory }) =>
+      absolutePath === directory || absolutePath.startsWith(directory + sep));
+
+    return match ? this.resolveFromZone(info, match.zone, 'directory_config') : null;
+  }
+
+  /**
+   * Resolve using a configured camera zone
+   * Keys may be the full camera source string or just "Make Model".
+   * @param {Object} info - Timestamp info
+   * @param {Object} camera - Camera metadata
+   * @returns {Object|null} Resolution or null
+   */
+  resolveFromCamera(info, camera) {
+    const cameraZones = this.config.cameraZones || {};
+    if (!camera || Object.keys(cameraZones).length === 0) return null;
+
+    const candidates = [
+      formatCameraSource(camera),
+      [camera.make, camera.model].filter(Boolean).join(' '),
+      camera.model
+    ].filter(Boolean);
+
+    for (const key of candidates) {
+      if (cameraZones[key] !== undefined) {
+        return this.resolveFromZone(info, cameraZones[key], 'camera_config');
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Estimate the zone from where the timeline places the user around capture time
+   * The naive wall-clock time is within ±14h of the true instant, so the nearest
+   * timeline point gives a first longitude estimate; a second lookup at the
+   * corrected instant confirms it. The estimate is a whole-hour nautical zone
+   * without daylight saving, up to two hours off civil time, so it is only used
+   * when it is further than hostZoneMarginMinutes from the host zone, i.e. on a
+   * trip across several zones. The record is flagged approximate.
+   * @param {Object} info - Timestamp info
+   * @returns {Object|null} Resolution or null
+   */
+  resolveFromTimeline(info) {
+    if (!this.config.inferFromTimeline || !this.timelineParser) return null;
+
+    const { localTime } = info;
+    const naiveMs = Date.UTC(localTime.year, localTime.month - 1, localTime.day,
+      localTime.hour, localTime.minute, localTime.second, localTime.millisecond || 0);
+
+    const initial = this.timelineParser.findCoordinatesForTimestamp(
+      new Date(naiveMs), this.config.inferenceWindowHours * 60);
+    if (!initial) return null;
+
+    let offsetMinutes = estimateOffsetFromLongitude(initial.longitude);
+    if (offsetMinutes === null) return null;
+
+    const confirmed = this.timelineParser.findCoordinatesForTimestamp(
+      new Date(naiveMs - offsetMinutes * 60000), this.config.inferenceToleranceMinutes);
+    if (!confirmed) return null;
+
+    offsetMinutes = estimateOffsetFromLongitude(confirmed.longitude);
+
+    // Near home the host zone, with its daylight saving rules, is the better answer
+    const hostLocal = hostLocalToUtc(info.localTime);
+    if (hostLocal && Math.abs(offsetMinutes - hostLocal.offsetMinutes) <= this.config.hostZoneMarginMinutes) {
+      return null;
+    }
+
+    const resolved = this.resolveFromZone(info, offsetMinutes, 'timeline_inferred');
+    if (resolved) {
+      resolved.timezone.approximate = true;
+      resolved.timezone.inferredFrom = {
+        latitude: confirmed.latitude,
+        longitude: confirmed.longitude,
+        timeDifference: confirmed.timeDifference
+      };
+    }
+    return resolved;
+  }
+
+  /**
+   * Convert wall-clock time using a specific zone
+   * @param {Object} info - Timestamp info
+   * @param {string|number} zone - Offset minutes, offset string or IANA zone
+   * @param {string} source - Zone source identifier
+   * @returns {Object|null} Resolution or null
+   */
+  resolveFromZone(info, zone, source) {
+    if (zone === null || zone === undefined) return null;
+
+    const converted = localToUtc(info.localTime, zone);
+    if (!converted) return null;
+
+    const zoneName = typeof zone === 'string' && isValidTimeZone(zone) ? zone : null;
+    return {
+      timestamp: converted.timestamp,
+      timezone: this.createZoneRecord(converted.offsetMinutes, source, zoneName)
+    };
+  }
+
+  /**
+   * Build the zone record stored on image metadata
+   * @param {number} offsetMinutes - Offset in minutes east of UTC
+   * @param {string} source - Zone source identifier
+   * @param {string|null} zone - IANA zone name if known
+   * @returns {Object} Zone record
+   */
+  createZoneRecord(offsetMinutes, source, zone = null) {
+    return {
+      offset: formatOffset(offsetMinutes),
+      offsetMinutes,
+      zone,
+      source
+    };
+  }
+}
+
+export default TimestampResolverService;
@@ -0,0 +1,267 @@
+/**
+ * Track Import Service
+ *
+ * Imports GPS tracks recorded outside Google (phone GPX loggers, Google Earth
+ * KML/KMZ gx:Track files, Garmin FIT activities) and feeds their points into
+ * the timeline location store with a per-format source tag.
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+import { readFile, readdir, stat } from 'fs/promises';
+import { extname, join } from 'path';
+import { resolvePath } from '../utils/input.js';
+import { extractZipEntries } from '../utils/zip.js';
+import { decodeFitRecords } from '../utils/fitDecoder.js';
+
+// Importer definitions: file extensions and the source tag given to their points
+export const TRACK_IMPORTERS = {
+  gpx: { extensions: ['.gpx'], source: 'gpx_track' },
+  kml: { extensions: ['.kml', '.kmz'], source: 'kml_track' },
+  fit: { extensions: ['.fit'], source: 'fit_track' }
+};
+
+export const TRACK_SOURCES = Object.values(TRACK_IMPORTERS).map(importer => importer.source);
+
+/**
+ * Service for importing GPX, KML/KMZ and FIT tracks
+ */
+class TrackImportService {
+  constructor(config = {}, logger) {
+    this.config = {
+      gpx: { paths: [] },           // GPX 1.1 files or directories
+      kml: { paths: [] },           // KML/KMZ files or directories containing gx:Track
+      fit: { paths: [] },           // Garmin FIT activity files or directories
+      ...config
+    };
+    this.logger = logger;
+    this.timelineParser = null;
+  }
+
+  /**
+   * Set timeline parser reference
+   * @param {TimelineParserService} timelineParser - Timeline parser instance
+   */
+  setTimelineParser(timelineParser) {
+    this.timelineParser = timelineParser;
+  }
+
+  /**
+   * Check whether any track paths are configured
+   * @returns {boolean} True if at least one importer has paths
+   */
+  isConfigured() {
+    return Object.keys(TRACK_IMPORTERS).some(type => (this.config[type]?.paths || []).length > 0);
+  }
+
+  /**
+   * Import every configured track file into the timeline
+   * @returns {Promise<Object>} Per-importer counts {files, points, failed}
+   */
+  async importTracks() {
+    const summary = {};
+
+    for (const [type, importer] of Object.entries(TRACK_IMPORTERS)) {
+      const paths = this.config[type]?.paths || [];
+      summary[type] = { files: 0, points: 0, failed: 0 };
+      if (paths.length === 0) continue;
+
+      const files = await this.collectFiles(paths, importer.extensions);
+
+      for (const filePath of files) {
+        try {
+          const points = await this.parseFile(type, filePath);
+          summary[type].points += this.addPoints(points, importer.source);
+          summary[type].files++;
+        } catch (error) {
+          summary[type].failed++;
+          this.logger.warn(`Failed to import ${type.toUpperCase()} track ${filePath}: ${error.message}`);
+        }
+      }
+
+      this.logger.info(`Imported ${summary[type].points} points from ${summary[type].files} ${type.toUpperCase()} files`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Expand configured paths to track files
+   * Directories are searched recursively for the importer's extensions.
+   * @param {Array<string>} paths - Files or directories
+   * @param {Array<string>} extensions - Lower-case extensions including the dot
+   * @returns {Promise<Array<string>>} Track file paths
+   */
+  async collectFiles(paths, extensions) {
+    const files = [];
+
+    const walk = async (directory) => {
+      for (const entry of await readdir(directory, { withFileTypes: true })) {
+        const entryPath = join(directory, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else if (extensions.includes(extname(entry.name).toLowerCase())) {
+          files.push(entryPath);
+        }
+      }
+    };
+
+    for (const configuredPath of paths) {
+      const fullPath = resolvePath(configuredPath);
+      try {
+        const stats = await stat(fullPath);
+        if (stats.isDirectory()) {
+          await walk(fullPath);
+        } else {
+          files.push(fullPath);
+        }
+      } catch (error) {
+        this.logger.warn(`Track path not accessible: ${fullPath} (${error.message})`);
+      }
+    }
+
+    return files.sort();
+  }
+
+  /**
+   * Parse one track file
+   * @param {string} type - Importer type (gpx, kml, fit)
+   * @param {string} filePath - Track file path
+   * @returns {Promise<Array>} Points [{timestamp, latitude, longitude, altitude}]
+   */
+  async parseFile(type, filePath) {
+    const buffer = await readFile(filePath);
+
+    switch (type) {
+      case 'gpx':
+        return this.parseGpx(buffer.toString('utf8'));
+      case 'kml':
+        return this.parseKml(extname(filePath).toLowerCase() === '.kmz'
+          ? this.readKmz(buffer)
+          : buffer.toString('utf8'));
+      case 'fit':
+        return decodeFitRecords(buffer);
+      default:
+        throw new Error(`Unknown track type: ${type}`);
+    }
+  }
+
+  /**
+   * Parse GPX 1.1 track and route points
+   * Points without a time element cannot be matched to photos and are skipped.
+   * @param {string} xml - GPX document
+   * @returns {Array} Points
+   */
+  parseGpx(xml) {
+    const points = [];
+    const pointPattern = /<(trkpt|rtept)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+
+    for (const [, , attributes, body = ''] of xml.matchAll(pointPattern)) {
+      const latitude = parseFloat(this.getAttribute(attributes, 'lat'));
+      const longitude = parseFloat(this.getAttribute(attributes, 'lon'));
+      const time = this.getElementText(body, 'time');
+      const elevation = this.getElementText(body, 'ele');
+
+      if (!time || isNaN(latitude) || isNaN(longitude)) continue;
+
+      points.push({
+        timestamp: time,
+        latitude,
+        longitude,
+        altitude: elevation !== null ? parseFloat(elevation) : null
+      });
+    }
+
+    return points;
+  }
+
+  /**
+   * Parse KML gx:Track elements
+   * Each when element pairs with the gx:coord at the same position.
+   * @param {string} xml - KML document
+   * @returns {Array} Points
+   */
+  parseKml(xml) {
+    const points = [];
+
+    for (const [, track] of xml.matchAll(/<gx:Track\b[^>]*>([\s\S]*?)<\/gx:Track>/g)) {
+      const times = [...track.matchAll(/<when>([^<]*)<\/when>/g)].map(match => match[1].trim());
+      const coords = [...track.matchAll(/<gx:coord>([^<]*)<\/gx:coord>/g)].map(match => match[1].trim());
+
+      for (let i = 0; i < Math.min(times.length, coords.length); i++) {
+        const [longitude, latitude, altitude] = coords[i].split(/\s+/).map(parseFloat);
+        if (isNaN(latitude) || isNaN(longitude)) continue;
+
+        points.push({
+          timestamp: times[i],
+          latitude,
+          longitude,
+          altitude: isNaN(altitude) ? null : altitude
+        });
+      }
+    }
+
+    return points;
+  }
+
+  /**
+   * Read the KML document inside a KMZ archive
+   * @param {Buffer} buffer - KMZ contents
+   * @returns {string} KML document (doc.kml, or the first .kml entry)
+   */
+  readKmz(buffer) {
+    const entries = extractZipEntries(buffer, name => name.toLowerCase().endsWith('.kml'));
+    if (entries.length === 0) {
+      throw new Error('KMZ archive contains no KML document');
+    }
+
+    const document = entries.find(entry => entry.name.toLowerCase() === 'doc.kml') || entries[0];
+    return document.data.toString('utf8');
+  }
+
+  /**
+   * Add parsed points to the timeline
+   * @param {Array} points - Parsed points
+   * @param {string} source - Source tag
+   * @returns {number} Number of points offered to the timeline
+   */
+  addPoints(points, source) {
+    if (!this.timelineParser) {
+      throw new Error('Timeline parser not set');
+    }
+
+    for (const point of points) {
+      this.timelineParser.addLocationPoint(point.timestamp, {
+        latitude: point.latitude,
+        longitude: point.longitude,
+        altitude: point.altitude
+      }, source);
+    }
+
+    return points.length;
+  }
+
+  /**
+   * Read an XML attribute value
+   * @param {string} attributes - Attribute text of an element
+   * @param {string} name - Attribute name
+   * @returns {string|null} Value or null
+   */
+  getAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Read the text of a child element
+   * @param {string} xml - Element body
+   * @param {string} name - Child element name
+   * @returns {string|null} Trimmed text or null
+   */
+  getElementText(xml, name) {
+    const match = xml.match(new RegExp(`<${name}>([^<]*)</${name}>`));
+    return match ? match[1].trim() : null;
+  }
+}
+
+export default TrackImportService;
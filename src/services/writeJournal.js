@@ -0,0 +1,354 @@
+/**
+ * Write Journal Service
+ *
+ * Records the state of every image before GPS data is written to it: its
+ * prior GPS tags (or their absence), its hash and, optionally, a full backup.
+ * When place names are written too, the prior location tags are kept as well;
+ * names written on their own (create-geo.js) are undone without touching GPS.
+ * When GPS goes to an XMP sidecar instead, the sidecar is journaled; a
+ * sidecar the run created is deleted again on undo.
+ * Each run gets its own journal so a bad run can be undone as a whole or for
+ * a subset of images selected by directory or source.
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+import { appendFile, readFile, readdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, resolve, sep } from 'path';
+import {
+  atomicWrite,
+  calculateFileHash,
+  createBackup,
+  ensureDirectory,
+  safeDelete
+} from '../utils/fileOperations.js';
+
+/**
+ * Create a run identifier from the current time
+ * @returns {string} Sortable run id such as 2024-07-15T10-05-00-000Z
+ */
+export function createRunId() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Service for journaling image writes and undoing them
+ */
+class WriteJournalService {
+  constructor(config = {}, logger) {
+    this.config = {
+      directory: 'data/journal',  // One <runId>.jsonl journal per run
+      keepBackups: false,         // Copy each image beside itself before the first write
+      ...config
+    };
+    this.logger = logger;
+    this.exifService = null;
+    this.geolocationDb = null;
+    this.runId = null;
+  }
+
+  /**
+   * Set EXIF service reference
+   * @param {ExifService} exifService - EXIF service instance
+   */
+  setExifService(exifService) {
+    this.exifService = exifService;
+  }
+
+  /**
+   * Set geolocation database reference
+   * Undone images are removed from the database so they are not re-applied from cache.
+   * @param {GeolocationDatabaseService} geolocationDb - Database instance
+   */
+  setGeolocationDatabase(geolocationDb) {
+    this.geolocationDb = geolocationDb;
+  }
+
+  /**
+   * Start journaling a new run
+   * @param {string} runId - Run identifier (default: current time)
+   * @returns {string} Run identifier
+   */
+  startRun(runId = createRunId()) {
+    this.runId = runId;
+    return runId;
+  }
+
+  /**
+   * Get the journal path of a run
+   * @param {string} runId - Run identifier
+   * @returns {string} Journal file path
+   */
+  getJournalPath(runId = this.runId) {
+    return join(this.config.directory, `${runId}.jsonl`);
+  }
+
+  /**
+   * Get the backup suffix used for a run
+   * @param {string} runId - Run identifier
+   * @returns {string} Suffix passed to createBackup
+   */
+  getBackupSuffix(runId = this.runId) {
+    return `geo-images-${runId}.bak`;
+  }
+
+  /**
+   * Append a record to the current run's journal
+   * @param {Object} record - Journal record
+   * @returns {Promise<void>}
+   */
+  async append(record) {
+    if (!this.runId) {
+      this.startRun();
+    }
+    await ensureDirectory(this.config.directory);
+    await appendFile(this.getJournalPath(), JSON.stringify(record) + '\n', 'utf8');
+  }
+
+  /**
+   * Journal a file before it is modified
+   * @param {string} filePath - Image or sidecar path
+   * @param {string|null} source - Source of the coordinates about to be written
+   * @param {string} imagePath - Image the write is for, when filePath is its sidecar
+   * @param {boolean} includeLocation - Location name tags are about to be written too
+   * @param {boolean} includeGps - GPS tags are about to be written; false for place names alone
+   * @returns {Promise<Object>} Journal record
+   * @throws {Error} If the file cannot be read; the write must not go ahead unjournaled
+   */
+  async recordBefore(filePath, source = null, imagePath = filePath, includeLocation = false, includeGps = true) {
+    const record = {
+      type: 'before',
+      filePath: resolve(filePath),
+      imagePath: resolve(imagePath),
+      source,
+      created: !existsSync(filePath),
+      hashBefore: null,
+      priorGps: null,
+      includesGps: includeGps,
+      includesLocation: includeLocation,
+      priorLocation: null,
+      backupPath: null,
+      recordedAt: new Date().toISOString()
+    };
+
+    // A sidecar that does not exist yet has no prior state to keep
+    if (!record.created) {
+      record.hashBefore = await calculateFileHash(filePath);
+      if (!record.hashBefore) {
+        throw new Error(`Cannot journal ${filePath}: file not readable`);
+      }
+      record.priorGps = this.exifService ? await this.exifService.readGPSTags(filePath) : null;
+      if (includeLocation && this.exifService) {
+        record.priorLocation = await this.exifService.readLocationTags(filePath);
+      }
+      record.backupPath = this.config.keepBackups ? await createBackup(filePath, this.getBackupSuffix()) : null;
+    }
+
+    await this.append(record);
+    return record;
+  }
+
+  /**
+   * Journal an image after it was modified
+   * @param {string} filePath - Image path
+   * @returns {Promise<Object>} Journal record
+   */
+  async recordAfter(filePath) {
+    const record = {
+      type: 'after',
+      filePath: resolve(filePath),
+      hashAfter: await calculateFileHash(filePath),
+      recordedAt: new Date().toISOString()
+    };
+
+    await this.append(record);
+    return record;
+  }
+
+  /**
+   * List journaled runs, oldest first
+   * @returns {Promise<Array<string>>} Run identifiers
+   */
+  async listRuns() {
+    if (!existsSync(this.config.directory)) return [];
+
+    const files = await readdir(this.config.directory);
+    return files
+      .filter(name => name.endsWith('.jsonl'))
+      .map(name => name.slice(0, -'.jsonl'.length))
+      .sort();
+  }
+
+  /**
+   * Load a run's journal, merged to one entry per image
+   * The earliest before-record is kept so repeated writes undo to the original state;
+   * location tags come from the earliest record that wrote them.
+   * @param {string} runId - Run identifier
+   * @returns {Promise<Array>} Entries {filePath, imagePath, source, created, hashBefore, priorGps,
+   *   includesGps, includesLocation, priorLocation, backupPath, hashAfter, undone}
+   */
+  async loadRun(runId) {
+    const content = await readFile(this.getJournalPath(runId), 'utf8');
+    const entries = new Map();
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        // A crash can leave a partial last line
+        this.logger.warn(`Skipping unreadable journal line in ${runId}`);
+        continue;
+      }
+
+      const entry = entries.get(record.filePath);
+      if (record.type === 'before') {
+        if (!entry || entry.undone) {
+          entries.set(record.filePath, {
+            filePath: record.filePath,
+            imagePath: record.imagePath || record.filePath,
+            source: record.source,
+            created: record.created || false,
+            hashBefore: record.hashBefore,
+            priorGps: record.priorGps,
+            includesGps: record.includesGps !== false,
+            includesLocation: record.includesLocation || false,
+            priorLocation: record.priorLocation || null,
+            backupPath: record.backupPath,
+            hashAfter: null,
+            undone: false
+          });
+        } else {
+          if (record.includesGps !== false) {
+            entry.includesGps = true;
+          }
+          if (record.includesLocation && !entry.includesLocation) {
+            entry.includesLocation = true;
+            entry.priorLocation = record.priorLocation || null;
+          }
+        }
+      } else if (entry && record.type === 'after') {
+        entry.hashAfter = record.hashAfter;
+      } else if (entry && record.type === 'undo') {
+        entry.undone = true;
+      }
+    }
+
+    return [...entries.values()];
+  }
+
+  /**
+   * Restore images written during a run
+   * @param {string} runId - Run identifier
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.directory - Only images below this directory
+   * @param {string} filters.source - Only images written from this source
+   * @returns {Promise<Object>} Undo report {runId, summary, results}
+   */
+  async undoRun(runId, filters = {}) {
+    const directory = filters.directory ? resolve(filters.directory) : null;
+    const entries = (await this.loadRun(runId)).filter(entry =>
+      !entry.undone &&
+      (!directory || entry.imagePath === directory || entry.imagePath.startsWith(directory + sep)) &&
+      (!filters.source || entry.source === filters.source)
+    );
+
+    // Undo records go to the journal of the run being undone
+    const previousRunId = this.runId;
+    this.runId = runId;
+
+    const results = [];
+    try {
+      for (const entry of entries) {
+        results.push(await this.undoEntry(entry));
+      }
+    } finally {
+      this.runId = previousRunId;
+    }
+
+    const summary = { total: results.length, restored: 0, skipped: 0, changed: 0, failed: 0 };
+    for (const result of results) {
+      summary[result.status]++;
+    }
+
+    this.logger.info(`Undo of run ${runId}: ${summary.restored} restored, ${summary.skipped} skipped, ${summary.changed} changed since the run, ${summary.failed} failed`);
+
+    return { runId, undoneAt: new Date().toISOString(), filters, summary, results };
+  }
+
+  /**
+   * Restore a single journaled image
+   * A backup whose hash matches the journal is copied back; otherwise the
+   * prior GPS tags, and location tags if the run wrote them, are rewritten.
+   * Sidecars created by the run are deleted.
+   * @param {Object} entry - Merged journal entry
+   * @returns {Promise<Object>} Result {filePath, status, method, reason}
+   */
+  async undoEntry(entry) {
+    const result = { filePath: entry.filePath, status: 'restored', method: null, reason: null };
+
+    const currentHash = await calculateFileHash(entry.filePath);
+    if (!currentHash && entry.created) {
+      await this.cleanupEntry(entry, entry.includesGps);
+      return { ...result, status: 'skipped', reason: 'Sidecar already removed' };
+    }
+    if (!currentHash) {
+      return { ...result, status: 'failed', reason: 'Image not found or unreadable' };
+    }
+    if (currentHash === entry.hashBefore) {
+      await this.cleanupEntry(entry, false);
+      return { ...result, status: 'skipped', reason: 'Image was not modified' };
+    }
+    if (entry.hashAfter && currentHash !== entry.hashAfter) {
+      return { ...result, status: 'changed', reason: 'Image modified since the run' };
+    }
+
+    try {
+      if (entry.created) {
+        await safeDelete(entry.filePath);
+        result.method = 'delete';
+      } else if (entry.backupPath && await calculateFileHash(entry.backupPath) === entry.hashBefore) {
+        await atomicWrite(entry.filePath, await readFile(entry.backupPath));
+        result.method = 'backup';
+      } else {
+        if (entry.includesGps) {
+          await this.exifService.restoreGPSTags(entry.filePath, entry.priorGps);
+        }
+        if (entry.includesLocation) {
+          await this.exifService.restoreLocationTags(entry.filePath, entry.priorLocation);
+        }
+        result.method = entry.includesGps ? 'gps_tags' : 'location_tags';
+      }
+
+      // Place names alone leave the image's coordinates as they were
+      await this.cleanupEntry(entry, entry.includesGps);
+      return result;
+    } catch (error) {
+      this.logger.error(`Failed to undo ${entry.filePath}: ${error.message}`);
+      return { ...result, status: 'failed', reason: error.message };
+    }
+  }
+
+  /**
+   * Mark an entry undone, delete its backup and optionally forget its database record
+   * @param {Object} entry - Merged journal entry
+   * @param {boolean} forgetCoordinates - Remove the image from the geolocation database
+   * @returns {Promise<void>}
+   */
+  async cleanupEntry(entry, forgetCoordinates = true) {
+    await this.append({ type: 'undo', filePath: entry.filePath, recordedAt: new Date().toISOString() });
+
+    if (entry.backupPath && existsSync(entry.backupPath)) {
+      await safeDelete(entry.backupPath);
+    }
+
+    if (forgetCoordinates && this.geolocationDb) {
+      await this.geolocationDb.removeCoordinates(entry.imagePath);
+    }
+  }
+}
+
+export default WriteJournalService;
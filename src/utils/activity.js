@@ -0,0 +1,80 @@
+/**
+ * Activity Utility
+ *
+ * Maps the activity types found in Google timeline exports (standard
+ * activitySegment types, Timeline Edits detectedActivities and on-device
+ * topCandidate types) to a small set of categories, and describes how fast
+ * each category moves so interpolation can judge plausibility and confidence.
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+// Export type names (upper snake case) and the category each belongs to
+const ACTIVITY_CATEGORIES = {
+  STILL: 'still',
+  WALKING: 'walking',
+  ON_FOOT: 'walking',
+  RUNNING: 'walking',
+  HIKING: 'walking',
+  CYCLING: 'cycling',
+  ON_BICYCLE: 'cycling',
+  IN_PASSENGER_VEHICLE: 'driving',
+  IN_CAR: 'driving',
+  DRIVING: 'driving',
+  IN_TAXI: 'driving',
+  MOTORCYCLING: 'driving',
+  IN_VEHICLE: 'in_vehicle',
+  IN_ROAD_VEHICLE: 'in_vehicle',
+  IN_BUS: 'in_vehicle',
+  IN_RAIL_VEHICLE: 'in_vehicle',
+  IN_TRAIN: 'in_vehicle',
+  IN_SUBWAY: 'in_vehicle',
+  IN_TRAM: 'in_vehicle',
+  IN_FERRY: 'in_vehicle',
+  BOATING: 'in_vehicle',
+  FLYING: 'flying'
+};
+
+// Movement per category: typical speed scales nearest-point confidence, a bracket
+// implying more than maxSpeedKmh is not interpolated, and flights are never interpolated
+export const ACTIVITY_PROFILES = {
+  still: { typicalSpeedKmh: 0.5, maxSpeedKmh: 5, interpolate: true },
+  walking: { typicalSpeedKmh: 5, maxSpeedKmh: 15, interpolate: true },
+  cycling: { typicalSpeedKmh: 15, maxSpeedKmh: 50, interpolate: true },
+  driving: { typicalSpeedKmh: 50, maxSpeedKmh: 200, interpolate: true },
+  in_vehicle: { typicalSpeedKmh: 50, maxSpeedKmh: 350, interpolate: true },
+  flying: { typicalSpeedKmh: 700, maxSpeedKmh: 1100, interpolate: false }
+};
+
+/**
+ * Map an export activity type to its category
+ * Accepts IN_PASSENGER_VEHICLE as well as on-device spellings such as "in passenger vehicle".
+ * @param {string} type - Activity type from a timeline export
+ * @returns {string|null} still, walking, cycling, driving, in_vehicle, flying, or null if unknown
+ */
+export function normalizeActivityType(type) {
+  if (!type || typeof type !== 'string') return null;
+
+  const key = type.trim().toUpperCase().replace(/[\s-]+/g, '_');
+  return ACTIVITY_CATEGORIES[key] || null;
+}
+
+/**
+ * Pick the most probable known activity from a detectedActivities list
+ * @param {Array} detectedActivities - [{activityType|type, probability|confidence}]
+ * @returns {string|null} Activity category or null
+ */
+export function getTopActivity(detectedActivities) {
+  if (!Array.isArray(detectedActivities)) return null;
+
+  let best = null;
+  for (const detected of detectedActivities) {
+    const activity = normalizeActivityType(detected?.activityType || detected?.type);
+    const probability = Number(detected?.probability ?? detected?.confidence ?? 0);
+    if (activity && (!best || probability > best.probability)) {
+      best = { activity, probability };
+    }
+  }
+
+  return best ? best.activity : null;
+}
@@ -80,4 +80,19 @@ export function getCameraOrOriginalSource(camera, originalSource) {
   
   // Use camera-based attribution for EXIF sources
   return formatCameraSource(camera);
-}
\ No newline at end of file
+}
+/**
+ * Build a stable key identifying an individual camera body
+ * Uses make and model plus the body serial number when available, so two
+ * bodies of the same model can carry different clock offsets.
+ * @param {Object} camera - Camera metadata object with make, model, serial properties
+ * @returns {string|null} Camera key or null if the camera is unidentified
+ */
+export function getCameraKey(camera) {
+  if (!camera || typeof camera !== 'object' || (!camera.make && !camera.model)) {
+    return null;
+  }
+
+  const base = formatCameraSource({ make: camera.make, model: camera.model });
+  return camera.serial ? `${base} #${camera.serial}` : base;
+}
@@ -74,6 +74,166 @@ export function parseArguments(args = process.argv.slice(2), options = {}) {
   return parsed;
 }
 
+// Process exit codes for scripted use
+export const EXIT_CODES = {
+  SUCCESS: 0,          // Every image succeeded (or nothing needed doing)
+  FAILURE: 1,          // Fatal error, or every image failed
+  USAGE: 2,            // Invalid command line, or a confirmation was needed without a TTY
+  PARTIAL_FAILURE: 3   // Some images succeeded and some failed
+};
+
+/**
+ * Error for an invalid command line; exits with EXIT_CODES.USAGE
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+    this.exitCode = EXIT_CODES.USAGE;
+  }
+}
+
+/**
+ * Convert an option name such as --min-confidence to minConfidence
+ * @param {string} name - Option name with leading dashes
+ * @returns {string} camelCase key
+ */
+function optionKey(name) {
+  return name.replace(/^-+/, '').replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Parse a command line made of a subcommand, positional arguments and options
+ * Options take the forms --flag, -f, --name value and --name=value. When the
+ * first positional argument is not a known command, defaultCommand is used and
+ * every positional argument is kept.
+ * @param {Array} args - Command line arguments (default: process.argv.slice(2))
+ * @param {Object} spec - {commands: {name: {...}}, options: {'--name': {type, alias}}, defaultCommand}
+ * @returns {Object} {command, positionals, options, errors} with options keyed in camelCase
+ */
+export function parseCommandLine(args = process.argv.slice(2), spec = {}) {
+  const { commands = {}, options: optionSpecs = {}, defaultCommand = null } = spec;
+  const aliases = Object.fromEntries(
+    Object.entries(optionSpecs).filter(([, option]) => option.alias).map(([name, option]) => [option.alias, name])
+  );
+
+  const parsed = { command: null, positionals: [], options: {}, errors: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (!arg.startsWith('-') || arg === '-') {
+      parsed.positionals.push(arg);
+      continue;
+    }
+
+    const [rawName, inlineValue] = arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg, undefined];
+    const name = aliases[rawName] || rawName;
+    const option = optionSpecs[name];
+
+    if (!option) {
+      parsed.errors.push(`Unknown option: ${rawName}`);
+      continue;
+    }
+
+    const key = optionKey(name);
+    if (option.type === 'boolean') {
+      if (inlineValue !== undefined) {
+        parsed.errors.push(`Option ${name} does not take a value`);
+      }
+      parsed.options[key] = true;
+      continue;
+    }
+
+    let value = inlineValue;
+    if (value === undefined) {
+      const next = args[i + 1];
+      if (next === undefined || (next.startsWith('-') && isNaN(Number(next)))) {
+        parsed.errors.push(`Option ${name} requires a value`);
+        continue;
+      }
+      value = next;
+      i++;
+    }
+
+    if (option.type === 'number') {
+      const number = Number(value);
+      if (value.trim() === '' || !Number.isFinite(number)) {
+        parsed.errors.push(`Option ${name} expects a number, got "${value}"`);
+        continue;
+      }
+      value = number;
+    } else if (option.choices && !option.choices.includes(value)) {
+      parsed.errors.push(`Option ${name} must be one of ${option.choices.join(', ')}, got "${value}"`);
+      continue;
+    }
+
+    parsed.options[key] = value;
+  }
+
+  if (parsed.positionals.length > 0 && Object.hasOwn(commands, parsed.positionals[0])) {
+    parsed.command = parsed.positionals.shift();
+  } else {
+    parsed.command = defaultCommand;
+  }
+
+  return parsed;
+}
+
+/**
+ * Map image outcomes to a process exit code
+ * @param {Object} counts - {succeeded, failed}
+ * @returns {number} EXIT_CODES value
+ */
+export function getExitCode({ succeeded = 0, failed = 0 }) {
+  if (failed === 0) return EXIT_CODES.SUCCESS;
+  return succeeded === 0 ? EXIT_CODES.FAILURE : EXIT_CODES.PARTIAL_FAILURE;
+}
+
+/**
+ * Check whether prompts can be shown
+ * @param {Object} stream - Input stream (default: process.stdin)
+ * @returns {boolean} True if the stream is a TTY
+ */
+export function isInteractive(stream = process.stdin) {
+  return Boolean(stream && stream.isTTY);
+}
+
+/**
+ * Display help for a tool with subcommands
+ * @param {Object} spec - Same spec as parseCommandLine, with descriptions
+ * @param {Object} options - {toolName, title}
+ */
+export function displayCommandHelp(spec, options = {}) {
+  const { toolName = 'npm start --', title = 'Geo Images - GPS Coordinate Processor' } = options;
+  const { commands = {}, options: optionSpecs = {} } = spec;
+
+  const commandRows = Object.entries(commands).map(([name, command]) => [
+    `${name} ${command.arguments || ''}`.trim(),
+    command.description
+  ]);
+  const optionRows = Object.entries(optionSpecs).map(([name, option]) => [
+    [option.alias, name].filter(Boolean).join(', ') + (option.type === 'boolean' ? '' : ` <${option.valueName || 'value'}>`),
+    option.description || ''
+  ]);
+  const width = Math.max(24, ...[...commandRows, ...optionRows].map(([label]) => label.length + 2));
+
+  console.log(chalk.blue.bold(`\n🌍 ${title}\n`));
+  console.log(`Usage: ${toolName} <command> [arguments] [options]\n`);
+
+  console.log('Commands:');
+  commandRows.forEach(([label, description]) => console.log(`  ${label.padEnd(width)}${description}`));
+
+  console.log('\nOptions:');
+  optionRows.forEach(([label, description]) => console.log(`  ${label.padEnd(width)}${description}`));
+
+  console.log('\nExit codes:');
+  console.log('  0  Success');
+  console.log('  1  Failure: fatal error, or every image failed');
+  console.log('  2  Invalid command line, or confirmation needed without a TTY (use --yes)');
+  console.log('  3  Partial failure: some images failed\n');
+}
+
 /**
  * Display help information for the geo scanning tool
  * @param {Object} options - Help display options
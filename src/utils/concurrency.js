@@ -0,0 +1,34 @@
+/**
+ * Concurrency Utility
+ *
+ * Runs async work over a list with a bounded number of tasks in flight, so
+ * slow I/O such as metadata reads on network storage can overlap without
+ * opening every file at once.
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+/**
+ * Map items through an async function with at most `concurrency` calls pending
+ * Results keep the order of the input. A rejected call rejects the whole map,
+ * so mappers that should not stop the run must catch their own errors.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum calls in flight (at least 1)
+ * @param {Function} mapper - Async function (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapConcurrent(items, concurrency, mapper) {
+  const results = new Array(items.length);
+  const limit = Math.max(1, Math.min(Math.floor(concurrency) || 1, items.length));
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: limit }, worker));
+  return results;
+}
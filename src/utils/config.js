@@ -42,7 +42,34 @@ export const DEFAULT_CONFIG = {
   // EXIF processing options
   exif: {
     useFileTimestampFallback: false,  // Only use EXIF timestamps for geo data
-    enableMultiFormatSupport: true
+    enableMultiFormatSupport: true,
+    locationNames: {
+      enabled: false                  // true (or --write-names) writes gazetteer place names into images that have none
+    },
+    sidecar: {
+      mode: 'auto'                    // RAW files and files with a sidecar get names in the sidecar, never in the original
+    }
+  },
+  
+  // Journal of place name writes, shared with `npm start -- undo`
+  journal: {
+    directory: join(process.cwd(), 'data', 'journal'),
+    keepBackups: false
+  },
+  
+  // Offline reverse geocoding from a GeoNames gazetteer (skipped when the files are missing)
+  reverseGeocoding: {
+    enabled: true,
+    directory: join(process.cwd(), 'data', 'geonames'),
+    citiesFile: 'cities1000.txt',
+    maxDistanceKm: 20
+  },
+  privacyZones: {
+    enabled: true,
+    policy: 'snap',
+    snapGridMeters: 2000,
+    zonesPath: join(process.cwd(), 'data', 'privacy-zones.json'),
+    zones: []
   }
 };
 
@@ -135,10 +135,11 @@ export function parseCoordinates(coordString) {
     return null;
   }
   
-  const cleaned = coordString.trim();
+  // Geo URIs (e.g., "geo:40.7128,-74.0060" or with ";u=35" parameters)
+  const cleaned = coordString.trim().replace(/^geo:/i, '').replace(/;.*$/, '');
   
-  // Try decimal format first (e.g., "40.7128, -74.0060")
-  const decimalMatch = cleaned.match(/^(-?\d+\.?\d*),\s*(-?\d+\.?\d*)$/);
+  // Try decimal format first (e.g., "40.7128, -74.0060" or "40.7128°, -74.0060°")
+  const decimalMatch = cleaned.match(/^(-?\d+\.?\d*)°?,\s*(-?\d+\.?\d*)°?$/);
   if (decimalMatch) {
     const lat = parseFloat(decimalMatch[1]);
     const lon = parseFloat(decimalMatch[2]);
@@ -231,6 +232,34 @@ export function isWithinBounds(latitude, longitude, bounds) {
   }
 }
 
+/**
+ * Check if coordinates are inside a polygon
+ * Uses ray casting on latitude/longitude, which is accurate for polygons the
+ * size of a neighbourhood or town. Points on an edge may fall either side.
+ * @param {number} latitude - Latitude to check
+ * @param {number} longitude - Longitude to check
+ * @param {Array} polygon - Array of {latitude, longitude} vertices; the last connects to the first
+ * @returns {boolean} True if coordinates are inside the polygon
+ */
+export function isPointInPolygon(latitude, longitude, polygon) {
+  if (!validateCoordinates(latitude, longitude) || !Array.isArray(polygon) || polygon.length < 3) {
+    return false;
+  }
+  
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = (a.latitude > latitude) !== (b.latitude > latitude) &&
+      longitude < (b.longitude - a.longitude) * (latitude - a.latitude) / (b.latitude - a.latitude) + a.longitude;
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+  
+  return inside;
+}
+
 /**
  * Create a bounding box around a center point
  * @param {number} centerLat - Center latitude
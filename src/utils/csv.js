@@ -0,0 +1,29 @@
+/**
+ * CSV Utility
+ *
+ * Writes CSV documents for plans, scan listings and database exports.
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+export function formatCsvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as a CSV document
+ * @param {Array<Object>} rows - Rows keyed by column name
+ * @param {Array<string>} columns - Column order
+ * @returns {string} CSV document with a header row
+ */
+export function formatCsv(rows, columns) {
+  const lines = rows.map(row => columns.map(column => formatCsvField(row[column])).join(','));
+  return [columns.join(','), ...lines].join('\n') + '\n';
+}
@@ -248,6 +248,13 @@ export function transformGPSEntry(entry, options = {}) {
     if (entry.filePath) {
       transformed.filePath = entry.filePath;
     }
+    
+    // Place names from reverse geocoding
+    for (const field of ['city', 'region', 'country', 'countryCode']) {
+      if (entry[field]) {
+        transformed[field] = entry[field];
+      }
+    }
   }
 
   // Add defaults if requested
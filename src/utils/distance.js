@@ -135,6 +135,56 @@ export function calculateMidpoint(lat1, lon1, lat2, lon2) {
   };
 }
 
+/**
+ * Calculate a point a given fraction of the way along the great-circle path
+ * @param {number} lat1 - Latitude of first point
+ * @param {number} lon1 - Longitude of first point
+ * @param {number} lat2 - Latitude of second point
+ * @param {number} lon2 - Longitude of second point
+ * @param {number} fraction - Fraction of the path (0 = first point, 1 = second point)
+ * @returns {Object|null} Intermediate coordinates {latitude, longitude}
+ */
+export function calculateIntermediatePoint(lat1, lon1, lat2, lon2, fraction) {
+  // Validate inputs
+  if (!isValidCoordinate(lat1, lon1) || !isValidCoordinate(lat2, lon2) ||
+      typeof fraction !== 'number' || isNaN(fraction)) {
+    return null;
+  }
+  
+  // Convert to radians
+  const φ1 = lat1 * Math.PI / 180;
+  const φ2 = lat2 * Math.PI / 180;
+  const λ1 = lon1 * Math.PI / 180;
+  const λ2 = lon2 * Math.PI / 180;
+  
+  // Angular distance between the points
+  const Δφ = φ2 - φ1;
+  const Δλ = λ2 - λ1;
+  const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+            Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  const δ = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  
+  // Coincident points
+  if (δ === 0) {
+    return { latitude: lat1, longitude: lon1 };
+  }
+  
+  const A = Math.sin((1 - fraction) * δ) / Math.sin(δ);
+  const B = Math.sin(fraction * δ) / Math.sin(δ);
+  
+  const x = A * Math.cos(φ1) * Math.cos(λ1) + B * Math.cos(φ2) * Math.cos(λ2);
+  const y = A * Math.cos(φ1) * Math.sin(λ1) + B * Math.cos(φ2) * Math.sin(λ2);
+  const z = A * Math.sin(φ1) + B * Math.sin(φ2);
+  
+  const φ3 = Math.atan2(z, Math.sqrt(x * x + y * y));
+  const λ3 = Math.atan2(y, x);
+  
+  return {
+    latitude: φ3 * 180 / Math.PI,
+    longitude: ((λ3 * 180 / Math.PI) + 540) % 360 - 180
+  };
+}
+
 /**
  * Check if a point is within a certain distance of another point
  * @param {number} lat1 - Latitude of first point
@@ -298,6 +348,7 @@ export function calculateSpeed(lat1, lon1, time1, lat2, lon2, time2) {
 
 /**
  * Interpolate position between two points based on time
+ * The position is placed along the great-circle path between the points.
  * @param {number} lat1 - Latitude of first point
  * @param {number} lon1 - Longitude of first point
  * @param {Date} time1 - Timestamp of first point
@@ -332,13 +383,12 @@ export function interpolatePosition(lat1, lon1, time1, lat2, lon2, time2, target
   const targetTime_offset = Math.abs(targetMs - time1Ms);
   const ratio = targetTime_offset / totalTime;
   
-  // Linear interpolation
-  const interpolatedLat = lat1 + (lat2 - lat1) * ratio;
-  const interpolatedLon = lon1 + (lon2 - lon1) * ratio;
+  // Great-circle interpolation (handles long legs and antimeridian crossings)
+  const intermediate = calculateIntermediatePoint(lat1, lon1, lat2, lon2, ratio);
   
   return {
-    latitude: interpolatedLat,
-    longitude: interpolatedLon,
+    latitude: intermediate.latitude,
+    longitude: intermediate.longitude,
     ratio,
     confidence: calculateInterpolationConfidence(lat1, lon1, time1, lat2, lon2, time2)
   };
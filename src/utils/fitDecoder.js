@@ -0,0 +1,154 @@
+/**
+ * FIT Decoder Utility
+ *
+ * Decodes position records from Garmin FIT activity files. Only the parts of
+ * the FIT protocol needed for tracks are implemented: definition and data
+ * messages, compressed timestamp headers and developer field skipping.
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+// Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z)
+const FIT_EPOCH_OFFSET = 631065600;
+const RECORD_MESSAGE = 20;
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+
+const FIELD_TIMESTAMP = 253;
+const FIELD_POSITION_LAT = 0;
+const FIELD_POSITION_LONG = 1;
+const FIELD_ALTITUDE = 2;
+const FIELD_ENHANCED_ALTITUDE = 78;
+
+/**
+ * Read an integer field value, returning null for FIT invalid markers
+ * @param {Buffer} buffer - File contents
+ * @param {number} offset - Field offset
+ * @param {number} size - Field size in bytes
+ * @param {number} baseType - FIT base type byte
+ * @param {boolean} littleEndian - Field byte order
+ * @returns {number|null} Value or null
+ */
+function readValue(buffer, offset, size, baseType, littleEndian) {
+  const signed = [0x01, 0x83, 0x85, 0x8e].includes(baseType);
+  let value;
+
+  if (size === 1) {
+    value = signed ? buffer.readInt8(offset) : buffer.readUInt8(offset);
+    return value === (signed ? 0x7f : 0xff) ? null : value;
+  }
+  if (size === 2) {
+    value = signed
+      ? (littleEndian ? buffer.readInt16LE(offset) : buffer.readInt16BE(offset))
+      : (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+    return value === (signed ? 0x7fff : 0xffff) ? null : value;
+  }
+  if (size === 4) {
+    value = signed
+      ? (littleEndian ? buffer.readInt32LE(offset) : buffer.readInt32BE(offset))
+      : (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+    return value === (signed ? 0x7fffffff : 0xffffffff) ? null : value;
+  }
+  return null;
+}
+
+/**
+ * Decode the GPS records of a FIT file
+ * @param {Buffer} buffer - FIT file contents
+ * @returns {Array} [{timestamp, latitude, longitude, altitude}] in file order
+ * @throws {Error} If the buffer is not a FIT file
+ */
+export function decodeFitRecords(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 8, 12) !== '.FIT') {
+    throw new Error('Not a FIT file');
+  }
+
+  const headerSize = buffer.readUInt8(0);
+  const dataEnd = Math.min(buffer.length, headerSize + buffer.readUInt32LE(4));
+  const definitions = new Map();
+  const records = [];
+  let lastTimestamp = null;
+  let offset = headerSize;
+
+  while (offset < dataEnd) {
+    const header = buffer.readUInt8(offset++);
+    let localType;
+    let timestamp = null;
+
+    if (header & 0x80) {
+      // Compressed timestamp header: 5-bit offset from the last full timestamp
+      localType = (header >> 5) & 0x03;
+      const timeOffset = header & 0x1f;
+      if (lastTimestamp !== null) {
+        timestamp = lastTimestamp - (lastTimestamp % 0x20) + timeOffset;
+        if (timeOffset < lastTimestamp % 0x20) {
+          timestamp += 0x20;
+        }
+        lastTimestamp = timestamp;
+      }
+    } else if (header & 0x40) {
+      // Definition message
+      localType = header & 0x0f;
+      const littleEndian = buffer.readUInt8(offset + 1) === 0;
+      const globalType = littleEndian ? buffer.readUInt16LE(offset + 2) : buffer.readUInt16BE(offset + 2);
+      const fieldCount = buffer.readUInt8(offset + 4);
+      offset += 5;
+
+      const fields = [];
+      for (let i = 0; i < fieldCount; i++) {
+        fields.push({
+          number: buffer.readUInt8(offset),
+          size: buffer.readUInt8(offset + 1),
+          baseType: buffer.readUInt8(offset + 2)
+        });
+        offset += 3;
+      }
+
+      let developerSize = 0;
+      if (header & 0x20) {
+        const developerCount = buffer.readUInt8(offset++);
+        for (let i = 0; i < developerCount; i++) {
+          developerSize += buffer.readUInt8(offset + 1);
+          offset += 3;
+        }
+      }
+
+      definitions.set(localType, { globalType, littleEndian, fields, developerSize });
+      continue;
+    } else {
+      localType = header & 0x0f;
+    }
+
+    const definition = definitions.get(localType);
+    if (!definition) {
+      throw new Error(`FIT data message without definition at byte ${offset - 1}`);
+    }
+
+    const values = {};
+    for (const field of definition.fields) {
+      values[field.number] = readValue(buffer, offset, field.size, field.baseType, definition.littleEndian);
+      offset += field.size;
+    }
+    offset += definition.developerSize;
+
+    if (values[FIELD_TIMESTAMP] !== undefined && values[FIELD_TIMESTAMP] !== null) {
+      timestamp = values[FIELD_TIMESTAMP];
+      lastTimestamp = timestamp;
+    }
+
+    if (definition.globalType !== RECORD_MESSAGE || timestamp === null) continue;
+
+    const lat = values[FIELD_POSITION_LAT];
+    const lng = values[FIELD_POSITION_LONG];
+    if (lat === null || lat === undefined || lng === null || lng === undefined) continue;
+
+    const rawAltitude = values[FIELD_ENHANCED_ALTITUDE] ?? values[FIELD_ALTITUDE];
+    records.push({
+      timestamp: new Date((timestamp + FIT_EPOCH_OFFSET) * 1000).toISOString(),
+      latitude: lat * SEMICIRCLES_TO_DEGREES,
+      longitude: lng * SEMICIRCLES_TO_DEGREES,
+      altitude: rawAltitude === null || rawAltitude === undefined ? null : rawAltitude / 5 - 500
+    });
+  }
+
+  return records;
+}
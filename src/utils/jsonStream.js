@@ -0,0 +1,251 @@
+/**
+ * JSON Stream Utility
+ *
+ * Streams the elements of top-level arrays out of JSON files too large to
+ * parse at once, such as multi-gigabyte Takeout timeline exports.
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+import { createReadStream } from 'fs';
+import { stat } from 'fs/promises';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Transform stream that extracts elements of selected top-level arrays
+ * Tracks string/escape state and nesting depth so that each array element is
+ * sliced out of the character stream and parsed on its own. Selected keys
+ * holding an object are captured whole, and all top-level keys are recorded.
+ */
+export class JsonArrayElementExtractor extends Transform {
+  /**
+   * @param {Array<string>} arrayKeys - Top-level property names whose array elements are emitted
+   * @param {Function} onElement - Called with (element, key) for each parsed element
+   * @param {Object} logger - Logger for skipped elements, or null
+   */
+  constructor(arrayKeys, onElement, logger = null) {
+    super({ readableObjectMode: true });
+
+    this.arrayKeys = new Set(arrayKeys);
+    this.onElement = onElement;
+    this.logger = logger;
+
+    // Lexer state
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.stringParts = [];
+    this.lastString = null;
+    this.currentKey = null;
+
+    // Element capture state
+    this.activeKey = null;
+    this.elementParts = [];
+    this.capturing = false;
+    this.captureDepth = 2; // 2 for array elements, 1 for whole object values
+
+    this.stats = {
+      elements: 0,
+      arrays: {},
+      objects: {},
+      keys: [],
+      errors: 0
+    };
+  }
+
+  /**
+   * Transform stream chunk
+   * @param {Buffer|string} chunk - Chunk of the file
+   * @param {string} encoding - Chunk encoding
+   * @param {Function} callback - Stream callback
+   */
+  _transform(chunk, encoding, callback) {
+    try {
+      this.processChunk(chunk.toString());
+      this.emit('progress');
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  /**
+   * Scan a chunk, emitting completed elements
+   * @param {string} text - Chunk text
+   */
+  processChunk(text) {
+    let elementStart = this.capturing ? 0 : -1;
+    let stringStart = this.inString && this.depth === 1 ? 0 : -1;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+          if (stringStart !== -1) {
+            this.stringParts.push(text.slice(stringStart, i));
+            this.lastString = this.decodeString(this.stringParts.join(''));
+            this.stringParts = [];
+            stringStart = -1;
+          }
+        }
+        continue;
+      }
+
+      switch (char) {
+        case '"':
+          this.inString = true;
+          // Only top-level object keys are needed
+          if (this.depth === 1) {
+            stringStart = i + 1;
+          }
+          break;
+
+        case ':':
+          if (this.depth === 1) {
+            this.currentKey = this.lastString;
+            this.stats.keys.push(this.currentKey);
+          }
+          break;
+
+        case '{':
+        case '[':
+          if (this.activeKey && this.depth === 2 && !this.capturing) {
+            this.capturing = true;
+            this.captureDepth = 2;
+            elementStart = i;
+          }
+          if (char === '{' && this.depth === 1 && this.arrayKeys.has(this.currentKey)) {
+            this.activeKey = this.currentKey;
+            this.capturing = true;
+            this.captureDepth = 1;
+            elementStart = i;
+          }
+          if (char === '[' && this.depth === 1 && this.arrayKeys.has(this.currentKey)) {
+            this.activeKey = this.currentKey;
+            this.stats.arrays[this.activeKey] = this.stats.arrays[this.activeKey] || 0;
+          }
+          this.depth++;
+          break;
+
+        case '}':
+        case ']':
+          this.depth--;
+          if (this.capturing && this.depth === this.captureDepth) {
+            this.elementParts.push(text.slice(elementStart, i + 1));
+            this.emitElement();
+            elementStart = -1;
+          } else if (this.activeKey && this.depth === 1) {
+            this.activeKey = null;
+          }
+          break;
+
+        default:
+          break;
+      }
+    }
+
+    // Carry partial tokens over to the next chunk
+    if (this.capturing && elementStart !== -1) {
+      this.elementParts.push(text.slice(elementStart));
+    }
+    if (this.inString && stringStart !== -1) {
+      this.stringParts.push(text.slice(stringStart));
+    }
+  }
+
+  /**
+   * Decode the escapes in a raw top-level string
+   * @param {string} raw - String contents without quotes
+   * @returns {string} Decoded string
+   */
+  decodeString(raw) {
+    if (!raw.includes('\\')) return raw;
+    try {
+      return JSON.parse(`"${raw}"`);
+    } catch {
+      return raw;
+    }
+  }
+
+  /**
+   * Parse the captured element and hand it to the callback
+   */
+  emitElement() {
+    const raw = this.elementParts.join('');
+    this.elementParts = [];
+    this.capturing = false;
+
+    const key = this.activeKey;
+    const wholeValue = this.captureDepth === 1;
+    if (wholeValue) {
+      this.activeKey = null;
+    }
+
+    let element;
+    try {
+      element = JSON.parse(raw);
+    } catch (error) {
+      this.stats.errors++;
+      this.logger?.debug(`Skipping unparseable ${key} element: ${error.message}`);
+      return;
+    }
+
+    this.stats.elements++;
+    if (wholeValue) {
+      this.stats.objects[key] = 1;
+    } else {
+      this.stats.arrays[key]++;
+    }
+    this.onElement(element, key);
+  }
+}
+
+/**
+ * Stream the elements of top-level array properties one at a time
+ * Only one element is held in memory at once, so files larger than the
+ * heap can be processed (e.g. {"timelineEdits": [ ... ]}). A listed key whose
+ * value is an object rather than an array is emitted once as a whole.
+ * @param {string} filePath - JSON file path
+ * @param {Array<string>} arrayKeys - Top-level property names whose array elements are emitted
+ * @param {Function} onElement - Called with (element, key) for each parsed element
+ * @param {Object} options - {chunkSize, onProgress({bytesRead, totalBytes, elements}), logger}
+ * @returns {Promise<Object>} Stats {elements, arrays, objects, keys, bytesRead, totalBytes, errors}
+ */
+export async function streamArrayElements(filePath, arrayKeys, onElement, options = {}) {
+  const {
+    chunkSize = 1024 * 1024,
+    onProgress = null,
+    logger = null
+  } = options;
+
+  const { size: totalBytes } = await stat(filePath);
+  const readStream = createReadStream(filePath, {
+    encoding: 'utf-8',
+    highWaterMark: chunkSize
+  });
+  const extractor = new JsonArrayElementExtractor(arrayKeys, onElement, logger);
+
+  extractor.on('data', () => {});
+  if (onProgress) {
+    extractor.on('progress', () => onProgress({
+      bytesRead: readStream.bytesRead,
+      totalBytes,
+      elements: extractor.stats.elements
+    }));
+  }
+
+  await pipeline(readStream, extractor);
+
+  return {
+    ...extractor.stats,
+    bytesRead: readStream.bytesRead,
+    totalBytes
+  };
+}
@@ -0,0 +1,76 @@
+/**
+ * Places Utility
+ *
+ * Turns what is known about a place (a timeline place visit's name and
+ * address, or a reverse-geocoded city, region and country) into the IPTC/XMP
+ * location fields written to images: Sub-location, City, Province-State,
+ * Country, country code and a display Location such as "Louvre, Paris".
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+/**
+ * Strip postcodes and state codes from an address part
+ * "75001 Paris" → "Paris", "London SW1A 2AA" → "London", "CA 94043" → ""
+ * @param {string} part - Comma-separated address part
+ * @returns {string} Remaining words
+ */
+function stripPostalTokens(part) {
+  return part
+    .split(/\s+/)
+    .filter(token => token && !/\d/.test(token) && !/^[A-Z]{2,3}$/.test(token))
+    .join(' ');
+}
+
+/**
+ * Derive city and country from a one-line address
+ * The last part is taken as the country and the nearest part before it that is
+ * not only a postcode or state code as the city. The first part of addresses
+ * with three or more parts is the street and is never used as the city.
+ * @param {string} address - Address such as "Rue de Rivoli, 75001 Paris, France"
+ * @returns {Object} {city, country}, each null if not found
+ */
+export function parseAddress(address) {
+  const parts = typeof address === 'string'
+    ? address.split(/[,\n]/).map(part => part.trim()).filter(Boolean)
+    : [];
+  if (parts.length < 2) {
+    return { city: null, country: null };
+  }
+
+  const country = parts[parts.length - 1];
+  const firstCityIndex = parts.length >= 3 ? 1 : 0;
+  let city = null;
+  for (let index = parts.length - 2; index >= firstCityIndex && !city; index--) {
+    city = stripPostalTokens(parts[index]) || null;
+  }
+
+  return { city, country };
+}
+
+/**
+ * Build the location fields to write for a place
+ * Explicit city and country take precedence over ones parsed from the address.
+ * @param {Object} place - {name, address, city, region, country, countryCode}
+ * @returns {Object|null} {subLocation, city, region, country, countryCode, location}, or null if nothing is known
+ */
+export function getLocationFields(place) {
+  if (!place) return null;
+
+  const parsed = parseAddress(place.address);
+  const city = place.city || parsed.city;
+  const country = place.country || parsed.country;
+  // A place named after its city ("Paris") has no sub-location
+  const subLocation = place.name && place.name !== city ? place.name : null;
+
+  if (!subLocation && !city && !country) return null;
+
+  return {
+    subLocation,
+    city: city || null,
+    region: place.region || null,
+    country: country || null,
+    countryCode: place.countryCode || null,
+    location: [subLocation, city].filter(Boolean).join(', ') || country
+  };
+}
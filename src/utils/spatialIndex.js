@@ -0,0 +1,121 @@
+/**
+ * Spatial Index Utility
+ *
+ * Grid index over points with latitude and longitude. Points are bucketed by
+ * cell so a nearest-point search only measures the points in the cells within
+ * reach of the search radius instead of every point. Used by reverse
+ * geocoding, where the gazetteer holds over a hundred thousand places.
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+import { calculateDistance } from './distance.js';
+
+// Metres per degree of latitude
+const METERS_PER_DEGREE = 111195;
+
+/**
+ * Grid index of points keyed by latitude/longitude cell
+ */
+export class SpatialGrid {
+  /**
+   * Build an index from points
+   * @param {Iterable<Object>} points - Records with latitude and longitude
+   * @param {number} cellSizeDegrees - Cell size in degrees
+   */
+  constructor(points = [], cellSizeDegrees = 0.5) {
+    this.cellSize = cellSizeDegrees;
+    this.rows = Math.ceil(180 / cellSizeDegrees);
+    this.columns = Math.ceil(360 / cellSizeDegrees);
+    this.cells = new Map();
+    this.count = 0;
+
+    for (const point of points) {
+      this.add(point);
+    }
+  }
+
+  /**
+   * Number of indexed points
+   * @returns {number} Point count
+   */
+  get size() {
+    return this.count;
+  }
+
+  /**
+   * Get the row of a latitude
+   * @param {number} latitude - Latitude
+   * @returns {number} Row index
+   */
+  getRow(latitude) {
+    return Math.min(this.rows - 1, Math.max(0, Math.floor((latitude + 90) / this.cellSize)));
+  }
+
+  /**
+   * Get the column of a longitude, wrapping around the antimeridian
+   * @param {number} longitude - Longitude
+   * @returns {number} Column index
+   */
+  getColumn(longitude) {
+    const column = Math.floor((longitude + 180) / this.cellSize);
+    return ((column % this.columns) + this.columns) % this.columns;
+  }
+
+  /**
+   * Add a point to the index
+   * Points without finite coordinates are ignored.
+   * @param {Object} point - Record with latitude and longitude
+   */
+  add(point) {
+    if (!Number.isFinite(point?.latitude) || !Number.isFinite(point?.longitude)) return;
+
+    const key = this.getRow(point.latitude) * this.columns + this.getColumn(point.longitude);
+    const cell = this.cells.get(key);
+    if (cell) {
+      cell.push(point);
+    } else {
+      this.cells.set(key, [point]);
+    }
+    this.count++;
+  }
+
+  /**
+   * Find the nearest point within a radius
+   * @param {number} latitude - Target latitude
+   * @param {number} longitude - Target longitude
+   * @param {number} maxDistanceMeters - Search radius in metres
+   * @returns {Object|null} {point, distance} with distance in metres, or null if none is in range
+   */
+  findNearest(latitude, longitude, maxDistanceMeters) {
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || this.count === 0) return null;
+
+    // Cells reach further in longitude towards the poles, so widen the column span there
+    const rowSpan = Math.ceil(maxDistanceMeters / (this.cellSize * METERS_PER_DEGREE));
+    const widestLatitude = Math.min(89.9, Math.abs(latitude) + (rowSpan + 1) * this.cellSize);
+    const columnWidth = this.cellSize * METERS_PER_DEGREE * Math.cos(widestLatitude * Math.PI / 180);
+    const columnSpan = Math.min(Math.ceil(this.columns / 2), Math.ceil(maxDistanceMeters / columnWidth));
+
+    const row = this.getRow(latitude);
+    const column = this.getColumn(longitude);
+    let nearest = null;
+
+    for (let r = Math.max(0, row - rowSpan); r <= Math.min(this.rows - 1, row + rowSpan); r++) {
+      const visited = new Set();
+      for (let offset = -columnSpan; offset <= columnSpan; offset++) {
+        const c = ((column + offset) % this.columns + this.columns) % this.columns;
+        if (visited.has(c)) continue;
+        visited.add(c);
+
+        for (const point of this.cells.get(r * this.columns + c) || []) {
+          const distance = calculateDistance(latitude, longitude, point.latitude, point.longitude);
+          if (distance <= maxDistanceMeters && (!nearest || distance < nearest.distance)) {
+            nearest = { point, distance };
+          }
+        }
+      }
+    }
+
+    return nearest;
+  }
+}
@@ -27,6 +27,10 @@ export class StatisticsTracker {
       geoTaggedImages: 0,
       newEntries: 0,
       duplicatesFound: 0,
+      locationNamesWritten: 0,
+      privacyZoneSkipped: 0,
+      privacyZoneSnapped: 0,
+      privacyZoneSidecarOnly: 0,
       errors: 0,
       errorsByType: {},
       processingTime: 0,
@@ -169,6 +173,12 @@ export function generateReport(tracker, existingLocations = []) {
     processing: {
       newEntries: stats.newEntries,
       duplicatesFound: stats.duplicatesFound,
+      locationNamesWritten: stats.locationNamesWritten,
+      privacyZones: {
+        skipped: stats.privacyZoneSkipped,
+        snapped: stats.privacyZoneSnapped,
+        sidecarOnly: stats.privacyZoneSidecarOnly
+      },
       errors: stats.errors,
       errorRate: stats.imageFiles > 0 ? `${errorRate.toFixed(1)}%` : '0%',
       processingTime: processingTime
@@ -207,6 +217,13 @@ export function displaySummary(report, options = {}) {
   console.log(`${chalk.blue('📊 GPS Success Rate:')} ${report.scanning.successRate}`);
   console.log(`${chalk.yellow('📋 New Entries Added:')} ${report.processing.newEntries}`);
   console.log(`${chalk.magenta('🔄 Duplicates Found:')} ${report.processing.duplicatesFound}`);
+  if (report.processing.locationNamesWritten > 0) {
+    console.log(`${chalk.cyan('🗺️  Location Names Written:')} ${report.processing.locationNamesWritten}`);
+  }
+  const { skipped, snapped, sidecarOnly } = report.processing.privacyZones;
+  if (skipped + snapped + sidecarOnly > 0) {
+    console.log(`${chalk.cyan('🔒 Privacy Zones:')} ${skipped} skipped, ${snapped} snapped, ${sidecarOnly} sidecar only`);
+  }
   
   // Error information
   if (showErrors && report.processing.errors > 0) {
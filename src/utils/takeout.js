@@ -0,0 +1,83 @@
+/**
+ * Takeout Utility
+ *
+ * Locates location history files inside a Google Takeout export: the monthly
+ * "Semantic Location History/<year>/<YEAR>_<MONTH>.json" files and Records.json.
+ * The given path may be the Takeout root, the "Location History" folder or
+ * the "Semantic Location History" folder itself.
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+import { readdir } from 'fs/promises';
+import { basename, join } from 'path';
+
+const MONTHS = [
+  'JANUARY', 'FEBRUARY', 'MARCH', 'APRIL', 'MAY', 'JUNE',
+  'JULY', 'AUGUST', 'SEPTEMBER', 'OCTOBER', 'NOVEMBER', 'DECEMBER'
+];
+
+const SEMANTIC_DIRECTORY = 'Semantic Location History';
+const RECORDS_FILE = 'Records.json';
+
+/**
+ * Parse the year and month of a monthly semantic file name
+ * @param {string} fileName - File name such as "2024_JANUARY.json"
+ * @returns {Object|null} {year, month} with month 1-12, or null if not a monthly file
+ */
+export function parseMonthlyFileName(fileName) {
+  const match = basename(fileName).match(/^(\d{4})_([A-Za-z]+)\.json$/);
+  if (!match) return null;
+
+  const month = MONTHS.indexOf(match[2].toUpperCase()) + 1;
+  return month > 0 ? { year: parseInt(match[1], 10), month } : null;
+}
+
+/**
+ * Find the Takeout location history files below a directory
+ * @param {string} rootPath - Takeout root or location history directory
+ * @param {number} maxDepth - How many directory levels to search
+ * @returns {Promise<Object>} {semanticFiles, recordsFile} with monthly files in chronological order
+ */
+export async function findTakeoutFiles(rootPath, maxDepth = 4) {
+  const semanticFiles = [];
+  let recordsFile = null;
+
+  /**
+   * Walk a directory, collecting monthly files once inside the semantic folder
+   * @param {string} directory - Directory to scan
+   * @param {number} depth - Current depth
+   * @param {boolean} inSemantic - Whether this directory is inside the semantic folder
+   */
+  async function walk(directory, depth, inSemantic) {
+    let entries;
+    try {
+      entries = await readdir(directory, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    for (const entry of entries) {
+      const entryPath = join(directory, entry.name);
+
+      if (entry.isDirectory()) {
+        if (depth < maxDepth) {
+          await walk(entryPath, depth + 1, inSemantic || entry.name === SEMANTIC_DIRECTORY);
+        }
+      } else if (inSemantic) {
+        const period = parseMonthlyFileName(entry.name);
+        if (period) {
+          semanticFiles.push({ filePath: entryPath, ...period });
+        }
+      } else if (entry.name === RECORDS_FILE && !recordsFile) {
+        recordsFile = entryPath;
+      }
+    }
+  }
+
+  await walk(rootPath, 0, basename(rootPath) === SEMANTIC_DIRECTORY);
+
+  semanticFiles.sort((a, b) => a.year - b.year || a.month - b.month);
+
+  return { semanticFiles, recordsFile };
+}
@@ -0,0 +1,183 @@
+/**
+ * Time Index Utility
+ *
+ * Sorted index over timestamped records with binary search lookups for the
+ * nearest record, the records bracketing an instant and records in a range,
+ * plus an index of time windows for finding the window containing an instant.
+ * Used by the timeline parsers and interpolation so lookups stay logarithmic
+ * for multi-year timelines.
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+/**
+ * Sorted index of records keyed by millisecond timestamps
+ */
+export class TimeIndex {
+  /**
+   * Build an index from [timestampMs, record] entries (e.g. a Map keyed by timestamp)
+   * @param {Iterable<Array>} entries - Timestamp/record pairs
+   */
+  constructor(entries = []) {
+    const sorted = [];
+    for (const [timestampMs, record] of entries) {
+      if (typeof timestampMs === 'number' && isFinite(timestampMs)) {
+        sorted.push([timestampMs, record]);
+      }
+    }
+    sorted.sort((a, b) => a[0] - b[0]);
+
+    this.timestamps = sorted.map(entry => entry[0]);
+    this.records = sorted.map(entry => entry[1]);
+  }
+
+  /**
+   * Number of indexed records
+   * @returns {number} Record count
+   */
+  get size() {
+    return this.timestamps.length;
+  }
+
+  /**
+   * Find the first position whose timestamp is >= target
+   * @param {number} targetMs - Target timestamp in milliseconds
+   * @returns {number} Index (equal to size if all timestamps are earlier)
+   */
+  lowerBound(targetMs) {
+    let low = 0;
+    let high = this.timestamps.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.timestamps[mid] < targetMs) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Get the entry at a position
+   * @param {number} index - Position in the index
+   * @returns {Object} {timestampMs, record}
+   */
+  entryAt(index) {
+    return { timestampMs: this.timestamps[index], record: this.records[index] };
+  }
+
+  /**
+   * Find the record closest in time to the target
+   * Ties are resolved in favour of the earlier record.
+   * @param {number} targetMs - Target timestamp in milliseconds
+   * @param {number} toleranceMs - Maximum allowed distance in milliseconds
+   * @returns {Object|null} {timestampMs, record, distanceMs} or null
+   */
+  findNearest(targetMs, toleranceMs = Infinity) {
+    if (this.size === 0) return null;
+
+    const index = this.lowerBound(targetMs);
+    let best = null;
+
+    for (const candidate of [index - 1, index]) {
+      if (candidate < 0 || candidate >= this.size) continue;
+
+      const distanceMs = Math.abs(this.timestamps[candidate] - targetMs);
+      if (distanceMs <= toleranceMs && (!best || distanceMs < best.distanceMs)) {
+        best = { ...this.entryAt(candidate), distanceMs };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Find the records immediately before and after the target
+   * A record exactly at the target brackets it on both sides.
+   * @param {number} targetMs - Target timestamp in milliseconds
+   * @param {number} maxSpanMs - Maximum time between the two records in milliseconds
+   * @returns {Object|null} {before, after} entries or null
+   */
+  findBracket(targetMs, maxSpanMs = Infinity) {
+    const index = this.lowerBound(targetMs);
+
+    if (index < this.size && this.timestamps[index] === targetMs) {
+      const exact = this.entryAt(index);
+      return { before: exact, after: exact };
+    }
+
+    if (index === 0 || index >= this.size) return null;
+
+    const before = this.entryAt(index - 1);
+    const after = this.entryAt(index);
+
+    return after.timestampMs - before.timestampMs <= maxSpanMs ? { before, after } : null;
+  }
+
+  /**
+   * Find all records within an inclusive time range
+   * @param {number} startMs - Range start in milliseconds
+   * @param {number} endMs - Range end in milliseconds
+   * @returns {Array} {timestampMs, record} entries in time order
+   */
+  findInRange(startMs, endMs) {
+    const entries = [];
+    for (let i = this.lowerBound(startMs); i < this.size && this.timestamps[i] <= endMs; i++) {
+      entries.push(this.entryAt(i));
+    }
+    return entries;
+  }
+}
+
+/**
+ * Sorted index of time windows such as activity segments and place visits
+ */
+export class TimeWindowIndex {
+  /**
+   * Build an index from windows
+   * @param {Iterable<Object>} windows - Records with startMs and endMs
+   */
+  constructor(windows = []) {
+    this.windows = [...windows]
+      .filter(window => isFinite(window.startMs) && isFinite(window.endMs) && window.endMs >= window.startMs)
+      .sort((a, b) => a.startMs - b.startMs);
+    this.maxDurationMs = this.windows.reduce((max, window) => Math.max(max, window.endMs - window.startMs), 0);
+  }
+
+  /**
+   * Number of indexed windows
+   * @returns {number} Window count
+   */
+  get size() {
+    return this.windows.length;
+  }
+
+  /**
+   * Find the window containing the target
+   * When windows overlap, the one that started last wins.
+   * @param {number} targetMs - Target timestamp in milliseconds
+   * @returns {Object|null} Window or null
+   */
+  findContaining(targetMs) {
+    let low = 0;
+    let high = this.windows.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.windows[mid].startMs <= targetMs) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    // Only windows starting within the longest duration can still be open
+    for (let i = low - 1; i >= 0 && this.windows[i].startMs >= targetMs - this.maxDurationMs; i--) {
+      if (this.windows[i].endMs >= targetMs) {
+        return this.windows[i];
+      }
+    }
+
+    return null;
+  }
+}
@@ -0,0 +1,262 @@
+/**
+ * Timezone Utility
+ *
+ * Provides parsing of EXIF date/time strings, UTC offset tags and GPS
+ * date/time stamps, and conversion of camera wall-clock times to UTC
+ * using fixed offsets or IANA zone names.
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+/**
+ * Parse an EXIF-style date/time into its wall-clock components
+ * Accepts "YYYY:MM:DD HH:MM:SS[.sss]", ISO-like "YYYY-MM-DDTHH:MM:SS" and
+ * exiftool-vendored ExifDateTime objects.
+ * @param {string|Object} value - Date/time value
+ * @returns {Object|null} {year, month, day, hour, minute, second, millisecond} or null
+ */
+export function parseExifDateTime(value) {
+  if (!value) return null;
+
+  // exiftool-vendored ExifDateTime instances expose their components directly
+  if (typeof value === 'object' && typeof value.year === 'number') {
+    return {
+      year: value.year,
+      month: value.month,
+      day: value.day,
+      hour: value.hour || 0,
+      minute: value.minute || 0,
+      second: value.second || 0,
+      millisecond: value.millisecond || 0
+    };
+  }
+
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^(\d{4})[:-](\d{2})[:-](\d{2})[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?/);
+  if (!match) return null;
+
+  const parts = {
+    year: parseInt(match[1], 10),
+    month: parseInt(match[2], 10),
+    day: parseInt(match[3], 10),
+    hour: parseInt(match[4], 10),
+    minute: parseInt(match[5], 10),
+    second: match[6] ? parseInt(match[6], 10) : 0,
+    millisecond: match[7] ? parseInt(match[7].padEnd(3, '0'), 10) : 0
+  };
+
+  // Reject placeholder values such as "0000:00:00 00:00:00"
+  if (parts.year <= 1900 || parts.month < 1 || parts.month > 12 || parts.day < 1 || parts.day > 31 ||
+      parts.hour > 23 || parts.minute > 59 || parts.second > 59) {
+    return null;
+  }
+
+  return parts;
+}
+
+/**
+ * Extract a trailing UTC offset from a date/time string, if present
+ * @param {string} value - Date/time string (e.g. "2024:01:15 14:30:25+02:00")
+ * @returns {number|null} Offset in minutes east of UTC, or null
+ */
+export function extractEmbeddedOffset(value) {
+  if (typeof value !== 'string') return null;
+
+  // Only match an offset that follows the time component, not the date separators
+  const match = value.trim().match(/\d{2}:\d{2}(?::\d{2})?(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})$/);
+  return match ? parseOffset(match[1]) : null;
+}
+
+/**
+ * Parse a UTC offset string as used by the EXIF OffsetTime* tags
+ * @param {string|number} value - Offset such as "+02:00", "-0530", "Z" or minutes
+ * @returns {number|null} Offset in minutes east of UTC, or null if invalid
+ */
+export function parseOffset(value) {
+  if (typeof value === 'number') {
+    return isFinite(value) && Math.abs(value) <= 14 * 60 ? value : null;
+  }
+
+  if (typeof value !== 'string') return null;
+
+  const trimmed = value.trim();
+  if (trimmed === 'Z' || trimmed === 'UTC') return 0;
+
+  const match = trimmed.match(/^(?:UTC)?([+-])(\d{1,2}):?(\d{2})?$/);
+  if (!match) return null;
+
+  const hours = parseInt(match[2], 10);
+  const minutes = match[3] ? parseInt(match[3], 10) : 0;
+  if (hours > 14 || minutes > 59) return null;
+
+  const sign = match[1] === '-' ? -1 : 1;
+  return sign * (hours * 60 + minutes);
+}
+
+/**
+ * Format an offset in minutes as "+HH:MM"
+ * @param {number} offsetMinutes - Offset in minutes east of UTC
+ * @returns {string} Formatted offset
+ */
+export function formatOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+  const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+  const minutes = String(absolute % 60).padStart(2, '0');
+  return `${sign}${hours}:${minutes}`;
+}
+
+/**
+ * Check whether a zone name is a valid IANA time zone
+ * @param {string} zone - Zone name (e.g. "Europe/Paris")
+ * @returns {boolean} True if the runtime recognises the zone
+ */
+export function isValidTimeZone(zone) {
+  if (typeof zone !== 'string' || zone.length === 0) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the UTC offset of an IANA zone at a given instant
+ * @param {string} zone - IANA zone name
+ * @param {number} utcMs - Instant in milliseconds since epoch
+ * @returns {number|null} Offset in minutes east of UTC, or null if zone is invalid
+ */
+export function getZoneOffset(zone, utcMs) {
+  if (!isValidTimeZone(zone)) return null;
+
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: zone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  const fields = {};
+  for (const part of formatter.formatToParts(new Date(utcMs))) {
+    fields[part.type] = part.value;
+  }
+
+  const wallClockMs = Date.UTC(
+    parseInt(fields.year, 10),
+    parseInt(fields.month, 10) - 1,
+    parseInt(fields.day, 10),
+    parseInt(fields.hour, 10),
+    parseInt(fields.minute, 10),
+    parseInt(fields.second, 10)
+  );
+
+  return Math.round((wallClockMs - Math.floor(utcMs / 1000) * 1000) / 60000);
+}
+
+/**
+ * Convert wall-clock components to a UTC instant
+ * @param {Object} parts - Components from parseExifDateTime
+ * @param {number|string} zone - Offset in minutes, offset string or IANA zone name
+ * @returns {Object|null} {timestamp: Date, offsetMinutes} or null if zone is unusable
+ */
+export function localToUtc(parts, zone) {
+  if (!parts) return null;
+
+  const wallClockMs = Date.UTC(parts.year, parts.month - 1, parts.day,
+    parts.hour, parts.minute, parts.second, parts.millisecond || 0);
+
+  let offsetMinutes = parseOffset(zone);
+
+  if (offsetMinutes === null && isValidTimeZone(zone)) {
+    // Two passes settle on the correct offset either side of a DST transition
+    offsetMinutes = getZoneOffset(zone, wallClockMs);
+    const refined = getZoneOffset(zone, wallClockMs - offsetMinutes * 60000);
+    if (refined !== null) {
+      offsetMinutes = refined;
+    }
+  }
+
+  if (offsetMinutes === null) return null;
+
+  return {
+    timestamp: new Date(wallClockMs - offsetMinutes * 60000),
+    offsetMinutes
+  };
+}
+
+/**
+ * Interpret wall-clock components in the host's local time zone
+ * @param {Object} parts - Components from parseExifDateTime
+ * @returns {Object|null} {timestamp: Date, offsetMinutes} or null
+ */
+export function hostLocalToUtc(parts) {
+  if (!parts) return null;
+
+  const timestamp = new Date(parts.year, parts.month - 1, parts.day,
+    parts.hour, parts.minute, parts.second, parts.millisecond || 0);
+
+  if (isNaN(timestamp.getTime())) return null;
+
+  return {
+    timestamp,
+    offsetMinutes: -timestamp.getTimezoneOffset()
+  };
+}
+
+/**
+ * Combine EXIF GPSDateStamp and GPSTimeStamp into a UTC instant
+ * @param {string|Object} dateStamp - "YYYY:MM:DD" or ExifDate-like object
+ * @param {string|Array} timeStamp - "HH:MM:SS", or [h, m, s] as numbers or rationals
+ * @returns {Date|null} UTC timestamp or null
+ */
+export function parseGpsDateTime(dateStamp, timeStamp) {
+  if (!dateStamp || timeStamp === undefined || timeStamp === null) return null;
+
+  let year, month, day;
+  if (typeof dateStamp === 'object' && typeof dateStamp.year === 'number') {
+    ({ year, month, day } = dateStamp);
+  } else {
+    const match = String(dateStamp).trim().match(/^(\d{4})[:-](\d{2})[:-](\d{2})/);
+    if (!match) return null;
+    year = parseInt(match[1], 10);
+    month = parseInt(match[2], 10);
+    day = parseInt(match[3], 10);
+  }
+
+  let hms;
+  if (Array.isArray(timeStamp)) {
+    // piexif stores rationals as [numerator, denominator]
+    hms = timeStamp.map(value => Array.isArray(value) ? (value[1] ? value[0] / value[1] : 0) : Number(value));
+  } else {
+    hms = String(timeStamp).trim().replace(/Z$/, '').split(':').map(Number);
+  }
+
+  if (hms.length < 2 || hms.some(isNaN) || year <= 1900) return null;
+
+  const [hours, minutes, seconds = 0] = hms;
+  const timestamp = new Date(Date.UTC(year, month - 1, day, hours, minutes, 0) + Math.round(seconds * 1000));
+
+  return isNaN(timestamp.getTime()) ? null : timestamp;
+}
+
+/**
+ * Estimate the UTC offset at a longitude (nautical time zones)
+ * Only an approximation of civil time: it ignores daylight saving and political
+ * zone boundaries, so Spain gets +0 rather than +1/+2 and western China +6 rather than +8.
+ * @param {number} longitude - Longitude in decimal degrees
+ * @returns {number|null} Offset in minutes east of UTC, rounded to whole hours
+ */
+export function estimateOffsetFromLongitude(longitude) {
+  if (typeof longitude !== 'number' || !isFinite(longitude) || longitude < -180 || longitude > 180) {
+    return null;
+  }
+
+  return Math.round(longitude / 15) * 60;
+}
@@ -0,0 +1,180 @@
+/**
+ * XMP Utility
+ *
+ * Reads and merges simple properties in XMP sidecar files such as those kept
+ * by Lightroom and darktable. Only the forms those tools write are handled:
+ * properties as attributes of rdf:Description or as simple child elements.
+ * Everything else in the packet is left untouched.
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+export const XMP_NAMESPACES = {
+  exif: 'http://ns.adobe.com/exif/1.0/',
+  photoshop: 'http://ns.adobe.com/photoshop/1.0/',
+  Iptc4xmpCore: 'http://iptc.org/std/Iptc4xmpCore/1.0/xmlns/'
+};
+
+const EMPTY_PACKET = `<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about=""/>
+ </rdf:RDF>
+</x:xmpmeta>
+`;
+
+/**
+ * Escape a value for use in an XML attribute
+ * @param {*} value - Value
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Undo XML escaping
+ * @param {string} text - Escaped text
+ * @returns {string} Plain text
+ */
+function unescapeXml(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped pattern
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Read properties whose qualified name starts with a prefix
+ * @param {string} xml - XMP document
+ * @param {string} prefix - Qualified name prefix, e.g. "exif:GPS"
+ * @returns {Object} Qualified name to text value
+ */
+export function readXmpProperties(xml, prefix) {
+  const properties = {};
+  const name = `${escapeRegExp(prefix)}[\\w.-]*`;
+
+  // Attribute form on rdf:Description
+  for (const [, description] of xml.matchAll(/<rdf:Description\b([^>]*)>/g)) {
+    for (const [, key, value] of description.matchAll(new RegExp(`\\s(${name})\\s*=\\s*"([^"]*)"`, 'g'))) {
+      properties[key] = unescapeXml(value);
+    }
+  }
+
+  // Simple element form
+  for (const [, key, value] of xml.matchAll(new RegExp(`<(${name})>([^<]*)</\\1>`, 'g'))) {
+    properties[key] = unescapeXml(value.trim());
+  }
+
+  return properties;
+}
+
+/**
+ * Set properties on the first rdf:Description of an XMP document
+ * Existing occurrences of the properties (attribute or element form) are
+ * replaced; a null value removes the property.
+ * @param {string|null} xml - Existing XMP document, or null to create one
+ * @param {Object} properties - Qualified name to value
+ * @param {string|null} removePrefix - Also remove every property with this prefix
+ * @returns {string} Updated XMP document
+ */
+export function setXmpProperties(xml, properties, removePrefix = null) {
+  let document = xml && /<rdf:Description\b/.test(xml) ? xml : EMPTY_PACKET;
+
+  const names = Object.keys(properties).map(escapeRegExp);
+  if (removePrefix) {
+    names.push(`${escapeRegExp(removePrefix)}[\\w.-]*`);
+  }
+
+  if (names.length > 0) {
+    const pattern = `(?:${names.join('|')})`;
+    document = document
+      .replace(new RegExp(`\\s+${pattern}\\s*=\\s*"[^"]*"`, 'g'), '')
+      .replace(new RegExp(`[ \\t]*<(${pattern})>[^<]*</\\1>[ \\t]*\\r?\\n?`, 'g'), '')
+      .replace(new RegExp(`[ \\t]*<${pattern}\\s*/>[ \\t]*\\r?\\n?`, 'g'), '');
+  }
+
+  const attributes = Object.entries(properties)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`);
+
+  // Declare namespaces used by the new properties
+  for (const [key] of Object.entries(properties)) {
+    const prefix = key.split(':')[0];
+    if (XMP_NAMESPACES[prefix] && !new RegExp(`xmlns:${prefix}\\s*=`).test(document)) {
+      attributes.unshift(` xmlns:${prefix}="${XMP_NAMESPACES[prefix]}"`);
+    }
+  }
+
+  return document.replace(/<rdf:Description\b([^>]*?)(\s*\/?)>/, (match, existing, close) =>
+    `<rdf:Description${existing}${attributes.join('')}${close}>`);
+}
+
+/**
+ * Parse an XMP GPS coordinate
+ * Accepts "DDD,MM.mmk", "DDD,MM,SSk" and signed decimal degrees.
+ * @param {string} value - XMP coordinate
+ * @returns {number|null} Decimal degrees or null
+ */
+export function parseXmpCoordinate(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+
+  const match = text.match(/^(\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?))?(?:,(\d+(?:\.\d+)?))?\s*([NSEW])$/i);
+  if (match) {
+    const degrees = parseFloat(match[1]) + parseFloat(match[2] || 0) / 60 + parseFloat(match[3] || 0) / 3600;
+    return /[SW]/i.test(match[4]) ? -degrees : degrees;
+  }
+
+  const decimal = Number(text);
+  return text !== '' && Number.isFinite(decimal) ? decimal : null;
+}
+
+/**
+ * Format decimal degrees as an XMP GPS coordinate ("DDD,MM.mmmmmmk")
+ * @param {number} value - Decimal degrees
+ * @param {string} axis - 'latitude' or 'longitude'
+ * @returns {string} XMP coordinate
+ */
+export function formatXmpCoordinate(value, axis) {
+  const absolute = Math.abs(value);
+  let degrees = Math.floor(absolute);
+  let minutes = Number(((absolute - degrees) * 60).toFixed(6));
+  if (minutes >= 60) {
+    degrees += 1;
+    minutes = 0;
+  }
+
+  const ref = axis === 'latitude' ? (value >= 0 ? 'N' : 'S') : (value >= 0 ? 'E' : 'W');
+  return `${degrees},${minutes.toFixed(6)}${ref}`;
+}
+
+/**
+ * Read GPS coordinates from an XMP document
+ * @param {string} xml - XMP document
+ * @returns {Object|null} {latitude, longitude} or null if absent or invalid
+ */
+export function extractXmpGps(xml) {
+  const properties = readXmpProperties(xml, 'exif:GPS');
+  const latitude = parseXmpCoordinate(properties['exif:GPSLatitude']);
+  const longitude = parseXmpCoordinate(properties['exif:GPSLongitude']);
+
+  if (latitude === null || longitude === null) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+
+  return { latitude, longitude };
+}
@@ -0,0 +1,84 @@
+/**
+ * Zip Utility
+ *
+ * Minimal reader for zip archives such as KMZ files. Supports stored and
+ * deflated entries, which covers the archives produced by Google Earth and
+ * GPS tools.
+ *
+ * @author Tom Cranstoun <ddttom@github.com>
+ */
+
+import { inflateRawSync } from 'zlib';
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * Locate the end of central directory record
+ * @param {Buffer} buffer - Archive contents
+ * @returns {number} Offset of the record, or -1 if not a zip archive
+ */
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus a comment of up to 65535 bytes
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Extract entries from a zip archive
+ * @param {Buffer} buffer - Archive contents
+ * @param {Function} filter - Called with each entry name; only matching entries are extracted
+ * @returns {Array} [{name, data}] with data as a Buffer
+ * @throws {Error} If the archive is malformed or uses an unsupported compression method
+ */
+export function extractZipEntries(buffer, filter = () => true) {
+  const endOffset = buffer.length >= 22 ? findEndOfCentralDirectory(buffer) : -1;
+  if (endOffset === -1) {
+    throw new Error('Not a zip archive');
+  }
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Corrupt zip central directory');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (!filter(name)) continue;
+
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt zip entry: ${name}`);
+    }
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      entries.push({ name, data: compressed });
+    } else if (method === 8) {
+      entries.push({ name, data: inflateRawSync(compressed) });
+    } else {
+      throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+    }
+  }
+
+  return entries;
+}
@@ -0,0 +1,195 @@
+/**
+ * Clock Offset Service Tests
+ *
+ * Tests for estimating per-camera clock drift from reference photos and
+ * geotagged photos matched against the timeline.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import ClockOffsetService from '../../src/services/clockOffset.js';
+import TimelineParserService from '../../src/services/timelineParser.js';
+import { getCameraKey } from '../../src/utils/cameraSource.js';
+import { createLogger } from '../../src/utils/debugLogger.js';
+
+const testLogger = createLogger('ClockOffsetTest', {
+  enableConsole: false,
+  enableFile: false
+});
+
+const canon = { make: 'Canon', model: 'EOS R5', lens: null, serial: '012345' };
+const sony = { make: 'Sony', model: 'ILCE-7M3', lens: null, serial: null };
+
+/**
+ * Build a timeline with one point every 10 minutes walking east along a street
+ */
+function createTimeline() {
+  const timelineParser = new TimelineParserService(testLogger);
+  const start = Date.parse('2024-07-15T10:00:00Z');
+
+  for (let i = 0; i < 12; i++) {
+    timelineParser.addLocationPoint(new Date(start + i * 600000).toISOString(), {
+      latitude: 51.5,
+      longitude: -0.1 + i * 0.01
+    }, 'timeline_edits');
+  }
+
+  return timelineParser;
+}
+
+/**
+ * Build a geotagged photo taken at timeline point i by a camera running fast
+ */
+function createPhoto(i, camera, driftSeconds) {
+  const start = Date.parse('2024-07-15T10:00:00Z');
+  return {
+    filePath: `/pics/${i}.jpg`,
+    hasGPS: true,
+    latitude: 51.5,
+    longitude: -0.1 + i * 0.01,
+    timestamp: new Date(start + i * 600000 + driftSeconds * 1000),
+    camera
+  };
+}
+
+test('Camera Key', async (t) => {
+  await t.test('should include serial number when present', () => {
+    assert.strictEqual(getCameraKey(canon), 'Canon EOS R5 #012345');
+    assert.strictEqual(getCameraKey(sony), 'Sony ILCE-7M3');
+    assert.strictEqual(getCameraKey({ make: null, model: null }), null);
+  });
+});
+
+test('ClockOffsetService - Reference Photos', async (t) => {
+  await t.test('should compute offset from a GPS clock photo', () => {
+    const service = new ClockOffsetService({}, testLogger);
+
+    const record = service.addReferencePhoto(canon, new Date('2024-07-15T10:05:00Z'),
+      '2024-07-15T10:00:00Z', '/pics/clock.jpg');
+
+    assert.strictEqual(record.offsetSeconds, -300);
+    assert.strictEqual(record.source, 'reference_photo');
+    assert.strictEqual(service.getOffset(canon).offsetSeconds, -300);
+  });
+
+  await t.test('should reject reference photos without a camera or time', () => {
+    const service = new ClockOffsetService({}, testLogger);
+
+    assert.strictEqual(service.addReferencePhoto({}, new Date(), '2024-07-15T10:00:00Z'), null);
+    assert.strictEqual(service.addReferencePhoto(canon, new Date(), 'not a date'), null);
+  });
+});
+
+test('ClockOffsetService - Timeline Estimation', async (t) => {
+  await t.test('should estimate a per-camera offset from geotagged photos', () => {
+    const service = new ClockOffsetService({}, testLogger);
+    service.setTimelineParser(createTimeline());
+
+    const photos = [
+      createPhoto(2, canon, 420),
+      createPhoto(4, canon, 425),
+      createPhoto(6, canon, 415),
+      createPhoto(3, sony, -60),
+      createPhoto(5, sony, -60),
+      createPhoto(7, sony, -60)
+    ];
+
+    service.estimateFromGeotaggedImages(photos);
+
+    assert.strictEqual(service.getOffset(canon).offsetSeconds, -420);
+    assert.strictEqual(service.getOffset(canon).samples, 3);
+    assert.strictEqual(service.getOffset(canon).source, 'timeline_estimate');
+    assert.strictEqual(service.getOffset(sony).offsetSeconds, 60);
+  });
+
+  await t.test('should require the minimum number of samples', () => {
+    const service = new ClockOffsetService({ minSamples: 3 }, testLogger);
+    service.setTimelineParser(createTimeline());
+
+    service.estimateFromGeotaggedImages([createPhoto(2, canon, 420), createPhoto(4, canon, 420)]);
+
+    assert.strictEqual(service.getOffset(canon), null);
+  });
+
+  await t.test('should ignore timeline points derived from the images themselves', () => {
+    const timelineParser = new TimelineParserService(testLogger);
+    const photos = [2, 4, 6].map(i => createPhoto(i, canon, 420));
+    photos.forEach(photo => timelineParser.addLocationPoint(photo.timestamp.toISOString(),
+      { latitude: photo.latitude, longitude: photo.longitude }, `image:${photo.filePath}`));
+
+    const service = new ClockOffsetService({}, testLogger);
+    service.setTimelineParser(timelineParser);
+    service.estimateFromGeotaggedImages(photos);
+
+    assert.strictEqual(service.getOffset(canon), null);
+  });
+
+  await t.test('should not estimate offsets from photos taken during a long place visit', () => {
+    const timelineParser = new TimelineParserService(testLogger);
+    const start = Date.parse('2024-07-15T10:00:00Z');
+    const home = { latitudeE7: 515000000, longitudeE7: -1000000, name: 'Home' };
+    timelineParser.processPlaceVisit({
+      location: home,
+      duration: { startTimestamp: '2024-07-15T10:00:00Z', endTimestamp: '2024-07-15T16:00:00Z' }
+    });
+    // Raw points jitter around home for the whole visit
+    for (let i = 1; i < 36; i++) {
+      timelineParser.addLocationPoint(new Date(start + i * 600000).toISOString(),
+        { latitude: 51.5, longitude: -0.1 + i * 0.00001 }, 'records');
+    }
+
+    // Each photo lies nearest a point 40 minutes after it was taken
+    const photos = [6, 9, 12].map(i => ({
+      filePath: `/pics/home-${i}.jpg`,
+      hasGPS: true,
+      latitude: 51.5,
+      longitude: -0.1 + (i + 4) * 0.00001,
+      timestamp: new Date(start + i * 600000),
+      camera: canon
+    }));
+
+    const service = new ClockOffsetService({}, testLogger);
+    service.setTimelineParser(timelineParser);
+    service.estimateFromGeotaggedImages(photos);
+
+    assert.strictEqual(service.getOffset(canon), null);
+  });
+
+  await t.test('should not replace reference photo offsets', () => {
+    const service = new ClockOffsetService({}, testLogger);
+    service.setTimelineParser(createTimeline());
+    service.addReferencePhoto(canon, new Date('2024-07-15T10:07:00Z'), '2024-07-15T10:00:00Z');
+
+    service.estimateFromGeotaggedImages([2, 4, 6].map(i => createPhoto(i, canon, 900)));
+
+    assert.strictEqual(service.getOffset(canon).source, 'reference_photo');
+    assert.strictEqual(service.getOffset(canon).offsetSeconds, -420);
+  });
+});
+
+test('ClockOffsetService - Applying Offsets', async (t) => {
+  await t.test('should shift timestamps and keep the camera time', () => {
+    const service = new ClockOffsetService({}, testLogger);
+    service.addReferencePhoto(canon, new Date('2024-07-15T10:07:00Z'), '2024-07-15T10:00:00Z');
+
+    const cameraTime = new Date('2024-07-15T12:07:00Z');
+    const image = { timestamp: cameraTime, camera: canon };
+
+    assert.strictEqual(service.applyOffset(image), true);
+    assert.strictEqual(image.timestamp.toISOString(), '2024-07-15T12:00:00.000Z');
+    assert.strictEqual(image.cameraTimestamp, cameraTime);
+    assert.deepStrictEqual(image.clockOffset, { offsetSeconds: -420, source: 'reference_photo' });
+  });
+
+  await t.test('should leave small offsets and unknown cameras alone', () => {
+    const service = new ClockOffsetService({ minOffsetSeconds: 30 }, testLogger);
+    service.addReferencePhoto(canon, new Date('2024-07-15T10:00:10Z'), '2024-07-15T10:00:00Z');
+
+    const image = { timestamp: new Date('2024-07-15T12:00:00Z'), camera: canon };
+    const other = { timestamp: new Date('2024-07-15T12:00:00Z'), camera: sony };
+
+    assert.strictEqual(service.applyOffset(image), false);
+    assert.strictEqual(service.applyOffset(other), false);
+    assert.strictEqual(image.cameraTimestamp, undefined);
+  });
+});
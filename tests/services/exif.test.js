@@ -5,8 +5,15 @@
  * Note: These tests focus on the service logic rather than actual file operations.
  */
 
-import { test } from 'node:test';
+import { test, after } from 'node:test';
 import assert from 'node:assert';
+import { join } from 'path';
+import { existsSync } from 'fs';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import sharp from 'sharp';
+import piexif from 'piexifjs';
+import { exiftool } from 'exiftool-vendored';
 import ExifService from '../../src/services/exif.js';
 import { createLogger } from '../../src/utils/debugLogger.js';
 
@@ -15,6 +22,9 @@ const testLogger = createLogger('ExifTest', {
   enableFile: false 
 });
 
+// The exiftool process would otherwise keep the test file running
+after(() => exiftool.end());
+
 test('ExifService - Initialization', async (t) => {
   await t.test('should create EXIF service with correct format sets', () => {
     const service = new ExifService(testLogger);
@@ -143,6 +153,21 @@ test('ExifService - Timestamp Parsing', async (t) => {
     assert.strictEqual(timestamp.getFullYear(), 2024);
   });
 
+  await t.test('should honour EXIF offset tags', () => {
+    const service = new ExifService(testLogger);
+
+    const tags = {
+      DateTimeOriginal: '2024:01:15 14:30:25',
+      OffsetTimeOriginal: '+09:00'
+    };
+
+    const timestamp = service.parseExiftoolTimestamp(tags);
+    const info = service.parseExiftoolTimestampInfo(tags);
+
+    assert.strictEqual(timestamp.toISOString(), '2024-01-15T05:30:25.000Z');
+    assert.strictEqual(info.offsetMinutes, 540);
+  });
+
   await t.test('should handle missing timestamps gracefully', () => {
     const service = new ExifService(testLogger);
     
@@ -179,4 +204,416 @@ test('ExifService - Basic Functionality', async (t) => {
     assert.ok(Array.isArray(negativeDMS));
     assert.strictEqual(negativeDMS[0][0], -41); // Raw DMS conversion preserves sign
   });
-});
\ No newline at end of file
+});
+
+/**
+ * Create a small JPEG without EXIF data
+ * @param {string} filePath - Output path
+ * @returns {Promise<void>}
+ */
+async function createJpeg(filePath) {
+  const buffer = await sharp({
+    create: { width: 8, height: 8, channels: 3, background: { r: 40, g: 120, b: 200 } }
+  }).jpeg().toBuffer();
+  await writeFile(filePath, buffer);
+}
+
+test('ExifService - XMP Sidecars', async (t) => {
+  const tempDir = await mkdtemp(join(tmpdir(), 'geo-images-sidecar-'));
+
+  try {
+    await t.test('should write a new sidecar and leave the image untouched', async () => {
+      const imagePath = join(tempDir, 'IMG_1.jpg');
+      await createJpeg(imagePath);
+      const original = await readFile(imagePath);
+      const service = new ExifService(testLogger, { sidecar: { mode: 'sidecar' } });
+
+      await service.writeGPSData(imagePath, { latitude: 48.8566, longitude: -2.3522 });
+
+      assert.ok((await readFile(imagePath)).equals(original));
+      const xml = await readFile(join(tempDir, 'IMG_1.xmp'), 'utf8');
+      assert.match(xml, /exif:GPSLatitude="48,51.396000N"/);
+      assert.match(xml, /exif:GPSLongitude="2,21.132000W"/);
+
+      const metadata = await service.extractMetadata(imagePath);
+      assert.strictEqual(metadata.hasGPS, true);
+      assert.strictEqual(metadata.gpsSource, 'xmp_sidecar');
+      assert.ok(Math.abs(metadata.latitude - 48.8566) < 0.000001);
+      assert.ok(Math.abs(metadata.longitude + 2.3522) < 0.000001);
+    });
+
+    await t.test('should merge GPS into an existing sidecar and keep other properties', async () => {
+      const imagePath = join(tempDir, 'IMG_2.jpg');
+      const sidecarPath = `${imagePath}.xmp`;
+      await createJpeg(imagePath);
+      await writeFile(sidecarPath, [
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+        ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+        '  <rdf:Description rdf:about=""',
+        '    xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+        '    xmlns:exif="http://ns.adobe.com/exif/1.0/"',
+        '    xmp:Rating="4">',
+        '   <exif:GPSLatitude>10,0.0N</exif:GPSLatitude>',
+        '   <darktable:history>kept</darktable:history>',
+        '  </rdf:Description>',
+        ' </rdf:RDF>',
+        '</x:xmpmeta>',
+        ''
+      ].join('\n'));
+      const service = new ExifService(testLogger, { sidecar: { mode: 'auto' } });
+
+      assert.strictEqual(service.getSidecarTarget(imagePath), sidecarPath);
+      await service.writeGPSData(imagePath, { latitude: -33.8688, longitude: 151.2093 });
+
+      const xml = await readFile(sidecarPath, 'utf8');
+      assert.match(xml, /xmp:Rating="4"/);
+      assert.match(xml, /<darktable:history>kept<\/darktable:history>/);
+      assert.doesNotMatch(xml, /10,0.0N/);
+      assert.strictEqual(xml.match(/xmlns:exif=/g).length, 1);
+      assert.ok(!existsSync(join(tempDir, 'IMG_2.xmp')));
+
+      const metadata = await service.extractMetadata(imagePath);
+      assert.ok(Math.abs(metadata.latitude + 33.8688) < 0.000001);
+    });
+
+    await t.test('should use sidecars in auto mode only for RAW files and files that have one', () => {
+      const service = new ExifService(testLogger, { sidecar: { mode: 'auto', naming: 'append' } });
+
+      assert.strictEqual(service.getSidecarTarget(join(tempDir, 'IMG_3.jpg')), null);
+      assert.strictEqual(service.getSidecarTarget(join(tempDir, 'IMG_3.CR3')), join(tempDir, 'IMG_3.CR3.xmp'));
+      assert.strictEqual(new ExifService(testLogger).getSidecarTarget(join(tempDir, 'IMG_3.CR3')), null);
+    });
+
+    await t.test('should prefer embedded GPS over sidecar GPS', async () => {
+      const imagePath = join(tempDir, 'IMG_4.jpg');
+      await createJpeg(imagePath);
+      const service = new ExifService(testLogger);
+      await service.writeGPSData(imagePath, { latitude: 51.5, longitude: -0.12 });
+      await new ExifService(testLogger, { sidecar: { mode: 'sidecar' } }).writeGPSData(imagePath, { latitude: 1.5, longitude: 2.5 });
+
+      const metadata = await service.extractMetadata(imagePath);
+      assert.ok(Math.abs(metadata.latitude - 51.5) < 0.0001);
+      assert.strictEqual(metadata.gpsSource, undefined);
+
+      const ignored = await new ExifService(testLogger, { sidecar: { read: false } }).extractMetadata(join(tempDir, 'IMG_1.jpg'));
+      assert.strictEqual(ignored.hasGPS, false);
+    });
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('ExifService - Optional GPS Tags', async (t) => {
+  const tempDir = await mkdtemp(join(tmpdir(), 'geo-images-gps-tags-'));
+  const coordinates = {
+    latitude: 46.5577,
+    longitude: 7.9852,
+    altitude: -12.345,
+    accuracy: 35,
+    timestamp: new Date('2024-07-15T10:05:07.250Z'),
+    source: 'gpx_track'
+  };
+
+  try {
+    await t.test('should write altitude, time, datum, error and processing method', async () => {
+      const imagePath = join(tempDir, 'tags.jpg');
+      await createJpeg(imagePath);
+      const service = new ExifService(testLogger);
+
+      await service.writeGPSData(imagePath, coordinates);
+
+      const gps = piexif.load((await readFile(imagePath)).toString('binary')).GPS;
+      assert.deepStrictEqual(gps[piexif.GPSIFD.GPSAltitude], [1235, 100]);
+      assert.strictEqual(gps[piexif.GPSIFD.GPSAltitudeRef], 1);
+      assert.strictEqual(gps[piexif.GPSIFD.GPSDateStamp], '2024:07:15');
+      assert.deepStrictEqual(gps[piexif.GPSIFD.GPSTimeStamp], [[10, 1], [5, 1], [7250, 1000]]);
+      assert.strictEqual(gps[piexif.GPSIFD.GPSMapDatum], 'WGS-84');
+      assert.deepStrictEqual(gps[piexif.GPSIFD.GPSHPositioningError], [3500, 100]);
+      assert.strictEqual(gps[piexif.GPSIFD.GPSProcessingMethod], 'ASCII\0\0\0geo-images: gpx_track');
+
+      const metadata = await service.extractMetadata(imagePath);
+      assert.ok(Math.abs(metadata.latitude - 46.5577) < 0.0001);
+    });
+
+    await t.test('should omit disabled tags and values the coordinates lack', () => {
+      const service = new ExifService(testLogger, { gpsTags: { altitude: false, mapDatum: null } });
+
+      const gps = service.coordinatesToExifGPS({ ...coordinates, accuracy: null, source: undefined });
+      assert.deepStrictEqual(Object.keys(gps).map(Number).sort((a, b) => a - b), [
+        piexif.GPSIFD.GPSLatitudeRef,
+        piexif.GPSIFD.GPSLatitude,
+        piexif.GPSIFD.GPSLongitudeRef,
+        piexif.GPSIFD.GPSLongitude,
+        piexif.GPSIFD.GPSTimeStamp,
+        piexif.GPSIFD.GPSDateStamp
+      ]);
+    });
+
+    await t.test('should write the same values to XMP sidecars', async () => {
+      const imagePath = join(tempDir, 'sidecar.jpg');
+      await createJpeg(imagePath);
+      const service = new ExifService(testLogger, { sidecar: { mode: 'sidecar' } });
+
+      await service.writeGPSData(imagePath, coordinates);
+
+      const xml = await readFile(join(tempDir, 'sidecar.xmp'), 'utf8');
+      assert.match(xml, /exif:GPSAltitude="1235\/100"/);
+      assert.match(xml, /exif:GPSAltitudeRef="1"/);
+      assert.match(xml, /exif:GPSTimeStamp="2024-07-15T10:05:07Z"/);
+      assert.match(xml, /exif:GPSMapDatum="WGS-84"/);
+      assert.match(xml, /exif:GPSHPositioningError="3500\/100"/);
+      assert.match(xml, /exif:GPSProcessingMethod="geo-images: gpx_track"/);
+    });
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('ExifService - Location Names', async (t) => {
+  const tempDir = await mkdtemp(join(tmpdir(), 'geo-images-location-names-'));
+  const coordinates = {
+    latitude: 48.8606,
+    longitude: 2.3376,
+    source: 'timeline_interpolation',
+    place: { name: 'Musée du Louvre', address: 'Rue de Rivoli, 75001 Paris, France' }
+  };
+
+  try {
+    await t.test('should write IPTC and XMP location fields with the GPS data', async () => {
+      const imagePath = join(tempDir, 'louvre.jpg');
+      await createJpeg(imagePath);
+      const service = new ExifService(testLogger);
+
+      await service.writeGPSData(imagePath, coordinates);
+
+      assert.deepStrictEqual(await service.readLocationTags(imagePath), {
+        'IPTC:Sub-location': 'Musée du Louvre',
+        'IPTC:City': 'Paris',
+        'XMP-photoshop:City': 'Paris',
+        'IPTC:Country-PrimaryLocationName': 'France',
+        'XMP-photoshop:Country': 'France',
+        'XMP-iptcCore:Location': 'Musée du Louvre, Paris'
+      });
+      const metadata = await service.extractMetadata(imagePath);
+      assert.ok(Math.abs(metadata.latitude - 48.8606) < 0.0001);
+    });
+
+    await t.test('should restore or remove location fields', async () => {
+      const imagePath = join(tempDir, 'louvre.jpg');
+      const service = new ExifService(testLogger);
+      const prior = await service.readLocationTags(imagePath);
+
+      await service.restoreLocationTags(imagePath, null);
+      assert.strictEqual(await service.readLocationTags(imagePath), null);
+
+      await service.restoreLocationTags(imagePath, prior);
+      assert.deepStrictEqual(await service.readLocationTags(imagePath), prior);
+    });
+
+    await t.test('should write location fields to XMP sidecars', async () => {
+      const imagePath = join(tempDir, 'sidecar.jpg');
+      await createJpeg(imagePath);
+      const service = new ExifService(testLogger, { sidecar: { mode: 'sidecar' } });
+
+      await service.writeGPSData(imagePath, coordinates);
+
+      const sidecarPath = join(tempDir, 'sidecar.xmp');
+      const xml = await readFile(sidecarPath, 'utf8');
+      assert.match(xml, /xmlns:photoshop="http:\/\/ns.adobe.com\/photoshop\/1.0\/"/);
+      assert.match(xml, /Iptc4xmpCore:Location="Musée du Louvre, Paris"/);
+      assert.match(xml, /exif:GPSLatitude=/);
+
+      await service.restoreLocationTags(sidecarPath, null);
+      assert.strictEqual(await service.readLocationTags(sidecarPath), null);
+      assert.match(await readFile(sidecarPath, 'utf8'), /exif:GPSLatitude=/);
+    });
+
+    await t.test('should not write location fields when disabled or unknown', async () => {
+      const imagePath = join(tempDir, 'plain.jpg');
+      await createJpeg(imagePath);
+
+      await new ExifService(testLogger, { locationNames: { enabled: false } }).writeGPSData(imagePath, coordinates);
+      await new ExifService(testLogger).writeGPSData(imagePath, { ...coordinates, place: { placeId: 'ChIJ123' } });
+
+      assert.strictEqual(await new ExifService(testLogger).readLocationTags(imagePath), null);
+    });
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+/**
+ * Create a small image of a modern format without metadata
+ * HEIC is written as an AVIF relabelled with the heic brand: the container and
+ * metadata layout are the same, and sharp cannot encode HEVC.
+ * @param {string} filePath - Output path
+ * @param {string} format - 'png', 'webp', 'avif' or 'heic'
+ * @returns {Promise<void>}
+ */
+async function createModernImage(filePath, format) {
+  const image = sharp({
+    create: { width: 8, height: 8, channels: 3, background: { r: 90, g: 160, b: 60 } }
+  });
+  const buffer = await (format === 'heic' ? image.avif() : image[format]()).toBuffer();
+  if (format === 'heic') {
+    buffer.write('heic', 8, 'latin1');
+  }
+  await writeFile(filePath, buffer);
+}
+
+test('ExifService - Modern Format Round Trips', async (t) => {
+  const tempDir = await mkdtemp(join(tmpdir(), 'geo-images-formats-'));
+  const service = new ExifService(testLogger);
+
+  try {
+    for (const format of ['png', 'webp', 'avif', 'heic']) {
+      await t.test(`should write and read back GPS and capture time in ${format.toUpperCase()}`, async () => {
+        const imagePath = join(tempDir, `photo.${format}`);
+        await createModernImage(imagePath, format);
+        await exiftool.write(imagePath, { DateTimeOriginal: '2024:07:15 10:05:00', OffsetTimeOriginal: '+10:00' }, ['-overwrite_original']);
+
+        const before = await service.extractMetadata(imagePath);
+        assert.strictEqual(before.hasGPS, false);
+
+        await service.writeGPSData(imagePath, {
+          latitude: -33.8688,
+          longitude: 151.2093,
+          timestamp: new Date('2024-07-15T00:05:00Z'),
+          source: 'timeline_interpolation'
+        });
+
+        const metadata = await service.extractMetadata(imagePath);
+        assert.strictEqual(metadata.hasGPS, true);
+        assert.ok(Math.abs(metadata.latitude + 33.8688) < 0.0001);
+        assert.ok(Math.abs(metadata.longitude - 151.2093) < 0.0001);
+        assert.strictEqual(metadata.timestamp.toISOString(), '2024-07-15T00:05:00.000Z');
+        assert.strictEqual(metadata.timestampInfo.offsetMinutes, 600);
+      });
+    }
+
+    await t.test('should read GPS and capture time from an XMP packet in a PNG', async () => {
+      const imagePath = join(tempDir, 'xmp-only.png');
+      await createModernImage(imagePath, 'png');
+      await exiftool.write(imagePath, {
+        'XMP:GPSLatitude': '48,51.396N',
+        'XMP:GPSLongitude': '2,21.132E',
+        'XMP:DateTimeOriginal': '2024:07:15 10:05:00+02:00'
+      }, ['-overwrite_original']);
+
+      const metadata = await service.extractMetadata(imagePath);
+      assert.strictEqual(metadata.hasGPS, true);
+      assert.ok(Math.abs(metadata.latitude - 48.8566) < 0.0001);
+      assert.ok(Math.abs(metadata.longitude - 2.3522) < 0.0001);
+      assert.strictEqual(metadata.timestamp.toISOString(), '2024-07-15T08:05:00.000Z');
+    });
+
+    await t.test('should take the capture time from QuickTime CreationDate', () => {
+      const info = service.parseExiftoolTimestampInfo({ CreationDate: '2024:07:15 10:05:00+09:00' });
+
+      assert.strictEqual(info.offsetMinutes, 540);
+      assert.strictEqual(service.timestampFromInfo(info).toISOString(), '2024-07-15T01:05:00.000Z');
+    });
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+/**
+ * Create a minimal MP4 with a movie header
+ * @param {string} filePath - Output path
+ * @param {Date} creationTime - mvhd creation time, stored as seconds since 1904 UTC
+ * @returns {Promise<void>}
+ */
+async function createMp4(filePath, creationTime) {
+  const box = (type, body = Buffer.alloc(0)) => {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + body.length);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, body]);
+  };
+
+  const mvhd = Buffer.alloc(100);
+  const seconds = Math.floor(creationTime.getTime() / 1000) + 2082844800;
+  mvhd.writeUInt32BE(seconds, 4);
+  mvhd.writeUInt32BE(seconds, 8);
+  mvhd.writeUInt32BE(1000, 12);
+  mvhd.writeUInt32BE(0x00010000, 20);
+  mvhd.writeUInt16BE(0x0100, 24);
+  [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000].forEach((value, i) => mvhd.writeUInt32BE(value, 36 + i * 4));
+  mvhd.writeUInt32BE(2, 96);
+
+  await writeFile(filePath, Buffer.concat([
+    box('ftyp', Buffer.from('isom\0\0\x02\0isommp42', 'latin1')),
+    box('moov', box('mvhd', mvhd)),
+    box('mdat')
+  ]));
+}
+
+test('ExifService - Video Metadata', async (t) => {
+  const tempDir = await mkdtemp(join(tmpdir(), 'geo-images-video-'));
+  const service = new ExifService(testLogger);
+
+  try {
+    await t.test('should read QuickTime CreateDate as UTC', async () => {
+      const videoPath = join(tempDir, 'phone.mp4');
+      await createMp4(videoPath, new Date('2024-07-15T10:05:00Z'));
+
+      const metadata = await service.extractMetadata(videoPath);
+      assert.strictEqual(metadata.hasGPS, false);
+      assert.strictEqual(metadata.timestamp.toISOString(), '2024-07-15T10:05:00.000Z');
+      assert.strictEqual(metadata.timestampInfo.offsetSource, 'quicktime_utc');
+    });
+
+    await t.test('should treat CreateDate as local time for cameras that write it that way', async () => {
+      const videoPath = join(tempDir, 'action.mp4');
+      await createMp4(videoPath, new Date('2024-07-15T10:05:00Z'));
+      await exiftool.write(videoPath, { 'UserData:Make': 'GoPro' }, ['-overwrite_original']);
+
+      const metadata = await service.extractMetadata(videoPath);
+      assert.strictEqual(metadata.camera.make, 'GoPro');
+      assert.strictEqual(metadata.timestampInfo.offsetMinutes, null);
+      assert.strictEqual(metadata.timestampInfo.localTime.hour, 10);
+    });
+
+    await t.test('should prefer the zoned Keys:CreationDate written by phones', async () => {
+      const videoPath = join(tempDir, 'iphone.mov');
+      await createMp4(videoPath, new Date('2024-07-15T10:05:00Z'));
+      await exiftool.write(videoPath, { 'Keys:CreationDate': '2024:07:15 19:05:00+09:00' }, ['-overwrite_original']);
+
+      const metadata = await service.extractMetadata(videoPath);
+      assert.strictEqual(metadata.timestampInfo.offsetMinutes, 540);
+      assert.strictEqual(metadata.timestamp.toISOString(), '2024-07-15T10:05:00.000Z');
+    });
+
+    await t.test('should write ISO 6709 coordinates to Keys and UserData and read them back', async () => {
+      const videoPath = join(tempDir, 'tagged.mp4');
+      await createMp4(videoPath, new Date('2024-07-15T10:05:00Z'));
+
+      await service.writeGPSData(videoPath, { latitude: -33.8688, longitude: 151.2093, altitude: 12.5, source: 'timeline_interpolation' });
+
+      const raw = await exiftool.readRaw(videoPath, ['-G1', '-n', '-Keys:GPSCoordinates', '-UserData:GPSCoordinates']);
+      assert.strictEqual(raw['Keys:GPSCoordinates'], '-33.8688 151.2093 12.5');
+      assert.strictEqual(raw['UserData:GPSCoordinates'], '-33.8688 151.2093 12.5');
+
+      const metadata = await service.extractMetadata(videoPath);
+      assert.strictEqual(metadata.hasGPS, true);
+      assert.ok(Math.abs(metadata.latitude + 33.8688) < 0.0001);
+      assert.ok(Math.abs(metadata.longitude - 151.2093) < 0.0001);
+    });
+
+    await t.test('should restore prior video GPS tags', async () => {
+      const videoPath = join(tempDir, 'tagged.mp4');
+      const prior = await service.readGPSTags(videoPath);
+
+      await service.writeGPSData(videoPath, { latitude: 1.5, longitude: 2.5 });
+      await service.restoreGPSTags(videoPath, prior);
+      const restored = await service.extractMetadata(videoPath);
+      assert.ok(Math.abs(restored.latitude + 33.8688) < 0.0001);
+
+      await service.restoreGPSTags(videoPath, null);
+      assert.strictEqual(await service.readGPSTags(videoPath), null);
+    });
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,61 @@
+/**
+ * File Discovery Service Tests
+ *
+ * Tests for discovering images and videos below a directory.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { join } from 'path';
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import FileDiscoveryService from '../../src/services/fileDiscovery.js';
+import { createLogger } from '../../src/utils/debugLogger.js';
+
+const testLogger = createLogger('FileDiscoveryTest', {
+  enableConsole: false,
+  enableFile: false
+});
+
+test('FileDiscoveryService - Scanning', async (t) => {
+  const tempDir = await mkdtemp(join(tmpdir(), 'geo-images-discovery-'));
+
+  try {
+    await mkdir(join(tempDir, 'trip'));
+    await mkdir(join(tempDir, '.thumbnails'));
+    for (const name of ['a.JPG', 'trip/b.cr3', 'trip/c.MP4', 'trip/d.mov', 'notes.txt', 'a.xmp', '.thumbnails/e.jpg']) {
+      await writeFile(join(tempDir, name), '');
+    }
+
+    await t.test('should find images and videos and skip everything else', async () => {
+      const service = new FileDiscoveryService(testLogger);
+      const files = await service.scanDirectory(tempDir);
+
+      assert.deepStrictEqual(files.map(file => file.slice(tempDir.length + 1)).sort(), ['a.JPG', 'trip/b.cr3', 'trip/c.MP4', 'trip/d.mov']);
+      assert.strictEqual(service.getStats().imageFiles, 2);
+      assert.strictEqual(service.getStats().videoFiles, 2);
+      assert.strictEqual(service.getStats().skippedFiles, 2);
+    });
+
+    await t.test('should leave videos out when includeVideos is off', async () => {
+      const service = new FileDiscoveryService(testLogger, { includeVideos: false });
+      const files = await service.scanDirectory(tempDir);
+
+      assert.strictEqual(files.length, 2);
+      assert.strictEqual(service.getStats().videoFiles, 0);
+    });
+
+    await t.test('should keep file sizes, mtimes and sidecars seen for the metadata cache', async () => {
+      const service = new FileDiscoveryService(testLogger);
+      await service.scanDirectory(tempDir);
+
+      const info = service.getFileInfo(join(tempDir, 'a.JPG'));
+      assert.strictEqual(info.size, 0);
+      assert.ok(info.mtimeMs > 0);
+      assert.deepStrictEqual([...info.sidecars], [join(tempDir, 'a.xmp')]);
+      assert.strictEqual(service.getFileInfo(join(tempDir, 'notes.txt')), null);
+    });
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
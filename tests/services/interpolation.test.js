@@ -10,6 +10,7 @@ import assert from 'node:assert';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import InterpolationService from '../../src/services/interpolation.js';
+import TimelineParserService from '../../src/services/timelineParser.js';
 import { createLogger } from '../../src/utils/debugLogger.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -225,4 +226,255 @@ test('InterpolationService - Timestamp Validation', async (t) => {
     // The result can be null if no coordinates are found, but no error should be thrown
     assert.ok(result === null || (typeof result === 'object' && result.latitude && result.longitude));
   });
-});
\ No newline at end of file
+});
+test('InterpolationService - Bracketed Timeline Interpolation', async (t) => {
+  const createTimeline = (points) => {
+    const timelineParser = new TimelineParserService(testLogger);
+    points.forEach(({ timestamp, ...location }) => timelineParser.addLocationPoint(timestamp, location, 'test'));
+    return timelineParser;
+  };
+
+  await t.test('should interpolate between the points either side of the timestamp', () => {
+    const service = new InterpolationService({ ...testConfig, maxBracketSpan: 120 }, testLogger);
+    service.setTimelineParser(createTimeline([
+      { timestamp: '2024-01-01T12:00:00Z', latitude: 51.5, longitude: -0.3, accuracy: 10 },
+      { timestamp: '2024-01-01T12:40:00Z', latitude: 51.5, longitude: -0.1, accuracy: 20 }
+    ]));
+
+    const result = service.interpolateFromTimeline(new Date('2024-01-01T12:10:00Z'));
+
+    assert.strictEqual(result.method, 'bracketed');
+    assert.strictEqual(result.bracketGap, 40);
+    assert.strictEqual(result.timeDifference, 10);
+    assert.strictEqual(result.accuracy, 20);
+    assert.ok(Math.abs(result.longitude - -0.25) < 0.001);
+    // Great-circle path bows towards the pole between points on the same parallel
+    assert.ok(result.latitude > 51.5);
+  });
+
+  await t.test('should fall back to the nearest point when the bracket is too wide', () => {
+    const service = new InterpolationService({ ...testConfig, maxBracketSpan: 30 }, testLogger);
+    service.setTimelineParser(createTimeline([
+      { timestamp: '2024-01-01T12:00:00Z', latitude: 51.5, longitude: -0.3, accuracy: 10 },
+      { timestamp: '2024-01-01T12:40:00Z', latitude: 51.5, longitude: -0.1, accuracy: 20 }
+    ]));
+
+    const result = service.interpolateFromTimeline(new Date('2024-01-01T12:10:00Z'));
+
+    assert.strictEqual(result.method, 'nearest');
+    assert.strictEqual(result.bracketGap, null);
+    assert.strictEqual(result.longitude, -0.3);
+  });
+
+  await t.test('should treat an exact timeline match as its own bracket', () => {
+    const service = new InterpolationService(testConfig, testLogger);
+    service.setTimelineParser(createTimeline([
+      { timestamp: '2024-01-01T12:00:00Z', latitude: 51.5, longitude: -0.2, accuracy: 10 }
+    ]));
+
+    const result = service.interpolateFromTimeline(new Date('2024-01-01T12:00:00Z'));
+
+    assert.strictEqual(result.method, 'bracketed');
+    assert.strictEqual(result.bracketGap, 0);
+    assert.strictEqual(result.latitude, 51.5);
+  });
+
+  await t.test('should interpolate across the antimeridian', () => {
+    const service = new InterpolationService(testConfig, testLogger);
+    service.setTimelineParser(createTimeline([
+      { timestamp: '2024-01-01T12:00:00Z', latitude: -17.0, longitude: 179.9 },
+      { timestamp: '2024-01-01T12:20:00Z', latitude: -17.0, longitude: -179.9 }
+    ]));
+
+    const result = service.interpolateFromTimeline(new Date('2024-01-01T12:10:00Z'));
+
+    assert.strictEqual(result.method, 'bracketed');
+    assert.ok(Math.abs(Math.abs(result.longitude) - 180) < 0.001);
+  });
+
+  await t.test('should interpolate altitude when both points have one', () => {
+    const service = new InterpolationService(testConfig, testLogger);
+    service.setTimelineParser(createTimeline([
+      { timestamp: '2024-01-01T12:00:00Z', latitude: 46.5, longitude: 7.9, altitude: 1000 },
+      { timestamp: '2024-01-01T12:40:00Z', latitude: 46.6, longitude: 7.9, altitude: 2000 },
+      { timestamp: '2024-01-01T13:20:00Z', latitude: 46.7, longitude: 7.9 }
+    ]));
+
+    assert.strictEqual(service.interpolateFromTimeline(new Date('2024-01-01T12:10:00Z')).altitude, 1250);
+    assert.strictEqual(service.interpolateFromTimeline(new Date('2024-01-01T13:00:00Z')).altitude, null);
+  });
+});
+
+test('InterpolationService - Nearby Images', async (t) => {
+  await t.test('should use the nearby image closest in time', () => {
+    const service = new InterpolationService(testConfig, testLogger);
+    service.addNearbyImage('a.jpg', { latitude: 51.5, longitude: -0.1 }, new Date('2024-01-01T10:00:00Z'));
+    service.addNearbyImage('b.jpg', { latitude: 48.8, longitude: 2.3 }, new Date('2024-01-01T13:00:00Z'));
+
+    const result = service.interpolateFromNearbyImages(new Date('2024-01-01T12:00:00Z'));
+
+    assert.strictEqual(result.sourceImage, 'b.jpg');
+    assert.strictEqual(result.timeDifference, 60);
+    assert.ok(Math.abs(result.confidence - 5 / 6) < 1e-9);
+  });
+
+  await t.test('should ignore images more than six hours away', () => {
+    const service = new InterpolationService(testConfig, testLogger);
+    service.addNearbyImage('a.jpg', { latitude: 51.5, longitude: -0.1 }, new Date('2024-01-01T05:00:00Z'));
+
+    assert.strictEqual(service.interpolateFromNearbyImages(new Date('2024-01-01T12:00:00Z')), null);
+  });
+});
+
+test('InterpolationService - Review Thresholds', async (t) => {
+  const service = new InterpolationService({
+    ...testConfig,
+    reviewThresholds: {
+      timeline: { minConfidence: 0.3, maxTimeDifference: 60 },
+      nearby_images: { minConfidence: 0.5, maxTimeDifference: null },
+      enhanced_fallback: { minConfidence: 0.3, maxTimeDifference: 360 }
+    }
+  }, testLogger);
+
+  await t.test('should accept results within the thresholds', () => {
+    assert.strictEqual(service.getReviewReason({ source: 'timeline_interpolation', confidence: 0.8, timeDifference: 10 }), null);
+    assert.strictEqual(service.getReviewReason({ source: 'nearby_images', confidence: 0.6, timeDifference: 300 }), null);
+  });
+
+  await t.test('should flag low confidence and large time differences per source', () => {
+    assert.match(service.getReviewReason({ source: 'nearby_images', confidence: 0.4, timeDifference: 30 }), /nearby_images confidence 0.40 below 0.5/);
+    assert.match(service.getReviewReason({ source: 'enhanced_fallback', confidence: 0.35, timeDifference: 1440 }), /enhanced_fallback time difference 1440 min exceeds 360 min/);
+  });
+
+  await t.test('should apply timeline thresholds to GPS track sources', () => {
+    assert.strictEqual(service.getThresholdGroup('gpx_track'), 'timeline');
+    assert.match(service.getReviewReason({ source: 'fit_track', confidence: 0.9, timeDifference: 90 }), /^timeline time difference/);
+  });
+
+  await t.test('should not hold back cached or EXIF results', () => {
+    assert.strictEqual(service.getReviewReason({ source: 'manual_review', confidence: 0.1, timeDifference: 9999 }), null);
+    assert.strictEqual(service.getReviewReason({ source: 'image_exif', confidence: 1.0 }), null);
+  });
+
+  await t.test('should accept everything when no thresholds are configured', () => {
+    const unconfigured = new InterpolationService(testConfig, testLogger);
+    assert.strictEqual(unconfigured.getReviewReason({ source: 'enhanced_fallback', confidence: 0.1, timeDifference: 1440 }), null);
+  });
+});
+
+test('InterpolationService - Existing GPS', async (t) => {
+  await t.test('should use GPS from the metadata collected during discovery', async () => {
+    const service = new InterpolationService(testConfig, testLogger);
+
+    const result = await service.interpolateCoordinates(new Date('2024-01-01T12:00:00Z'), '/path/to/image.jpg', {
+      hasGPS: true,
+      latitude: 48.8566,
+      longitude: 2.3522,
+      camera: { make: null, model: null, lens: null }
+    });
+
+    assert.strictEqual(result.method, 'direct');
+    assert.strictEqual(result.latitude, 48.8566);
+  });
+});
+
+test('InterpolationService - Activity-Aware Interpolation', async (t) => {
+  const createTimeline = (points) => {
+    const timelineParser = new TimelineParserService(testLogger);
+    points.forEach(({ timestamp, ...location }) => timelineParser.addLocationPoint(timestamp, location, 'test'));
+    return timelineParser;
+  };
+
+  // London to Paris in 40 minutes, far faster than any car
+  const londonToParis = () => createTimeline([
+    { timestamp: '2024-01-01T12:00:00Z', latitude: 51.47, longitude: -0.45, accuracy: 10 },
+    { timestamp: '2024-01-01T12:40:00Z', latitude: 49.01, longitude: 2.55, accuracy: 10 }
+  ]);
+
+  await t.test('should snap to the place during a place visit', () => {
+    const timelineParser = londonToParis();
+    timelineParser.addPlaceVisit('2024-01-01T11:00:00Z', '2024-01-01T12:05:00Z', {
+      latitude: 51.4700,
+      longitude: -0.4543,
+      accuracy: 5,
+      name: 'Heathrow Airport',
+      address: 'Longford TW6, UK'
+    }, 'test_visit');
+
+    const service = new InterpolationService(testConfig, testLogger);
+    service.setTimelineParser(timelineParser);
+    const result = service.interpolateFromTimeline(new Date('2024-01-01T12:03:00Z'));
+
+    assert.strictEqual(result.method, 'place_visit');
+    assert.strictEqual(result.latitude, 51.47);
+    assert.strictEqual(result.longitude, -0.4543);
+    assert.strictEqual(result.bracketGap, 65);
+    assert.strictEqual(result.activity, 'still');
+    assert.strictEqual(result.timelineSource, 'test_visit');
+    assert.deepStrictEqual(result.place, { name: 'Heathrow Airport', address: 'Longford TW6, UK', placeId: null });
+    assert.ok(result.confidence > 0.9);
+  });
+
+  await t.test('should not interpolate across a flight', () => {
+    const timelineParser = londonToParis();
+    timelineParser.addActivitySegment('2024-01-01T12:00:00Z', '2024-01-01T12:40:00Z', 'flying', 'test_activity');
+
+    const service = new InterpolationService(testConfig, testLogger);
+    service.setTimelineParser(timelineParser);
+    const result = service.interpolateFromTimeline(new Date('2024-01-01T12:15:00Z'));
+
+    assert.strictEqual(result.method, 'nearest');
+    assert.strictEqual(result.longitude, -0.45);
+    assert.strictEqual(result.activity, 'flying');
+    assert.ok(result.confidence < 0.5);
+  });
+
+  await t.test('should reject brackets implying an implausible speed for the activity', () => {
+    const timelineParser = londonToParis();
+    timelineParser.addActivitySegment('2024-01-01T12:00:00Z', '2024-01-01T12:40:00Z', 'driving', 'test_activity');
+
+    const service = new InterpolationService(testConfig, testLogger);
+    service.setTimelineParser(timelineParser);
+
+    assert.strictEqual(service.interpolateFromTimeline(new Date('2024-01-01T12:15:00Z')).method, 'nearest');
+  });
+
+  await t.test('should still interpolate plausible journeys', () => {
+    const timelineParser = createTimeline([
+      { timestamp: '2024-01-01T12:00:00Z', latitude: 51.5, longitude: -0.3, accuracy: 10 },
+      { timestamp: '2024-01-01T12:40:00Z', latitude: 51.5, longitude: -0.1, accuracy: 10 }
+    ]);
+    timelineParser.addActivitySegment('2024-01-01T12:00:00Z', '2024-01-01T12:40:00Z', 'cycling', 'test_activity');
+
+    const service = new InterpolationService(testConfig, testLogger);
+    service.setTimelineParser(timelineParser);
+    const result = service.interpolateFromTimeline(new Date('2024-01-01T12:10:00Z'));
+
+    assert.strictEqual(result.method, 'bracketed');
+    assert.strictEqual(result.activity, 'cycling');
+  });
+
+  await t.test('should lower confidence for faster activities', () => {
+    const service = new InterpolationService(testConfig, testLogger);
+
+    const still = service.calculateConfidence(10, 10, 'still');
+    const walking = service.calculateConfidence(10, 10, 'walking');
+    const driving = service.calculateConfidence(10, 10, 'driving');
+
+    assert.ok(still > walking);
+    assert.ok(walking > driving);
+    assert.strictEqual(service.calculateConfidence(10, 10, 'unknown'), service.calculateConfidence(10, 10));
+  });
+
+  await t.test('should ignore activities when disabled', () => {
+    const timelineParser = londonToParis();
+    timelineParser.addActivitySegment('2024-01-01T12:00:00Z', '2024-01-01T12:40:00Z', 'flying', 'test_activity');
+    timelineParser.addPlaceVisit('2024-01-01T11:00:00Z', '2024-01-01T12:05:00Z', { latitude: 51.47, longitude: -0.4543 }, 'test_visit');
+
+    const service = new InterpolationService({ ...testConfig, activityInterpolation: { enabled: false } }, testLogger);
+    service.setTimelineParser(timelineParser);
+
+    assert.strictEqual(service.interpolateFromTimeline(new Date('2024-01-01T12:03:00Z')).method, 'bracketed');
+    assert.strictEqual(service.interpolateFromTimeline(new Date('2024-01-01T12:15:00Z')).method, 'bracketed');
+  });
+});
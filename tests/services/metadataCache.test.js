@@ -0,0 +1,199 @@
+/**
+ * Metadata Cache Service Tests
+ *
+ * Tests for reusing extracted metadata of unchanged files between runs.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { join } from 'path';
+import { existsSync } from 'fs';
+import { mkdtemp, rm, utimes, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import sharp from 'sharp';
+import ExifService from '../../src/services/exif.js';
+import MetadataCacheService, { deserializeMetadata, serializeMetadata } from '../../src/services/metadataCache.js';
+import { createLogger } from '../../src/utils/debugLogger.js';
+
+const testLogger = createLogger('MetadataCacheTest', {
+  enableConsole: false,
+  enableFile: false
+});
+
+const METADATA = {
+  hasGPS: false,
+  latitude: null,
+  longitude: null,
+  timestamp: new Date('2024-07-15T10:05:00.000Z'),
+  timestampInfo: { raw: '2024:07:15 12:05:00', offsetMinutes: 120 },
+  camera: { make: 'Canon', model: 'EOS R5', lens: null }
+};
+
+/**
+ * Open a cache backed by a database in the temp directory
+ * @param {string} tempDir - Temp directory
+ * @param {Object} config - Config overrides
+ * @param {Object} options - Options for MetadataCacheService.initialize
+ * @returns {Promise<MetadataCacheService>} Initialized cache
+ */
+async function openCache(tempDir, config = {}, options = {}) {
+  const cache = new MetadataCacheService({ databasePath: join(tempDir, 'cache.db'), ...config }, testLogger);
+  await cache.initialize(options);
+  return cache;
+}
+
+test('MetadataCacheService - Serialization', async (t) => {
+  await t.test('should restore dates and leave strings alone', () => {
+    const restored = deserializeMetadata(serializeMetadata(METADATA));
+    assert.ok(restored.timestamp instanceof Date);
+    assert.strictEqual(restored.timestamp.toISOString(), '2024-07-15T10:05:00.000Z');
+    assert.strictEqual(restored.timestampInfo.raw, '2024:07:15 12:05:00');
+    assert.deepStrictEqual(restored.camera, METADATA.camera);
+  });
+});
+
+test('MetadataCacheService - Lookups', async (t) => {
+  const tempDir = await mkdtemp(join(tmpdir(), 'geo-images-cache-'));
+
+  try {
+    const imagePath = join(tempDir, 'a.jpg');
+    await writeFile(imagePath, 'image a');
+
+    await t.test('should miss unknown files and hit them after a new run', async () => {
+      const cache = await openCache(tempDir);
+      assert.strictEqual(await cache.get(imagePath), null);
+      assert.ok(await cache.set(imagePath, METADATA));
+      await cache.close();
+
+      const nextRun = await openCache(tempDir);
+      const cached = await nextRun.get(imagePath);
+      await nextRun.close();
+
+      assert.strictEqual(cached.timestamp.toISOString(), '2024-07-15T10:05:00.000Z');
+      assert.deepStrictEqual(nextRun.getStats(), { enabled: false, hits: 1, misses: 0, stored: 0, hitRate: 100 });
+    });
+
+    await t.test('should miss files whose size or mtime changed', async () => {
+      const resized = join(tempDir, 'resized.jpg');
+      const touched = join(tempDir, 'touched.jpg');
+      await writeFile(resized, 'before');
+      await writeFile(touched, 'before');
+
+      const cache = await openCache(tempDir);
+      await cache.set(resized, METADATA);
+      await cache.set(touched, METADATA);
+      await writeFile(resized, 'after edit');
+      await utimes(touched, new Date('2020-01-01'), new Date('2020-01-01'));
+
+      assert.strictEqual(await cache.get(resized), null);
+      assert.strictEqual(await cache.get(touched), null);
+      assert.strictEqual(cache.getStats().misses, 2);
+      await cache.close();
+    });
+
+    await t.test('should reuse files with identical content when hashing is enabled', async () => {
+      const copied = join(tempDir, 'copied.jpg');
+      await writeFile(copied, 'same content');
+
+      const cache = await openCache(tempDir, { useHash: true });
+      await cache.set(copied, METADATA);
+      await utimes(copied, new Date('2020-01-01'), new Date('2020-01-01'));
+      assert.ok(await cache.get(copied));
+
+      await writeFile(copied, 'same_content');
+      await utimes(copied, new Date('2021-01-01'), new Date('2021-01-01'));
+      assert.strictEqual(await cache.get(copied), null);
+      await cache.close();
+    });
+
+    await t.test('should serve unchanged images to ExifService from the cache', async () => {
+      const jpegPath = join(tempDir, 'photo.jpg');
+      await sharp({
+        create: { width: 8, height: 8, channels: 3, background: { r: 200, g: 40, b: 40 } }
+      }).jpeg().toFile(jpegPath);
+
+      const cache = await openCache(tempDir);
+      const exifService = new ExifService(testLogger);
+      exifService.setMetadataCache(cache);
+
+      const first = await exifService.extractMetadata(jpegPath);
+      const second = await exifService.extractMetadata(jpegPath);
+      await cache.close();
+
+      assert.deepStrictEqual(second, first);
+      assert.strictEqual(cache.getStats().hits, 1);
+      assert.strictEqual(cache.getStats().stored, 1);
+    });
+
+    await t.test('should re-read every file after the cache is cleared', async () => {
+      const cache = await openCache(tempDir);
+      await cache.set(imagePath, METADATA);
+      await cache.flush();
+      const removed = await cache.clear();
+      const cached = await cache.get(imagePath);
+      await cache.close();
+
+      assert.ok(removed >= 1);
+      assert.strictEqual(cached, null);
+
+      const nextRun = await openCache(tempDir);
+      assert.strictEqual(nextRun.entries.size, 0);
+      await nextRun.close();
+    });
+
+    await t.test('should use stats from discovery instead of reading the file', async () => {
+      const cache = await openCache(tempDir);
+      const fileStats = { size: 7, mtimeMs: 1721037900000 };
+      const missing = join(tempDir, 'moved-away.jpg');
+      await cache.set(missing, METADATA, fileStats);
+
+      assert.ok(await cache.get(missing, fileStats));
+      assert.strictEqual(await cache.get(missing, { ...fileStats, size: 8 }), null);
+
+      // An unchanged cached image with no known sidecar needs no file system access at all
+      const exifService = new ExifService(testLogger);
+      exifService.setMetadataCache(cache);
+      const metadata = await exifService.extractMetadata(missing, { ...fileStats, sidecars: new Set() });
+      await cache.close();
+
+      assert.strictEqual(metadata.camera.model, 'EOS R5');
+      assert.strictEqual(metadata.hasGPS, false);
+    });
+
+    await t.test('should never create or write the database when read-only', async () => {
+      const readOnlyDir = await mkdtemp(join(tmpdir(), 'geo-images-cache-'));
+      try {
+        const absent = await openCache(readOnlyDir, {}, { readOnly: true });
+        assert.strictEqual(absent.isReady(), false);
+        assert.strictEqual(existsSync(join(readOnlyDir, 'cache.db')), false);
+
+        const writable = await openCache(readOnlyDir);
+        await writable.set(imagePath, METADATA);
+        await writable.close();
+
+        const readOnly = await openCache(readOnlyDir, {}, { readOnly: true });
+        const other = join(tempDir, 'other.jpg');
+        await writeFile(other, 'image other');
+        assert.ok(await readOnly.get(imagePath));
+        assert.strictEqual(await readOnly.set(other, METADATA), false);
+        assert.strictEqual(await readOnly.flush(), 0);
+        await readOnly.close();
+
+        const nextRun = await openCache(readOnlyDir);
+        assert.deepStrictEqual([...nextRun.entries.keys()], [imagePath]);
+        await nextRun.close();
+      } finally {
+        await rm(readOnlyDir, { recursive: true, force: true });
+      }
+    });
+
+    await t.test('should do nothing when disabled', async () => {
+      const cache = await openCache(tempDir, { enabled: false });
+      assert.strictEqual(cache.isReady(), false);
+      assert.strictEqual(await cache.set(imagePath, METADATA), false);
+      assert.strictEqual(await cache.get(imagePath), null);
+    });
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
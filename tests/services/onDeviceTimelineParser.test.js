@@ -0,0 +1,124 @@
+/**
+ * On-Device Timeline Parser Service Tests
+ *
+ * Tests for parsing the on-device Timeline export (semanticSegments,
+ * rawSignals and userLocationProfile).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import OnDeviceTimelineParserService from '../../src/services/onDeviceTimelineParser.js';
+import { createLogger } from '../../src/utils/debugLogger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const fixturePath = join(__dirname, '..', 'fixtures', 'sample-on-device-timeline.json');
+
+const testLogger = createLogger('OnDeviceTimelineParserTest', {
+  enableConsole: false,
+  enableFile: false
+});
+
+test('OnDeviceTimelineParserService - Semantic Segments', async (t) => {
+  await t.test('should record a visit at arrival and departure', () => {
+    const service = new OnDeviceTimelineParserService(testLogger);
+
+    const processed = service.processSemanticSegment({
+      startTime: '2024-01-15T10:00:00.000+01:00',
+      endTime: '2024-01-15T11:00:00.000+01:00',
+      visit: { topCandidate: { placeId: 'abc', semanticType: 'WORK', placeLocation: { latLng: '48.8566°, 2.3522°' } } }
+    });
+
+    const locations = service.getLocationDataArray();
+    assert.strictEqual(processed, 2);
+    assert.strictEqual(locations[0].timestamp, '2024-01-15T09:00:00.000Z');
+    assert.strictEqual(locations[0].source, 'timeline_device_visit');
+    assert.strictEqual(locations[0].latitude, 48.8566);
+    assert.strictEqual(locations[1].metadata.semanticType, 'WORK');
+  });
+
+  await t.test('should record activity start and end locations', () => {
+    const service = new OnDeviceTimelineParserService(testLogger);
+
+    service.processSemanticSegment({
+      startTime: '2024-01-15T11:00:00Z',
+      endTime: '2024-01-15T11:30:00Z',
+      activity: { start: { latLng: 'geo:51.5,-0.12' }, end: { latLng: 'geo:51.52,-0.13' }, topCandidate: { type: 'CYCLING' } }
+    });
+
+    const locations = service.getLocationDataArray();
+    assert.deepStrictEqual(locations.map(location => location.source),
+      ['timeline_device_activity_start', 'timeline_device_activity_end']);
+    assert.strictEqual(locations[1].longitude, -0.13);
+    assert.strictEqual(locations[1].metadata.activityType, 'CYCLING');
+  });
+
+  await t.test('should time path points from the segment start when no time is given', () => {
+    const service = new OnDeviceTimelineParserService(testLogger);
+
+    service.processSemanticSegment({
+      startTime: '2024-01-15T12:00:00Z',
+      endTime: '2024-01-15T13:00:00Z',
+      timelinePath: [
+        { point: 'geo:51.5,-0.12', durationMinutesOffsetFromStartTime: '0' },
+        { point: 'geo:51.51,-0.12', durationMinutesOffsetFromStartTime: '30' },
+        { point: 'not a coordinate', durationMinutesOffsetFromStartTime: '45' }
+      ]
+    });
+
+    const locations = service.getLocationDataArray();
+    assert.strictEqual(locations.length, 2);
+    assert.strictEqual(locations[1].timestamp, '2024-01-15T12:30:00.000Z');
+    assert.strictEqual(locations[1].source, 'timeline_device_path');
+  });
+});
+
+test('OnDeviceTimelineParserService - Raw Signals and Profile', async (t) => {
+  await t.test('should use position fixes with their accuracy', () => {
+    const service = new OnDeviceTimelineParserService(testLogger);
+
+    assert.strictEqual(service.processRawSignal({
+      position: { LatLng: '51.52°, -0.12°', accuracyMeters: 8, timestamp: '2024-01-15T12:30:00Z', source: 'GPS' }
+    }), 1);
+    assert.strictEqual(service.processRawSignal({ wifiScan: { deliveryTime: '2024-01-15T12:31:00Z' } }), 0);
+
+    const match = service.findCoordinatesForTimestamp(new Date('2024-01-15T12:35:00Z'), 10);
+    assert.strictEqual(match.source, 'timeline_device_position');
+    assert.strictEqual(match.accuracy, 8);
+    assert.strictEqual(match.timeDifference, 5);
+  });
+
+  await t.test('should keep frequent places without adding location points', () => {
+    const service = new OnDeviceTimelineParserService(testLogger);
+
+    service.processUserLocationProfile({
+      frequentPlaces: [{ placeId: 'abc', placeLocation: '51.5°, -0.12°', label: 'HOME' }]
+    });
+
+    assert.strictEqual(service.locationData.size, 0);
+    assert.deepStrictEqual(service.frequentPlaces, [{ latitude: 51.5, longitude: -0.12, placeId: 'abc', label: 'HOME' }]);
+  });
+});
+
+test('OnDeviceTimelineParserService - Loading', async (t) => {
+  await t.test('should stream an exported file', async () => {
+    const service = new OnDeviceTimelineParserService(testLogger);
+
+    const counts = await service.loadOnDeviceTimeline(fixturePath);
+    const stats = service.getStatistics();
+
+    assert.deepStrictEqual(counts, { segments: 4, rawSignals: 2, points: 7 });
+    assert.strictEqual(stats.totalRecords, 7);
+    assert.strictEqual(stats.frequentPlaces, 1);
+    assert.strictEqual(stats.sources.timeline_device_path, 3);
+  });
+
+  await t.test('should handle a missing file', async () => {
+    const service = new OnDeviceTimelineParserService(testLogger);
+
+    const counts = await service.loadOnDeviceTimeline(join(__dirname, 'missing.json'));
+    assert.strictEqual(counts.points, 0);
+  });
+});
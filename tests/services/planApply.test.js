@@ -0,0 +1,176 @@
+/**
+ * Plan Apply Service Tests
+ *
+ * Tests for applying reviewed dry-run plans.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { join } from 'path';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import PlanApplyService from '../../src/services/planApply.js';
+import PrivacyZoneService from '../../src/services/privacyZones.js';
+import GeolocationDatabaseService from '../../src/services/geolocationDatabase.js';
+import { calculateFileHash } from '../../src/utils/fileOperations.js';
+import { createLogger } from '../../src/utils/debugLogger.js';
+
+const testLogger = createLogger('PlanApplyTest', {
+  enableConsole: false,
+  enableFile: false
+});
+
+/**
+ * Create an apply service with a recording EXIF writer and an in-memory database
+ * @returns {Object} {service, writes, geolocationDb}
+ */
+function createApplyService() {
+  const writes = [];
+  const geolocationDb = new GeolocationDatabaseService({
+    enableSqlitePersistence: false,
+    validateCoordinates: true
+  }, testLogger);
+
+  const service = new PlanApplyService({}, testLogger);
+  service.setExifService({
+    writeGPSData: async (filePath, coordinates, options = {}) => {
+      writes.push(options.sidecarOnly ? { filePath, coordinates, sidecarOnly: true } : { filePath, coordinates });
+      return true;
+    }
+  });
+  service.setGeolocationDatabase(geolocationDb);
+
+  return { service, writes, geolocationDb };
+}
+
+test('PlanApplyService - Applying Plans', async (t) => {
+  const tempDir = await mkdtemp(join(tmpdir(), 'geo-images-apply-'));
+
+  try {
+    const imagePath = join(tempDir, 'a.jpg');
+    await writeFile(imagePath, 'image a');
+    const fileHash = await calculateFileHash(imagePath);
+
+    await t.test('should write the plan coordinates and record them as manual_review', async () => {
+      const { service, writes, geolocationDb } = createApplyService();
+
+      const report = await service.applyPlan([{
+        filePath: imagePath,
+        timestamp: '2024-07-15T10:05:00.000Z',
+        status: 'proposed',
+        latitude: 48.8566,
+        longitude: 2.3522,
+        confidence: 0.9,
+        fileHash
+      }], { planPath: 'plan.csv' });
+
+      assert.strictEqual(report.planPath, 'plan.csv');
+      assert.strictEqual(report.summary.applied, 1);
+      assert.deepStrictEqual(writes, [{
+        filePath: imagePath,
+        coordinates: { latitude: 48.8566, longitude: 2.3522, timestamp: new Date('2024-07-15T10:05:00.000Z'), source: 'manual_review' }
+      }]);
+
+      const stored = geolocationDb.inMemoryDb.get(imagePath);
+      assert.strictEqual(stored.source, 'manual_review');
+      assert.strictEqual(stored.latitude, 48.8566);
+      assert.strictEqual(stored.timestamp.toISOString(), '2024-07-15T10:05:00.000Z');
+    });
+
+    await t.test('should skip rejected and unresolved rows', async () => {
+      const { service, writes } = createApplyService();
+
+      const report = await service.applyPlan([
+        { filePath: imagePath, status: 'rejected', latitude: 48.8566, longitude: 2.3522, fileHash },
+        { filePath: imagePath, status: 'no_coordinates', latitude: null, longitude: null, fileHash: null }
+      ]);
+
+      assert.deepStrictEqual(report.summary, { total: 2, applied: 0, skipped: 2, changed: 0, failed: 0 });
+      assert.strictEqual(writes.length, 0);
+    });
+
+    await t.test('should not write images modified since planning', async () => {
+      const { service, writes } = createApplyService();
+      const editedPath = join(tempDir, 'edited.jpg');
+      await writeFile(editedPath, 'before');
+      const plannedHash = await calculateFileHash(editedPath);
+      await writeFile(editedPath, 'after');
+
+      const report = await service.applyPlan([
+        { filePath: editedPath, status: 'proposed', latitude: 48.8566, longitude: 2.3522, fileHash: plannedHash }
+      ]);
+
+      assert.strictEqual(report.results[0].status, 'changed');
+      assert.strictEqual(writes.length, 0);
+    });
+
+    await t.test('should fail rows with invalid coordinates or missing images', async () => {
+      const { service, writes } = createApplyService();
+
+      const report = await service.applyPlan([
+        { filePath: imagePath, status: 'approved', latitude: 123, longitude: 2.3522, fileHash },
+        { filePath: join(tempDir, 'missing.jpg'), status: 'proposed', latitude: 48.8566, longitude: 2.3522, fileHash }
+      ]);
+
+      assert.deepStrictEqual(report.results.map(result => result.status), ['failed', 'failed']);
+      assert.match(report.results[0].reason, /Invalid coordinates/);
+      assert.match(report.results[1].reason, /not found/);
+      assert.strictEqual(writes.length, 0);
+    });
+
+    await t.test('should take precedence over interpolated database records', async () => {
+      const { service, geolocationDb } = createApplyService();
+      await geolocationDb.storeCoordinates(imagePath, { latitude: 51.5, longitude: -0.12 }, 'timeline_interpolation');
+
+      await service.applyPlan([
+        { filePath: imagePath, status: 'proposed', latitude: 48.8566, longitude: 2.3522, fileHash }
+      ]);
+
+      const stored = await geolocationDb.getCoordinates(imagePath);
+      assert.strictEqual(stored.source, 'manual_review');
+      assert.strictEqual(stored.longitude, 2.3522);
+    });
+
+    await t.test('should apply privacy zone policies to reviewed coordinates', async () => {
+      const { service, writes, geolocationDb } = createApplyService();
+      const privacyZones = new PrivacyZoneService({
+        zonesPath: null,
+        zones: [
+          { name: 'Home', latitude: 48.8566, longitude: 2.3522, radiusMeters: 500, policy: 'skip' },
+          { name: 'Office', latitude: 51.5007, longitude: -0.1246, radiusMeters: 500, policy: 'sidecar' },
+          { name: 'Gym', latitude: 40.7128, longitude: -74.006, radiusMeters: 500, policy: 'snap' }
+        ]
+      }, testLogger);
+      await privacyZones.initialize();
+      service.setPrivacyZones(privacyZones);
+
+      const report = await service.applyPlan([
+        { filePath: imagePath, status: 'proposed', latitude: 48.857, longitude: 2.3525, fileHash },
+        { filePath: imagePath, status: 'proposed', latitude: 51.5008, longitude: -0.1245, fileHash },
+        { filePath: imagePath, status: 'proposed', latitude: 40.7129, longitude: -74.0059, fileHash }
+      ]);
+
+      assert.deepStrictEqual(report.results.map(result => result.status), ['skipped', 'applied', 'applied']);
+      assert.strictEqual(report.results[0].reason, 'Inside privacy zone Home');
+      assert.strictEqual(report.results[0].latitude, null);
+
+      assert.strictEqual(writes.length, 2);
+      assert.strictEqual(writes[0].sidecarOnly, true);
+      assert.strictEqual(writes[0].coordinates.latitude, 51.5008);
+      assert.strictEqual(report.results[1].latitude, null);
+      assert.strictEqual(report.results[1].reason, 'Inside privacy zone Office; sidecar only');
+      assert.strictEqual(writes[1].sidecarOnly, undefined);
+      assert.deepStrictEqual(
+        { latitude: writes[1].coordinates.latitude, longitude: writes[1].coordinates.longitude },
+        privacyZones.snapToGrid(40.7129, -74.0059)
+      );
+      assert.strictEqual(report.results[2].latitude, writes[1].coordinates.latitude);
+
+      // Only the snapped location reaches the database
+      const stored = await geolocationDb.getCoordinates(imagePath);
+      assert.strictEqual(stored.latitude, writes[1].coordinates.latitude);
+    });
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
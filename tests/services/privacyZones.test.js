@@ -0,0 +1,284 @@
+/**
+ * Privacy Zone Service Tests
+ *
+ * Tests for keeping locations inside privacy zones out of images and exports.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { join } from 'path';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import PrivacyZoneService from '../../src/services/privacyZones.js';
+import GeolocationDatabaseService from '../../src/services/geolocationDatabase.js';
+import TimelineAugmentationService from '../../src/services/timelineAugmentation.js';
+import TimelineParserService from '../../src/services/timelineParser.js';
+import GeoImagesApp from '../../src/index.js';
+import { calculateDistance } from '../../src/utils/distance.js';
+import { createLogger } from '../../src/utils/debugLogger.js';
+
+const testLogger = createLogger('PrivacyZoneTest', {
+  enableConsole: false,
+  enableFile: false
+});
+
+const HOME = { name: 'Home', latitude: 51.5007, longitude: -0.1246, radiusMeters: 500 };
+
+// Square of roughly 1.1 km around the Louvre
+const OFFICE = {
+  name: 'Office',
+  policy: 'sidecar',
+  polygon: [
+    { latitude: 48.856, longitude: 2.33 },
+    { latitude: 48.856, longitude: 2.345 },
+    { latitude: 48.866, longitude: 2.345 },
+    { latitude: 48.866, longitude: 2.33 }
+  ]
+};
+
+/**
+ * Create and load a zone service without a zones file
+ * @param {Object} config - Service config
+ * @returns {Promise<PrivacyZoneService>} Loaded service
+ */
+async function createZones(config = {}) {
+  const service = new PrivacyZoneService({ zonesPath: null, ...config }, testLogger);
+  await service.initialize();
+  return service;
+}
+
+test('PrivacyZoneService - Loading', async (t) => {
+  await t.test('should normalize circles and polygons', async () => {
+    const service = await createZones({ zones: [HOME, OFFICE] });
+
+    assert.strictEqual(service.getStats().zones, 2);
+    assert.deepStrictEqual(service.zones[0], { ...HOME, policy: 'snap' });
+    assert.strictEqual(service.zones[1].policy, 'sidecar');
+    assert.deepStrictEqual(service.zones[1].bounds, { north: 48.866, south: 48.856, east: 2.345, west: 2.33 });
+    assert.ok(service.zones[1].areaSquareMeters > 1e6);
+  });
+
+  await t.test('should add zones from the zones file to inline zones', async () => {
+    const tempDir = await mkdtemp(join(tmpdir(), 'geo-images-privacy-'));
+    try {
+      const zonesPath = join(tempDir, 'privacy-zones.json');
+      await writeFile(zonesPath, JSON.stringify([OFFICE]));
+
+      const service = await createZones({ zonesPath, zones: [HOME] });
+
+      assert.deepStrictEqual(service.zones.map(zone => zone.name), ['Home', 'Office']);
+    } finally {
+      await rm(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  await t.test('should reject invalid zones and zones files', async () => {
+    await assert.rejects(createZones({ zones: [{ ...HOME, radiusMeters: 0 }] }), /Home.*radiusMeters/);
+    await assert.rejects(createZones({ zones: [{ ...HOME, policy: 'blur' }] }), /policy must be one of skip, snap, sidecar/);
+    await assert.rejects(createZones({ zones: [{ polygon: OFFICE.polygon.slice(0, 2) }] }), /zone 1.*at least 3 vertices/);
+
+    const tempDir = await mkdtemp(join(tmpdir(), 'geo-images-privacy-'));
+    try {
+      const zonesPath = join(tempDir, 'privacy-zones.json');
+      await writeFile(zonesPath, JSON.stringify({ zones: [HOME] }));
+
+      await assert.rejects(createZones({ zonesPath }), /expected an array of zones/);
+    } finally {
+      await rm(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  await t.test('should ignore zones when disabled', async () => {
+    const service = await createZones({ enabled: false, zones: [HOME] });
+
+    assert.strictEqual(service.findZone(HOME.latitude, HOME.longitude), null);
+  });
+
+  await t.test('should refuse lookups before initialize', () => {
+    const service = new PrivacyZoneService({ zonesPath: null, zones: [HOME] }, testLogger);
+
+    assert.throws(() => service.findZone(HOME.latitude, HOME.longitude), /not loaded/);
+  });
+});
+
+test('PrivacyZoneService - Applying Policies', async (t) => {
+  const service = await createZones({
+    zones: [HOME, OFFICE, { name: 'Clinic', latitude: -33.8688, longitude: 151.2093, radiusMeters: 200, policy: 'skip' }]
+  });
+
+  await t.test('should find circle and polygon zones', () => {
+    assert.strictEqual(service.findZone(51.502, -0.1246).name, 'Home');
+    assert.strictEqual(service.findZone(51.51, -0.1246), null);
+    assert.strictEqual(service.findZone(48.8606, 2.3376).name, 'Office');
+    assert.strictEqual(service.findZone(48.87, 2.3376), null);
+  });
+
+  await t.test('should write locations outside zones unchanged', () => {
+    const coordinates = { latitude: 40.7128, longitude: -74.006, altitude: 10 };
+
+    assert.deepStrictEqual(service.apply(coordinates), { action: 'write', zone: null, coordinates });
+  });
+
+  await t.test('should snap locations and drop altitude, accuracy and place', () => {
+    const result = service.apply({ latitude: 51.501, longitude: -0.125, altitude: 12, accuracy: 5, place: { name: 'Home' } });
+
+    assert.strictEqual(result.action, 'snap');
+    assert.strictEqual(result.zone, 'Home');
+    assert.deepStrictEqual(result.coordinates, service.snapToGrid(51.501, -0.125));
+  });
+
+  await t.test('should keep sidecar-only and skipped locations as they are', () => {
+    const office = { latitude: 48.8606, longitude: 2.3376 };
+    const clinic = { latitude: -33.8689, longitude: 151.2094 };
+
+    assert.deepStrictEqual(service.apply(office), { action: 'sidecar', zone: 'Office', coordinates: office });
+    assert.deepStrictEqual(service.apply(clinic), { action: 'skip', zone: 'Clinic', coordinates: clinic });
+    assert.deepStrictEqual(service.getStats(), { zones: 3, skip: 1, snap: 1, sidecar: 1 });
+  });
+});
+
+test('PrivacyZoneService - Snapping and Redaction', async (t) => {
+  await t.test('should snap every location in a cell to the same point', async () => {
+    const service = await createZones({ snapGridMeters: 1000 });
+
+    const first = service.snapToGrid(51.5001, -0.1201);
+    const second = service.snapToGrid(51.5029, -0.1259);
+
+    assert.deepStrictEqual(first, second);
+    assert.ok(calculateDistance(51.5001, -0.1201, first.latitude, first.longitude) < 1000);
+    assert.deepStrictEqual(service.snapToGrid(first.latitude, first.longitude), first);
+  });
+
+  await t.test('should snap near the poles and the antimeridian', async () => {
+    const service = await createZones();
+
+    const polar = service.snapToGrid(89.999, 179.999);
+    assert.ok(polar.latitude <= 90 && polar.longitude >= -180 && polar.longitude <= 180);
+
+    const east = service.snapToGrid(-17.5, 179.99);
+    assert.ok(east.longitude <= 180 && east.longitude > 179);
+  });
+
+  await t.test('should snap or leave out exported records', async () => {
+    const service = await createZones({ zones: [HOME, OFFICE] });
+    const records = [
+      { filePath: 'home.jpg', latitude: 51.501, longitude: -0.125, accuracy: 5, source: 'timeline' },
+      { filePath: 'office.jpg', latitude: 48.8606, longitude: 2.3376, source: 'timeline' },
+      { filePath: 'park.jpg', latitude: 40.7128, longitude: -74.006, source: 'timeline' }
+    ];
+
+    assert.deepStrictEqual(service.redactRecords(records), [
+      { filePath: 'home.jpg', ...service.snapToGrid(51.501, -0.125), source: 'timeline' },
+      records[2]
+    ]);
+    assert.deepStrictEqual(service.getStats(), { zones: 2, skip: 0, snap: 0, sidecar: 0 });
+  });
+});
+
+test('PrivacyZoneService - Tagging', async (t) => {
+  /**
+   * Create an app with an in-memory database, the office zone and a recording EXIF writer
+   * @param {Object} coordinates - Coordinates the interpolation returns
+   * @returns {Promise<Object>} {app, writes}
+   */
+  async function createApp(coordinates) {
+    const app = new GeoImagesApp();
+    app.initializeServices();
+    const writes = [];
+    app.geolocationDb = new GeolocationDatabaseService({ enableSqlitePersistence: false, validateCoordinates: true }, testLogger);
+    app.interpolation.interpolateCoordinates = async () => ({ ...coordinates });
+    app.exifService.writeGPSData = async (filePath, gps, options = {}) => {
+      writes.push({ filePath, gps, options });
+      return true;
+    };
+    app.privacyZones.config = { ...app.privacyZones.config, zonesPath: null, zones: [OFFICE] };
+    await app.privacyZones.initialize();
+    return { app, writes };
+  }
+
+  const image = { filePath: '/photos/office.jpg', timestamp: new Date('2024-07-15T10:05:00Z'), hasGPS: false };
+  const office = { latitude: 48.8606, longitude: 2.3376, source: 'timeline_interpolation', method: 'exact_match', confidence: 0.95, timeDifference: 0 };
+
+  await t.test('should write sidecar locations to the sidecar only', async () => {
+    const { app, writes } = await createApp(office);
+    try {
+      const [result] = await app.processBatch([image]);
+
+      assert.strictEqual(result.status, 'written');
+      assert.strictEqual(writes[0].options.sidecarOnly, true);
+      assert.strictEqual(writes[0].gps.latitude, office.latitude);
+      assert.strictEqual(await app.geolocationDb.getCoordinates(image.filePath), null);
+    } finally {
+      await app.cleanup();
+    }
+  });
+
+  await t.test('should report sidecar locations held for review without coordinates', async () => {
+    const { app, writes } = await createApp({ ...office, confidence: 0.1 });
+    try {
+      const [result] = await app.processBatch([image]);
+
+      assert.strictEqual(result.status, 'skipped');
+      assert.strictEqual(writes.length, 0);
+      const [entry] = app.statistics.needsReview;
+      assert.strictEqual(entry.filePath, image.filePath);
+      assert.strictEqual(entry.latitude, null);
+      assert.strictEqual(entry.longitude, null);
+    } finally {
+      await app.cleanup();
+    }
+  });
+
+  await t.test('should leave sidecar locations out of the dry-run plan', async () => {
+    const { app, writes } = await createApp(office);
+    app.dryRun = true;
+    try {
+      await app.processBatch([image]);
+
+      assert.strictEqual(writes.length, 0);
+      const [entry] = app.processingPlan.entries;
+      assert.strictEqual(entry.status, 'privacy_zone');
+      assert.strictEqual(entry.latitude, null);
+    } finally {
+      await app.cleanup();
+    }
+  });
+});
+
+test('PrivacyZoneService - Timeline Augmentation', async (t) => {
+  const tempDir = await mkdtemp(join(tmpdir(), 'geo-images-privacy-augment-'));
+
+  try {
+    await t.test('should keep geotagged photos in zones out of location.json', async () => {
+      const zones = await createZones({ zones: [HOME, OFFICE, { ...HOME, name: 'Clinic', latitude: 40.7128, longitude: -74.006, policy: 'skip' }] });
+      const parser = new TimelineParserService(testLogger);
+      parser.locationJsonPath = join(tempDir, 'location.json');
+      const augmentation = new TimelineAugmentationService({ createBackup: false }, testLogger);
+      augmentation.setPrivacyZones(zones);
+
+      const photo = (name, latitude, longitude, hour) => ({
+        filePath: `/photos/${name}.jpg`,
+        hasGPS: true,
+        latitude,
+        longitude,
+        timestamp: new Date(`2024-07-15T${hour}:00:00Z`)
+      });
+      const results = await augmentation.augmentTimeline([
+        photo('home', 51.501, -0.125, '10'),
+        photo('office', 48.8606, 2.3376, '11'),
+        photo('clinic', 40.7129, -74.0061, '12'),
+        photo('park', 35.6762, 139.6503, '13')
+      ], parser);
+
+      assert.strictEqual(results.augmentedCount, 2);
+      assert.strictEqual(results.privacyCount, 2);
+      const saved = JSON.parse(await readFile(parser.locationJsonPath, 'utf8'));
+      assert.deepStrictEqual(saved.map(({ timestamp, latitude, longitude }) => ({ timestamp, latitude, longitude })), [
+        { timestamp: '2024-07-15T10:00:00.000Z', ...zones.snapToGrid(51.501, -0.125) },
+        { timestamp: '2024-07-15T13:00:00.000Z', latitude: 35.6762, longitude: 139.6503 }
+      ]);
+    });
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
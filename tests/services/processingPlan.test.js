@@ -0,0 +1,199 @@
+/**
+ * Processing Plan Service Tests
+ *
+ * Tests for dry-run plans and for keeping dry runs free of side effects.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { join } from 'path';
+import { existsSync } from 'fs';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import ProcessingPlanService, { PLAN_COLUMNS, parseCsv } from '../../src/services/processingPlan.js';
+import TimelineAugmentationService from '../../src/services/timelineAugmentation.js';
+import TimelineParserService from '../../src/services/timelineParser.js';
+import { createLogger } from '../../src/utils/debugLogger.js';
+
+const testLogger = createLogger('ProcessingPlanTest', {
+  enableConsole: false,
+  enableFile: false
+});
+
+test('ProcessingPlanService - Plan Entries', async (t) => {
+  const timestamp = new Date('2024-07-15T10:05:00Z');
+
+  await t.test('should record proposed coordinates with source, confidence and time difference', () => {
+    const plan = new ProcessingPlanService({}, testLogger);
+    const entry = plan.addProposal({ filePath: '/photos/a.jpg', timestamp }, {
+      latitude: 51.505,
+      longitude: -0.115,
+      source: 'timeline_interpolation',
+      method: 'bracketed',
+      confidence: 0.9,
+      timeDifference: 5
+    });
+
+    assert.deepStrictEqual(entry, {
+      filePath: '/photos/a.jpg',
+      timestamp: '2024-07-15T10:05:00.000Z',
+      status: 'proposed',
+      latitude: 51.505,
+      longitude: -0.115,
+      source: 'timeline_interpolation',
+      method: 'bracketed',
+      confidence: 0.9,
+      timeDifference: 5,
+      reason: null,
+      fileHash: null
+    });
+  });
+
+  await t.test('should record images without a proposal and summarise by status and source', () => {
+    const plan = new ProcessingPlanService({}, testLogger);
+    plan.addProposal({ filePath: '/photos/b.jpg', timestamp }, { latitude: 1.5, longitude: 2.5, source: 'nearby_images' });
+    plan.addProposal({ filePath: '/photos/a.jpg', timestamp }, { latitude: 1.5, longitude: 2.5, source: 'nearby_images' });
+    plan.addUnresolved({ filePath: '/photos/c.jpg', timestamp: null }, 'no_timestamp', 'Image has no timestamp');
+
+    assert.deepStrictEqual(plan.getSummary(), {
+      total: 3,
+      byStatus: { proposed: 2, no_timestamp: 1 },
+      bySource: { nearby_images: 2 }
+    });
+    assert.deepStrictEqual(plan.getEntries().map(entry => entry.filePath), ['/photos/a.jpg', '/photos/b.jpg', '/photos/c.jpg']);
+  });
+
+  await t.test('should record results below the review thresholds as needs_review', () => {
+    const plan = new ProcessingPlanService({}, testLogger);
+    const entry = plan.addNeedsReview({ filePath: '/photos/a.jpg', timestamp }, {
+      latitude: 51.505, longitude: -0.115, source: 'enhanced_fallback', confidence: 0.35, timeDifference: 1440
+    }, 'enhanced_fallback time difference 1440 min exceeds 360 min', 'abc123');
+
+    assert.strictEqual(entry.status, 'needs_review');
+    assert.strictEqual(entry.latitude, 51.505);
+    assert.strictEqual(entry.fileHash, 'abc123');
+    assert.match(entry.reason, /exceeds 360 min/);
+  });
+
+  await t.test('should quote CSV fields containing commas and quotes', () => {
+    const plan = new ProcessingPlanService({}, testLogger);
+    plan.addUnresolved({ filePath: '/photos/trip, "day 1".jpg', timestamp }, 'error', 'failed');
+
+    const [header, row] = plan.toCsv().trim().split('\n');
+    assert.strictEqual(header, PLAN_COLUMNS.join(','));
+    assert.ok(row.startsWith('"/photos/trip, ""day 1"".jpg",2024-07-15T10:05:00.000Z,error,,,'));
+    assert.ok(row.endsWith(',failed,'));
+  });
+});
+
+test('ProcessingPlanService - Saving', async (t) => {
+  const tempDir = await mkdtemp(join(tmpdir(), 'geo-images-plan-'));
+
+  try {
+    await t.test('should write JSON and CSV plans', async () => {
+      const outputPath = join(tempDir, 'plans', 'dry-run-plan');
+      const plan = new ProcessingPlanService({ outputPath }, testLogger);
+      plan.addProposal({ filePath: '/photos/a.jpg', timestamp: new Date('2024-07-15T10:05:00Z') }, {
+        latitude: 51.505, longitude: -0.115, source: 'gpx_track', confidence: 0.8, timeDifference: 2.5
+      });
+
+      const written = await plan.savePlan({ photoDirectory: '/photos' });
+      assert.deepStrictEqual(written, [`${outputPath}.json`, `${outputPath}.csv`]);
+
+      const json = JSON.parse(await readFile(`${outputPath}.json`, 'utf8'));
+      assert.strictEqual(json.photoDirectory, '/photos');
+      assert.strictEqual(json.summary.total, 1);
+      assert.strictEqual(json.entries[0].source, 'gpx_track');
+
+      const csv = await readFile(`${outputPath}.csv`, 'utf8');
+      assert.ok(csv.includes('/photos/a.jpg,2024-07-15T10:05:00.000Z,proposed,51.505,-0.115,gpx_track,,0.8,2.5,,'));
+    });
+
+    await t.test('should only write the configured formats', async () => {
+      const outputPath = join(tempDir, 'csv-only');
+      const plan = new ProcessingPlanService({ outputPath, formats: ['csv'] }, testLogger);
+
+      await plan.savePlan();
+      assert.ok(existsSync(`${outputPath}.csv`));
+      assert.ok(!existsSync(`${outputPath}.json`));
+    });
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('ProcessingPlanService - Loading', async (t) => {
+  const tempDir = await mkdtemp(join(tmpdir(), 'geo-images-plan-load-'));
+
+  try {
+    await t.test('should parse quoted CSV fields with commas, quotes and line breaks', () => {
+      assert.deepStrictEqual(parseCsv('a,b\r\n"x, ""y""","line\nbreak"\n\n'), [
+        ['a', 'b'],
+        ['x, "y"', 'line\nbreak']
+      ]);
+    });
+
+    await t.test('should round-trip a saved plan through JSON and CSV', async () => {
+      const outputPath = join(tempDir, 'plan');
+      const plan = new ProcessingPlanService({ outputPath }, testLogger);
+      plan.addProposal({ filePath: '/photos/a, b.jpg', timestamp: new Date('2024-07-15T10:05:00Z') }, {
+        latitude: 51.505, longitude: -0.115, source: 'timeline_interpolation', method: 'bracketed', confidence: 0.9, timeDifference: 5
+      }, 'abc123');
+      plan.addUnresolved({ filePath: '/photos/c.jpg', timestamp: null }, 'no_coordinates', 'No suitable coordinates found');
+      await plan.savePlan();
+
+      const fromJson = await plan.loadPlan(`${outputPath}.json`);
+      const fromCsv = await plan.loadPlan(`${outputPath}.csv`);
+      assert.deepStrictEqual(fromCsv, fromJson);
+      assert.strictEqual(fromCsv[0].fileHash, 'abc123');
+      assert.strictEqual(fromCsv[0].latitude, 51.505);
+      assert.strictEqual(fromCsv[1].latitude, null);
+    });
+
+    await t.test('should read hand-edited CSV plans by column name', async () => {
+      const planPath = join(tempDir, 'edited.csv');
+      await writeFile(planPath, 'status,longitude,latitude,filePath\nrejected,2.35,48.85,/photos/a.jpg\n');
+
+      const plan = new ProcessingPlanService({}, testLogger);
+      assert.deepStrictEqual(await plan.loadPlan(planPath), [
+        { status: 'rejected', longitude: 2.35, latitude: 48.85, filePath: '/photos/a.jpg' }
+      ]);
+    });
+
+    await t.test('should reject CSV plans without a filePath column', async () => {
+      const planPath = join(tempDir, 'broken.csv');
+      await writeFile(planPath, 'latitude,longitude\n1,2\n');
+
+      const plan = new ProcessingPlanService({}, testLogger);
+      await assert.rejects(plan.loadPlan(planPath), /no filePath column/);
+    });
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('Dry Run - Timeline Augmentation', async (t) => {
+  const tempDir = await mkdtemp(join(tmpdir(), 'geo-images-dry-run-'));
+
+  try {
+    await t.test('should add geotagged images to the timeline without saving location.json', async () => {
+      const parser = new TimelineParserService(testLogger);
+      parser.locationJsonPath = join(tempDir, 'location.json');
+      const augmentation = new TimelineAugmentationService({ createBackup: true }, testLogger);
+
+      const results = await augmentation.augmentTimeline([{
+        filePath: '/photos/geotagged.jpg',
+        hasGPS: true,
+        latitude: 48.8566,
+        longitude: 2.3522,
+        timestamp: new Date('2024-07-15T11:00:00Z')
+      }], parser, { dryRun: true });
+
+      assert.strictEqual(results.augmentedCount, 1);
+      assert.strictEqual(parser.getLocationDataArray().length, 1);
+      assert.ok(!existsSync(parser.locationJsonPath));
+    });
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
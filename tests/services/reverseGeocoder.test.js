@@ -0,0 +1,115 @@
+/**
+ * Reverse Geocoder Service Tests
+ *
+ * Tests for resolving coordinates to place names from a local GeoNames gazetteer.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { join, dirname } from 'path';
+import { copyFile, mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import ReverseGeocoderService from '../../src/services/reverseGeocoder.js';
+import { createLogger } from '../../src/utils/debugLogger.js';
+
+const testLogger = createLogger('ReverseGeocoderTest', {
+  enableConsole: false,
+  enableFile: false
+});
+
+const GAZETTEER_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'geonames');
+
+test('ReverseGeocoderService - Loading', async (t) => {
+  await t.test('should load places from the gazetteer once', async () => {
+    const geocoder = new ReverseGeocoderService({ directory: GAZETTEER_DIR }, testLogger);
+
+    const [first, second] = await Promise.all([geocoder.initialize(), geocoder.initialize()]);
+
+    assert.strictEqual(first, true);
+    assert.strictEqual(second, true);
+    assert.strictEqual(geocoder.isReady(), true);
+    // The Montmartre section of Paris (PPLX) is not a city
+    assert.strictEqual(geocoder.getStats().places, 5);
+  });
+
+  await t.test('should stay disabled without a gazetteer', async () => {
+    const geocoder = new ReverseGeocoderService({ directory: join(tmpdir(), 'geo-images-no-gazetteer') }, testLogger);
+
+    assert.strictEqual(await geocoder.initialize(), false);
+    assert.strictEqual(geocoder.isReady(), false);
+    assert.strictEqual(geocoder.reverseGeocode(48.8606, 2.3376), null);
+    assert.deepStrictEqual(geocoder.getStats(), { enabled: false, places: 0, lookups: 0, resolved: 0 });
+  });
+
+  await t.test('should not load when disabled', async () => {
+    const geocoder = new ReverseGeocoderService({ enabled: false, directory: GAZETTEER_DIR }, testLogger);
+
+    assert.strictEqual(await geocoder.initialize(), false);
+    assert.strictEqual(geocoder.isReady(), false);
+  });
+
+  await t.test('should fall back to country codes without name files', async () => {
+    const tempDir = await mkdtemp(join(tmpdir(), 'geo-images-geonames-'));
+    try {
+      await copyFile(join(GAZETTEER_DIR, 'cities1000.txt'), join(tempDir, 'cities1000.txt'));
+      const geocoder = new ReverseGeocoderService({ directory: tempDir }, testLogger);
+      await geocoder.initialize();
+
+      const place = geocoder.reverseGeocode(48.8606, 2.3376);
+
+      assert.strictEqual(place.city, 'Paris');
+      assert.strictEqual(place.region, null);
+      assert.strictEqual(place.country, 'FR');
+      assert.strictEqual(place.countryCode, 'FR');
+    } finally {
+      await rm(tempDir, { recursive: true, force: true });
+    }
+  });
+});
+
+test('ReverseGeocoderService - Lookups', async (t) => {
+  const geocoder = new ReverseGeocoderService({ directory: GAZETTEER_DIR }, testLogger);
+  await geocoder.initialize();
+
+  await t.test('should resolve city, region and country names', () => {
+    const place = geocoder.reverseGeocode(48.8606, 2.3376);
+
+    assert.strictEqual(place.city, 'Paris');
+    assert.strictEqual(place.region, 'Île-de-France');
+    assert.strictEqual(place.country, 'France');
+    assert.strictEqual(place.countryCode, 'FR');
+    assert.strictEqual(place.geonameId, 2988507);
+    assert.ok(place.distanceKm > 1 && place.distanceKm < 1.2, `distance ${place.distanceKm}`);
+  });
+
+  await t.test('should skip city sections and use the city itself', () => {
+    const place = geocoder.reverseGeocode(48.8867, 2.3431);
+
+    assert.strictEqual(place.city, 'Paris');
+  });
+
+  await t.test('should resolve places across the antimeridian', () => {
+    const place = geocoder.reverseGeocode(-16.77, -179.98);
+
+    assert.strictEqual(place.city, 'Somosomo');
+    assert.strictEqual(place.region, 'Northern');
+    assert.strictEqual(place.country, 'Fiji');
+  });
+
+  await t.test('should return null beyond the maximum distance', async () => {
+    assert.strictEqual(geocoder.reverseGeocode(40, -30), null);
+
+    const strict = new ReverseGeocoderService({ directory: GAZETTEER_DIR, maxDistanceKm: 2 }, testLogger);
+    await strict.initialize();
+    assert.strictEqual(strict.reverseGeocode(48.8867, 2.3431), null);
+  });
+
+  await t.test('should count lookups and resolved places', () => {
+    const stats = geocoder.getStats();
+
+    assert.strictEqual(stats.enabled, true);
+    assert.strictEqual(stats.lookups, 4);
+    assert.strictEqual(stats.resolved, 3);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Run Checkpoint Service Tests
+ *
+ * Tests for checkpointing runs and loading them to resume.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { join } from 'path';
+import { appendFile, mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import RunCheckpointService from '../../src/services/runCheckpoint.js';
+import { createLogger } from '../../src/utils/debugLogger.js';
+
+const testLogger = createLogger('RunCheckpointTest', {
+  enableConsole: false,
+  enableFile: false
+});
+
+const FILES = ['/photos/a.jpg', '/photos/b.jpg', '/photos/c.jpg', '/photos/d.jpg'];
+
+test('RunCheckpointService - Checkpoints', async (t) => {
+  const tempDir = await mkdtemp(join(tmpdir(), 'geo-images-checkpoint-'));
+
+  try {
+    const service = new RunCheckpointService({ directory: join(tempDir, 'runs') }, testLogger);
+
+    await t.test('should restore file statuses and statistics events', async () => {
+      await service.start('run-1', { photoDirectory: '/photos', files: FILES });
+      await service.recordBatch('run-1', [
+        { filePath: '/photos/a.jpg', status: 'written' },
+        { filePath: '/photos/b.jpg', status: 'failed' }
+      ], [{ type: 'success', args: ['interpolation', '/photos/a.jpg', {}] }]);
+      await service.recordBatch('run-1', [{ filePath: '/photos/c.jpg', status: 'skipped' }]);
+
+      const checkpoint = await service.load('run-1');
+      assert.strictEqual(checkpoint.photoDirectory, '/photos');
+      assert.deepStrictEqual(checkpoint.files, FILES);
+      assert.strictEqual(checkpoint.sessions, 1);
+      assert.deepStrictEqual([...checkpoint.statuses.entries()], [
+        ['/photos/a.jpg', 'written'],
+        ['/photos/b.jpg', 'failed'],
+        ['/photos/c.jpg', 'skipped'],
+        ['/photos/d.jpg', 'pending']
+      ]);
+      assert.deepStrictEqual(checkpoint.events, [{ type: 'success', args: ['interpolation', '/photos/a.jpg', {}] }]);
+      assert.deepStrictEqual(service.summarize(checkpoint.statuses), { pending: 1, written: 1, failed: 1, skipped: 1 });
+    });
+
+    await t.test('should count resumed sessions and ignore a batch cut short', async () => {
+      await appendFile(service.getCheckpointPath('run-1'), '{"type":"batch","statuses":{"/photos/d.jp');
+      await service.recordResume('run-1');
+
+      const checkpoint = await service.load('run-1');
+      assert.strictEqual(checkpoint.sessions, 2);
+      assert.strictEqual(checkpoint.statuses.get('/photos/d.jpg'), 'pending');
+    });
+
+    await t.test('should reject unknown statuses and missing runs', async () => {
+      await assert.rejects(
+        service.recordBatch('run-1', [{ filePath: '/photos/d.jpg', status: 'done' }]),
+        /Unknown file status/
+      );
+      await assert.rejects(service.load('missing-run'), /No checkpoint found/);
+      assert.strictEqual(service.exists('missing-run'), false);
+    });
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
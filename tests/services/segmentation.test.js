@@ -0,0 +1,251 @@
+/**
+ * Segmentation Service Tests
+ *
+ * Tests for splitting photos and timeline data into stays and trips.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import SegmentationService from '../../src/services/segmentation.js';
+import { TimeIndex } from '../../src/utils/timeIndex.js';
+import { createLogger } from '../../src/utils/debugLogger.js';
+
+const testLogger = createLogger('SegmentationTest', {
+  enableConsole: false,
+  enableFile: false
+});
+
+const START = Date.parse('2024-07-01T00:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+const HOME = { latitude: 51.5007, longitude: -0.1246 };    // London
+const HOTEL = { latitude: 48.8738, longitude: 2.2950 };    // Paris
+const LOUVRE = { latitude: 48.8606, longitude: 2.3376 };
+
+/**
+ * Timeline points every stepMinutes at a place, with a few metres of jitter
+ */
+function stayAt(place, fromHour, toHour, stepMinutes = 30) {
+  const points = [];
+  for (let minutes = fromHour * 60, step = 0; minutes <= toHour * 60; minutes += stepMinutes, step++) {
+    const jitter = (step % 3 - 1) * 0.0002;
+    points.push({ timestampMs: START + minutes * 60 * 1000, latitude: place.latitude + jitter, longitude: place.longitude - jitter });
+  }
+  return points;
+}
+
+/**
+ * Timeline points every stepMinutes on the straight line between two places
+ */
+function travel(from, to, fromHour, toHour, stepMinutes = 10) {
+  const points = [];
+  const totalMinutes = (toHour - fromHour) * 60;
+  for (let minutes = stepMinutes; minutes < totalMinutes; minutes += stepMinutes) {
+    const fraction = minutes / totalMinutes;
+    points.push({
+      timestampMs: START + (fromHour * 60 + minutes) * 60 * 1000,
+      latitude: from.latitude + (to.latitude - from.latitude) * fraction,
+      longitude: from.longitude + (to.longitude - from.longitude) * fraction
+    });
+  }
+  return points;
+}
+
+/**
+ * Minimal timeline parser exposing a time index and frequent places
+ */
+function createTimeline(points, frequentPlaces = []) {
+  const index = new TimeIndex(points.map(point => [point.timestampMs, {
+    latitude: point.latitude,
+    longitude: point.longitude,
+    source: point.source || 'timeline',
+    accuracy: 20
+  }]));
+  return { getTimeIndex: () => index, frequentPlaces };
+}
+
+/**
+ * Image metadata for a photo taken at an hour offset
+ */
+function photo(name, hour, place = null) {
+  return {
+    filePath: `/photos/${name}.jpg`,
+    timestamp: new Date(START + hour * HOUR),
+    hasGPS: !!place,
+    latitude: place ? place.latitude : null,
+    longitude: place ? place.longitude : null
+  };
+}
+
+// A day at home, the train to Paris, two nights in a hotel with a morning at the Louvre, and home again
+const TRIP_TIMELINE = [
+  ...stayAt(HOME, 0, 9),
+  ...travel(HOME, HOTEL, 9, 12),
+  ...stayAt(HOTEL, 12, 33),
+  ...travel(HOTEL, LOUVRE, 33, 33.5, 5),
+  ...stayAt(LOUVRE, 33.5, 36, 15),
+  ...travel(LOUVRE, HOTEL, 36, 36.5, 5),
+  ...stayAt(HOTEL, 36.5, 58),
+  ...travel(HOTEL, HOME, 58, 61),
+  ...stayAt(HOME, 61, 80)
+];
+
+test('SegmentationService - Stays', async (t) => {
+  const segmentation = new SegmentationService({}, testLogger);
+
+  await t.test('should find stays that last long enough', () => {
+    const points = [...stayAt(HOME, 0, 2), ...travel(HOME, HOTEL, 2, 5), ...stayAt(HOTEL, 5, 8)];
+
+    const stays = segmentation.detectStays(points);
+
+    assert.strictEqual(stays.length, 2);
+    assert.strictEqual(stays[0].startMs, START);
+    assert.strictEqual(stays[0].endMs, START + 2 * HOUR);
+    assert.ok(Math.abs(stays[1].centroid.latitude - HOTEL.latitude) < 0.001);
+    assert.ok(stays[1].radiusMeters < 50, `radius ${stays[1].radiusMeters}`);
+  });
+
+  await t.test('should not treat short pauses as stays', () => {
+    const points = [...stayAt(LOUVRE, 0, 0.25, 5), ...travel(LOUVRE, HOTEL, 0.25, 1, 5)];
+
+    assert.deepStrictEqual(segmentation.detectStays(points), []);
+  });
+
+  await t.test('should merge a stay split by a GPS jump', () => {
+    const outlier = { timestampMs: START + 2.1 * HOUR, latitude: HOME.latitude + 0.003, longitude: HOME.longitude };
+    const points = [...stayAt(HOME, 0, 2), outlier, ...stayAt(HOME, 2.5, 4)];
+
+    const stays = segmentation.detectStays(points);
+
+    assert.strictEqual(stays.length, 1);
+    assert.strictEqual(stays[0].endMs, START + 4 * HOUR);
+  });
+
+  await t.test('should keep stays apart when the user left in between', () => {
+    const points = [...stayAt(HOME, 0, 2), ...travel(HOME, HOTEL, 2, 3), ...travel(HOTEL, HOME, 3, 4), ...stayAt(HOME, 4, 6)];
+
+    assert.strictEqual(segmentation.detectStays(points).length, 2);
+  });
+});
+
+test('SegmentationService - Home Base', async (t) => {
+  const segmentation = new SegmentationService({}, testLogger);
+  const stays = segmentation.detectStays(TRIP_TIMELINE);
+
+  await t.test('should use the configured home location first', () => {
+    const configured = new SegmentationService({ homeLocation: { latitude: 40.4168, longitude: -3.7038 } }, testLogger);
+
+    const home = configured.findHomeBase(stays, createTimeline([], [{ ...HOTEL, label: 'HOME' }]));
+
+    assert.deepStrictEqual(home, { latitude: 40.4168, longitude: -3.7038, source: 'config' });
+  });
+
+  await t.test('should use the HOME frequent place of on-device exports', () => {
+    const home = segmentation.findHomeBase(stays, createTimeline([], [{ ...LOUVRE, label: 'WORK' }, { ...HOTEL, label: 'HOME' }]));
+
+    assert.deepStrictEqual(home, { ...HOTEL, source: 'frequent_place' });
+  });
+
+  await t.test('should otherwise pick the place with the most stay time', () => {
+    const home = segmentation.findHomeBase(stays, createTimeline([]));
+
+    // 28 hours at home against 42.5 at the hotel, but the hotel nights are one place too
+    assert.strictEqual(home.source, 'longest_stays');
+    assert.ok(Math.abs(home.latitude - HOTEL.latitude) < 0.001);
+  });
+
+  await t.test('should return null without stays', () => {
+    assert.strictEqual(segmentation.findHomeBase([], null), null);
+  });
+});
+
+test('SegmentationService - Trips', async (t) => {
+  const segmentation = new SegmentationService({ homeLocation: HOME }, testLogger);
+
+  await t.test('should find a trip away from home', () => {
+    const trips = segmentation.detectTrips(TRIP_TIMELINE, HOME);
+
+    assert.strictEqual(trips.length, 1);
+    assert.ok(trips[0].startMs > START + 9 * HOUR && trips[0].startMs < START + 10 * HOUR);
+    assert.ok(trips[0].endMs > START + 60 * HOUR && trips[0].endMs < START + 61 * HOUR);
+    assert.ok(trips[0].maxDistanceFromHome > 340000 && trips[0].maxDistanceFromHome < 350000);
+  });
+
+  await t.test('should ignore short departures', () => {
+    const nearby = { latitude: 51.2, longitude: -0.9 };
+    const points = [...stayAt(HOME, 0, 2), ...stayAt(nearby, 2.5, 4), ...stayAt(HOME, 4.5, 6)];
+
+    assert.deepStrictEqual(segmentation.detectTrips(points, HOME), []);
+  });
+});
+
+test('SegmentationService - Segments', async (t) => {
+  const segmentation = new SegmentationService({ homeLocation: HOME }, testLogger);
+  const imageMetadata = [
+    photo('home', 5, HOME),
+    photo('louvre-1', 34, LOUVRE),
+    photo('louvre-2', 34.5, LOUVRE),
+    photo('louvre-3', 35),
+    photo('hotel-1', 40),
+    photo('hotel-2', 41),
+    photo('undated', 0)
+  ];
+  imageMetadata[imageMetadata.length - 1].timestamp = null;
+
+  const timeline = createTimeline([
+    ...TRIP_TIMELINE,
+    // Already added from a photo by timeline augmentation
+    { timestampMs: START + 34 * HOUR + 1000, ...LOUVRE, source: 'image:/photos/louvre-1.jpg' }
+  ]);
+  const { home, segments, summary } = segmentation.segment(imageMetadata, timeline);
+
+  await t.test('should return stays and trips in time order', () => {
+    assert.deepStrictEqual(home, { ...HOME, source: 'config' });
+    assert.deepStrictEqual(segments.map(segment => segment.id), ['stay-1', 'trip-1', 'stay-2', 'stay-3', 'stay-4', 'stay-5']);
+    assert.deepStrictEqual(summary, { points: TRIP_TIMELINE.length + 3, stays: 5, trips: 1, weakCoverage: 2 });
+  });
+
+  await t.test('should count photos and coverage per segment', () => {
+    const louvre = segments.find(segment => segment.id === 'stay-3');
+    const trip = segments.find(segment => segment.id === 'trip-1');
+
+    assert.strictEqual(louvre.start, '2024-07-02T09:30:00.000Z');
+    assert.strictEqual(louvre.photoCount, 3);
+    assert.strictEqual(louvre.geotaggedPhotos, 2);
+    assert.strictEqual(louvre.coverage, 0.667);
+    assert.strictEqual(louvre.weakCoverage, false);
+    assert.deepStrictEqual(louvre.files, ['/photos/louvre-1.jpg', '/photos/louvre-2.jpg', '/photos/louvre-3.jpg']);
+    assert.ok(Math.abs(louvre.centroid.latitude - LOUVRE.latitude) < 0.001);
+    assert.strictEqual(louvre.timelinePoints, 11);
+
+    assert.strictEqual(trip.photoCount, 5);
+    assert.strictEqual(trip.coverage, 0.4);
+    assert.strictEqual(trip.weakCoverage, true);
+    assert.strictEqual(trip.stayCount, 3);
+    assert.ok(trip.maxDistanceFromHomeKm > 340 && trip.maxDistanceFromHomeKm < 350);
+  });
+
+  await t.test('should leave coverage empty for segments without photos', () => {
+    const lastStay = segments[segments.length - 1];
+
+    assert.strictEqual(lastStay.photoCount, 0);
+    assert.strictEqual(lastStay.coverage, null);
+    assert.strictEqual(lastStay.weakCoverage, false);
+  });
+
+  await t.test('should segment photos alone', () => {
+    const photosOnly = [photo('a', 0, HOME), photo('b', 0.5), photo('c', 1, HOME)];
+
+    const result = new SegmentationService({}, testLogger).segment(photosOnly);
+
+    assert.strictEqual(result.segments.length, 1);
+    assert.strictEqual(result.segments[0].photoCount, 3);
+    assert.strictEqual(result.home.source, 'longest_stays');
+  });
+
+  await t.test('should handle no data', () => {
+    const result = new SegmentationService({}, testLogger).segment([], null);
+
+    assert.deepStrictEqual(result, { home: null, segments: [], summary: { points: 0, stays: 0, trips: 0, weakCoverage: 0 } });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Statistics Service Tests
+ *
+ * Tests for success, failure and needs-review accounting.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import StatisticsService from '../../src/services/statistics.js';
+
+test('StatisticsService - Needs Review', async (t) => {
+  await t.test('should count quarantined results separately from successes and failures', () => {
+    const statistics = new StatisticsService();
+    statistics.setTotalImages(3);
+    statistics.recordSuccess('interpolation', '/photos/a.jpg');
+    statistics.recordFailure('interpolation', '/photos/b.jpg', 'No suitable coordinates found');
+    statistics.recordNeedsReview('/photos/c.jpg', 'enhanced_fallback time difference 1440 min exceeds 360 min', {
+      latitude: 51.5,
+      longitude: -0.12,
+      source: 'enhanced_fallback',
+      confidence: 0.35,
+      timeDifference: 1440
+    });
+
+    const report = statistics.generateReport();
+    assert.strictEqual(report.successCount, 1);
+    assert.strictEqual(report.failureCount, 1);
+    assert.strictEqual(report.needsReviewCount, 1);
+    assert.strictEqual(report.processedImages, 3);
+    assert.deepStrictEqual(report.failuresByCategory, { interpolation: 1 });
+    assert.strictEqual(report.needsReview[0].filePath, '/photos/c.jpg');
+    assert.strictEqual(report.needsReview[0].source, 'enhanced_fallback');
+    assert.ok(report.recommendations.some(recommendation => recommendation.type === 'needs_review'));
+  });
+
+  await t.test('should clear quarantined results on reset', () => {
+    const statistics = new StatisticsService();
+    statistics.recordNeedsReview('/photos/c.jpg', 'low confidence');
+    statistics.reset();
+
+    assert.strictEqual(statistics.generateReport().needsReviewCount, 0);
+    assert.deepStrictEqual(statistics.needsReview, []);
+  });
+});
+
+test('StatisticsService - Resumed Runs', async (t) => {
+  await t.test('should merge totals replayed from an earlier session', () => {
+    const original = new StatisticsService();
+    original.recordFailure('metadata_extraction', '/photos/broken.jpg', 'Unreadable');
+    original.startCapture();
+    original.recordSuccess('interpolation', '/photos/a.jpg');
+    original.recordFailure('interpolation', '/photos/b.jpg', 'No suitable coordinates found');
+    original.recordNeedsReview('/photos/c.jpg', 'low confidence', { source: 'enhanced_fallback' });
+    const events = JSON.parse(JSON.stringify(original.stopCapture()));
+
+    assert.strictEqual(events.length, 3);
+
+    const resumed = new StatisticsService();
+    resumed.replayEvents(events);
+    resumed.recordSuccess('interpolation', '/photos/d.jpg');
+    resumed.setRun({ runId: 'run-1', sessions: 2, resumed: true });
+
+    const report = resumed.generateReport();
+    assert.strictEqual(report.successCount, 2);
+    assert.strictEqual(report.failureCount, 1);
+    assert.strictEqual(report.needsReviewCount, 1);
+    assert.strictEqual(report.processedImages, 4);
+    assert.strictEqual(report.needsReview[0].source, 'enhanced_fallback');
+    assert.deepStrictEqual(report.run, { runId: 'run-1', sessions: 2, resumed: true });
+  });
+
+  await t.test('should not capture outside startCapture', () => {
+    const statistics = new StatisticsService();
+    statistics.recordSuccess('interpolation', '/photos/a.jpg');
+    assert.deepStrictEqual(statistics.stopCapture(), []);
+  });
+});
+
+test('StatisticsService - Privacy Zones', async (t) => {
+  await t.test('should count privacy zone policies and replay them on resume', () => {
+    const original = new StatisticsService();
+    original.startCapture();
+    original.recordPrivacyZone('/photos/a.jpg', 'Home', 'skip');
+    original.recordPrivacyZone('/photos/b.jpg', 'Home', 'snap');
+    original.recordSuccess('interpolation', '/photos/b.jpg');
+    const events = original.stopCapture();
+
+    const resumed = new StatisticsService();
+    resumed.replayEvents(events);
+    resumed.recordPrivacyZone('/photos/c.jpg', 'Office', 'sidecar');
+    resumed.recordSuccess('interpolation', '/photos/c.jpg');
+
+    const report = resumed.generateReport();
+    assert.deepStrictEqual(report.privacyZones, { skip: 1, snap: 1, sidecar: 1 });
+    // Skipped images are processed; snapped and sidecar-only ones count once, as successes
+    assert.strictEqual(report.processedImages, 3);
+    assert.strictEqual(report.successCount, 2);
+
+    resumed.reset();
+    assert.deepStrictEqual(resumed.generateReport().privacyZones, { skip: 0, snap: 0, sidecar: 0 });
+  });
+});
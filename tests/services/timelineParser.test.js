@@ -8,6 +8,8 @@ import { test } from 'node:test';
 import assert from 'node:assert';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
 import TimelineParserService from '../../src/services/timelineParser.js';
 import { createLogger } from '../../src/utils/debugLogger.js';
 
@@ -131,6 +133,29 @@ test('TimelineParserService - Location Point Processing', async (t) => {
     assert.strictEqual(stored.source, 'high_accuracy');
     assert.strictEqual(stored.accuracy, 10);
   });
+
+  await t.test('should prefer higher accuracy records when merging parsed data', () => {
+    const service = new TimelineParserService(testLogger);
+    const accurate = new Date('2024-01-15T12:00:00Z').getTime();
+    const vague = new Date('2024-01-15T12:05:00Z').getTime();
+    service.addLocationPoint(new Date(accurate).toISOString(), { latitude: 40.7128, longitude: -74.0060, accuracy: 5 }, 'timeline_semantic');
+    service.addLocationPoint(new Date(vague).toISOString(), { latitude: 40.7589, longitude: -73.9851, accuracy: 200 }, 'timeline_semantic');
+
+    service.mergeLocationData({
+      locationData: new Map([
+        [accurate, { latitude: 40.8, longitude: -74.1, source: 'timeline_edits_position', accuracy: 50 }],
+        [vague, { latitude: 40.759, longitude: -73.985, source: 'timeline_edits_position', accuracy: 20 }]
+      ]),
+      activitySegments: [],
+      placeVisits: [],
+      clearData: () => {}
+    });
+
+    assert.strictEqual(service.locationData.get(accurate).latitude, 40.7128);
+    assert.strictEqual(service.locationData.get(accurate).accuracy, 5);
+    assert.strictEqual(service.locationData.get(vague).source, 'timeline_edits_position');
+    assert.strictEqual(service.locationData.get(vague).accuracy, 20);
+  });
 });
 
 test('TimelineParserService - Coordinate Finding', async (t) => {
@@ -191,6 +216,34 @@ test('TimelineParserService - Coordinate Finding', async (t) => {
     assert.strictEqual(result.latitude, 40.7589); // Should be point2 (closer in time: 15 min vs 30 min)
     assert.strictEqual(result.timeDifference, 15);
   });
+
+  await t.test('should see points added after a lookup', () => {
+    const service = new TimelineParserService(testLogger);
+    
+    service.addLocationPoint('2024-01-15T12:00:00Z', { latitude: 40.7128, longitude: -74.0060 }, 'point1');
+    assert.strictEqual(service.findCoordinatesForTimestamp(new Date('2024-01-15T12:30:00Z'), 60).source, 'point1');
+    
+    service.addImageGPSData('/pics/a.jpg', { latitude: 40.7589, longitude: -73.9851 }, new Date('2024-01-15T12:35:00Z'));
+    assert.strictEqual(service.findCoordinatesForTimestamp(new Date('2024-01-15T12:30:00Z'), 60).source, 'image:/pics/a.jpg');
+  });
+
+  await t.test('should find bracketing points and range queries', () => {
+    const service = new TimelineParserService(testLogger);
+    
+    ['12:00', '12:20', '13:00'].forEach((time, index) => {
+      service.addLocationPoint(`2024-01-15T${time}:00Z`, { latitude: 40 + index, longitude: -74 }, `point${index}`);
+    });
+    
+    const bracket = service.findBracketingPoints(new Date('2024-01-15T12:10:00Z'), 60);
+    assert.strictEqual(bracket.before.source, 'point0');
+    assert.strictEqual(bracket.after.source, 'point1');
+    assert.strictEqual(bracket.before.timestamp, '2024-01-15T12:00:00.000Z');
+    
+    assert.strictEqual(service.findBracketingPoints(new Date('2024-01-15T12:30:00Z'), 30), null);
+    
+    const range = service.findLocationsInRange(new Date('2024-01-15T12:10:00Z'), new Date('2024-01-15T13:00:00Z'));
+    assert.deepStrictEqual(range.map(record => record.source), ['point1', 'point2']);
+  });
 });
 
 test('TimelineParserService - Enhanced Fallback', async (t) => {
@@ -312,4 +365,251 @@ test('TimelineParserService - Data Management', async (t) => {
     // Should be sorted by timestamp (earliest first)
     assert.ok(new Date(locationArray[0].timestamp) < new Date(locationArray[1].timestamp));
   });
-});
\ No newline at end of file
+});
+test('TimelineParserService - Streaming Ingestion', async (t) => {
+  await t.test('should stream standard timeline objects', async () => {
+    const fixturePath = join(__dirname, '..', 'fixtures', 'sample-timeline.json');
+    
+    const streamed = new TimelineParserService(testLogger);
+    streamed.timelineEditsPath = fixturePath;
+    const progress = [];
+    await streamed.loadTimelineFile({ onProgress: (update) => progress.push(update) });
+    
+    const parsed = new TimelineParserService(testLogger);
+    JSON.parse(await readFile(fixturePath, 'utf8')).timelineObjects.forEach(object => parsed.processTimelineObject(object));
+    
+    assert.ok(streamed.locationData.size > 0);
+    assert.deepStrictEqual(streamed.getLocationDataArray(), parsed.getLocationDataArray());
+    assert.ok(progress.length > 0);
+    assert.strictEqual(progress[progress.length - 1].elements, 3);
+  });
+
+  await t.test('should stream Timeline Edits entries', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'geo-images-timeline-'));
+    const filePath = join(directory, 'Timeline Edits.json');
+    
+    try {
+      await writeFile(filePath, JSON.stringify({
+        timelineEdits: [
+          { rawSignal: { signal: { position: { timestamp: '2024-01-15T12:00:00Z', point: { latE7: 407128000, lngE7: -740060000 }, accuracyMm: 5000 } } } },
+          { deviceId: 'has "quotes", {braces} and [brackets]' },
+          { rawSignal: { signal: { position: { timestamp: '2024-01-15T12:05:00Z', point: { latE7: 407589000, lngE7: -739851000 } } } } }
+        ]
+      }), 'utf8');
+
+      const service = new TimelineParserService(testLogger);
+      service.timelineEditsPath = filePath;
+      await service.loadTimelineFile();
+
+      const locations = service.getLocationDataArray();
+      assert.strictEqual(locations.length, 2);
+      assert.strictEqual(locations[0].source, 'timeline_edits_position');
+      assert.strictEqual(locations[0].accuracy, 5);
+      assert.strictEqual(locations[1].latitude, 40.7589);
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  await t.test('should detect and stream the on-device export format', async () => {
+    const service = new TimelineParserService(testLogger);
+    service.timelineEditsPath = join(__dirname, '..', 'fixtures', 'sample-on-device-timeline.json');
+    await service.loadTimelineFile();
+    
+    const stats = service.getStatistics();
+    assert.strictEqual(service.timelineFormat, 'on_device');
+    assert.strictEqual(stats.format, 'on_device');
+    assert.strictEqual(stats.totalRecords, 7);
+    assert.strictEqual(stats.sources.timeline_device_visit, 2);
+    assert.strictEqual(service.frequentPlaces.length, 1);
+    
+    const match = service.findCoordinatesForTimestamp(new Date('2024-01-15T11:12:00Z'), 5);
+    assert.strictEqual(match.latitude, 51.51);
+  });
+
+  await t.test('should report unknown formats', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'geo-images-timeline-'));
+    const filePath = join(directory, 'Timeline.json');
+    
+    try {
+      await writeFile(filePath, JSON.stringify({ locations: [{ latitudeE7: 515000000 }] }), 'utf8');
+      
+      const service = new TimelineParserService(testLogger);
+      await service.loadTimelineFile({ filePath });
+      
+      assert.strictEqual(service.timelineFormat, 'unknown');
+      assert.strictEqual(service.locationData.size, 0);
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+});
+
+test('TimelineParserService - Takeout Folder', async (t) => {
+  await t.test('should merge monthly semantic files and Records.json', async () => {
+    const root = await mkdtemp(join(tmpdir(), 'geo-images-takeout-'));
+    const semantic = join(root, 'Location History', 'Semantic Location History', '2024');
+    
+    try {
+      await mkdir(semantic, { recursive: true });
+      await writeFile(join(semantic, '2024_JANUARY.json'), JSON.stringify({
+        timelineObjects: [
+          { placeVisit: { location: { latitudeE7: 515000000, longitudeE7: -1200000 }, duration: { startTimestamp: '2024-01-15T10:00:00Z' } } }
+        ]
+      }));
+      await writeFile(join(semantic, '2024_FEBRUARY.json'), JSON.stringify({
+        timelineObjects: [
+          { placeVisit: { location: { latitudeE7: 488566000, longitudeE7: 23522000 }, duration: { startTimestamp: '2024-02-01T09:00:00Z' } } }
+        ]
+      }));
+      await writeFile(join(root, 'Location History', 'Records.json'), JSON.stringify({
+        locations: [
+          { latitudeE7: 515001000, longitudeE7: -1201000, accuracy: 10, timestamp: '2024-01-15T10:00:00Z' },
+          { latitudeE7: 515100000, longitudeE7: -1300000, accuracy: 20, timestampMs: String(Date.parse('2024-01-15T10:30:00Z')) },
+          { latitudeE7: 515100000, longitudeE7: -1300000 }
+        ]
+      }));
+      
+      const service = new TimelineParserService(testLogger, { takeoutPath: root });
+      const counts = await service.loadTakeoutDirectory(root);
+      
+      assert.strictEqual(counts.semanticFiles, 2);
+      assert.strictEqual(counts.timelineObjects, 2);
+      assert.strictEqual(counts.records, 2);
+      assert.strictEqual(counts.skippedRecords, 1);
+      
+      const locations = service.getLocationDataArray();
+      assert.strictEqual(locations.length, 3);
+      // The overlapping visit is replaced by the more accurate Records.json fix
+      assert.strictEqual(locations[0].source, 'takeout_records');
+      assert.strictEqual(locations[0].latitude, 51.5001);
+      assert.strictEqual(locations[1].timestamp, '2024-01-15T10:30:00.000Z');
+      assert.strictEqual(locations[2].source, 'timeline_place_visit');
+    } finally {
+      await rm(root, { recursive: true, force: true });
+    }
+  });
+
+  await t.test('should warn about a missing Takeout folder', async () => {
+    const service = new TimelineParserService(testLogger);
+    
+    const counts = await service.loadTakeoutDirectory(join(tmpdir(), 'geo-images-missing-takeout'));
+    assert.strictEqual(counts.semanticFiles, 0);
+  });
+});
+
+test('TimelineParserService - Activities and Place Visits', async (t) => {
+  await t.test('should keep activity types and record activity windows and visits', async () => {
+    const service = new TimelineParserService(testLogger);
+    [
+      {
+        placeVisit: {
+          location: {
+            latitudeE7: 488606000,
+            longitudeE7: 23376000,
+            name: 'Louvre',
+            address: 'Rue de Rivoli, 75001 Paris, France',
+            placeId: 'ChIJD3uTd9hx5kcR1IQvGfr8dbk'
+          },
+          duration: { startTimestamp: '2024-05-01T09:00:00Z', endTimestamp: '2024-05-01T12:00:00Z' }
+        }
+      },
+      {
+        activitySegment: {
+          activityType: 'FLYING',
+          startLocation: { latitudeE7: 490097000, longitudeE7: 25479000 },
+          endLocation: { latitudeE7: 414002000, longitudeE7: 21919000 },
+          duration: { startTimestamp: '2024-05-01T14:00:00Z', endTimestamp: '2024-05-01T16:00:00Z' }
+        }
+      }
+    ].forEach(object => service.processTimelineObject(object));
+
+    const locations = service.getLocationDataArray();
+    assert.strictEqual(locations.find(record => record.source === 'timeline_place_visit').activity, 'still');
+    assert.strictEqual(locations.find(record => record.source === 'timeline_activity_start').activity, 'flying');
+
+    assert.strictEqual(service.findActivity(new Date('2024-05-01T15:00:00Z')).activity, 'flying');
+    assert.strictEqual(service.findActivity(new Date('2024-05-01T13:00:00Z')), null);
+
+    const visit = service.findPlaceVisit(new Date('2024-05-01T10:30:00Z'));
+    assert.strictEqual(visit.latitude, 48.8606);
+    assert.strictEqual(visit.name, 'Louvre');
+    assert.strictEqual(visit.address, 'Rue de Rivoli, 75001 Paris, France');
+    assert.strictEqual(visit.placeId, 'ChIJD3uTd9hx5kcR1IQvGfr8dbk');
+    assert.strictEqual(visit.source, 'timeline_place_visit');
+    assert.strictEqual(service.findPlaceVisit(new Date('2024-05-01T12:30:00Z')), null);
+
+    const stats = service.getStatistics();
+    assert.strictEqual(stats.activitySegments, 1);
+    assert.strictEqual(stats.placeVisits, 1);
+  });
+
+  await t.test('should keep window indexes until the windows change', () => {
+    const service = new TimelineParserService(testLogger);
+    service.addActivitySegment('2024-05-01T14:00:00Z', '2024-05-01T16:00:00Z', 'flying', 'timeline_activity');
+    // A window ending before it starts is left out of the index
+    service.addActivitySegment('2024-05-01T18:00:00Z', '2024-05-01T17:00:00Z', 'walking', 'timeline_activity');
+    service.addPlaceVisit('2024-05-01T12:00:00Z', '2024-05-01T11:00:00Z', { latitude: 48.8606, longitude: 2.3376 }, 'timeline_place_visit');
+
+    service.findActivity(new Date('2024-05-01T15:00:00Z'));
+    service.findPlaceVisit(new Date('2024-05-01T11:30:00Z'));
+    const { activityIndex, placeVisitIndex } = service;
+    assert.strictEqual(service.findActivity(new Date('2024-05-01T17:30:00Z')), null);
+    assert.strictEqual(service.findPlaceVisit(new Date('2024-05-01T11:30:00Z')), null);
+    assert.strictEqual(service.activityIndex, activityIndex);
+    assert.strictEqual(service.placeVisitIndex, placeVisitIndex);
+
+    service.addActivitySegment('2024-05-01T19:00:00Z', '2024-05-01T20:00:00Z', 'walking', 'timeline_activity');
+    assert.strictEqual(service.findActivity(new Date('2024-05-01T19:30:00Z')).activity, 'walking');
+    assert.notStrictEqual(service.activityIndex, activityIndex);
+  });
+
+  await t.test('should label Timeline Edits positions with the detected activity', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'geo-images-timeline-'));
+    const filePath = join(directory, 'Timeline Edits.json');
+    const activity = (timestamp, activityType) => ({
+      rawSignal: { signal: { activityRecord: { timestamp, detectedActivities: [{ activityType, probability: 0.9 }] } } }
+    });
+    const position = (timestamp, latE7) => ({
+      rawSignal: { signal: { position: { timestamp, point: { latE7, lngE7: -740060000 } } } }
+    });
+
+    try {
+      await writeFile(filePath, JSON.stringify({
+        timelineEdits: [
+          activity('2024-01-15T12:00:00Z', 'IN_VEHICLE'),
+          position('2024-01-15T12:01:00Z', 407128000),
+          activity('2024-01-15T12:05:00Z', 'IN_VEHICLE'),
+          position('2024-01-15T12:30:00Z', 407589000),
+          activity('2024-01-15T12:31:00Z', 'WALKING')
+        ]
+      }), 'utf8');
+
+      const service = new TimelineParserService(testLogger);
+      service.timelineEditsPath = filePath;
+      await service.loadTimelineFile();
+
+      const locations = service.getLocationDataArray();
+      assert.strictEqual(locations[0].activity, 'in_vehicle');
+      assert.strictEqual(locations[1].activity, undefined);
+      assert.strictEqual(service.findActivity(new Date('2024-01-15T12:03:00Z')).activity, 'in_vehicle');
+      assert.strictEqual(service.findActivity(new Date('2024-01-15T12:31:00Z')).activity, 'walking');
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  await t.test('should read activity windows and visits from the on-device export', async () => {
+    const service = new TimelineParserService(testLogger);
+    service.timelineEditsPath = join(__dirname, '..', 'fixtures', 'sample-on-device-timeline.json');
+    await service.loadTimelineFile();
+
+    assert.ok(service.placeVisits.every(visit => visit.source === 'timeline_device_visit'));
+    const visit = service.findPlaceVisit(new Date('2024-01-15T10:30:00Z'));
+    assert.strictEqual(visit.latitude, 51.507351);
+    assert.strictEqual(visit.placeId, 'ChIJdd4hrwug2EcRmSrV3Vo6llI');
+    assert.strictEqual(visit.semanticType, 'HOME');
+    assert.strictEqual(service.findActivity(new Date('2024-01-15T11:15:00Z')).activity, 'walking');
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Timestamp Resolver Service Tests
+ *
+ * Tests for resolving camera wall-clock timestamps to UTC using EXIF offset
+ * tags, GPS timestamps, configured zones and timeline inference.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import TimestampResolverService from '../../src/services/timestampResolver.js';
+import TimelineParserService from '../../src/services/timelineParser.js';
+import { parseExifDateTime, parseOffset, localToUtc } from '../../src/utils/timezone.js';
+import { createLogger } from '../../src/utils/debugLogger.js';
+
+const testLogger = createLogger('TimestampResolverTest', {
+  enableConsole: false,
+  enableFile: false
+});
+
+/**
+ * Build metadata as returned by ExifService for a wall-clock time
+ */
+function createMetadata(dateTime, extra = {}) {
+  return {
+    timestamp: null,
+    timestampInfo: {
+      raw: dateTime,
+      localTime: parseExifDateTime(dateTime),
+      offsetMinutes: null,
+      gpsTimestamp: null,
+      ...extra
+    },
+    camera: { make: 'Canon', model: 'EOS R5', lens: null }
+  };
+}
+
+test('Timezone Utilities', async (t) => {
+  await t.test('should parse EXIF date/time strings', () => {
+    const parts = parseExifDateTime('2024:07:15 14:30:25');
+
+    assert.deepStrictEqual(parts, {
+      year: 2024, month: 7, day: 15, hour: 14, minute: 30, second: 25, millisecond: 0
+    });
+    assert.strictEqual(parseExifDateTime('0000:00:00 00:00:00'), null);
+  });
+
+  await t.test('should parse offset tags', () => {
+    assert.strictEqual(parseOffset('+02:00'), 120);
+    assert.strictEqual(parseOffset('-05:30'), -330);
+    assert.strictEqual(parseOffset('Z'), 0);
+    assert.strictEqual(parseOffset('garbage'), null);
+  });
+
+  await t.test('should convert IANA zones across daylight saving time', () => {
+    const summer = localToUtc(parseExifDateTime('2024:07:15 14:30:00'), 'Europe/Paris');
+    const winter = localToUtc(parseExifDateTime('2024:01:15 14:30:00'), 'Europe/Paris');
+
+    assert.strictEqual(summer.timestamp.toISOString(), '2024-07-15T12:30:00.000Z');
+    assert.strictEqual(winter.timestamp.toISOString(), '2024-01-15T13:30:00.000Z');
+  });
+});
+
+test('TimestampResolverService - Resolution Order', async (t) => {
+  await t.test('should prefer EXIF offset tags', () => {
+    const resolver = new TimestampResolverService({ defaultZone: 'Asia/Tokyo' }, testLogger);
+
+    const result = resolver.resolveTimestamp(createMetadata('2024:07:15 14:30:25', { offsetMinutes: 120 }), '/pics/a.jpg');
+
+    assert.strictEqual(result.timestamp.toISOString(), '2024-07-15T12:30:25.000Z');
+    assert.strictEqual(result.timezone.source, 'exif_offset');
+    assert.strictEqual(result.timezone.offset, '+02:00');
+  });
+
+  await t.test('should derive offset from GPS timestamp', () => {
+    const resolver = new TimestampResolverService({}, testLogger);
+
+    const result = resolver.resolveTimestamp(createMetadata('2024:07:15 14:30:25', {
+      gpsTimestamp: new Date('2024-07-15T05:30:20Z')
+    }), '/pics/a.jpg');
+
+    assert.strictEqual(result.timezone.source, 'gps_timestamp');
+    assert.strictEqual(result.timezone.offsetMinutes, 540);
+    assert.strictEqual(result.timestamp.toISOString(), '2024-07-15T05:30:25.000Z');
+  });
+
+  await t.test('should use the most specific directory zone', () => {
+    const resolver = new TimestampResolverService({
+      directoryZones: {
+        '/pics': 'Europe/London',
+        '/pics/japan': 'Asia/Tokyo'
+      }
+    }, testLogger);
+
+    const result = resolver.resolveTimestamp(createMetadata('2024:07:15 14:30:25'), '/pics/japan/day1/a.jpg');
+
+    assert.strictEqual(result.timezone.source, 'directory_config');
+    assert.strictEqual(result.timezone.zone, 'Asia/Tokyo');
+    assert.strictEqual(result.timestamp.toISOString(), '2024-07-15T05:30:25.000Z');
+  });
+
+  await t.test('should use camera zone when no directory matches', () => {
+    const resolver = new TimestampResolverService({
+      directoryZones: { '/other': 'Asia/Tokyo' },
+      cameraZones: { 'Canon EOS R5': '-04:00' }
+    }, testLogger);
+
+    const result = resolver.resolveTimestamp(createMetadata('2024:07:15 14:30:25'), '/pics/a.jpg');
+
+    assert.strictEqual(result.timezone.source, 'camera_config');
+    assert.strictEqual(result.timestamp.toISOString(), '2024-07-15T18:30:25.000Z');
+  });
+
+  await t.test('should estimate zone from timeline position far from the host zone when enabled', () => {
+    const timelineParser = new TimelineParserService(testLogger);
+    // User is in Tokyo (UTC+9) at 05:30 UTC; the tests may run in any host zone, so pick the far side of the world
+    const hostOffset = -new Date(2024, 6, 15, 14, 30, 25).getTimezoneOffset();
+    const tokyo = Math.abs(hostOffset - 540) > 120;
+    const longitude = tokyo ? 139.6503 : -74.006;
+    const expectedOffset = tokyo ? 540 : -300;
+    const instant = new Date(Date.UTC(2024, 6, 15, 14, 30, 25) - expectedOffset * 60000);
+    timelineParser.addLocationPoint(new Date(instant.getTime() - 5 * 60000).toISOString(), { latitude: 35.6762, longitude }, 'test');
+
+    const resolver = new TimestampResolverService({ inferFromTimeline: true }, testLogger);
+    resolver.setTimelineParser(timelineParser);
+
+    const result = resolver.resolveTimestamp(createMetadata('2024:07:15 14:30:25'), '/pics/a.jpg');
+
+    assert.strictEqual(result.timezone.source, 'timeline_inferred');
+    assert.strictEqual(result.timezone.offsetMinutes, expectedOffset);
+    assert.strictEqual(result.timezone.approximate, true);
+    assert.strictEqual(result.timestamp.toISOString(), instant.toISOString());
+  });
+
+  await t.test('should not let a timeline estimate override default or host zones', () => {
+    const timelineParser = new TimelineParserService(testLogger);
+    // A point one nautical zone east of the host zone: within the margin, so the host zone stays
+    const hostOffset = -new Date(2024, 6, 15, 14, 30, 25).getTimezoneOffset();
+    const nearbyLongitude = (hostOffset / 60 + 1) * 15;
+    for (let hour = 0; hour < 24; hour++) {
+      timelineParser.addLocationPoint(new Date(Date.UTC(2024, 6, 15, hour)).toISOString(), { latitude: 40, longitude: nearbyLongitude }, 'test');
+    }
+
+    const defaultOnly = new TimestampResolverService({ defaultZone: 'Asia/Tokyo' }, testLogger);
+    defaultOnly.setTimelineParser(timelineParser);
+    assert.strictEqual(defaultOnly.resolveTimestamp(createMetadata('2024:07:15 14:30:25'), '/pics/a.jpg').timezone.source, 'default_config');
+
+    const withDefault = new TimestampResolverService({ defaultZone: 'Asia/Tokyo', inferFromTimeline: true }, testLogger);
+    withDefault.setTimelineParser(timelineParser);
+    assert.strictEqual(withDefault.resolveTimestamp(createMetadata('2024:07:15 14:30:25'), '/pics/a.jpg').timezone.source, 'default_config');
+
+    const nearHome = new TimestampResolverService({ inferFromTimeline: true }, testLogger);
+    nearHome.setTimelineParser(timelineParser);
+    assert.strictEqual(nearHome.resolveTimestamp(createMetadata('2024:07:15 14:30:25'), '/pics/a.jpg').timezone.source, 'host_local');
+  });
+
+  await t.test('should keep file system timestamps as absolute instants', () => {
+    const resolver = new TimestampResolverService({}, testLogger);
+    const mtime = new Date('2024-07-15T05:30:25Z');
+
+    const result = resolver.resolveTimestamp({ timestamp: mtime, timestampInfo: null }, '/pics/a.jpg');
+
+    assert.strictEqual(result.timestamp, mtime);
+    assert.strictEqual(result.timezone.source, 'file_system');
+  });
+
+  await t.test('should fall back to host zone', () => {
+    const resolver = new TimestampResolverService({}, testLogger);
+
+    const result = resolver.resolveTimestamp(createMetadata('2024:07:15 14:30:25'), '/pics/a.jpg');
+
+    assert.strictEqual(result.timezone.source, 'host_local');
+    assert.strictEqual(result.timestamp.getTime(), new Date(2024, 6, 15, 14, 30, 25).getTime());
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Track Import Service Tests
+ *
+ * Tests for importing GPX, KML/KMZ and FIT tracks into the timeline.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { join } from 'path';
+import { deflateRawSync } from 'zlib';
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import TrackImportService from '../../src/services/trackImport.js';
+import TimelineParserService from '../../src/services/timelineParser.js';
+import InterpolationService from '../../src/services/interpolation.js';
+import GeolocationDatabaseService from '../../src/services/geolocationDatabase.js';
+import GeoImagesApp from '../../src/index.js';
+import { decodeFitRecords } from '../../src/utils/fitDecoder.js';
+import { extractZipEntries } from '../../src/utils/zip.js';
+import { createLogger } from '../../src/utils/debugLogger.js';
+
+const testLogger = createLogger('TrackImportTest', {
+  enableConsole: false,
+  enableFile: false
+});
+
+const GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk><name>Walk</name><trkseg>
+    <trkpt lat="51.5000" lon="-0.1200"><ele>12.5</ele><time>2024-07-15T10:00:00Z</time></trkpt>
+    <trkpt lon="-0.1100" lat="51.5100"><time>2024-07-15T10:10:00Z</time></trkpt>
+    <trkpt lat="51.5200" lon="-0.1000"><ele>14</ele></trkpt>
+  </trkseg></trk>
+</gpx>`;
+
+const KML = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+  <Placemark><gx:Track>
+    <when>2024-07-15T11:00:00Z</when>
+    <when>2024-07-15T11:05:00Z</when>
+    <gx:coord>2.3522 48.8566 35</gx:coord>
+    <gx:coord>2.3600 48.8600 36</gx:coord>
+  </gx:Track></Placemark>
+</kml>`;
+
+/**
+ * Build a single-entry deflated zip archive
+ */
+function createZip(name, content) {
+  const nameBuffer = Buffer.from(name);
+  const data = deflateRawSync(Buffer.from(content));
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(8, 8);
+  local.writeUInt32LE(data.length, 18);
+  local.writeUInt32LE(content.length, 22);
+  local.writeUInt16LE(nameBuffer.length, 26);
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(8, 10);
+  central.writeUInt32LE(data.length, 20);
+  central.writeUInt32LE(content.length, 24);
+  central.writeUInt16LE(nameBuffer.length, 28);
+  central.writeUInt32LE(0, 42);
+
+  const centralOffset = local.length + nameBuffer.length + data.length;
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(1, 8);
+  end.writeUInt16LE(1, 10);
+  end.writeUInt32LE(central.length + nameBuffer.length, 12);
+  end.writeUInt32LE(centralOffset, 16);
+
+  return Buffer.concat([local, nameBuffer, data, central, nameBuffer, end]);
+}
+
+/**
+ * Build a FIT file with two full-timestamp records and one compressed-timestamp record
+ */
+function createFit() {
+  const toFitTime = iso => Date.parse(iso) / 1000 - 631065600;
+  const toSemicircles = degrees => Math.round(degrees * 2 ** 31 / 180);
+  const messages = [];
+
+  // Definition: local 0 = record with timestamp, lat, long, altitude
+  const definition = Buffer.from([0x40, 0, 0, 20, 0, 4, 253, 4, 0x86, 0, 4, 0x85, 1, 4, 0x85, 2, 2, 0x84]);
+  messages.push(definition);
+
+  for (const [iso, lat, lng, altitude] of [
+    ['2024-07-15T12:00:00Z', 45.5, 6.25, 1000],
+    ['2024-07-15T12:00:10Z', 45.501, 6.251, null]
+  ]) {
+    const data = Buffer.alloc(15);
+    data.writeUInt8(0x00, 0);
+    data.writeUInt32LE(toFitTime(iso), 1);
+    data.writeInt32LE(toSemicircles(lat), 5);
+    data.writeInt32LE(toSemicircles(lng), 9);
+    data.writeUInt16LE(altitude === null ? 0xffff : (altitude + 500) * 5, 13);
+    messages.push(data);
+  }
+
+  // Definition: local 1 = record without timestamp, then a compressed timestamp message
+  messages.push(Buffer.from([0x41, 0, 0, 20, 0, 2, 0, 4, 0x85, 1, 4, 0x85]));
+  const compressed = Buffer.alloc(9);
+  const offset = (toFitTime('2024-07-15T12:00:15Z')) % 32;
+  compressed.writeUInt8(0x80 | (1 << 5) | offset, 0);
+  compressed.writeInt32LE(toSemicircles(45.502), 1);
+  compressed.writeInt32LE(toSemicircles(6.252), 5);
+  messages.push(compressed);
+
+  const body = Buffer.concat(messages);
+  const header = Buffer.alloc(14);
+  header.writeUInt8(14, 0);
+  header.writeUInt8(0x20, 1);
+  header.writeUInt16LE(2132, 2);
+  header.writeUInt32LE(body.length, 4);
+  header.write('.FIT', 8, 'ascii');
+
+  return Buffer.concat([header, body, Buffer.alloc(2)]);
+}
+
+test('TrackImportService - Parsing', async (t) => {
+  const service = new TrackImportService({}, testLogger);
+
+  await t.test('should parse timed GPX track points', () => {
+    const points = service.parseGpx(GPX);
+
+    assert.strictEqual(points.length, 2);
+    assert.deepStrictEqual(points[0], { timestamp: '2024-07-15T10:00:00Z', latitude: 51.5, longitude: -0.12, altitude: 12.5 });
+    assert.strictEqual(points[1].longitude, -0.11);
+  });
+
+  await t.test('should pair KML gx:Track times and coordinates', () => {
+    const points = service.parseKml(KML);
+
+    assert.strictEqual(points.length, 2);
+    assert.deepStrictEqual(points[0], { timestamp: '2024-07-15T11:00:00Z', latitude: 48.8566, longitude: 2.3522, altitude: 35 });
+  });
+
+  await t.test('should read the KML document inside a KMZ archive', () => {
+    const kmz = createZip('doc.kml', KML);
+
+    assert.deepStrictEqual(extractZipEntries(kmz).map(entry => entry.name), ['doc.kml']);
+    assert.strictEqual(service.parseKml(service.readKmz(kmz)).length, 2);
+  });
+
+  await t.test('should decode FIT records including compressed timestamps', () => {
+    const records = decodeFitRecords(createFit());
+
+    assert.strictEqual(records.length, 3);
+    assert.strictEqual(records[0].timestamp, '2024-07-15T12:00:00.000Z');
+    assert.ok(Math.abs(records[0].latitude - 45.5) < 1e-6);
+    assert.strictEqual(records[0].altitude, 1000);
+    assert.strictEqual(records[1].altitude, null);
+    assert.strictEqual(records[2].timestamp, '2024-07-15T12:00:15.000Z');
+  });
+
+  await t.test('should reject files that are not FIT', () => {
+    assert.throws(() => decodeFitRecords(Buffer.from('not a fit file at all')), /Not a FIT file/);
+  });
+});
+
+test('TrackImportService - Importing', async (t) => {
+  await t.test('should import configured files and directories with per-format sources', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'geo-images-tracks-'));
+
+    try {
+      await mkdir(join(directory, 'garmin', '2024'), { recursive: true });
+      await writeFile(join(directory, 'walk.gpx'), GPX);
+      await writeFile(join(directory, 'paris.kmz'), createZip('doc.kml', KML));
+      await writeFile(join(directory, 'garmin', '2024', 'ride.FIT'), createFit());
+      await writeFile(join(directory, 'garmin', 'broken.fit'), 'garbage');
+
+      const timelineParser = new TimelineParserService(testLogger);
+      const service = new TrackImportService({
+        gpx: { paths: [join(directory, 'walk.gpx')] },
+        kml: { paths: [join(directory, 'paris.kmz')] },
+        fit: { paths: [join(directory, 'garmin')] }
+      }, testLogger);
+      service.setTimelineParser(timelineParser);
+
+      const summary = await service.importTracks();
+      const sources = timelineParser.getStatistics().sources;
+
+      assert.deepStrictEqual(summary.gpx, { files: 1, points: 2, failed: 0 });
+      assert.deepStrictEqual(summary.kml, { files: 1, points: 2, failed: 0 });
+      assert.deepStrictEqual(summary.fit, { files: 1, points: 3, failed: 1 });
+      assert.deepStrictEqual(sources, { gpx_track: 2, kml_track: 2, fit_track: 3 });
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  await t.test('should report whether any paths are configured', () => {
+    assert.strictEqual(new TrackImportService({}, testLogger).isConfigured(), false);
+    assert.strictEqual(new TrackImportService({ fit: { paths: ['~/garmin'] } }, testLogger).isConfigured(), true);
+  });
+});
+
+test('TrackImportService - Source Priority', async (t) => {
+  await t.test('should tag interpolations from track points with the track source', () => {
+    const timelineParser = new TimelineParserService(testLogger);
+    const service = new TrackImportService({}, testLogger);
+    service.setTimelineParser(timelineParser);
+    service.addPoints(service.parseGpx(GPX), 'gpx_track');
+
+    const interpolation = new InterpolationService({ timelineTolerance: 60 }, testLogger);
+    interpolation.setTimelineParser(timelineParser);
+    const result = interpolation.interpolateFromTimeline(new Date('2024-07-15T10:05:00Z'));
+
+    assert.strictEqual(result.method, 'bracketed');
+    assert.strictEqual(result.timelineSource, 'gpx_track');
+  });
+
+  await t.test('should rank track sources above timeline matches', () => {
+    const database = new GeolocationDatabaseService({ enableSqlitePersistence: false }, testLogger);
+
+    for (const source of ['gpx_track', 'kml_track', 'fit_track']) {
+      assert.ok(database.getSourcePriority(source) > database.getSourcePriority('timeline_exact'));
+      assert.ok(database.getSourcePriority(source) < database.getSourcePriority('image_exif'));
+    }
+  });
+
+  await t.test('should store images tagged from a track under the track source', async () => {
+    const app = new GeoImagesApp();
+    app.initializeServices();
+    try {
+      app.geolocationDb = new GeolocationDatabaseService({ enableSqlitePersistence: false, validateCoordinates: true }, testLogger);
+      app.interpolation.setGeolocationDatabase(app.geolocationDb);
+      app.trackImport.addPoints(app.trackImport.parseGpx(GPX), 'gpx_track');
+      app.exifService.writeGPSData = async () => true;
+      await app.privacyZones.initialize();
+
+      const [result] = await app.processBatch([
+        { filePath: '/photos/track.jpg', timestamp: new Date('2024-07-15T10:05:00Z'), hasGPS: false }
+      ]);
+
+      assert.strictEqual(result.status, 'written');
+      assert.strictEqual((await app.geolocationDb.getCoordinates('/photos/track.jpg')).source, 'gpx_track');
+    } finally {
+      await app.cleanup();
+    }
+  });
+});
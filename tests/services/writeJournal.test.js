@@ -0,0 +1,284 @@
+/**
+ * Write Journal Service Tests
+ *
+ * Tests for journaling GPS writes and undoing them.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert';
+import { join } from 'path';
+import { existsSync } from 'fs';
+import { mkdir, mkdtemp, readdir, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import sharp from 'sharp';
+import { exiftool } from 'exiftool-vendored';
+import WriteJournalService from '../../src/services/writeJournal.js';
+import ExifService from '../../src/services/exif.js';
+import GeolocationDatabaseService from '../../src/services/geolocationDatabase.js';
+import { calculateFileHash } from '../../src/utils/fileOperations.js';
+import { createLogger } from '../../src/utils/debugLogger.js';
+
+const testLogger = createLogger('WriteJournalTest', {
+  enableConsole: false,
+  enableFile: false
+});
+
+// The exiftool process would otherwise keep the test file running
+after(() => exiftool.end());
+
+/**
+ * Create a small JPEG without EXIF data
+ * @param {string} filePath - Output path
+ * @returns {Promise<void>}
+ */
+async function createJpeg(filePath) {
+  const buffer = await sharp({
+    create: { width: 8, height: 8, channels: 3, background: { r: 200, g: 40, b: 40 } }
+  }).jpeg().toBuffer();
+  await writeFile(filePath, buffer);
+}
+
+/**
+ * Create journaled EXIF and database services writing into a temp directory
+ * @param {string} tempDir - Temp directory for the journal
+ * @param {Object} config - Journal config overrides
+ * @returns {Object} {journal, exifService, geolocationDb}
+ */
+function createJournaledServices(tempDir, config = {}) {
+  const exifService = new ExifService(testLogger);
+  const geolocationDb = new GeolocationDatabaseService({ enableSqlitePersistence: false, validateCoordinates: true }, testLogger);
+  const journal = new WriteJournalService({ directory: join(tempDir, 'journal'), ...config }, testLogger);
+
+  journal.setExifService(exifService);
+  journal.setGeolocationDatabase(geolocationDb);
+  exifService.setWriteJournal(journal);
+
+  return { journal, exifService, geolocationDb };
+}
+
+test('WriteJournalService - Journaling Writes', async (t) => {
+  const tempDir = await mkdtemp(join(tmpdir(), 'geo-images-journal-'));
+
+  try {
+    await t.test('should record prior GPS state, hashes and a backup for each write', async () => {
+      const imagePath = join(tempDir, 'plain.jpg');
+      await createJpeg(imagePath);
+      const { journal, exifService } = createJournaledServices(tempDir, { keepBackups: true });
+      const runId = journal.startRun('run-record');
+
+      await exifService.writeGPSData(imagePath, { latitude: 48.8566, longitude: 2.3522, source: 'timeline_interpolation' });
+
+      const [entry] = await journal.loadRun(runId);
+      assert.strictEqual(entry.filePath, imagePath);
+      assert.strictEqual(entry.source, 'timeline_interpolation');
+      assert.strictEqual(entry.priorGps, null);
+      assert.ok(entry.hashBefore);
+      assert.ok(entry.hashAfter);
+      assert.notStrictEqual(entry.hashBefore, entry.hashAfter);
+      assert.strictEqual(entry.backupPath, `${imagePath}.geo-images-run-record.bak`);
+      assert.ok(existsSync(entry.backupPath));
+    });
+
+    await t.test('should not leave backups beside images by default', async () => {
+      const imagePath = join(tempDir, 'default.jpg');
+      await createJpeg(imagePath);
+      const { journal, exifService } = createJournaledServices(tempDir);
+      const runId = journal.startRun('run-default');
+
+      await exifService.writeGPSData(imagePath, { latitude: 48.8566, longitude: 2.3522, source: 'timeline_interpolation' });
+
+      const [entry] = await journal.loadRun(runId);
+      assert.strictEqual(entry.backupPath, null);
+      assert.ok(!existsSync(`${imagePath}.geo-images-run-default.bak`));
+      assert.deepStrictEqual((await readdir(tempDir)).filter(name => name.includes('.tmp.')), []);
+    });
+
+    await t.test('should list journaled runs in order', async () => {
+      const { journal } = createJournaledServices(tempDir);
+      assert.deepStrictEqual(await journal.listRuns(), ['run-default', 'run-record']);
+    });
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('WriteJournalService - Undo', async (t) => {
+  const tempDir = await mkdtemp(join(tmpdir(), 'geo-images-undo-'));
+
+  try {
+    await t.test('should restore the original file from its backup', async () => {
+      const imagePath = join(tempDir, 'backup.jpg');
+      await createJpeg(imagePath);
+      const original = await readFile(imagePath);
+      const { journal, exifService, geolocationDb } = createJournaledServices(tempDir, { keepBackups: true });
+      const runId = journal.startRun('run-backup');
+
+      await exifService.writeGPSData(imagePath, { latitude: 48.8566, longitude: 2.3522, source: 'nearby_images' });
+      await geolocationDb.storeCoordinates(imagePath, { latitude: 48.8566, longitude: 2.3522 }, 'nearby_images');
+
+      const report = await journal.undoRun(runId);
+      assert.deepStrictEqual(report.summary, { total: 1, restored: 1, skipped: 0, changed: 0, failed: 0 });
+      assert.strictEqual(report.results[0].method, 'backup');
+      assert.ok((await readFile(imagePath)).equals(original));
+      assert.ok(!existsSync(`${imagePath}.geo-images-run-backup.bak`));
+      assert.strictEqual(await geolocationDb.getCoordinates(imagePath), null);
+
+      const again = await journal.undoRun(runId);
+      assert.strictEqual(again.summary.total, 0);
+    });
+
+    await t.test('should rewrite prior GPS tags when backups are disabled', async () => {
+      const imagePath = join(tempDir, 'tags.jpg');
+      await createJpeg(imagePath);
+      const plainService = new ExifService(testLogger);
+      await plainService.writeGPSData(imagePath, { latitude: 51.5, longitude: -0.12 });
+
+      const { journal, exifService } = createJournaledServices(tempDir, { keepBackups: false });
+      const runId = journal.startRun('run-tags');
+      await exifService.writeGPSData(imagePath, { latitude: 48.8566, longitude: 2.3522, source: 'enhanced_fallback' });
+
+      const report = await journal.undoRun(runId);
+      assert.strictEqual(report.results[0].method, 'gps_tags');
+
+      const restored = await plainService.extractMetadata(imagePath);
+      assert.ok(Math.abs(restored.latitude - 51.5) < 0.0001);
+      assert.ok(Math.abs(restored.longitude + 0.12) < 0.0001);
+    });
+
+    await t.test('should remove GPS tags from images that had none', async () => {
+      const imagePath = join(tempDir, 'none.jpg');
+      await createJpeg(imagePath);
+      const { journal, exifService } = createJournaledServices(tempDir, { keepBackups: false });
+      const runId = journal.startRun('run-none');
+
+      await exifService.writeGPSData(imagePath, { latitude: 48.8566, longitude: 2.3522, source: 'timeline_interpolation' });
+      await journal.undoRun(runId);
+
+      assert.strictEqual(await exifService.readGPSTags(imagePath), null);
+    });
+
+    await t.test('should restore location names written with the GPS data', async () => {
+      const imagePath = join(tempDir, 'place.jpg');
+      await createJpeg(imagePath);
+      const plainService = new ExifService(testLogger);
+      await plainService.writeGPSData(imagePath, { latitude: 51.5, longitude: -0.12, place: { name: 'Home', address: 'London, UK' } });
+      const prior = await plainService.readLocationTags(imagePath);
+
+      const { journal, exifService } = createJournaledServices(tempDir, { keepBackups: false });
+      const runId = journal.startRun('run-place');
+      await exifService.writeGPSData(imagePath, { latitude: 48.8606, longitude: 2.3376, source: 'timeline_interpolation' });
+      await exifService.writeGPSData(imagePath, {
+        latitude: 48.8606,
+        longitude: 2.3376,
+        source: 'timeline_interpolation',
+        place: { name: 'Louvre', address: 'Rue de Rivoli, 75001 Paris, France' }
+      });
+
+      const [entry] = await journal.loadRun(runId);
+      assert.strictEqual(entry.includesLocation, true);
+      assert.deepStrictEqual(entry.priorLocation, prior);
+
+      await journal.undoRun(runId);
+      assert.deepStrictEqual(await exifService.readLocationTags(imagePath), prior);
+    });
+
+    await t.test('should undo place names written on their own without touching GPS', async () => {
+      const imagePath = join(tempDir, 'named.jpg');
+      await createJpeg(imagePath);
+      const { journal, exifService, geolocationDb } = createJournaledServices(tempDir);
+      await exifService.writeGPSData(imagePath, { latitude: 48.8606, longitude: 2.3376 });
+      await geolocationDb.storeCoordinates(imagePath, { latitude: 48.8606, longitude: 2.3376 }, 'exif_camera');
+      const priorGps = await exifService.readGPSTags(imagePath);
+      const runId = journal.startRun('run-names');
+
+      const targetPath = await exifService.writeImageLocationNames(imagePath, { city: 'Paris', country: 'France' });
+      assert.strictEqual(targetPath, imagePath);
+      assert.strictEqual(await exifService.writeImageLocationNames(imagePath, { city: 'Lyon' }), null);
+
+      const report = await journal.undoRun(runId);
+      assert.strictEqual(report.results[0].method, 'location_tags');
+      assert.strictEqual(await exifService.readLocationTags(imagePath), null);
+      assert.deepStrictEqual(await exifService.readGPSTags(imagePath), priorGps);
+      assert.ok(await geolocationDb.getCoordinates(imagePath));
+    });
+
+    await t.test('should write place names for RAW files to a new sidecar', async () => {
+      const rawPath = join(tempDir, 'IMG_1.CR3');
+      await writeFile(rawPath, 'raw image');
+      const hashBefore = await calculateFileHash(rawPath);
+      const { journal } = createJournaledServices(tempDir);
+      const exifService = new ExifService(testLogger, { sidecar: { mode: 'auto' } });
+      exifService.setWriteJournal(journal);
+      journal.setExifService(exifService);
+      const runId = journal.startRun('run-raw-names');
+
+      const targetPath = await exifService.writeImageLocationNames(rawPath, { city: 'Paris', country: 'France' });
+      assert.strictEqual(targetPath, join(tempDir, 'IMG_1.xmp'));
+      assert.match(await readFile(targetPath, 'utf8'), /photoshop:City="Paris"/);
+      assert.strictEqual(await calculateFileHash(rawPath), hashBefore);
+
+      await journal.undoRun(runId);
+      assert.ok(!existsSync(targetPath));
+    });
+
+    await t.test('should only undo images matching the directory and source filters', async () => {
+      const tripDir = join(tempDir, 'trip');
+      await mkdir(tripDir);
+      const inTrip = join(tripDir, 'a.jpg');
+      const outside = join(tempDir, 'b.jpg');
+      const otherSource = join(tripDir, 'c.jpg');
+      await Promise.all([createJpeg(inTrip), createJpeg(outside), createJpeg(otherSource)]);
+
+      const { journal, exifService } = createJournaledServices(tempDir);
+      const runId = journal.startRun('run-filters');
+      await exifService.writeGPSData(inTrip, { latitude: 1.5, longitude: 2.5, source: 'enhanced_fallback' });
+      await exifService.writeGPSData(outside, { latitude: 1.5, longitude: 2.5, source: 'enhanced_fallback' });
+      await exifService.writeGPSData(otherSource, { latitude: 1.5, longitude: 2.5, source: 'gpx_track' });
+
+      const report = await journal.undoRun(runId, { directory: tripDir, source: 'enhanced_fallback' });
+      assert.deepStrictEqual(report.results.map(result => result.filePath), [inTrip]);
+      assert.strictEqual(await exifService.readGPSTags(inTrip), null);
+      assert.ok(await exifService.readGPSTags(outside));
+      assert.ok(await exifService.readGPSTags(otherSource));
+
+      const rest = await journal.undoRun(runId);
+      assert.strictEqual(rest.summary.restored, 2);
+    });
+
+    await t.test('should delete sidecars created by the run', async () => {
+      const imagePath = join(tempDir, 'raw.jpg');
+      await createJpeg(imagePath);
+      const original = await readFile(imagePath);
+      const { journal, geolocationDb } = createJournaledServices(tempDir);
+      const exifService = new ExifService(testLogger, { sidecar: { mode: 'sidecar' } });
+      exifService.setWriteJournal(journal);
+      const runId = journal.startRun('run-sidecar');
+
+      await exifService.writeGPSData(imagePath, { latitude: 1.5, longitude: 2.5, source: 'timeline_interpolation' });
+      await geolocationDb.storeCoordinates(imagePath, { latitude: 1.5, longitude: 2.5 }, 'timeline_interpolation');
+      assert.ok(existsSync(join(tempDir, 'raw.xmp')));
+
+      const report = await journal.undoRun(runId, { directory: tempDir });
+      assert.strictEqual(report.results[0].method, 'delete');
+      assert.ok(!existsSync(join(tempDir, 'raw.xmp')));
+      assert.ok((await readFile(imagePath)).equals(original));
+      assert.strictEqual(await geolocationDb.getCoordinates(imagePath), null);
+    });
+
+    await t.test('should not overwrite images modified after the run', async () => {
+      const imagePath = join(tempDir, 'edited.jpg');
+      await createJpeg(imagePath);
+      const { journal, exifService } = createJournaledServices(tempDir);
+      const runId = journal.startRun('run-edited');
+
+      await exifService.writeGPSData(imagePath, { latitude: 1.5, longitude: 2.5, source: 'nearby_images' });
+      await writeFile(imagePath, 'edited in another tool');
+
+      const report = await journal.undoRun(runId);
+      assert.strictEqual(report.results[0].status, 'changed');
+      assert.strictEqual(await readFile(imagePath, 'utf8'), 'edited in another tool');
+    });
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,48 @@
+/**
+ * Activity Utility Tests
+ *
+ * Tests for mapping timeline activity types to categories.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { ACTIVITY_PROFILES, getTopActivity, normalizeActivityType } from '../../src/utils/activity.js';
+
+test('Activity - normalizeActivityType', async (t) => {
+  await t.test('should map export types from every timeline format', () => {
+    assert.strictEqual(normalizeActivityType('IN_PASSENGER_VEHICLE'), 'driving');
+    assert.strictEqual(normalizeActivityType('in passenger vehicle'), 'driving');
+    assert.strictEqual(normalizeActivityType('FLYING'), 'flying');
+    assert.strictEqual(normalizeActivityType('ON_FOOT'), 'walking');
+    assert.strictEqual(normalizeActivityType('IN_TRAIN'), 'in_vehicle');
+    assert.strictEqual(normalizeActivityType('STILL'), 'still');
+  });
+
+  await t.test('should return null for unknown or missing types', () => {
+    assert.strictEqual(normalizeActivityType('UNKNOWN_ACTIVITY_TYPE'), null);
+    assert.strictEqual(normalizeActivityType(''), null);
+    assert.strictEqual(normalizeActivityType(undefined), null);
+  });
+
+  await t.test('should have a profile for every category', () => {
+    for (const type of ['STILL', 'WALKING', 'CYCLING', 'IN_CAR', 'IN_BUS', 'FLYING']) {
+      assert.ok(ACTIVITY_PROFILES[normalizeActivityType(type)], type);
+    }
+    assert.strictEqual(ACTIVITY_PROFILES.flying.interpolate, false);
+  });
+});
+
+test('Activity - getTopActivity', async (t) => {
+  await t.test('should pick the most probable known activity', () => {
+    assert.strictEqual(getTopActivity([
+      { activityType: 'TILTING', probability: 0.9 },
+      { activityType: 'IN_VEHICLE', probability: 0.6 },
+      { activityType: 'STILL', probability: 0.3 }
+    ]), 'in_vehicle');
+  });
+
+  await t.test('should return null without detections', () => {
+    assert.strictEqual(getTopActivity([]), null);
+    assert.strictEqual(getTopActivity(undefined), null);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * CLI Utility Tests
+ *
+ * Tests for subcommand parsing, exit codes and TTY detection.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { EXIT_CODES, UsageError, getExitCode, isInteractive, parseCommandLine } from '../../src/utils/cli.js';
+
+const SPEC = {
+  defaultCommand: 'tag',
+  commands: { tag: {}, scan: {}, db: {} },
+  options: {
+    '--dry-run': { type: 'boolean' },
+    '--yes': { type: 'boolean', alias: '-y' },
+    '--tolerance': { type: 'number' },
+    '--min-confidence': { type: 'number' },
+    '--output': { type: 'string' },
+    '--format': { type: 'string', choices: ['json', 'csv'] }
+  }
+};
+
+test('CLI - parseCommandLine', async (t) => {
+  await t.test('should read the command, positionals and camelCase options', () => {
+    const parsed = parseCommandLine(['scan', '~/pics', '--min-confidence', '0.7', '--output=scan.csv', '-y'], SPEC);
+
+    assert.strictEqual(parsed.command, 'scan');
+    assert.deepStrictEqual(parsed.positionals, ['~/pics']);
+    assert.deepStrictEqual(parsed.options, { minConfidence: 0.7, output: 'scan.csv', yes: true });
+    assert.deepStrictEqual(parsed.errors, []);
+  });
+
+  await t.test('should fall back to the default command for a bare directory', () => {
+    const parsed = parseCommandLine(['--dry-run', '~/pics', '--tolerance', '30'], SPEC);
+
+    assert.strictEqual(parsed.command, 'tag');
+    assert.deepStrictEqual(parsed.positionals, ['~/pics']);
+    assert.deepStrictEqual(parsed.options, { dryRun: true, tolerance: 30 });
+  });
+
+  await t.test('should accept negative numbers as values', () => {
+    const parsed = parseCommandLine(['--tolerance', '-5'], SPEC);
+    assert.strictEqual(parsed.options.tolerance, -5);
+    assert.deepStrictEqual(parsed.errors, []);
+  });
+
+  await t.test('should report unknown options, missing values and bad values', () => {
+    const parsed = parseCommandLine(['--verbose', '--tolerance', 'soon', '--format', 'xml', '--dry-run=yes', '--output'], SPEC);
+
+    assert.deepStrictEqual(parsed.errors, [
+      'Unknown option: --verbose',
+      'Option --tolerance expects a number, got "soon"',
+      'Option --format must be one of json, csv, got "xml"',
+      'Option --dry-run does not take a value',
+      'Option --output requires a value'
+    ]);
+    assert.strictEqual(parsed.options.tolerance, undefined);
+    assert.strictEqual(parsed.options.format, undefined);
+  });
+
+  await t.test('should not take the next option as a value', () => {
+    const parsed = parseCommandLine(['--output', '--yes'], SPEC);
+    assert.deepStrictEqual(parsed.errors, ['Option --output requires a value']);
+    assert.strictEqual(parsed.options.yes, true);
+  });
+});
+
+test('CLI - Exit Codes', async (t) => {
+  await t.test('should distinguish success, partial failure and total failure', () => {
+    assert.strictEqual(getExitCode({ succeeded: 5, failed: 0 }), EXIT_CODES.SUCCESS);
+    assert.strictEqual(getExitCode({ succeeded: 0, failed: 0 }), EXIT_CODES.SUCCESS);
+    assert.strictEqual(getExitCode({ succeeded: 3, failed: 2 }), EXIT_CODES.PARTIAL_FAILURE);
+    assert.strictEqual(getExitCode({ succeeded: 0, failed: 2 }), EXIT_CODES.FAILURE);
+  });
+
+  await t.test('should give usage errors the usage exit code', () => {
+    const error = new UsageError('bad option');
+    assert.ok(error instanceof Error);
+    assert.strictEqual(error.exitCode, EXIT_CODES.USAGE);
+  });
+});
+
+test('CLI - isInteractive', async (t) => {
+  await t.test('should only treat TTY streams as interactive', () => {
+    assert.strictEqual(isInteractive({ isTTY: true }), true);
+    assert.strictEqual(isInteractive({ isTTY: false }), false);
+    assert.strictEqual(isInteractive({}), false);
+    assert.strictEqual(isInteractive(null), false);
+  });
+});
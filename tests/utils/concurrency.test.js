@@ -0,0 +1,59 @@
+/**
+ * Concurrency Utility Tests
+ *
+ * Tests for bounded-concurrency mapping.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { setTimeout as delay } from 'timers/promises';
+import { mapConcurrent } from '../../src/utils/concurrency.js';
+
+test('Concurrency - mapConcurrent', async (t) => {
+  await t.test('should keep input order when calls finish out of order', async () => {
+    const results = await mapConcurrent([30, 10, 20], 3, async (ms, index) => {
+      await delay(ms);
+      return `${index}:${ms}`;
+    });
+    assert.deepStrictEqual(results, ['0:30', '1:10', '2:20']);
+  });
+
+  await t.test('should never run more than the limit at once', async () => {
+    let running = 0;
+    let peak = 0;
+
+    await mapConcurrent(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await delay(5);
+      running--;
+    });
+
+    assert.strictEqual(peak, 3);
+  });
+
+  await t.test('should treat invalid limits as one and handle empty input', async () => {
+    let running = 0;
+    let peak = 0;
+
+    await mapConcurrent([1, 2, 3], 0, async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await delay(1);
+      running--;
+    });
+
+    assert.strictEqual(peak, 1);
+    assert.deepStrictEqual(await mapConcurrent([], 4, async () => 1), []);
+  });
+
+  await t.test('should reject when a call rejects', async () => {
+    await assert.rejects(
+      mapConcurrent([1, 2], 2, async (item) => {
+        if (item === 2) throw new Error('boom');
+        return item;
+      }),
+      { message: 'boom' }
+    );
+  });
+});
@@ -14,6 +14,7 @@ import {
   parseCoordinates,
   calculateCenter,
   isWithinBounds,
+  isPointInPolygon,
   createBoundingBox,
   normalizeLongitude,
   normalizeLatitude,
@@ -102,6 +103,12 @@ test('Coordinate Parsing', async (t) => {
     assert.ok(Math.abs(result.longitude - (-74.0058)) < 0.01);
   });
 
+  await t.test('should parse on-device timeline coordinate strings', () => {
+    assert.deepStrictEqual(parseCoordinates('geo:51.507351,-0.127758'), { latitude: 51.507351, longitude: -0.127758 });
+    assert.deepStrictEqual(parseCoordinates('geo:51.5,-0.1;u=35'), { latitude: 51.5, longitude: -0.1 });
+    assert.deepStrictEqual(parseCoordinates('51.5073510°, -0.1277580°'), { latitude: 51.507351, longitude: -0.127758 });
+  });
+
   await t.test('should return null for invalid coordinate strings', () => {
     assert.strictEqual(parseCoordinates('invalid'), null);
     assert.strictEqual(parseCoordinates(''), null);
@@ -151,6 +158,24 @@ test('Bounding Box Operations', async (t) => {
     assert.ok(!isWithinBounds(40.0, -60.0, bounds)); // Too far east
   });
 
+  await t.test('should check if coordinates are inside a polygon', () => {
+    // L-shaped block: the north-east corner is cut out
+    const polygon = [
+      { latitude: 51.50, longitude: -0.13 },
+      { latitude: 51.50, longitude: -0.11 },
+      { latitude: 51.51, longitude: -0.11 },
+      { latitude: 51.51, longitude: -0.12 },
+      { latitude: 51.52, longitude: -0.12 },
+      { latitude: 51.52, longitude: -0.13 }
+    ];
+    
+    assert.ok(isPointInPolygon(51.505, -0.115, polygon));
+    assert.ok(isPointInPolygon(51.515, -0.125, polygon));
+    assert.ok(!isPointInPolygon(51.515, -0.115, polygon)); // In the cut-out corner
+    assert.ok(!isPointInPolygon(51.49, -0.12, polygon));
+    assert.ok(!isPointInPolygon(51.505, -0.115, polygon.slice(0, 2)));
+  });
+
   await t.test('should create bounding box around center point', () => {
     const bbox = createBoundingBox(40.7128, -74.0060, 10); // 10km radius
     
@@ -0,0 +1,57 @@
+/**
+ * JSON Stream Utility Tests
+ *
+ * Tests for streaming top-level array elements out of JSON files.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { join } from 'path';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { streamArrayElements } from '../../src/utils/jsonStream.js';
+
+test('streamArrayElements', async (t) => {
+  await t.test('should reassemble elements split across small chunks', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'geo-images-json-'));
+    const filePath = join(directory, 'data.json');
+    const items = [
+      { id: 1, note: 'escaped \\ backslash and "quote"', nested: [[1, 2], { a: '}' }] },
+      { id: 2, note: 'ünïcödé ✓' },
+      { id: 3 }
+    ];
+    
+    try {
+      await writeFile(filePath, JSON.stringify({ "key \"with\" quotes": [{ id: 0 }], other: { items: [9] }, items, profile: { places: [{ id: 4 }] } }, null, 2), 'utf8');
+      
+      const received = [];
+      const stats = await streamArrayElements(filePath, ['items', 'profile'], (item, key) => received.push({ item, key }), { chunkSize: 7 });
+      
+      assert.deepStrictEqual(received.filter(entry => entry.key === 'items').map(entry => entry.item), items);
+      assert.deepStrictEqual(received[3], { item: { places: [{ id: 4 }] }, key: 'profile' });
+      assert.deepStrictEqual(stats.keys, ['key "with" quotes', 'other', 'items', 'profile']);
+      assert.deepStrictEqual(stats.objects, { profile: 1 });
+      assert.strictEqual(stats.elements, 4);
+      assert.strictEqual(stats.errors, 0);
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  await t.test('should skip unparseable elements', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'geo-images-json-'));
+    const filePath = join(directory, 'data.json');
+
+    try {
+      await writeFile(filePath, '{"items": [{"id": 1}, {"id": }, {"id": 3}]}', 'utf8');
+
+      const received = [];
+      const stats = await streamArrayElements(filePath, ['items'], item => received.push(item));
+
+      assert.deepStrictEqual(received, [{ id: 1 }, { id: 3 }]);
+      assert.strictEqual(stats.errors, 1);
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Places Utility Tests
+ *
+ * Tests for deriving IPTC/XMP location fields from place names and addresses.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { getLocationFields, parseAddress } from '../../src/utils/places.js';
+
+test('Places - parseAddress', async (t) => {
+  await t.test('should take the city and country from common address formats', () => {
+    assert.deepStrictEqual(parseAddress('Rue de Rivoli, 75001 Paris, France'), { city: 'Paris', country: 'France' });
+    assert.deepStrictEqual(parseAddress('10 Downing St, London SW1A 2AA, UK'), { city: 'London', country: 'UK' });
+    assert.deepStrictEqual(parseAddress('1600 Amphitheatre Pkwy, Mountain View, CA 94043, USA'), { city: 'Mountain View', country: 'USA' });
+    assert.deepStrictEqual(parseAddress('Paris, France'), { city: 'Paris', country: 'France' });
+  });
+
+  await t.test('should not use the street as the city', () => {
+    assert.deepStrictEqual(parseAddress('Piazza San Marco, 30124, Italy'), { city: null, country: 'Italy' });
+  });
+
+  await t.test('should return nulls for missing or single-part addresses', () => {
+    assert.deepStrictEqual(parseAddress(null), { city: null, country: null });
+    assert.deepStrictEqual(parseAddress('France'), { city: null, country: null });
+  });
+});
+
+test('Places - getLocationFields', async (t) => {
+  await t.test('should combine the place name with the city', () => {
+    assert.deepStrictEqual(getLocationFields({ name: 'Louvre', address: 'Rue de Rivoli, 75001 Paris, France' }), {
+      subLocation: 'Louvre',
+      city: 'Paris',
+      region: null,
+      country: 'France',
+      countryCode: null,
+      location: 'Louvre, Paris'
+    });
+  });
+
+  await t.test('should prefer explicit city and country over the address', () => {
+    const fields = getLocationFields({ name: 'Louvre', address: 'Rue de Rivoli, 75001 Paris, France', city: 'Paris 1er', country: 'FR' });
+    assert.strictEqual(fields.city, 'Paris 1er');
+    assert.strictEqual(fields.country, 'FR');
+  });
+
+  await t.test('should keep reverse-geocoded regions and country codes', () => {
+    assert.deepStrictEqual(getLocationFields({ city: 'Mountain View', region: 'California', country: 'United States', countryCode: 'US' }), {
+      subLocation: null,
+      city: 'Mountain View',
+      region: 'California',
+      country: 'United States',
+      countryCode: 'US',
+      location: 'Mountain View'
+    });
+  });
+
+  await t.test('should not repeat a city name as the sub-location', () => {
+    assert.deepStrictEqual(getLocationFields({ name: 'Paris', address: 'Paris, France' }), {
+      subLocation: null,
+      city: 'Paris',
+      region: null,
+      country: 'France',
+      countryCode: null,
+      location: 'Paris'
+    });
+    assert.strictEqual(getLocationFields({ country: 'France' }).location, 'France');
+  });
+
+  await t.test('should return null when nothing is known', () => {
+    assert.strictEqual(getLocationFields(null), null);
+    assert.strictEqual(getLocationFields({ placeId: 'ChIJ123' }), null);
+  });
+});
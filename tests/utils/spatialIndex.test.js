@@ -0,0 +1,73 @@
+/**
+ * Spatial Index Tests
+ *
+ * Tests for the latitude/longitude grid used for nearest-place lookups.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { SpatialGrid } from '../../src/utils/spatialIndex.js';
+
+const PLACES = [
+  { name: 'Paris', latitude: 48.85341, longitude: 2.3488 },
+  { name: 'Versailles', latitude: 48.80359, longitude: 2.13424 },
+  { name: 'London', latitude: 51.50853, longitude: -0.12574 },
+  { name: 'Somosomo', latitude: -16.77449, longitude: 179.96906 }
+];
+
+test('SpatialGrid - Construction', async (t) => {
+  await t.test('should index points and skip ones without coordinates', () => {
+    const grid = new SpatialGrid([...PLACES, { name: 'Nowhere' }, { name: 'Bad', latitude: NaN, longitude: 0 }]);
+
+    assert.strictEqual(grid.size, PLACES.length);
+  });
+
+  await t.test('should wrap longitudes onto the grid', () => {
+    const grid = new SpatialGrid([], 1);
+
+    assert.strictEqual(grid.getColumn(-180), 0);
+    assert.strictEqual(grid.getColumn(180), 0);
+    assert.strictEqual(grid.getColumn(179.5), 359);
+    assert.strictEqual(grid.getRow(90), 179);
+  });
+});
+
+test('SpatialGrid - Nearest Lookup', async (t) => {
+  const grid = new SpatialGrid(PLACES);
+
+  await t.test('should find the closest point', () => {
+    const nearest = grid.findNearest(48.8606, 2.3376, 20000);
+
+    assert.strictEqual(nearest.point.name, 'Paris');
+    assert.ok(nearest.distance > 1000 && nearest.distance < 1200, `distance ${nearest.distance}`);
+  });
+
+  await t.test('should prefer a closer point in a neighbouring cell', () => {
+    const nearest = grid.findNearest(48.81, 2.15, 20000);
+
+    assert.strictEqual(nearest.point.name, 'Versailles');
+  });
+
+  await t.test('should return null when nothing is within the radius', () => {
+    assert.strictEqual(grid.findNearest(48.8606, 2.3376, 500), null);
+    assert.strictEqual(grid.findNearest(40, -30, 50000), null);
+  });
+
+  await t.test('should search across the antimeridian', () => {
+    const nearest = grid.findNearest(-16.77, -179.98, 20000);
+
+    assert.strictEqual(nearest.point.name, 'Somosomo');
+    assert.ok(nearest.distance < 10000, `distance ${nearest.distance}`);
+  });
+
+  await t.test('should search radii wider than one cell', () => {
+    const nearest = grid.findNearest(50.5, 1, 200000);
+
+    assert.strictEqual(nearest.point.name, 'London');
+  });
+
+  await t.test('should return null for an empty grid or invalid coordinates', () => {
+    assert.strictEqual(new SpatialGrid().findNearest(48.85, 2.35, 20000), null);
+    assert.strictEqual(grid.findNearest(NaN, 2.35, 20000), null);
+  });
+});
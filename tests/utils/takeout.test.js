@@ -0,0 +1,54 @@
+/**
+ * Takeout Utility Tests
+ *
+ * Tests for locating Semantic Location History and Records.json files in a
+ * Google Takeout export.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { join } from 'path';
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { findTakeoutFiles, parseMonthlyFileName } from '../../src/utils/takeout.js';
+
+test('Takeout - Monthly File Names', async (t) => {
+  await t.test('should parse year and month', () => {
+    assert.deepStrictEqual(parseMonthlyFileName('2024_JANUARY.json'), { year: 2024, month: 1 });
+    assert.deepStrictEqual(parseMonthlyFileName('/x/2019/2019_December.json'), { year: 2019, month: 12 });
+  });
+
+  await t.test('should reject other file names', () => {
+    assert.strictEqual(parseMonthlyFileName('Records.json'), null);
+    assert.strictEqual(parseMonthlyFileName('2024_SMARCH.json'), null);
+  });
+});
+
+test('Takeout - File Discovery', async (t) => {
+  await t.test('should find monthly files in chronological order and Records.json', async () => {
+    const root = await mkdtemp(join(tmpdir(), 'geo-images-takeout-'));
+    const history = join(root, 'Takeout', 'Location History');
+    const semantic = join(history, 'Semantic Location History');
+
+    try {
+      await mkdir(join(semantic, '2023'), { recursive: true });
+      await mkdir(join(semantic, '2024'), { recursive: true });
+      await writeFile(join(semantic, '2024', '2024_FEBRUARY.json'), '{}');
+      await writeFile(join(semantic, '2024', '2024_JANUARY.json'), '{}');
+      await writeFile(join(semantic, '2023', '2023_DECEMBER.json'), '{}');
+      await writeFile(join(semantic, '2023', 'notes.txt'), '');
+      await writeFile(join(history, 'Records.json'), '{}');
+
+      const files = await findTakeoutFiles(root);
+
+      assert.deepStrictEqual(files.semanticFiles.map(file => `${file.year}-${file.month}`), ['2023-12', '2024-1', '2024-2']);
+      assert.strictEqual(files.recordsFile, join(history, 'Records.json'));
+
+      const fromSemantic = await findTakeoutFiles(semantic);
+      assert.strictEqual(fromSemantic.semanticFiles.length, 3);
+      assert.strictEqual(fromSemantic.recordsFile, null);
+    } finally {
+      await rm(root, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Time Index Tests
+ *
+ * Tests for the sorted time index used for nearest, bracket and range lookups,
+ * and for the time window index.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { TimeIndex, TimeWindowIndex } from '../../src/utils/timeIndex.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Build an index with records at the given minute offsets, inserted out of order
+ */
+function createIndex(minutes) {
+  const entries = new Map();
+  for (const minute of [...minutes].reverse()) {
+    entries.set(minute * MINUTE, { name: `t${minute}` });
+  }
+  return new TimeIndex(entries);
+}
+
+test('TimeIndex - Construction', async (t) => {
+  await t.test('should sort entries and skip invalid timestamps', () => {
+    const index = new TimeIndex([[3000, 'c'], [NaN, 'x'], [1000, 'a'], [2000, 'b']]);
+
+    assert.strictEqual(index.size, 3);
+    assert.deepStrictEqual(index.records, ['a', 'b', 'c']);
+  });
+});
+
+test('TimeIndex - Nearest Lookup', async (t) => {
+  const index = createIndex([0, 10, 30, 60]);
+
+  await t.test('should find the closest record within tolerance', () => {
+    const nearest = index.findNearest(26 * MINUTE, 60 * MINUTE);
+
+    assert.strictEqual(nearest.record.name, 't30');
+    assert.strictEqual(nearest.distanceMs, 4 * MINUTE);
+  });
+
+  await t.test('should prefer the earlier record on ties', () => {
+    assert.strictEqual(index.findNearest(20 * MINUTE).record.name, 't10');
+  });
+
+  await t.test('should respect tolerance and the ends of the index', () => {
+    assert.strictEqual(index.findNearest(45 * MINUTE, 10 * MINUTE), null);
+    assert.strictEqual(index.findNearest(-5 * MINUTE).record.name, 't0');
+    assert.strictEqual(index.findNearest(500 * MINUTE).record.name, 't60');
+    assert.strictEqual(new TimeIndex().findNearest(0), null);
+  });
+});
+
+test('TimeIndex - Bracket Lookup', async (t) => {
+  const index = createIndex([0, 10, 30, 60]);
+
+  await t.test('should return the records either side of the target', () => {
+    const bracket = index.findBracket(15 * MINUTE);
+
+    assert.strictEqual(bracket.before.record.name, 't10');
+    assert.strictEqual(bracket.after.record.name, 't30');
+  });
+
+  await t.test('should bracket an exact match with itself', () => {
+    const bracket = index.findBracket(30 * MINUTE);
+
+    assert.strictEqual(bracket.before, bracket.after);
+    assert.strictEqual(bracket.before.record.name, 't30');
+  });
+
+  await t.test('should reject brackets wider than the maximum span', () => {
+    assert.strictEqual(index.findBracket(45 * MINUTE, 20 * MINUTE), null);
+    assert.ok(index.findBracket(45 * MINUTE, 30 * MINUTE));
+  });
+
+  await t.test('should return null outside the indexed range', () => {
+    assert.strictEqual(index.findBracket(-1 * MINUTE), null);
+    assert.strictEqual(index.findBracket(61 * MINUTE), null);
+  });
+});
+
+test('TimeIndex - Range Lookup', async (t) => {
+  await t.test('should return records in an inclusive range in time order', () => {
+    const index = createIndex([0, 10, 30, 60]);
+
+    const names = index.findInRange(10 * MINUTE, 60 * MINUTE).map(entry => entry.record.name);
+
+    assert.deepStrictEqual(names, ['t10', 't30', 't60']);
+    assert.deepStrictEqual(index.findInRange(11 * MINUTE, 29 * MINUTE), []);
+  });
+});
+
+test('TimeWindowIndex - Containing Lookup', async (t) => {
+  await t.test('should find the window containing an instant, including its edges', () => {
+    const index = new TimeWindowIndex([
+      { startMs: 60 * MINUTE, endMs: 90 * MINUTE, name: 'late' },
+      { startMs: 0, endMs: 30 * MINUTE, name: 'early' },
+      { startMs: 50 * MINUTE, endMs: 40 * MINUTE, name: 'invalid' }
+    ]);
+
+    assert.strictEqual(index.size, 2);
+    assert.strictEqual(index.findContaining(0).name, 'early');
+    assert.strictEqual(index.findContaining(30 * MINUTE).name, 'early');
+    assert.strictEqual(index.findContaining(75 * MINUTE).name, 'late');
+    assert.strictEqual(index.findContaining(45 * MINUTE), null);
+    assert.strictEqual(index.findContaining(91 * MINUTE), null);
+  });
+
+  await t.test('should prefer the latest-starting window and look back past short ones', () => {
+    const index = new TimeWindowIndex([
+      { startMs: 0, endMs: 600 * MINUTE, name: 'day' },
+      { startMs: 100 * MINUTE, endMs: 110 * MINUTE, name: 'coffee' },
+      { startMs: 200 * MINUTE, endMs: 205 * MINUTE, name: 'photo stop' }
+    ]);
+
+    assert.strictEqual(index.findContaining(105 * MINUTE).name, 'coffee');
+    assert.strictEqual(index.findContaining(300 * MINUTE).name, 'day');
+  });
+});
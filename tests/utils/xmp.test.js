@@ -0,0 +1,64 @@
+/**
+ * XMP Utility Tests
+ *
+ * Tests for reading and merging XMP sidecar properties.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  readXmpProperties,
+  setXmpProperties,
+  parseXmpCoordinate,
+  formatXmpCoordinate,
+  extractXmpGps
+} from '../../src/utils/xmp.js';
+
+test('XMP Utils - Coordinates', async (t) => {
+  await t.test('should parse degree-minute and decimal forms', () => {
+    assert.ok(Math.abs(parseXmpCoordinate('48,51.396N') - 48.8566) < 0.000001);
+    assert.ok(Math.abs(parseXmpCoordinate('2,21,7.92W') + 2.3522) < 0.000001);
+    assert.strictEqual(parseXmpCoordinate('-12.5'), -12.5);
+    assert.strictEqual(parseXmpCoordinate(''), null);
+    assert.strictEqual(parseXmpCoordinate('north'), null);
+  });
+
+  await t.test('should format coordinates with hemisphere references', () => {
+    assert.strictEqual(formatXmpCoordinate(48.8566, 'latitude'), '48,51.396000N');
+    assert.strictEqual(formatXmpCoordinate(-33.8688, 'latitude'), '33,52.128000S');
+    assert.strictEqual(formatXmpCoordinate(-0.12, 'longitude'), '0,7.200000W');
+    assert.strictEqual(formatXmpCoordinate(9.9999999999, 'longitude'), '10,0.000000E');
+  });
+});
+
+test('XMP Utils - Properties', async (t) => {
+  await t.test('should create a packet when there is no sidecar', () => {
+    const xml = setXmpProperties(null, { 'exif:GPSLatitude': '1,30.000000N', 'exif:GPSLongitude': '2,30.000000E' });
+
+    assert.match(xml, /xmlns:exif="http:\/\/ns.adobe.com\/exif\/1.0\/"/);
+    assert.deepStrictEqual(extractXmpGps(xml), { latitude: 1.5, longitude: 2.5 });
+  });
+
+  await t.test('should read attribute and element forms', () => {
+    const xml = '<rdf:Description exif:GPSLatitude="1,30N">' +
+      '<exif:GPSLongitude>2,30W</exif:GPSLongitude><exif:ExposureTime>1/60</exif:ExposureTime></rdf:Description>';
+
+    assert.deepStrictEqual(readXmpProperties(xml, 'exif:GPS'), {
+      'exif:GPSLatitude': '1,30N',
+      'exif:GPSLongitude': '2,30W'
+    });
+  });
+
+  await t.test('should remove properties by prefix and by null value', () => {
+    const xml = '<rdf:Description rdf:about="" xmlns:exif="x" exif:GPSLatitude="1N" exif:GPSAltitude="5" exif:FNumber="4"/>';
+
+    assert.strictEqual(setXmpProperties(xml, {}, 'exif:GPS'), '<rdf:Description rdf:about="" xmlns:exif="x" exif:FNumber="4"/>');
+    assert.strictEqual(setXmpProperties(xml, { 'exif:GPSAltitude': null }),
+      '<rdf:Description rdf:about="" xmlns:exif="x" exif:GPSLatitude="1N" exif:FNumber="4"/>');
+  });
+
+  await t.test('should reject missing or out-of-range GPS', () => {
+    assert.strictEqual(extractXmpGps('<rdf:Description exif:GPSLatitude="1N"/>'), null);
+    assert.strictEqual(extractXmpGps('<rdf:Description exif:GPSLatitude="91N" exif:GPSLongitude="2E"/>'), null);
+  });
+});
@@ -7,6 +7,8 @@
  * @author Tom Cranstoun <ddttom@github.com>
  */
 
+import { parseCoordinates } from '../../src/utils/coordinates.js';
+
 /**
  * Content analyzer for Timeline diagnostic utility
  */
@@ -53,14 +55,26 @@ class ContentAnalyzer {
         coordinateValidation: null,
         temporalCoverage: null,
         statistics: null,
+        onDevice: null,
         issues: [],
         warnings: []
       };
 
+      // Summarise on-device exports, whose raw signals are not timeline objects
+      if (jsonData && (Array.isArray(jsonData.semanticSegments) || Array.isArray(jsonData.rawSignals))) {
+        analysis.onDevice = this.summarizeOnDeviceExport(jsonData);
+      }
+
       // Find timeline objects in the data
       const timelineObjects = this.extractTimelineObjects(jsonData);
       analysis.totalRecords = timelineObjects.length;
 
+      if (timelineObjects.length === 0 && analysis.onDevice?.positions > 0) {
+        analysis.warnings.push('On-device export contains raw positions only, no semantic segments');
+        this.logger.timeEnd('Content Analysis');
+        return analysis;
+      }
+
       if (timelineObjects.length === 0) {
         analysis.issues.push('No timeline objects found for content analysis');
         this.logger.timeEnd('Content Analysis');
@@ -122,6 +136,15 @@ class ContentAnalyzer {
       return objects;
     }
 
+    // Check for on-device semanticSegments array
+    if (Array.isArray(data.semanticSegments)) {
+      data.semanticSegments.forEach(segment => {
+        const normalized = this.normalizeSemanticSegment(segment);
+        if (normalized) objects.push(normalized);
+      });
+      return objects;
+    }
+
     // Search deeper levels
     if (Array.isArray(data)) {
       data.forEach(item => {
@@ -139,6 +162,106 @@ class ContentAnalyzer {
     return objects;
   }
 
+  /**
+   * Convert an on-device semantic segment to the standard timeline object shape
+   * so the existing quality analysis applies to it
+   */
+  normalizeSemanticSegment(segment) {
+    if (!segment || typeof segment !== 'object') return null;
+
+    const duration = {
+      startTimestamp: segment.startTime,
+      endTimestamp: segment.endTime
+    };
+
+    if (segment.visit) {
+      return {
+        placeVisit: {
+          location: this.parseOnDeviceLocation(segment.visit.topCandidate?.placeLocation),
+          duration
+        }
+      };
+    }
+
+    if (segment.activity || Array.isArray(segment.timelinePath)) {
+      const activitySegment = { duration };
+      if (segment.activity?.start) {
+        activitySegment.startLocation = this.parseOnDeviceLocation(segment.activity.start);
+      }
+      if (segment.activity?.end) {
+        activitySegment.endLocation = this.parseOnDeviceLocation(segment.activity.end);
+      }
+      if (Array.isArray(segment.timelinePath)) {
+        activitySegment.waypointPath = {
+          waypoints: segment.timelinePath.map(point => this.parseOnDeviceLocation(point.point))
+        };
+      }
+      return { activitySegment };
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse an on-device coordinate ("geo:lat,lng", "lat°, lng°" or {latLng})
+   * Unparseable values become an empty location so they count as missing.
+   */
+  parseOnDeviceLocation(value) {
+    const raw = value && typeof value === 'object' ? (value.latLng || value.LatLng) : value;
+    const coordinates = parseCoordinates(raw);
+    return coordinates ? { latitude: coordinates.latitude, longitude: coordinates.longitude } : {};
+  }
+
+  /**
+   * Summarise the sections of an on-device export
+   */
+  summarizeOnDeviceExport(data) {
+    const summary = {
+      semanticSegments: 0,
+      visits: 0,
+      activities: 0,
+      timelinePathPoints: 0,
+      rawSignals: 0,
+      positions: 0,
+      frequentPlaces: 0,
+      unparseableCoordinates: 0
+    };
+
+    const checkCoordinate = (value) => {
+      const location = this.parseOnDeviceLocation(value);
+      if (location.latitude === undefined) summary.unparseableCoordinates++;
+    };
+
+    (data.semanticSegments || []).forEach(segment => {
+      summary.semanticSegments++;
+      if (segment.visit) {
+        summary.visits++;
+        checkCoordinate(segment.visit.topCandidate?.placeLocation);
+      }
+      if (segment.activity) {
+        summary.activities++;
+        checkCoordinate(segment.activity.start);
+        checkCoordinate(segment.activity.end);
+      }
+      if (Array.isArray(segment.timelinePath)) {
+        summary.timelinePathPoints += segment.timelinePath.length;
+        segment.timelinePath.forEach(point => checkCoordinate(point.point));
+      }
+    });
+
+    (data.rawSignals || []).forEach(signal => {
+      summary.rawSignals++;
+      if (signal.position) {
+        summary.positions++;
+        checkCoordinate(signal.position.LatLng || signal.position.latLng);
+      }
+    });
+
+    summary.frequentPlaces = data.userLocationProfile?.frequentPlaces?.length || 0;
+
+    return summary;
+  }
+
   /**
    * Count different types of timeline objects
    */
@@ -335,7 +458,7 @@ class ContentAnalyzer {
 
       // Validate coordinates
       locations.forEach(location => {
-        if (this.isValidCoordinate(location)) {
+        if (this.isValidCoordinate(this.extractCoordinates(location))) {
           quality.validCoordinates++;
         } else {
           quality.invalidCoordinates++;
@@ -854,6 +977,10 @@ class ContentAnalyzer {
     if (analysis.temporalCoverage && analysis.temporalCoverage.timeGaps.length > 10) {
       analysis.warnings.push('Multiple temporal gaps detected in timeline data');
     }
+
+    if (analysis.onDevice && analysis.onDevice.unparseableCoordinates > 0) {
+      analysis.warnings.push(`${analysis.onDevice.unparseableCoordinates} on-device coordinates could not be parsed`);
+    }
   }
 }
 
@@ -141,6 +141,18 @@ class ReportGenerator {
       lines.push(`Activity Segments: ${content.activitySegments}`);
       lines.push(`Place Visits: ${content.placeVisits}`);
       
+      if (content.onDevice) {
+        lines.push('');
+        lines.push('On-Device Export:');
+        lines.push(`   Semantic Segments: ${content.onDevice.semanticSegments} (${content.onDevice.visits} visits, ${content.onDevice.activities} activities)`);
+        lines.push(`   Timeline Path Points: ${content.onDevice.timelinePathPoints}`);
+        lines.push(`   Raw Signals: ${content.onDevice.rawSignals} (${content.onDevice.positions} positions)`);
+        lines.push(`   Frequent Places: ${content.onDevice.frequentPlaces}`);
+        if (content.onDevice.unparseableCoordinates > 0) {
+          lines.push(`   Unparseable Coordinates: ${content.onDevice.unparseableCoordinates}`);
+        }
+      }
+      
       if (content.dataQuality) {
         lines.push('');
         lines.push('Data Quality:');
@@ -313,6 +325,21 @@ class ReportGenerator {
       lines.push(`| Activity Segments | ${content.activitySegments} |`);
       lines.push(`| Place Visits | ${content.placeVisits} |`);
       
+      if (content.onDevice) {
+        lines.push('');
+        lines.push('### On-Device Export');
+        lines.push('| Section | Count |');
+        lines.push('|---------|-------|');
+        lines.push(`| Semantic Segments | ${content.onDevice.semanticSegments} |`);
+        lines.push(`| Visits | ${content.onDevice.visits} |`);
+        lines.push(`| Activities | ${content.onDevice.activities} |`);
+        lines.push(`| Timeline Path Points | ${content.onDevice.timelinePathPoints} |`);
+        lines.push(`| Raw Signals | ${content.onDevice.rawSignals} |`);
+        lines.push(`| Positions | ${content.onDevice.positions} |`);
+        lines.push(`| Frequent Places | ${content.onDevice.frequentPlaces} |`);
+        lines.push(`| Unparseable Coordinates | ${content.onDevice.unparseableCoordinates} |`);
+      }
+      
       if (content.dataQuality) {
         lines.push('');
         lines.push('### Data Quality');
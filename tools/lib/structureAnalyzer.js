@@ -65,9 +65,9 @@ class StructureAnalyzer {
             }
           }
         },
-        semantic: {
-          name: 'Semantic Timeline Format',
-          version: '2023',
+        onDevice: {
+          name: 'On-Device Timeline Format',
+          version: '2024',
           structure: {
             semanticSegments: {
               type: 'array',
@@ -75,17 +75,25 @@ class StructureAnalyzer {
               items: {
                 type: 'object',
                 properties: {
-                  timelineObjects: {
-                    type: 'array',
-                    items: {
-                      oneOf: [
-                        { $ref: '#/definitions/activitySegment' },
-                        { $ref: '#/definitions/placeVisit' }
-                      ]
-                    }
-                  }
+                  startTime: { type: 'string' },
+                  endTime: { type: 'string' },
+                  visit: { type: 'object' },
+                  activity: { type: 'object' },
+                  timelinePath: { type: 'array' }
+                }
+              }
+            },
+            rawSignals: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  position: { type: 'object' }
                 }
               }
+            },
+            userLocationProfile: {
+              type: 'object'
             }
           }
         }
@@ -275,6 +283,17 @@ class StructureAnalyzer {
       };
     }
 
+    // Check for on-device export format
+    if (Array.isArray(data.semanticSegments) || Array.isArray(data.rawSignals)) {
+      const key = Array.isArray(data.semanticSegments) ? 'semanticSegments' : 'rawSignals';
+      const count = this.countOnDeviceObjects(data);
+      return {
+        found: count > 0,
+        path: path ? `${path}.${key}` : key,
+        count
+      };
+    }
+
     return { found: false, path: null, count: 0 };
   }
 
@@ -353,6 +372,25 @@ class StructureAnalyzer {
     return count;
   }
 
+  /**
+   * Count on-device segments and raw signals that contain location data
+   */
+  countOnDeviceObjects(data) {
+    let count = 0;
+
+    if (Array.isArray(data.semanticSegments)) {
+      count += data.semanticSegments.filter(segment => segment && typeof segment === 'object' && (
+        segment.visit || segment.activity || segment.timelinePath
+      )).length;
+    }
+
+    if (Array.isArray(data.rawSignals)) {
+      count += data.rawSignals.filter(signal => signal && signal.position).length;
+    }
+
+    return count;
+  }
+
   /**
    * Match data against known schemas
    */
@@ -433,8 +471,8 @@ class StructureAnalyzer {
         return 'timelineEdits';
       } else if (data.timelineObjects) {
         return 'standard';
-      } else if (data.semanticSegments) {
-        return 'semantic';
+      } else if (data.semanticSegments || data.rawSignals) {
+        return 'onDevice';
       }
     }
 
@@ -52,7 +52,7 @@ class SingleImageDiagnostic {
 
   initializeServices() {
     this.exifService = new ExifService(this.logger, { useFileTimestampFallback: true });
-    this.timelineParser = new TimelineParserService(this.logger);
+    this.timelineParser = new TimelineParserService(this.logger, { takeoutPath: process.env.TAKEOUT_PATH || null });
     this.interpolation = new InterpolationService(this.config, this.logger);
     this.geolocationDb = new GeolocationDatabaseService(this.config.geolocationDatabase, this.logger);
     
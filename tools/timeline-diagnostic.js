@@ -3,7 +3,8 @@
 /**
  * Timeline Diagnostic Utility
  * 
- * A standalone CLI tool for analyzing Google Timeline Edits.json files
+ * A standalone CLI tool for analyzing Google Timeline exports (Timeline Edits.json,
+ * standard Timeline.json and the on-device semanticSegments export)
  * to identify parsing and processing issues.
  * 
  * @author Tom Cranstoun <ddttom@github.com>
@@ -126,7 +127,7 @@ USAGE:
   node timeline-diagnostic.js <file> [options]
 
 ARGUMENTS:
-  <file>                    Path to Timeline Edits.json file
+  <file>                    Path to Timeline Edits.json, Timeline.json or on-device export
 
 OPTIONS:
   -f, --format <format>     Output format: console, json, markdown (default: console)